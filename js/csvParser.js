@@ -1,12 +1,17 @@
 /**
  * CSV Parser for Trading Data
- * Handles parsing of TradingView and Interactive Brokers CSV files
+ * Handles parsing of TradingView, Interactive Brokers, NinjaTrader, Tradovate and Rithmic CSV files
+ * and MetaTrader 4/5 statements, plus any other broker through saved column-mapping profiles
  */
 class CSVParser {
     constructor() {
         this.supportedFormats = {
             tradingview: 'TradingView Paper Trading',
             ibkr: 'Interactive Brokers',
+            ninjatrader: 'NinjaTrader',
+            tradovate: 'Tradovate',
+            rithmic: 'Rithmic R|Trader',
+            metatrader: 'MetaTrader 4/5',
             custom: 'Custom Format'
         };
 
@@ -24,12 +29,74 @@ class CSVParser {
             125000: '6E1!',    // Euro FX
             12500000: '6J1!',  // Japanese Yen
         };
+
+        // Order fields a custom column-mapping profile can fill in
+        this.MAPPABLE_FIELDS = [
+            { key: 'symbol', label: 'Symbol', required: true, hints: ['symbol', 'instrument', 'ticker', 'contract', 'market'] },
+            { key: 'side', label: 'Side', required: true, hints: ['side', 'action', 'b/s', 'buy/sell', 'direction'] },
+            { key: 'qty', label: 'Quantity', required: true, hints: ['qty', 'quantity', 'filled qty', 'size', 'lots', 'volume'] },
+            { key: 'fillPrice', label: 'Fill Price', required: true, hints: ['fill price', 'avg fill price', 'avg price', 'execution price', 'price'] },
+            { key: 'time', label: 'Time', required: true, hints: ['fill time', 'execution time', 'date/time', 'datetime', 'timestamp', 'time', 'date'] },
+            { key: 'commission', label: 'Commission', required: false, hints: ['commission', 'comm', 'fees', 'fee'] },
+            { key: 'orderId', label: 'Order ID', required: false, hints: ['order id', 'orderid', 'execution id', 'exec id', 'trade id', 'id'] }
+        ];
+
+        // MetaTrader units per lot for non-forex symbols (forex pairs default to 100,000)
+        this.METATRADER_CONTRACT_SIZES = {
+            XAUUSD: 100,
+            XAGUSD: 5000,
+            XPTUSD: 100,
+            USOIL: 1000,
+            UKOIL: 1000,
+            NATGAS: 10000
+        };
+
+        // Broker-specific MetaTrader symbol names → CONTRACT_SPECS keys
+        this.METATRADER_SYMBOL_ALIASES = {
+            GOLD: 'XAUUSD',
+            SILVER: 'XAGUSD',
+            WTI: 'USOIL',
+            BRENT: 'UKOIL',
+            USTEC: 'NAS100',
+            US100: 'NAS100',
+            DE40: 'GER40'
+        };
+
+        // TradeCalculator whose contract registry (with the user's instruments) tells futures
+        // roots apart from other tickers; a default one is made when none is set
+        this.specCalculator = null;
+
+        this.PROFILES_STORAGE_KEY = 'tradle_import_profiles';
+
+        // How ambiguous slash dates ("2/10/26") are read, and the zone export timestamps are in.
+        // Saved per broker format (custom profiles keep their own) and overridable per upload.
+        this.DATE_ORDERS = {
+            MDY: 'Month / Day / Year',
+            DMY: 'Day / Month / Year'
+        };
+        this.DEFAULT_DATE_SETTINGS = { timeZone: 'local', dateOrder: 'MDY' };
+        this.DATE_SETTINGS_STORAGE_KEY = 'tradle_import_date_settings';
+        this.dateOptions = { ...this.DEFAULT_DATE_SETTINGS };
+
+        // Upload size caps: files parsed on the main thread vs. streamed through the import worker
+        this.MAX_FILE_SIZE = 10 * 1024 * 1024;
+        this.MAX_STREAMED_FILE_SIZE = 200 * 1024 * 1024;
+
+        // Optional (stage, done, total) callback fired while parsing rows — set by the import worker
+        this.onProgress = null;
+        this.PROGRESS_INTERVAL = 2000;
+
+        // Rows that could not be turned into orders, as { line, message } for the import preview
+        this.parseErrors = [];
+        this.MAX_REPORTED_PARSE_ERRORS = 500;
     }
 
     /**
-     * Parse CSV content based on format
+     * Parse CSV content based on format.
+     * options: { timeZone, dateOrder } for this upload — missing keys fall back to the
+     * settings saved for the format (see getDateSettings)
      */
-    async parseCSV(csvContent, format = 'tradingview') {
+    async parseCSV(csvContent, format = 'tradingview', options = null) {
         console.log('🔍 parseCSV: Starting CSV parsing...');
         console.log(`📄 Format: ${format}`);
         console.log(`📏 Content length: ${csvContent.length}`);
@@ -41,42 +108,96 @@ class CSVParser {
                 console.log(`🔍 Auto-detected format: ${format}`);
             }
 
-            switch (format) {
-                case 'tradingview':
-                    console.log('📊 Calling parseTradingViewCSV...');
-                    const result = this.parseTradingViewCSV(csvContent);
-                    console.log('✅ parseTradingViewCSV completed successfully');
-                    return result;
-                case 'ibkr':
-                    console.log('🏦 Calling parseIBKRCSV...');
-                    const ibkrResult = this.parseIBKRCSV(csvContent);
-                    console.log('✅ parseIBKRCSV completed successfully');
-                    return ibkrResult;
-                case 'custom':
-                    throw new Error('Custom format not yet supported');
-                default:
-                    throw new Error(`Unsupported format: ${format}`);
-            }
+            this.dateOptions = { ...this.getDateSettings(format) };
+            Object.entries(options || {}).forEach(([key, value]) => {
+                if (value) this.dateOptions[key] = value;
+            });
+            console.log(`🕐 Dates read as ${this.dateOptions.dateOrder} in ${this.dateOptions.timeZone} time`);
+
+            this.parseErrors = [];
+            const result = this.parseByFormat(csvContent, format);
+            result.parseErrors = this.parseErrors;
+            return result;
         } catch (error) {
             console.error('❌ CSV parsing error:', error);
             throw error;
         }
     }
 
+    /**
+     * Dispatch to the parser for a resolved format id
+     */
+    parseByFormat(csvContent, format) {
+        switch (format) {
+            case 'tradingview':
+                console.log('📊 Calling parseTradingViewCSV...');
+                const result = this.parseTradingViewCSV(csvContent);
+                console.log('✅ parseTradingViewCSV completed successfully');
+                return result;
+            case 'ibkr':
+                // The IBKR screen also accepts Flex Query XML statements
+                if (this.isIBKRFlexXML(csvContent)) {
+                    console.log('🏦 Calling parseIBKRFlexXML...');
+                    const flexResult = this.parseIBKRFlexXML(csvContent);
+                    console.log('✅ parseIBKRFlexXML completed successfully');
+                    return flexResult;
+                }
+                console.log('🏦 Calling parseIBKRCSV...');
+                const ibkrResult = this.parseIBKRCSV(csvContent);
+                console.log('✅ parseIBKRCSV completed successfully');
+                return ibkrResult;
+            case 'ninjatrader':
+                console.log('🥷 Calling parseNinjaTraderCSV...');
+                const ntResult = this.parseNinjaTraderCSV(csvContent);
+                console.log('✅ parseNinjaTraderCSV completed successfully');
+                return ntResult;
+            case 'tradovate':
+                console.log('📈 Calling parseTradovateCSV...');
+                const tradovateResult = this.parseTradovateCSV(csvContent);
+                console.log('✅ parseTradovateCSV completed successfully');
+                return tradovateResult;
+            case 'rithmic':
+                console.log('📉 Calling parseRithmicCSV...');
+                const rithmicResult = this.parseRithmicCSV(csvContent);
+                console.log('✅ parseRithmicCSV completed successfully');
+                return rithmicResult;
+            case 'metatrader':
+                console.log('📑 Calling parseMetaTrader...');
+                const mtResult = this.parseMetaTrader(csvContent);
+                console.log('✅ parseMetaTrader completed successfully');
+                return mtResult;
+            case 'custom':
+                throw new Error('Custom format needs a column-mapping profile');
+            default:
+                // Saved column-mapping profiles use the "custom:<profile name>" format
+                if (format.startsWith('custom:')) {
+                    const profile = this.getImportProfile(format.slice('custom:'.length));
+                    if (!profile) {
+                        throw new Error(`Import profile "${format.slice('custom:'.length)}" not found`);
+                    }
+                    console.log(`🧩 Calling parseCustomCSV with profile "${profile.name}"...`);
+                    const customResult = this.parseCustomCSV(csvContent, profile);
+                    console.log('✅ parseCustomCSV completed successfully');
+                    return customResult;
+                }
+                throw new Error(`Unsupported format: ${format}`);
+        }
+    }
+
     /**
      * Parse TradingView CSV format
      */
     parseTradingViewCSV(csvContent) {
         console.log('📊 parseTradingViewCSV: Starting TradingView CSV parsing...');
 
-        const lines = csvContent.split('\n');
-        console.log(`📄 Total lines: ${lines.length}`);
+        const { records, lineNumbers, delimiter } = this.tokenizeCSV(csvContent);
+        console.log(`📄 Total records: ${records.length} (delimiter ${JSON.stringify(delimiter)})`);
 
-        if (lines.length === 0) {
+        if (records.length === 0) {
             throw new Error('CSV file is empty');
         }
 
-        const headers = lines[0].split(',');
+        const headers = records[0].map(h => h.trim());
         console.log('📋 Headers:', headers);
 
         // Validate headers
@@ -88,43 +209,56 @@ class CSVParser {
         console.log('✅ Headers validated successfully');
 
         const orders = [];
+        const resting = [];
         let validOrderCount = 0;
         let errorCount = 0;
         let skippedCancelledCount = 0;
         let processedLines = 0;
 
-        console.log(`🔄 Processing ${lines.length - 1} data lines...`);
+        console.log(`🔄 Processing ${records.length - 1} data records...`);
 
-        for (let i = 1; i < lines.length; i++) {
+        for (let r = 1; r < records.length; r++) {
             processedLines++;
+            this.reportProgress(processedLines, records.length - 1);
 
             // Progress logging every 100 lines for large files
             if (processedLines % 100 === 0) {
-                console.log(`📊 Progress: ${processedLines}/${lines.length - 1} lines processed`);
+                console.log(`📊 Progress: ${processedLines}/${records.length - 1} lines processed`);
             }
 
-            const line = lines[i].trim();
+            // Records can span several lines; report the line where each one starts
+            const i = lineNumbers[r];
+            const values = this.cleanCSVRecord(records[r], delimiter);
 
             // Skip empty lines
-            if (!line || line.split(',').every(cell => !cell.trim())) {
+            if (values.every(cell => !cell)) {
                 continue;
             }
 
             try {
-                const values = this.parseCSVLine(line);
 
                 // Process any symbol with valid data
                 if (values.length >= headers.length && values[0] && values[0].trim()) {
 
                     const order = this.createOrderObject(values, headers);
 
-                    // Silently skip cancelled orders — they are expected in TradingView exports
+                    // A specific contract ("CME_MINI:ESH2026") trades under its continuous ticker, keeping the month
+                    const month = /\d{4}$/.test(order.symbol) ? this.parseContractMonth(order.symbol) : null;
+                    if (month) {
+                        order.symbol = order.symbol.replace(/[^:]+$/, `${month.root}1!`);
+                        order.contractMonth = month.contractMonth;
+                    }
+
+                    // Silently skip cancelled orders — they are expected in TradingView exports.
+                    // Cancelled stops and limits are the unused legs of a bracket: kept for the planned levels.
                     if (order.status && order.status.toLowerCase() === 'cancelled') {
+                        if (order.stopPrice !== null || order.limitPrice !== null) resting.push(order);
                         skippedCancelledCount++;
                         continue;
                     }
 
                     if (this.validateOrder(order)) {
+                        order.sourceLine = i + 1;
                         orders.push(order);
                         validOrderCount++;
 
@@ -139,6 +273,9 @@ class CSVParser {
                         }
                     } else {
                         errorCount++;
+                        this.recordParseError(i + 1, order.status !== 'Filled'
+                            ? `Status "${order.status}" is not Filled`
+                            : this.describeMissingFields({ symbol: !!order.symbol, side: !!order.side, qty: order.qty > 0, 'fill price': order.fillPrice !== null, time: !!order.placingTime }));
                         if (errorCount <= 3) {
                             console.warn(`⚠️ Invalid order on line ${i + 1}:`, order);
                         }
@@ -146,6 +283,7 @@ class CSVParser {
                 }
             } catch (error) {
                 errorCount++;
+                this.recordParseError(i + 1, error.message);
                 if (errorCount <= 3) {
                     console.warn(`❌ Error parsing line ${i + 1}:`, error.message);
                 }
@@ -158,11 +296,12 @@ class CSVParser {
         console.log('🔄 Reversing order array for chronological sorting...');
         const chronologicalOrders = orders.reverse();
         console.log('✅ Chronological sorting completed');
+        this.stampPlannedLevels(chronologicalOrders, resting);
 
         const result = {
             orders: chronologicalOrders,
             stats: {
-                totalLines: lines.length - 1,
+                totalLines: records.length - 1,
                 validOrders: validOrderCount,
                 skippedCancelled: skippedCancelledCount,
                 errors: errorCount,
@@ -204,26 +343,125 @@ class CSVParser {
     /**
      * Parse CSV line handling quoted fields and special characters
      */
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
+    parseCSVLine(line, delimiter = ',') {
+        const { records } = this.tokenizeCSV(line, delimiter);
+        return (records[0] || ['']).map(value => value.trim());
+    }
+
+    // ===== CSV tokenizer =====
+
+    /**
+     * Pick the field delimiter from the header row: comma, semicolon or tab
+     * (European-locale exports use ";" or tab because "," is their decimal separator)
+     */
+    detectDelimiter(content) {
+        const firstLine = (content || '').replace(/^\uFEFF/, '').split(/\r?\n|\r/)[0].replace(/"[^"]*"/g, '');
+        const count = (ch) => firstLine.split(ch).length - 1;
+        const candidates = [',', ';', '\t'].map(ch => ({ ch, n: count(ch) }));
+        const best = candidates.reduce((a, b) => (b.n > a.n ? b : a));
+        return best.n > 0 ? best.ch : ',';
+    }
 
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
+    /**
+     * RFC 4180 tokenizer. Quoted fields may contain delimiters, line breaks and doubled quotes ("").
+     * Strips a leading BOM, accepts CRLF / LF / CR line endings and skips blank lines.
+     * Returns { records, lineNumbers, delimiter } — lineNumbers[n] is the 0-based line where record n starts.
+     */
+    tokenizeCSV(content, delimiter = null) {
+        const text = (content || '').replace(/^\uFEFF/, '');
+        const sep = delimiter || this.detectDelimiter(text);
+        const n = text.length;
+        const records = [];
+        const lineNumbers = [];
+        let record = [];
+        let line = 0;
+        let recordLine = 0;
+        let i = 0;
+
+        // Index of the next delimiter or line break at or after `from`
+        const fieldEnd = (from) => {
+            let k = from;
+            while (k < n && text[k] !== sep && text[k] !== '\n' && text[k] !== '\r') k++;
+            return k;
+        };
+        const endRecord = () => {
+            if (record.length > 1 || record[0] !== '') {
+                records.push(record);
+                lineNumbers.push(recordLine);
+            }
+            record = [];
+        };
 
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
+        while (i < n) {
+            // Whitespace before an opening quote is tolerated: a, "b" → ["a", "b"]
+            let start = i;
+            while (text[start] === ' ') start++;
+
+            if (text[start] === '"') {
+                let value = '';
+                let j = start + 1;
+                for (;;) {
+                    const q = text.indexOf('"', j);
+                    if (q === -1) {
+                        // Unterminated quote — take the rest of the file
+                        value += text.slice(j);
+                        i = n;
+                        break;
+                    }
+                    value += text.slice(j, q);
+                    if (text[q + 1] === '"') {
+                        value += '"';
+                        j = q + 2;
+                        continue;
+                    }
+                    i = q + 1;
+                    break;
+                }
+                if (value.indexOf('\n') !== -1 || value.indexOf('\r') !== -1) {
+                    line += (value.match(/\r\n|\r|\n/g) || []).length;
+                }
+                // Anything between the closing quote and the delimiter is kept as-is
+                const k = fieldEnd(i);
+                record.push(value + text.slice(i, k));
+                i = k;
             } else {
-                current += char;
+                const k = fieldEnd(i);
+                record.push(text.slice(i, k));
+                i = k;
+            }
+
+            if (i >= n) break;
+            if (text[i] === sep) {
+                i++;
+                if (i >= n) record.push('');
+                continue;
             }
+
+            // Line break ends the record
+            i += (text[i] === '\r' && text[i + 1] === '\n') ? 2 : 1;
+            endRecord();
+            line++;
+            recordLine = line;
         }
+        if (record.length > 0) endRecord();
 
-        result.push(current.trim());
-        return result;
+        return { records, lineNumbers, delimiter: sep };
+    }
+
+    /**
+     * Trim a tokenized record; semicolon/tab exports also get decimal commas turned into points
+     */
+    cleanCSVRecord(record, delimiter = ',') {
+        const values = record.map(value => value.trim());
+        return delimiter === ',' ? values : values.map(value => this.normalizeDecimalComma(value));
+    }
+
+    /**
+     * "6976,75" → "6976.75", "87.209,38 USD" → "87209.38 USD"; anything else is returned unchanged
+     */
+    normalizeDecimalComma(value) {
+        const m = value.match(/^(-?\d{1,3}(?:\.\d{3})+,\d+|-?\d+,\d+)(\s+[A-Z]{3})?$/);
+        return m ? m[1].replace(/\./g, '').replace(',', '.') + (m[2] || '') : value;
     }
 
     /**
@@ -294,34 +532,46 @@ class CSVParser {
 
     /**
      * Parse datetime from TradingView format
-     * Supports: "2/10/26 15:56", "2/10/26 15:56:03", "2026-02-12 16:33:22"
+     * Supports: "2/10/26 15:56", "2/10/26 15:56:03", "2026-02-12 16:33:22",
+     * NinjaTrader-style "3/2/2026 9:31:05 AM" and MetaTrader-style "2026.03.02 09:31:05".
+     * Slash dates follow dateOptions.dateOrder; wall-clock times are read in dateOptions.timeZone.
      */
     parseDateTime(dateTimeStr) {
         if (!dateTimeStr || dateTimeStr.trim() === '') return null;
 
         try {
-            // Format 1: "M/D/YY HH:MM" or "M/D/YY HH:MM:SS"
-            const slashMatch = dateTimeStr.match(/(\d+)\/(\d+)\/(\d+)\s+(\d+):(\d+)(?::(\d+))?/);
+            // Format 1: "M/D/YY HH:MM" or "M/D/YY HH:MM:SS" ("D/M/YY" when the date order is DMY)
+            const slashMatch = dateTimeStr.match(/(\d+)\/(\d+)\/(\d+)\s+(\d+):(\d+)(?::(\d+))?(?:\s*([AaPp][Mm]))?/);
             if (slashMatch) {
-                const [, month, day, year, hour, minute, second] = slashMatch;
-                const fullYear = parseInt(year) < 50 ? 2000 + parseInt(year) : 1900 + parseInt(year);
-                return new Date(
+                const [, first, middle, year, hour, minute, second, meridiem] = slashMatch;
+                const [month, day] = this.dateOptions.dateOrder === 'DMY' ? [middle, first] : [first, middle];
+                let fullYear = parseInt(year);
+                if (year.length <= 2) {
+                    fullYear = fullYear < 50 ? 2000 + fullYear : 1900 + fullYear;
+                }
+                let hour24 = parseInt(hour);
+                if (meridiem) {
+                    const isPM = meridiem.toLowerCase() === 'pm';
+                    if (isPM && hour24 < 12) hour24 += 12;
+                    if (!isPM && hour24 === 12) hour24 = 0;
+                }
+                return this.makeDate(
                     fullYear,
-                    parseInt(month) - 1,
+                    parseInt(month),
                     parseInt(day),
-                    parseInt(hour),
+                    hour24,
                     parseInt(minute),
                     parseInt(second || 0)
                 );
             }
 
-            // Format 2: "YYYY-MM-DD HH:MM:SS" (ISO-like)
-            const isoMatch = dateTimeStr.match(/(\d{4})-(\d{1,2})-(\d{1,2})\s+(\d+):(\d+)(?::(\d+))?/);
+            // Format 2: "YYYY-MM-DD HH:MM:SS" (ISO-like) or "YYYY.MM.DD HH:MM:SS" (MetaTrader)
+            const isoMatch = dateTimeStr.match(/(\d{4})[-.](\d{1,2})[-.](\d{1,2})\s+(\d+):(\d+)(?::(\d+))?/);
             if (isoMatch) {
                 const [, year, month, day, hour, minute, second] = isoMatch;
-                return new Date(
+                return this.makeDate(
                     parseInt(year),
-                    parseInt(month) - 1,
+                    parseInt(month),
                     parseInt(day),
                     parseInt(hour),
                     parseInt(minute),
@@ -340,6 +590,30 @@ class CSVParser {
         }
     }
 
+    /**
+     * Build a Date from wall-clock fields (month 1-12) in the import time zone.
+     * Without timeZone.js loaded a named zone can't be resolved, so the fields are read as UTC.
+     */
+    makeDate(year, month, day, hour = 0, minute = 0, second = 0) {
+        const timeZone = this.dateOptions.timeZone;
+        if (!timeZone || timeZone === 'local') {
+            return new Date(year, month - 1, day, hour, minute, second);
+        }
+        if (!window.TimeZone) {
+            return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+        }
+        return window.TimeZone.toUTC(year, month, day, hour, minute, second, timeZone);
+    }
+
+    /**
+     * Orders without the ones parsed from excludedLines (source line numbers) — the rows taken
+     * out in the import preview. Re-importing synced content goes through this too.
+     */
+    excludeSourceLines(orders, excludedLines = []) {
+        const skip = new Set(excludedLines);
+        return skip.size > 0 ? orders.filter(o => !skip.has(o.sourceLine)) : orders;
+    }
+
     /**
      * Validate order object
      */
@@ -354,22 +628,62 @@ class CSVParser {
         );
     }
 
+    /**
+     * File extensions accepted for an upload format
+     */
+    getAcceptedExtensions(format) {
+        if (format === 'ibkr') return ['.csv', '.xml'];
+        if (format === 'metatrader') return ['.csv', '.htm', '.html'];
+        return ['.csv'];
+    }
+
+    /**
+     * Report parsing progress every PROGRESS_INTERVAL rows (and on the last row)
+     */
+    reportProgress(done, total) {
+        if (!this.onProgress) return;
+        if (done % this.PROGRESS_INTERVAL === 0 || done >= total) {
+            this.onProgress('parse', done, total);
+        }
+    }
+
+    /**
+     * Remember why a source line was rejected (capped so broken files stay cheap to preview)
+     */
+    recordParseError(line, message) {
+        if (this.parseErrors.length < this.MAX_REPORTED_PARSE_ERRORS) {
+            this.parseErrors.push({ line, message });
+        }
+    }
+
+    /**
+     * "Missing symbol, fill price" from a { label: isPresent } map of required fields
+     */
+    describeMissingFields(fields) {
+        const missing = Object.entries(fields)
+            .filter(([, present]) => !present)
+            .map(([label]) => label);
+        return missing.length > 0 ? `Missing ${missing.join(', ')}` : 'Invalid row';
+    }
+
     /**
      * Get file info and validate before parsing
      */
-    validateFile(file) {
+    validateFile(file, extensions = ['.csv'], maxSize = this.MAX_FILE_SIZE) {
         const errors = [];
-        const maxSize = 10 * 1024 * 1024; // 10MB
 
         if (!file) {
             errors.push('No file selected');
         } else {
-            if (!file.name.toLowerCase().endsWith('.csv')) {
-                errors.push('File must be a CSV file');
+            const name = file.name.toLowerCase();
+            if (!extensions.some(ext => name.endsWith(ext))) {
+                errors.push(extensions.length === 1
+                    ? 'File must be a CSV file'
+                    : `File must be one of: ${extensions.join(', ')}`);
             }
 
             if (file.size > maxSize) {
-                errors.push('File size must be less than 10MB');
+                errors.push(`File size must be less than ${Math.round(maxSize / (1024 * 1024))}MB`);
             }
 
             if (file.size === 0) {
@@ -463,9 +777,37 @@ class CSVParser {
 
     /**
      * Auto-detect CSV format from headers
+     * A saved column-mapping profile whose columns all exist wins over the built-in formats
      */
     detectFormat(csvContent) {
-        const firstLine = csvContent.split('\n')[0].toLowerCase();
+        if (this.isIBKRFlexXML(csvContent)) {
+            return 'ibkr';
+        }
+        if (this.isMetaTraderHTML(csvContent)) {
+            return 'metatrader';
+        }
+
+        const headerRecords = this.getHeaderRecords(csvContent);
+        const headers = headerRecords.length > 0 ? headerRecords[0].map(h => h.trim()) : [];
+        const profile = this.findMatchingProfile(headers);
+        if (profile) {
+            return `custom:${profile.name}`;
+        }
+
+        const firstLine = headers.join(',').toLowerCase();
+        if (this.mapMetaTraderHeader(headers)) {
+            return 'metatrader';
+        }
+        if (this.findRithmicHeaderRow(headerRecords) !== -1) {
+            return 'rithmic';
+        }
+        if (firstLine.includes('b/s') && firstLine.includes('contract')) {
+            return 'tradovate';
+        }
+        if (firstLine.includes('instrument') &&
+            (firstLine.includes('e/x') || firstLine.includes('market pos.') || this.validateNinjaTraderHeaders(headers))) {
+            return 'ninjatrader';
+        }
         if (firstLine.includes('net amount') && !firstLine.includes('status')) {
             return 'ibkr';
         }
@@ -487,6 +829,7 @@ class CSVParser {
     /**
      * Resolve IBKR symbol from contract name, price, and multiplier
      * IBKR uses "Mar20 '26" style names; we detect the product from the multiplier
+     * (the contract month is kept separately, see stampContractMonth)
      */
     resolveIBKRSymbol(ibkrSymbol, fillPrice, qty, netAmount) {
         if (!fillPrice || !qty || !netAmount) return ibkrSymbol;
@@ -524,14 +867,14 @@ class CSVParser {
     parseIBKRCSV(csvContent) {
         console.log('🏦 parseIBKRCSV: Starting Interactive Brokers CSV parsing...');
 
-        const lines = csvContent.split('\n');
-        console.log(`📄 Total lines: ${lines.length}`);
+        const { records, lineNumbers, delimiter } = this.tokenizeCSV(csvContent);
+        console.log(`📄 Total records: ${records.length} (delimiter ${JSON.stringify(delimiter)})`);
 
-        if (lines.length === 0) {
+        if (records.length === 0) {
             throw new Error('CSV file is empty');
         }
 
-        const headers = lines[0].split(',');
+        const headers = records[0].map(h => h.trim());
         console.log('📋 Headers:', headers);
 
         if (!this.validateIBKRHeaders(headers)) {
@@ -545,21 +888,18 @@ class CSVParser {
             headerMap[header.toLowerCase().trim()] = index;
         });
 
-        const getValue = (name) => {
-            const idx = headerMap[name.toLowerCase()];
-            return idx !== undefined ? (lines[0] ? undefined : undefined) : undefined; // placeholder
-        };
-
         const orders = [];
         let validOrderCount = 0;
         let errorCount = 0;
 
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line || line.split(',').every(cell => !cell.trim())) continue;
+        for (let r = 1; r < records.length; r++) {
+            this.reportProgress(r, records.length - 1);
+            // Line where the record starts — also keeps order ids stable across re-imports
+            const i = lineNumbers[r];
+            const values = this.cleanCSVRecord(records[r], delimiter);
+            if (values.every(cell => !cell)) continue;
 
             try {
-                const values = this.parseCSVLine(line);
                 if (values.length < 5) continue;
 
                 const getVal = (name) => {
@@ -577,6 +917,7 @@ class CSVParser {
 
                 if (!ibkrSymbol || !side || !fillPrice || !qty || !time) {
                     errorCount++;
+                    this.recordParseError(i + 1, this.describeMissingFields({ symbol: !!ibkrSymbol, side: !!side, qty: !!qty, 'fill price': !!fillPrice, time: !!time }));
                     if (errorCount <= 3) console.warn(`⚠️ Invalid IBKR order on line ${i + 1}`);
                     continue;
                 }
@@ -584,7 +925,7 @@ class CSVParser {
                 // Resolve to TradingView-style symbol using multiplier detection
                 const resolvedSymbol = this.resolveIBKRSymbol(ibkrSymbol, fillPrice, qty, netAmount);
 
-                orders.push({
+                orders.push(this.stampContractMonth({
                     symbol: resolvedSymbol,
                     side: side,
                     type: 'Market',  // IBKR trade history = already filled, treat as Market
@@ -600,8 +941,9 @@ class CSVParser {
                     levelId: '',
                     leverage: '',
                     margin: '',
-                    broker: 'IBKR'
-                });
+                    broker: 'IBKR',
+                    sourceLine: i + 1
+                }, ibkrSymbol));
                 validOrderCount++;
 
                 if (validOrderCount <= 5) {
@@ -609,6 +951,7 @@ class CSVParser {
                 }
             } catch (error) {
                 errorCount++;
+                this.recordParseError(i + 1, error.message);
                 if (errorCount <= 3) console.warn(`❌ Error parsing IBKR line ${i + 1}:`, error.message);
             }
         }
@@ -621,7 +964,7 @@ class CSVParser {
         return {
             orders: chronologicalOrders,
             stats: {
-                totalLines: lines.length - 1,
+                totalLines: records.length - 1,
                 validOrders: validOrderCount,
                 errors: errorCount,
                 format: 'ibkr'
@@ -629,6 +972,1437 @@ class CSVParser {
         };
     }
 
+    // ===== IBKR Flex Query XML =====
+
+    /**
+     * True when the content is an IBKR Flex Query XML statement
+     */
+    isIBKRFlexXML(content) {
+        const head = (content || '').slice(0, 2000).replace(/^\uFEFF/, '').trimStart();
+        return head.startsWith('<') && head.includes('<FlexQueryResponse');
+    }
+
+    /**
+     * Read the attributes of every <Trade .../> element in a Flex statement.
+     * Flex XML is attribute-only, so a regex scan avoids needing DOMParser.
+     * Each row also carries the sourceLine its element starts on.
+     */
+    extractFlexTradeAttributes(xml) {
+        const decode = (v) => v
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+
+        const rows = [];
+        const tradeRegex = /<Trade\s([^>]*?)\/?>/g;
+        let match;
+        let line = 1;
+        let scanned = 0;
+        while ((match = tradeRegex.exec(xml)) !== null) {
+            for (; scanned < match.index; scanned++) {
+                if (xml.charCodeAt(scanned) === 10) line++;
+            }
+            const attrs = { sourceLine: line };
+            const attrRegex = /([A-Za-z_][\w.-]*)="([^"]*)"/g;
+            let attr;
+            while ((attr = attrRegex.exec(match[1])) !== null) {
+                attrs[attr[1]] = decode(attr[2]);
+            }
+            rows.push(attrs);
+        }
+        return rows;
+    }
+
+    /**
+     * Parse Flex dateTime values: "20260302;093105", "2026-03-02;09:31:05", "20260302 093105", "2026-03-02, 09:31:05"
+     */
+    parseFlexDateTime(dateTimeStr, tradeDate = '', tradeTime = '') {
+        const value = dateTimeStr || `${tradeDate};${tradeTime}`;
+        const m = value.match(/(\d{4})-?(\d{2})-?(\d{2})[;,\s]+(\d{2}):?(\d{2}):?(\d{2})?/);
+        if (!m) {
+            const dateOnly = (tradeDate || '').match(/(\d{4})-?(\d{2})-?(\d{2})/);
+            return dateOnly ? this.makeDate(+dateOnly[1], +dateOnly[2], +dateOnly[3]) : null;
+        }
+        const [, year, month, day, hour, minute, second] = m;
+        return this.makeDate(+year, +month, +day, +hour, +minute, +(second || 0));
+    }
+
+    /**
+     * Normalize a Flex expiry ("20260320" / "2026-03-20") to YYYY-MM-DD
+     */
+    parseFlexExpiry(expiry) {
+        const m = (expiry || '').match(/(\d{4})-?(\d{2})-?(\d{2})/);
+        return m ? `${m[1]}-${m[2]}-${m[3]}` : '';
+    }
+
+    /**
+     * Parse an IBKR Flex Query XML statement (Trades section).
+     * Contract metadata (underlyingSymbol, multiplier, conid, expiry, currency, ibCommission)
+     * is mapped straight onto the orders — no multiplier guessing.
+     */
+    parseIBKRFlexXML(xmlContent) {
+        console.log('🏦 parseIBKRFlexXML: Starting IBKR Flex Query XML parsing...');
+
+        if (!this.isIBKRFlexXML(xmlContent)) {
+            throw new Error('Invalid IBKR Flex Query XML. Expected a <FlexQueryResponse> statement');
+        }
+
+        const rows = this.extractFlexTradeAttributes(xmlContent);
+        console.log(`📄 Trade elements found: ${rows.length}`);
+
+        if (rows.length === 0) {
+            throw new Error('No <Trade> elements found. Make sure the Flex Query includes the Trades section');
+        }
+
+        const orders = [];
+        let validOrderCount = 0;
+        let errorCount = 0;
+        let skippedCancelledCount = 0;
+
+        rows.forEach((row, i) => {
+            this.reportProgress(i + 1, rows.length);
+            // Order- and summary-level rows duplicate the executions they summarize
+            if (row.levelOfDetail && row.levelOfDetail.toUpperCase() !== 'EXECUTION') return;
+
+            // "BUY (Ca.)" / "SELL (Ca.)" are cancellation corrections
+            const buySell = (row.buySell || '').toUpperCase();
+            if (buySell.includes('(CA.)')) {
+                skippedCancelledCount++;
+                return;
+            }
+
+            const assetCategory = (row.assetCategory || '').toUpperCase();
+            const isFuture = assetCategory === 'FUT' && row.underlyingSymbol;
+            const symbol = isFuture ? `${row.underlyingSymbol.toUpperCase()}1!` : (row.symbol || '').trim();
+            const side = this.normalizeSide(buySell.replace(/\s*\(.*\)$/, ''));
+            const qty = Math.abs(parseFloat(row.quantity) || 0);
+            const fillPrice = this.parsePrice(row.tradePrice || '');
+            const time = this.parseFlexDateTime(row.dateTime, row.tradeDate, row.tradeTime);
+
+            if (!symbol || !side || !qty || fillPrice === null || !time) {
+                errorCount++;
+                this.recordParseError(row.sourceLine, this.describeMissingFields({ symbol: !!symbol, side: !!side, quantity: !!qty, 'trade price': fillPrice !== null, time: !!time }));
+                if (errorCount <= 3) console.warn(`⚠️ Invalid IBKR Flex trade #${i + 1}:`, row);
+                return;
+            }
+
+            const multiplier = parseFloat(row.multiplier);
+            const order = this.createFilledOrder({
+                symbol,
+                side,
+                qty,
+                fillPrice,
+                time,
+                commission: Math.abs(parseFloat(row.ibCommission) || 0),
+                orderId: row.ibExecID || row.tradeID || row.transactionID || `ibkr_${time.getTime()}_${i}`,
+                broker: 'IBKR',
+                sourceLine: row.sourceLine,
+                instrument: isFuture ? row.localSymbol || row.symbol : ''
+            });
+            order.multiplier = multiplier > 0 ? multiplier : null;
+            order.conid = row.conid || '';
+            order.expiry = this.parseFlexExpiry(row.expiry) || order.expiry || '';
+            order.currency = row.currency || 'USD';
+            order.description = row.description || '';
+            orders.push(order);
+            validOrderCount++;
+
+            if (validOrderCount <= 5) {
+                console.log(`📝 IBKR Flex order ${validOrderCount}: ${side} ${qty}x ${symbol} @ ${fillPrice} (conid ${order.conid}, expiry ${order.expiry || '-'}, ×${order.multiplier})`);
+            }
+        });
+
+        console.log(`✅ IBKR Flex parsing completed. Valid: ${validOrderCount}, Cancelled (skipped): ${skippedCancelledCount}, Errors: ${errorCount}`);
+
+        return {
+            orders: orders.sort((a, b) => a.placingTime - b.placingTime),
+            stats: {
+                totalLines: rows.length,
+                validOrders: validOrderCount,
+                skippedCancelled: skippedCancelledCount,
+                errors: errorCount,
+                format: 'ibkr_flex'
+            }
+        };
+    }
+
+    // ===== NinjaTrader =====
+
+    /**
+     * Resolve a futures contract name to a CONTRACT_SPECS key.
+     * Handles NinjaTrader "ES 03-26" and exchange-code "ESH6" / "MNQM26" names
+     * (Tradovate, Rithmic); anything else is returned unchanged.
+     */
+    resolveFuturesSymbol(instrument) {
+        const raw = (instrument || '').trim().toUpperCase();
+        const ntMatch = raw.match(/^([A-Z0-9]+)\s+\d{2}-\d{2}$/);
+        if (ntMatch) {
+            return `${ntMatch[1]}1!`;
+        }
+        // Root + month code (F G H J K M N Q U V X Z) + 1–2 digit year. Only for a root we know,
+        // so tickers of the same shape (CFDs like "HK50") are left alone.
+        const codeMatch = raw.match(/^([A-Z0-9]{2,4})[FGHJKMNQUVXZ](\d{1,2})$/);
+        if (codeMatch && /[A-Z]/.test(codeMatch[1]) && this.isFuturesRoot(codeMatch[1])) {
+            return `${codeMatch[1]}1!`;
+        }
+        return raw;
+    }
+
+    /**
+     * Whether `root` ("ES", "6E") is a futures root specCalculator knows: in the contract
+     * registry (built-in or user-added) or the roll calendar
+     */
+    isFuturesRoot(root) {
+        if (!this.specCalculator && window.TradeCalculator) this.specCalculator = new window.TradeCalculator();
+        const calc = this.specCalculator;
+        if (!calc) return false;
+        return !!(calc.ROLL_RULES[root] || calc.CONTRACT_SPECS[`${root}1!`] || calc.customSpecs[`${root}1!`]);
+    }
+
+    /**
+     * Read the contract month out of a futures contract name: NinjaTrader "ES 03-26", exchange
+     * codes "ESH6" / "MNQM26" / TradingView "CME_MINI:ESH2026", and IBKR "Mar20 '26" (which also
+     * gives the expiry day). A one-digit year goes in the decade closest to `reference`; a code
+     * more than ten years from it isn't a contract (CFDs like "HK50").
+     * Returns { root, contractMonth: 'YYYY-MM', expiry } — root and expiry may be '' — or null.
+     */
+    parseContractMonth(name, reference = null) {
+        const raw = String(name || '').trim().toUpperCase().replace(/^[A-Z0-9_]+:/, '');
+        const ym = (year, month) => `${year}-${String(month).padStart(2, '0')}`;
+
+        const nt = raw.match(/^([A-Z0-9]+)\s+(\d{2})-(\d{2})$/);
+        if (nt && +nt[2] >= 1 && +nt[2] <= 12) {
+            return { root: nt[1], contractMonth: ym(2000 + +nt[3], +nt[2]), expiry: '' };
+        }
+
+        const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+        const ib = raw.match(/^(?:([A-Z0-9]+)\s+)?([A-Z]{3})\s*(\d{1,2})?\s*'(\d{2})$/);
+        if (ib && months.includes(ib[2])) {
+            const contractMonth = ym(2000 + +ib[4], months.indexOf(ib[2]) + 1);
+            return { root: ib[1] || '', contractMonth, expiry: ib[3] ? `${contractMonth}-${ib[3].padStart(2, '0')}` : '' };
+        }
+
+        // Root + month code (F G H J K M N Q U V X Z) + 1, 2 or 4 digit year
+        const code = raw.match(/^([A-Z0-9]{1,4}?)([FGHJKMNQUVXZ])(\d{1,2}|\d{4})$/);
+        if (code && /[A-Z]/.test(code[1])) {
+            const ref = (reference ? new Date(reference) : new Date()).getUTCFullYear();
+            let year = +code[3];
+            if (code[3].length === 2) year += 2000;
+            if (code[3].length === 1) {
+                year += ref - ref % 10;
+                if (year < ref - 2) year += 10;
+                else if (year > ref + 7) year -= 10;
+            }
+            if (Math.abs(year - ref) > 10) return null;
+            return { root: code[1], contractMonth: ym(year, 'FGHJKMNQUVXZ'.indexOf(code[2]) + 1), expiry: '' };
+        }
+        return null;
+    }
+
+    /**
+     * Planned stop and target of each fill from the bracket around it: the first stop and the
+     * first limit / take-profit on the other side, same symbol, placed from the fill's placing
+     * time until the next fill on that side (the exit). resting are the cancelled orders.
+     * Levels on the wrong side of the fill price are ignored. Only entries use them.
+     */
+    stampPlannedLevels(fills, resting = []) {
+        const time = (o) => new Date(o.placingTime).getTime();
+        const filledAt = (o) => new Date(o.closingTime || o.placingTime).getTime();
+        const candidates = [...fills, ...resting].filter(o => o.stopPrice !== null || o.limitPrice !== null)
+            .sort((a, b) => time(a) - time(b));
+        const other = (side) => (side.toLowerCase() === 'buy' ? 'sell' : 'buy');
+
+        fills.forEach(fill => {
+            const exitSide = other(fill.side);
+            const start = time(fill);
+            const exit = fills.find(o => o !== fill && o.symbol === fill.symbol && o.side.toLowerCase() === exitSide && filledAt(o) >= filledAt(fill));
+            const end = exit ? filledAt(exit) : Infinity;
+            const bracket = candidates.filter(o => o !== fill && o.symbol === fill.symbol && o.side.toLowerCase() === exitSide &&
+                time(o) >= start && time(o) <= end);
+            const long = fill.side.toLowerCase() === 'buy';
+
+            const stop = bracket.find(o => /stop/i.test(o.type) && o.stopPrice !== null);
+            if (stop && (long ? stop.stopPrice < fill.fillPrice : stop.stopPrice > fill.fillPrice)) fill.plannedStop = stop.stopPrice;
+            const target = bracket.find(o => /limit|take profit/i.test(o.type) && !/stop/i.test(o.type) && o.limitPrice !== null);
+            if (target && (long ? target.limitPrice > fill.fillPrice : target.limitPrice < fill.fillPrice)) fill.plannedTarget = target.limitPrice;
+        });
+        return fills;
+    }
+
+    /**
+     * Keep the contract month (and expiry, when the name has the day) of the contract `name`
+     * on an order whose symbol was normalized to the continuous ticker
+     */
+    stampContractMonth(order, name) {
+        const month = this.parseContractMonth(name, order.placingTime);
+        if (month) {
+            order.contractMonth = month.contractMonth;
+            if (month.expiry && !order.expiry) order.expiry = month.expiry;
+        }
+        return order;
+    }
+
+    /**
+     * Build a filled order object in the shape produced by parseTradingViewCSV.
+     * sourceLine is the file line (or statement row) the fill came from; instrument is the
+     * broker's contract name, for its contract month.
+     */
+    createFilledOrder({ symbol, side, qty, fillPrice, time, commission, orderId, broker, sourceLine = null, instrument = '' }) {
+        return this.stampContractMonth({
+            symbol,
+            side,
+            type: 'Market',
+            qty,
+            limitPrice: null,
+            stopPrice: null,
+            fillPrice,
+            status: 'Filled',
+            commission,
+            placingTime: time,
+            closingTime: time,
+            orderId,
+            levelId: '',
+            leverage: '',
+            margin: '',
+            broker,
+            sourceLine
+        }, instrument);
+    }
+
+    /**
+     * Order id for an export that has none of its own, built from what the row says (contract,
+     * times, side, qty, prices) rather than its position in the file — overlapping or later
+     * exports of the same fill get the same id and dedup against it. `seen` counts identical rows
+     * within one file so genuine repeats stay apart (…_2, _3).
+     */
+    contentOrderId(prefix, parts, seen) {
+        const key = [prefix, ...parts.map(part => String(part).replace(/\s+/g, ''))].join('_');
+        const count = (seen.get(key) || 0) + 1;
+        seen.set(key, count);
+        return count > 1 ? `${key}_${count}` : key;
+    }
+
+    /**
+     * Map lower-cased header names to column indexes
+     */
+    buildHeaderMap(headers) {
+        const headerMap = {};
+        headers.forEach((header, index) => {
+            headerMap[header.toLowerCase().trim()] = index;
+        });
+        return headerMap;
+    }
+
+    /**
+     * Return a getter for one CSV row: first non-empty value among the given header names
+     */
+    makeRowGetter(headerMap, values) {
+        return (...names) => {
+            for (const name of names) {
+                const idx = headerMap[name];
+                if (idx !== undefined && values[idx] !== undefined && values[idx].trim() !== '') {
+                    return values[idx].trim();
+                }
+            }
+            return '';
+        };
+    }
+
+    /**
+     * Parse a money string such as "$2.04", "(1.20)" or "2,04 €" into an absolute number
+     */
+    parseMoney(str) {
+        if (!str || !str.trim()) return 0;
+        const value = parseFloat(str.replace(/[^\d.-]/g, ''));
+        return isNaN(value) ? 0 : Math.abs(value);
+    }
+
+    /**
+     * Validate NinjaTrader CSV headers (Executions or Trades grid export)
+     */
+    validateNinjaTraderHeaders(headers) {
+        const normalized = headers.map(h => h.toLowerCase().trim());
+        const has = (name) => normalized.includes(name);
+        const isExecutions = has('instrument') && has('action') && (has('quantity') || has('qty')) && has('price') && has('time');
+        const isTrades = has('instrument') && has('market pos.') && has('entry price') && has('exit price') && has('entry time') && has('exit time');
+        return isExecutions || isTrades;
+    }
+
+    /**
+     * Parse NinjaTrader CSV format
+     * Executions headers: Instrument, Action, Quantity, Price, Time, ID, E/X, Position, Order ID, Name, Commission, ...
+     * Trades headers: Trade number, Instrument, Market pos., Qty, Entry price, Exit price, Entry time, Exit time, ..., Commission, ...
+     */
+    parseNinjaTraderCSV(csvContent) {
+        console.log('🥷 parseNinjaTraderCSV: Starting NinjaTrader CSV parsing...');
+
+        const { records, lineNumbers, delimiter } = this.tokenizeCSV(csvContent);
+        console.log(`📄 Total records: ${records.length} (delimiter ${JSON.stringify(delimiter)})`);
+
+        if (records.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        const headers = records[0].map(h => h.trim());
+        console.log('📋 Headers:', headers);
+
+        if (!this.validateNinjaTraderHeaders(headers)) {
+            console.error('❌ NinjaTrader header validation failed');
+            throw new Error('Invalid NinjaTrader CSV format. Expected an Executions export (Instrument, Action, Quantity, Price, Time) or a Trades export (Instrument, Market pos., Entry/Exit price, Entry/Exit time)');
+        }
+
+        const headerMap = this.buildHeaderMap(headers);
+        const isTradesExport = headerMap['market pos.'] !== undefined;
+        console.log(`📋 NinjaTrader export type: ${isTradesExport ? 'Trades' : 'Executions'}`);
+
+        const baseOrder = (symbol, side, qty, fillPrice, time, commission, orderId, sourceLine, instrument) =>
+            this.createFilledOrder({ symbol, side, qty, fillPrice, time, commission, orderId, broker: 'NinjaTrader', sourceLine, instrument });
+
+        const orders = [];
+        let validOrderCount = 0;
+        let errorCount = 0;
+        const seenIds = new Map();
+
+        for (let r = 1; r < records.length; r++) {
+            this.reportProgress(r, records.length - 1);
+            // Records can span several lines; report the line where each one starts
+            const i = lineNumbers[r];
+            const values = this.cleanCSVRecord(records[r], delimiter);
+            if (values.every(cell => !cell)) continue;
+
+            try {
+                const getVal = this.makeRowGetter(headerMap, values);
+
+                const instrument = getVal('instrument');
+                const symbol = this.resolveFuturesSymbol(instrument);
+                const qty = Math.abs(this.parsePrice(getVal('quantity', 'qty')) || 0);
+                const commission = this.parseMoney(getVal('commission'));
+
+                if (isTradesExport) {
+                    // One row per round trip — split it back into an entry and an exit fill
+                    const position = getVal('market pos.').toLowerCase();
+                    const entryPrice = this.parsePrice(getVal('entry price'));
+                    const exitPrice = this.parsePrice(getVal('exit price'));
+                    const entryTime = this.parseDateTime(getVal('entry time'));
+                    const exitTime = this.parseDateTime(getVal('exit time'));
+
+                    if (!symbol || !['long', 'short'].includes(position) || !qty ||
+                        entryPrice === null || exitPrice === null || !entryTime || !exitTime) {
+                        errorCount++;
+                        this.recordParseError(i + 1, this.describeMissingFields({
+                            instrument: !!symbol, 'market pos.': ['long', 'short'].includes(position), quantity: !!qty,
+                            'entry price': entryPrice !== null, 'exit price': exitPrice !== null,
+                            'entry time': !!entryTime, 'exit time': !!exitTime
+                        }));
+                        if (errorCount <= 3) console.warn(`⚠️ Invalid NinjaTrader trade on line ${i + 1}`);
+                        continue;
+                    }
+
+                    const entrySide = position === 'long' ? 'Buy' : 'Sell';
+                    const exitSide = position === 'long' ? 'Sell' : 'Buy';
+                    // "Trade number" restarts at 1 in every export, so it can't identify the trade
+                    const tradeId = this.contentOrderId('nt', [instrument, position, qty, entryTime.getTime(), exitTime.getTime(), entryPrice, exitPrice], seenIds);
+                    orders.push(baseOrder(symbol, entrySide, qty, entryPrice, entryTime, commission / 2, `${tradeId}_entry`, i + 1, instrument));
+                    orders.push(baseOrder(symbol, exitSide, qty, exitPrice, exitTime, commission / 2, `${tradeId}_exit`, i + 1, instrument));
+                    validOrderCount += 2;
+                } else {
+                    const side = this.normalizeSide(getVal('action'));
+                    const fillPrice = this.parsePrice(getVal('price'));
+                    const time = this.parseDateTime(getVal('time'));
+
+                    if (!symbol || !side || !qty || fillPrice === null || !time) {
+                        errorCount++;
+                        this.recordParseError(i + 1, this.describeMissingFields({
+                            instrument: !!symbol, action: !!side, quantity: !!qty, price: fillPrice !== null, time: !!time
+                        }));
+                        if (errorCount <= 3) console.warn(`⚠️ Invalid NinjaTrader execution on line ${i + 1}`);
+                        continue;
+                    }
+
+                    const orderId = getVal('id', 'order id') ||
+                        this.contentOrderId('nt', [instrument, side, qty, fillPrice, time.getTime()], seenIds);
+                    orders.push(baseOrder(symbol, side, qty, fillPrice, time, commission, orderId, i + 1, instrument));
+                    validOrderCount++;
+                }
+
+                if (validOrderCount <= 5) {
+                    console.log(`📝 NinjaTrader row ${i}: ${instrument} → ${symbol}`);
+                }
+            } catch (error) {
+                errorCount++;
+                this.recordParseError(i + 1, error.message);
+                if (errorCount <= 3) console.warn(`❌ Error parsing NinjaTrader line ${i + 1}:`, error.message);
+            }
+        }
+
+        console.log(`✅ NinjaTrader parsing completed. Valid: ${validOrderCount}, Errors: ${errorCount}`);
+
+        return {
+            orders: orders.sort((a, b) => a.placingTime - b.placingTime),
+            stats: {
+                totalLines: records.length - 1,
+                validOrders: validOrderCount,
+                errors: errorCount,
+                format: 'ninjatrader'
+            }
+        };
+    }
+
+    // ===== Tradovate =====
+
+    /**
+     * Validate Tradovate CSV headers (Orders or Fills export)
+     */
+    validateTradovateHeaders(headers) {
+        const normalized = headers.map(h => h.toLowerCase().trim());
+        const has = (...names) => names.some(n => normalized.includes(n));
+        const isOrders = has('b/s') && has('contract') && has('avg fill price', 'avgprice') && has('filled qty', 'filledqty') && has('status');
+        const isFills = has('b/s') && has('contract') && has('price') && has('quantity', 'qty') && has('timestamp', 'fill time', 'date');
+        return isOrders || isFills;
+    }
+
+    /**
+     * Parse Tradovate CSV format
+     * Orders headers: orderId, Account, Order ID, B/S, Contract, ..., Fill Time, Status, ..., Filled Qty, Avg Fill Price
+     * Fills headers: Fill ID, Order ID, Timestamp, B/S, Quantity, Price, Contract, ..., Commission
+     */
+    parseTradovateCSV(csvContent) {
+        console.log('📈 parseTradovateCSV: Starting Tradovate CSV parsing...');
+
+        const { records, lineNumbers, delimiter } = this.tokenizeCSV(csvContent);
+        if (records.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        const headers = records[0].map(h => h.trim());
+        console.log('📋 Headers:', headers);
+
+        if (!this.validateTradovateHeaders(headers)) {
+            console.error('❌ Tradovate header validation failed');
+            throw new Error('Invalid Tradovate CSV format. Expected an Orders export (B/S, Contract, Status, Filled Qty, Avg Fill Price, Fill Time) or a Fills export (B/S, Contract, Quantity, Price, Timestamp)');
+        }
+
+        const headerMap = this.buildHeaderMap(headers);
+        const isOrdersExport = headerMap['status'] !== undefined;
+        console.log(`📋 Tradovate export type: ${isOrdersExport ? 'Orders' : 'Fills'}`);
+
+        const orders = [];
+        let validOrderCount = 0;
+        let errorCount = 0;
+        let skippedCancelledCount = 0;
+        const seenIds = new Map();
+
+        for (let r = 1; r < records.length; r++) {
+            this.reportProgress(r, records.length - 1);
+            // Records can span several lines; report the line where each one starts
+            const i = lineNumbers[r];
+            const values = this.cleanCSVRecord(records[r], delimiter);
+            if (values.every(cell => !cell)) continue;
+
+            try {
+                const getVal = this.makeRowGetter(headerMap, values);
+
+                // Orders export lists working/cancelled orders too — keep fills only
+                if (isOrdersExport && getVal('status').toLowerCase() !== 'filled') {
+                    skippedCancelledCount++;
+                    continue;
+                }
+
+                const symbol = this.resolveFuturesSymbol(getVal('contract'));
+                const side = this.normalizeSide(getVal('b/s'));
+                const qty = Math.abs(this.parsePrice(isOrdersExport
+                    ? getVal('filled qty', 'filledqty', 'quantity')
+                    : getVal('quantity', 'qty')) || 0);
+                const fillPrice = this.parsePrice(isOrdersExport
+                    ? getVal('avg fill price', 'avgprice', 'decimalfillavg')
+                    : getVal('price'));
+                const time = this.parseDateTime(getVal('fill time', 'timestamp', 'date'));
+                const commissionStr = getVal('commission', 'fees');
+
+                if (!symbol || !side || !qty || fillPrice === null || !time) {
+                    errorCount++;
+                    this.recordParseError(i + 1, this.describeMissingFields({
+                        contract: !!symbol, 'b/s': !!side, quantity: !!qty, price: fillPrice !== null, time: !!time
+                    }));
+                    if (errorCount <= 3) console.warn(`⚠️ Invalid Tradovate row on line ${i + 1}`);
+                    continue;
+                }
+
+                const orderId = (isOrdersExport ? getVal('order id', 'orderid') : getVal('fill id', 'order id'))
+                    || this.contentOrderId('tradovate', [getVal('contract'), side, qty, fillPrice, time.getTime()], seenIds);
+
+                orders.push(this.createFilledOrder({
+                    symbol,
+                    side,
+                    qty,
+                    fillPrice,
+                    time,
+                    commission: commissionStr ? this.parseMoney(commissionStr) : '',
+                    orderId,
+                    broker: 'Tradovate',
+                    sourceLine: i + 1,
+                    instrument: getVal('contract')
+                }));
+                validOrderCount++;
+
+                if (validOrderCount <= 5) {
+                    console.log(`📝 Tradovate order ${validOrderCount}: ${side} ${qty}x ${symbol} @ ${fillPrice} (${getVal('contract')})`);
+                }
+            } catch (error) {
+                errorCount++;
+                this.recordParseError(i + 1, error.message);
+                if (errorCount <= 3) console.warn(`❌ Error parsing Tradovate line ${i + 1}:`, error.message);
+            }
+        }
+
+        console.log(`✅ Tradovate parsing completed. Valid: ${validOrderCount}, Not filled (skipped): ${skippedCancelledCount}, Errors: ${errorCount}`);
+
+        return {
+            orders: orders.sort((a, b) => a.placingTime - b.placingTime),
+            stats: {
+                totalLines: records.length - 1,
+                validOrders: validOrderCount,
+                skippedCancelled: skippedCancelledCount,
+                errors: errorCount,
+                format: 'tradovate'
+            }
+        };
+    }
+
+    // ===== Rithmic R|Trader =====
+
+    /**
+     * Locate the header row of an R|Trader "Completed Orders" export.
+     * R|Trader writes a few title/account lines before the column headers.
+     */
+    findRithmicHeaderRow(records) {
+        for (let i = 0; i < Math.min(records.length, 10); i++) {
+            const line = records[i].join(',').toLowerCase();
+            if (line.includes('buy/sell') && line.includes('avg fill price') &&
+                (line.includes('qty filled') || line.includes('order number'))) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Parse Rithmic R|Trader Pro "Completed Orders" CSV format
+     * Headers: Account, Status, Buy/Sell, Qty To Fill, Symbol, Exchange, Order Type, Limit Price, Stop Price,
+     *          Avg Fill Price, Qty Filled, Update Time, Create Time, Order Number, Commission Fill Rate, ...
+     */
+    parseRithmicCSV(csvContent) {
+        console.log('📉 parseRithmicCSV: Starting Rithmic R|Trader CSV parsing...');
+
+        const { records, lineNumbers, delimiter } = this.tokenizeCSV(csvContent);
+        const headerRow = this.findRithmicHeaderRow(records);
+        if (headerRow === -1) {
+            console.error('❌ Rithmic header row not found');
+            throw new Error('Invalid Rithmic R|Trader CSV format. Expected a Completed Orders export with Buy/Sell, Symbol, Avg Fill Price, Qty Filled and Update Time columns');
+        }
+
+        const headers = records[headerRow].map(h => h.trim());
+        console.log('📋 Headers:', headers);
+        const headerMap = this.buildHeaderMap(headers);
+
+        const orders = [];
+        let validOrderCount = 0;
+        let errorCount = 0;
+        let skippedCancelledCount = 0;
+        const seenIds = new Map();
+
+        for (let r = headerRow + 1; r < records.length; r++) {
+            this.reportProgress(r - headerRow, records.length - headerRow - 1);
+            const i = lineNumbers[r];
+            const values = this.cleanCSVRecord(records[r], delimiter);
+            if (values.every(cell => !cell)) continue;
+
+            try {
+                const getVal = this.makeRowGetter(headerMap, values);
+
+                const qty = Math.abs(this.parsePrice(getVal('qty filled', 'filled qty')) || 0);
+                const status = getVal('status').toLowerCase();
+                if (!qty || (status && !status.includes('fill') && !status.includes('complete'))) {
+                    skippedCancelledCount++;
+                    continue;
+                }
+
+                const symbol = this.resolveFuturesSymbol(getVal('symbol'));
+                const side = this.normalizeSide(getVal('buy/sell'));
+                const fillPrice = this.parsePrice(getVal('avg fill price', 'fill price'));
+                const time = this.parseDateTime(getVal('update time', 'fill time', 'create time'));
+                const rate = this.parseMoney(getVal('commission fill rate'));
+                const commissionStr = getVal('commission');
+
+                if (!symbol || !side || fillPrice === null || !time) {
+                    errorCount++;
+                    this.recordParseError(i + 1, this.describeMissingFields({
+                        symbol: !!symbol, 'buy/sell': !!side, 'avg fill price': fillPrice !== null, time: !!time
+                    }));
+                    if (errorCount <= 3) console.warn(`⚠️ Invalid Rithmic row on line ${i + 1}`);
+                    continue;
+                }
+
+                // "Commission Fill Rate" is per contract; a plain "Commission" column is the total
+                let commission = '';
+                if (commissionStr) commission = this.parseMoney(commissionStr);
+                else if (rate) commission = rate * qty;
+
+                orders.push(this.createFilledOrder({
+                    symbol,
+                    side,
+                    qty,
+                    fillPrice,
+                    time,
+                    commission,
+                    orderId: getVal('order number', 'order id') ||
+                        this.contentOrderId('rithmic', [getVal('symbol'), side, qty, fillPrice, time.getTime()], seenIds),
+                    broker: 'Rithmic',
+                    sourceLine: i + 1,
+                    instrument: getVal('symbol')
+                }));
+                validOrderCount++;
+
+                if (validOrderCount <= 5) {
+                    console.log(`📝 Rithmic order ${validOrderCount}: ${side} ${qty}x ${symbol} @ ${fillPrice} (${getVal('symbol')})`);
+                }
+            } catch (error) {
+                errorCount++;
+                this.recordParseError(i + 1, error.message);
+                if (errorCount <= 3) console.warn(`❌ Error parsing Rithmic line ${i + 1}:`, error.message);
+            }
+        }
+
+        console.log(`✅ Rithmic parsing completed. Valid: ${validOrderCount}, Not filled (skipped): ${skippedCancelledCount}, Errors: ${errorCount}`);
+
+        return {
+            orders: orders.sort((a, b) => a.placingTime - b.placingTime),
+            stats: {
+                totalLines: records.length - headerRow - 1,
+                validOrders: validOrderCount,
+                skippedCancelled: skippedCancelledCount,
+                errors: errorCount,
+                format: 'rithmic'
+            }
+        };
+    }
+
+    // ===== MetaTrader 4/5 =====
+
+    /**
+     * True when the content is an MT4/MT5 HTML account statement or history report
+     */
+    isMetaTraderHTML(content) {
+        const head = (content || '').slice(0, 5000).replace(/^\uFEFF/, '').trimStart().toLowerCase();
+        if (!head.startsWith('<')) return false;
+        const body = content.slice(0, 200000).toLowerCase();
+        return body.includes('closed transactions') || body.includes('trade history report') ||
+            (body.includes('metatrader') && body.includes('swap'));
+    }
+
+    /**
+     * Read every <tr> of an HTML report as an array of cell texts.
+     * Spanned cells are padded so data rows stay aligned with their header row.
+     */
+    extractHTMLTableRows(html) {
+        const decode = (v) => v
+            .replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        const rows = [];
+        const rowRegex = /<tr[^>]*>([\s\S]*?)<\/tr>/gi;
+        let match;
+        while ((match = rowRegex.exec(html)) !== null) {
+            const cells = [];
+            const cellRegex = /<t([dh])([^>]*)>([\s\S]*?)<\/t\1>/gi;
+            let cell;
+            while ((cell = cellRegex.exec(match[1])) !== null) {
+                cells.push(decode(cell[3]));
+                const span = cell[2].match(/colspan\s*=\s*["']?(\d+)/i);
+                for (let k = 1; k < (span ? parseInt(span[1]) : 1); k++) cells.push('');
+            }
+            if (cells.length > 0) rows.push(cells);
+        }
+        return rows;
+    }
+
+    /**
+     * Recognize an MT4/MT5 table header row and resolve its column indexes.
+     * Position tables repeat "Time"/"Price" for the open and close side, so those are resolved by order.
+     * MT4 Closed Transactions: Ticket, Open Time, Type, Size, Item, Price, S / L, T / P, Close Time, Price, Commission, Taxes, Swap, Profit
+     * MT5 Positions: Time, Position, Symbol, Type, Volume, Price, S / L, T / P, Time, Price, Commission, Swap, Profit
+     * MT5 Deals: Time, Deal, Symbol, Type, Direction, Volume, Price, Order, Commission, Fee, Swap, Profit, Balance, Comment
+     */
+    mapMetaTraderHeader(cells) {
+        const names = cells.map(c => (c || '').toLowerCase().replace(/\s+/g, ' ').trim());
+        const has = (...list) => list.every(n => names.includes(n));
+        const find = (name, from = 0) => names.indexOf(name, from);
+
+        if (has('deal', 'symbol', 'type', 'direction', 'volume', 'price', 'profit')) {
+            return {
+                kind: 'deals',
+                id: find('deal'),
+                time: find('time'),
+                symbol: find('symbol'),
+                type: find('type'),
+                direction: find('direction'),
+                volume: find('volume'),
+                price: find('price'),
+                commission: find('commission'),
+                fee: find('fee'),
+                swap: find('swap'),
+                profit: find('profit')
+            };
+        }
+
+        const isMT4 = has('ticket', 'open time', 'type', 'size', 'item', 'close time', 'profit');
+        const isMT5 = has('position', 'symbol', 'type', 'volume', 'profit') &&
+            names.filter(n => n === 'time').length >= 2 && names.filter(n => n === 'price').length >= 2;
+        if (!isMT4 && !isMT5) return null;
+
+        const openTime = find(isMT4 ? 'open time' : 'time');
+        const closeTime = isMT4 ? find('close time') : find('time', openTime + 1);
+        return {
+            kind: 'positions',
+            id: find(isMT4 ? 'ticket' : 'position'),
+            openTime,
+            closeTime,
+            symbol: find(isMT4 ? 'item' : 'symbol'),
+            type: find('type'),
+            volume: find(isMT4 ? 'size' : 'volume'),
+            openPrice: find('price', openTime + 1),
+            closePrice: find('price', closeTime + 1),
+            commission: find('commission'),
+            fee: find('taxes'),
+            swap: find('swap'),
+            profit: find('profit')
+        };
+    }
+
+    /**
+     * Normalize a MetaTrader symbol to a CONTRACT_SPECS key.
+     * Strips broker suffixes: "eurusd" → EURUSD, "EURUSD.m" → EURUSD, "EURUSDpro" → EURUSD, "XAUUSD#" → XAUUSD
+     */
+    resolveMetaTraderSymbol(rawSymbol) {
+        const raw = (rawSymbol || '').trim();
+        const forexSuffix = raw.match(/^([A-Za-z]{6})[a-z]+$/);
+        const base = (forexSuffix && this.isForexPair(forexSuffix[1]) ? forexSuffix[1] : raw)
+            .toUpperCase()
+            .replace(/[^A-Z0-9].*$/, '');
+        return this.METATRADER_SYMBOL_ALIASES[base] || base;
+    }
+
+    /**
+     * True for six-letter currency pairs such as EURUSD or GBPJPY
+     */
+    isForexPair(symbol) {
+        return /^(EUR|USD|GBP|JPY|CHF|AUD|NZD|CAD|SEK|NOK|DKK|SGD|HKD|MXN|ZAR|TRY|PLN|CNH){2}$/i.test(symbol || '');
+    }
+
+    /**
+     * Units per lot for a MetaTrader symbol (standard forex lot = 100,000 units)
+     */
+    getMetaTraderContractSize(symbol) {
+        if (this.METATRADER_CONTRACT_SIZES[symbol]) return this.METATRADER_CONTRACT_SIZES[symbol];
+        return this.isForexPair(symbol) ? 100000 : 1;
+    }
+
+    /**
+     * Parse a MetaTrader 4/5 account statement — HTML report or the same tables saved as CSV.
+     * Lots are converted to quantities; swap is kept as a separate signed amount on the closing order.
+     * When a report has both MT5 Positions and Deals, Positions win so fills aren't counted twice.
+     */
+    parseMetaTrader(content) {
+        console.log('📑 parseMetaTrader: Starting MetaTrader statement parsing...');
+
+        const isHTML = this.isMetaTraderHTML(content);
+        let rows;
+        let rowLines = null; // CSV: the file line each record starts on (0-based)
+        if (isHTML) {
+            rows = this.extractHTMLTableRows(content);
+        } else {
+            const { records, lineNumbers, delimiter } = this.tokenizeCSV(content);
+            rows = records.map(record => this.cleanCSVRecord(record, delimiter));
+            rowLines = lineNumbers;
+        }
+        console.log(`📄 ${isHTML ? 'HTML table rows' : 'CSV records'}: ${rows.length}`);
+
+        const positionRows = [];
+        const dealRows = [];
+        let columns = null;
+        rows.forEach((cells, i) => {
+            const header = this.mapMetaTraderHeader(cells);
+            if (header) {
+                columns = header;
+                return;
+            }
+            // Any other header row (MT5 Orders, MT4 Open Trades, ...) ends the current table
+            if (cells.some(c => (c || '').trim().toLowerCase() === 'type')) {
+                columns = null;
+                return;
+            }
+            if (!columns) return;
+            (columns.kind === 'positions' ? positionRows : dealRows).push({ cells, columns, line: (rowLines ? rowLines[i] : i) + 1 });
+        });
+
+        if (positionRows.length === 0 && dealRows.length === 0) {
+            console.error('❌ No MetaTrader trade table found');
+            throw new Error('Invalid MetaTrader statement. Expected an MT4 Closed Transactions table or an MT5 Positions/Deals table');
+        }
+
+        // "Currency: EUR" in the statement header — what Profit is reported in
+        const accountCurrency = (content.match(/Currency:?\s*(?:<[^>]*>\s*)*([A-Z]{3})\b/) || [])[1] || 'USD';
+
+        const useDeals = positionRows.length === 0;
+        console.log(`📋 MetaTrader table: ${useDeals ? 'Deals' : 'Positions'}`);
+
+        const orders = [];
+        let validOrderCount = 0;
+        let errorCount = 0;
+        let skippedCount = 0;
+
+        const buildOrder = (symbol, side, lots, fillPrice, time, commission, orderId, sourceLine) => {
+            const contractSize = this.getMetaTraderContractSize(symbol);
+            const order = this.createFilledOrder({
+                symbol,
+                side,
+                qty: Math.round(lots * contractSize * 1e6) / 1e6,
+                fillPrice,
+                time,
+                commission,
+                orderId,
+                broker: 'MetaTrader',
+                sourceLine
+            });
+            order.lots = lots;
+            order.contractSize = contractSize;
+            order.swap = 0;
+            return order;
+        };
+
+        const dealInfo = new Map(); // deal order → { direction, profit }
+        const tableRows = useDeals ? dealRows : positionRows;
+        tableRows.forEach(({ cells, columns: col, line }, rowIndex) => {
+            this.reportProgress(rowIndex + 1, tableRows.length);
+            const cell = (idx) => (idx >= 0 && cells[idx] !== undefined ? String(cells[idx]).trim() : '');
+            const type = cell(col.type).toLowerCase();
+
+            // Balance, credit and pending-order rows carry no fills
+            if (type !== 'buy' && type !== 'sell') {
+                skippedCount++;
+                return;
+            }
+
+            const symbol = this.resolveMetaTraderSymbol(cell(col.symbol));
+            const lots = Math.abs(this.parsePrice(cell(col.volume)) || 0);
+            const commission = this.parseMoney(cell(col.commission)) + this.parseMoney(cell(col.fee));
+            const swap = this.parsePrice(cell(col.swap)) || 0;
+            const profit = this.parsePrice(cell(col.profit));
+
+            if (col.kind === 'deals') {
+                const fillPrice = this.parsePrice(cell(col.price));
+                const time = this.parseDateTime(cell(col.time));
+                if (!symbol || !lots || fillPrice === null || !time) {
+                    errorCount++;
+                    this.recordParseError(line, this.describeMissingFields({
+                        symbol: !!symbol, volume: !!lots, price: fillPrice !== null, time: !!time
+                    }));
+                    if (errorCount <= 3) console.warn(`⚠️ Invalid MetaTrader deal on line ${line}`);
+                    return;
+                }
+                const order = buildOrder(symbol, type === 'buy' ? 'Buy' : 'Sell', lots, fillPrice, time, commission,
+                    cell(col.id) || `mt_${time.getTime()}_${line}`, line);
+                order.swap = swap;
+                dealInfo.set(order, { direction: cell(col.direction).toLowerCase(), profit });
+                orders.push(order);
+                validOrderCount++;
+                return;
+            }
+
+            // One row per closed position — split it into an entry and an exit fill
+            const openPrice = this.parsePrice(cell(col.openPrice));
+            const closePrice = this.parsePrice(cell(col.closePrice));
+            const openTime = this.parseDateTime(cell(col.openTime));
+            const closeTime = this.parseDateTime(cell(col.closeTime));
+            if (!symbol || !lots || openPrice === null || closePrice === null || !openTime || !closeTime) {
+                errorCount++;
+                this.recordParseError(line, this.describeMissingFields({
+                    symbol: !!symbol, volume: !!lots, 'open price': openPrice !== null, 'close price': closePrice !== null,
+                    'open time': !!openTime, 'close time': !!closeTime
+                }));
+                if (errorCount <= 3) console.warn(`⚠️ Invalid MetaTrader position on line ${line}`);
+                return;
+            }
+
+            const ticket = cell(col.id) || String(line);
+            const entry = buildOrder(symbol, type === 'buy' ? 'Buy' : 'Sell', lots, openPrice, openTime, commission / 2, `mt_${ticket}_entry`, line);
+            const exit = buildOrder(symbol, type === 'buy' ? 'Sell' : 'Buy', lots, closePrice, closeTime, commission / 2, `mt_${ticket}_exit`, line);
+            exit.swap = swap;
+
+            // Profit is reported in the account currency; the multiplier it implies converts
+            // cross/JPY pairs and broker-specific index lot sizes the same way
+            const priceMove = Math.abs(closePrice - openPrice) * entry.qty;
+            if (profit !== null && profit !== 0 && priceMove > 0) {
+                entry.multiplier = exit.multiplier = parseFloat((Math.abs(profit) / priceMove).toPrecision(6));
+                entry.currency = exit.currency = accountCurrency;
+            }
+
+            orders.push(entry, exit);
+            validOrderCount += 2;
+
+            if (validOrderCount <= 10) {
+                console.log(`📝 MetaTrader position ${ticket}: ${type} ${lots} lots ${cell(col.symbol)} → ${symbol} ×${entry.qty}, swap ${swap}`);
+            }
+        });
+
+        if (useDeals) this.applyDealMultipliers(orders, dealInfo, accountCurrency);
+
+        console.log(`✅ MetaTrader parsing completed. Valid: ${validOrderCount}, Skipped: ${skippedCount}, Errors: ${errorCount}`);
+
+        return {
+            orders: orders.sort((a, b) => a.placingTime - b.placingTime),
+            stats: {
+                totalLines: rows.length,
+                validOrders: validOrderCount,
+                skippedCancelled: skippedCount,
+                errors: errorCount,
+                format: 'metatrader'
+            }
+        };
+    }
+
+    /**
+     * MT5 deals report profit on the out deal only. Replay them in time order, closing in deals
+     * FIFO per symbol, to get the entry price each out deal closed — then the multiplier its
+     * profit implies, as for Positions rows. An "in/out" reversal opens what it doesn't close.
+     * deals maps each order to { direction, profit }.
+     */
+    applyDealMultipliers(orders, deals, accountCurrency) {
+        const open = {};
+        [...orders].sort((a, b) => a.placingTime - b.placingTime).forEach(order => {
+            const { direction = '', profit = null } = deals.get(order) || {};
+            const lots = open[order.symbol] = open[order.symbol] || [];
+            let remaining = order.qty;
+            let priceMove = 0;
+            const closed = [];
+
+            if (direction !== 'in') {
+                while (remaining > 1e-9 && lots.length > 0 && lots[0].order.side !== order.side) {
+                    const lot = lots[0];
+                    const take = Math.min(lot.qty, remaining);
+                    priceMove += Math.abs(order.fillPrice - lot.order.fillPrice) * take;
+                    closed.push(lot.order);
+                    lot.qty -= take;
+                    remaining -= take;
+                    if (lot.qty <= 1e-9) lots.shift();
+                }
+            }
+            if (remaining > 1e-9 && direction !== 'out' && direction !== 'out by') lots.push({ order, qty: remaining });
+
+            if (profit !== null && profit !== 0 && priceMove > 0) {
+                order.multiplier = parseFloat((Math.abs(profit) / priceMove).toPrecision(6));
+                order.currency = accountCurrency;
+                closed.forEach(entry => {
+                    if (!entry.multiplier) entry.multiplier = order.multiplier;
+                    entry.currency = accountCurrency;
+                });
+            }
+        });
+        return orders;
+    }
+
+    // ===== FX rates =====
+
+    /**
+     * Parse a daily FX rate file. Accepts Date,Pair,Rate rows (pair as EURUSD or EUR/USD),
+     * Date,From,To,Rate rows, or a wide Date,EURUSD,GBPUSD,... table.
+     * Returns { rates: [{ pair, day, rate }], errors: [{ line, message }] } with day as YYYY-MM-DD.
+     */
+    parseFxRatesCSV(content) {
+        const { records, lineNumbers, delimiter } = this.tokenizeCSV(content);
+        if (records.length < 2) throw new Error('FX rate file is empty');
+
+        const headers = this.cleanCSVRecord(records[0], delimiter).map(h => h.toLowerCase());
+        const find = (...names) => headers.findIndex(h => names.includes(h));
+        const pairOf = (text) => String(text || '').toUpperCase().replace(/[^A-Z]/g, '');
+        const col = {
+            date: find('date', 'day', 'time'),
+            pair: find('pair', 'symbol', 'currency pair', 'instrument'),
+            from: find('from', 'base', 'base currency'),
+            to: find('to', 'quote', 'quote currency'),
+            rate: find('rate', 'close', 'price', 'value', 'fx rate')
+        };
+        if (col.date === -1) throw new Error('FX rate file needs a Date column');
+        // Wide layout: every other 6-letter header is a pair
+        const wide = headers.map((h, i) => ({ i, pair: pairOf(h) }))
+            .filter(c => c.i !== col.date && c.pair.length === 6);
+        const long = col.rate !== -1 && (col.pair !== -1 || (col.from !== -1 && col.to !== -1));
+        if (!long && wide.length === 0) throw new Error('FX rate file needs Pair and Rate columns, or one column per pair');
+
+        const rates = [];
+        const errors = [];
+        records.slice(1).forEach((record, n) => {
+            const values = this.cleanCSVRecord(record, delimiter);
+            const line = lineNumbers[n + 1] + 1;
+            const day = this.parseFxDay(values[col.date]);
+            if (!day) {
+                errors.push({ line, message: 'Missing or unreadable date' });
+                return;
+            }
+            const cells = long
+                ? [{ pair: col.pair !== -1 ? pairOf(values[col.pair]) : pairOf(values[col.from]) + pairOf(values[col.to]), value: values[col.rate] }]
+                : wide.map(c => ({ pair: c.pair, value: values[c.i] })).filter(c => c.value);
+            cells.forEach(({ pair, value }) => {
+                const rate = this.parsePrice(value);
+                if (pair.length !== 6 || !(rate > 0)) {
+                    errors.push({ line, message: `Invalid rate for ${pair || 'unknown pair'}` });
+                    return;
+                }
+                rates.push({ pair, day, rate });
+            });
+        });
+
+        console.log(`💱 FX rates parsed: ${rates.length} rates, ${errors.length} errors`);
+        return { rates, errors };
+    }
+
+    /**
+     * "2026-02-10", "2/10/2026" (by the date order setting) or anything Date understands → "2026-02-10"
+     */
+    parseFxDay(text) {
+        const value = String(text || '').trim();
+        if (!value) return null;
+        const pad = (n) => String(n).padStart(2, '0');
+        const iso = value.match(/^(\d{4})[-./](\d{1,2})[-./](\d{1,2})/);
+        if (iso) return `${iso[1]}-${pad(iso[2])}-${pad(iso[3])}`;
+        const slash = value.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{2,4})/);
+        if (slash) {
+            const [, first, middle, year] = slash;
+            const [month, day] = this.dateOptions.dateOrder === 'DMY' ? [middle, first] : [first, middle];
+            const fullYear = year.length <= 2 ? 2000 + parseInt(year) : parseInt(year);
+            return `${fullYear}-${pad(month)}-${pad(day)}`;
+        }
+        const parsed = new Date(value);
+        return isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+    }
+
+    // ===== Import date settings =====
+
+    /**
+     * Saved { timeZone, dateOrder } for a format id — custom profiles carry their own
+     */
+    getDateSettings(format) {
+        if (format && format.startsWith('custom:')) {
+            const profile = this.getImportProfile(format.slice('custom:'.length));
+            return this.normalizeDateSettings(profile || {});
+        }
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.DATE_SETTINGS_STORAGE_KEY) || '{}');
+            return this.normalizeDateSettings(saved[format] || {});
+        } catch {
+            return { ...this.DEFAULT_DATE_SETTINGS };
+        }
+    }
+
+    /**
+     * Remember the date settings picked for a format (or custom profile)
+     */
+    saveDateSettings(format, settings) {
+        if (!this.DATE_ORDERS[settings.dateOrder]) {
+            throw new Error(`Unknown date order: ${settings.dateOrder}`);
+        }
+        if (typeof TimeZone !== 'undefined' && !TimeZone.isValid(settings.timeZone)) {
+            throw new Error(`Unknown time zone: ${settings.timeZone}`);
+        }
+        const normalized = this.normalizeDateSettings(settings);
+
+        if (format.startsWith('custom:')) {
+            const name = format.slice('custom:'.length).toLowerCase();
+            const profiles = this.getImportProfiles().map(p =>
+                p.name.toLowerCase() === name ? { ...p, ...normalized } : p);
+            localStorage.setItem(this.PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+            return normalized;
+        }
+
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(this.DATE_SETTINGS_STORAGE_KEY) || '{}');
+        } catch { /* start over */ }
+        saved[format] = normalized;
+        localStorage.setItem(this.DATE_SETTINGS_STORAGE_KEY, JSON.stringify(saved));
+        console.log(`🕐 Date settings saved for ${format}: ${normalized.dateOrder}, ${normalized.timeZone}`);
+        return normalized;
+    }
+
+    /**
+     * Pick { timeZone, dateOrder } out of an object, filling in the defaults
+     */
+    normalizeDateSettings(source) {
+        return {
+            timeZone: source.timeZone || this.DEFAULT_DATE_SETTINGS.timeZone,
+            dateOrder: this.DATE_ORDERS[source.dateOrder] ? source.dateOrder : this.DEFAULT_DATE_SETTINGS.dateOrder
+        };
+    }
+
+    // ===== Custom column-mapping profiles =====
+
+    /**
+     * Read the header row of a CSV file (BOM and surrounding quotes stripped)
+     */
+    getCSVHeaders(csvContent) {
+        const records = this.getHeaderRecords(csvContent);
+        return records.length > 0 ? records[0].map(h => h.trim()) : [];
+    }
+
+    /**
+     * The first tokenized records of a file — enough to find its headers without tokenizing all of it
+     */
+    getHeaderRecords(csvContent) {
+        return this.tokenizeCSV((csvContent || '').slice(0, 64 * 1024)).records.slice(0, 10);
+    }
+
+    /**
+     * Load all saved column-mapping profiles
+     * Profile shape: { name, broker, mapping: { symbol: 'Header', ... }, headers, timeZone, dateOrder, createdAt, lastUsed }
+     */
+    getImportProfiles() {
+        try {
+            return JSON.parse(localStorage.getItem(this.PROFILES_STORAGE_KEY) || '[]');
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Get a saved profile by name (case-insensitive)
+     */
+    getImportProfile(name) {
+        const wanted = (name || '').trim().toLowerCase();
+        return this.getImportProfiles().find(p => p.name.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Save (or overwrite) a column-mapping profile
+     */
+    saveImportProfile(profile) {
+        const name = (profile.name || '').trim();
+        if (!name) {
+            throw new Error('Profile name is required');
+        }
+
+        const missing = this.MAPPABLE_FIELDS
+            .filter(f => f.required && !profile.mapping[f.key])
+            .map(f => f.label);
+        if (missing.length > 0) {
+            throw new Error(`Map a column for: ${missing.join(', ')}`);
+        }
+
+        const profiles = this.getImportProfiles().filter(p => p.name.toLowerCase() !== name.toLowerCase());
+        const saved = {
+            name,
+            broker: (profile.broker || '').trim() || name,
+            mapping: { ...profile.mapping },
+            headers: profile.headers || [],
+            ...this.normalizeDateSettings(profile),
+            createdAt: profile.createdAt || new Date().toISOString(),
+            lastUsed: new Date().toISOString()
+        };
+        profiles.push(saved);
+        localStorage.setItem(this.PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+        console.log(`💾 Import profile saved: ${name}`);
+        return saved;
+    }
+
+    /**
+     * Delete a saved profile by name
+     */
+    deleteImportProfile(name) {
+        const profiles = this.getImportProfiles().filter(p => p.name.toLowerCase() !== (name || '').toLowerCase());
+        localStorage.setItem(this.PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+        return profiles;
+    }
+
+    /**
+     * Find the saved profile whose mapped columns all appear in the given headers.
+     * When several fit, the one mapping the most columns wins (then the most recently used).
+     */
+    findMatchingProfile(headers) {
+        if (!headers || headers.length === 0) return null;
+        const available = new Set(headers.map(h => h.toLowerCase().trim()));
+
+        const matches = this.getImportProfiles().filter(p => {
+            const columns = Object.values(p.mapping || {}).filter(Boolean);
+            return columns.length > 0 && columns.every(col => available.has(col.toLowerCase().trim()));
+        });
+
+        matches.sort((a, b) => {
+            const diff = Object.values(b.mapping).filter(Boolean).length - Object.values(a.mapping).filter(Boolean).length;
+            if (diff !== 0) return diff;
+            return (b.lastUsed || '').localeCompare(a.lastUsed || '');
+        });
+
+        return matches[0] || null;
+    }
+
+    /**
+     * Suggest a column for each mappable field based on common header names
+     */
+    guessColumnMapping(headers) {
+        const normalized = headers.map(h => h.toLowerCase().trim());
+        const used = new Set();
+        const mapping = {};
+
+        this.MAPPABLE_FIELDS.forEach(field => {
+            for (const hint of field.hints) {
+                const idx = normalized.findIndex((h, i) => !used.has(i) && h === hint);
+                if (idx !== -1) {
+                    mapping[field.key] = headers[idx];
+                    used.add(idx);
+                    return;
+                }
+            }
+            mapping[field.key] = '';
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Normalize free-form side values ("BOT", "S", "Short", ...) to Buy/Sell
+     */
+    normalizeSide(sideStr) {
+        const side = (sideStr || '').trim().toLowerCase();
+        if (['buy', 'b', 'bot', 'bought', 'long', 'buy to open', 'buy to cover'].includes(side)) return 'Buy';
+        if (['sell', 's', 'sld', 'sold', 'short', 'sell short', 'sell to close'].includes(side)) return 'Sell';
+        return '';
+    }
+
+    /**
+     * Parse a CSV using a saved column-mapping profile
+     */
+    parseCustomCSV(csvContent, profile) {
+        console.log(`🧩 parseCustomCSV: Parsing with profile "${profile.name}"...`);
+
+        const { records, lineNumbers, delimiter } = this.tokenizeCSV(csvContent);
+        if (records.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        const headers = records[0].map(h => h.trim());
+        const headerMap = {};
+        headers.forEach((header, index) => {
+            headerMap[header.toLowerCase()] = index;
+        });
+
+        const missing = this.MAPPABLE_FIELDS
+            .filter(f => f.required && headerMap[(profile.mapping[f.key] || '').toLowerCase().trim()] === undefined)
+            .map(f => `${f.label} (${profile.mapping[f.key] || 'unmapped'})`);
+        if (missing.length > 0) {
+            throw new Error(`CSV does not match profile "${profile.name}". Missing columns: ${missing.join(', ')}`);
+        }
+
+        const broker = profile.broker || profile.name;
+        const idPrefix = broker.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+        const orders = [];
+        let validOrderCount = 0;
+        let errorCount = 0;
+
+        for (let r = 1; r < records.length; r++) {
+            this.reportProgress(r, records.length - 1);
+            const i = lineNumbers[r];
+            const values = this.cleanCSVRecord(records[r], delimiter);
+            if (values.every(cell => !cell)) continue;
+
+            try {
+
+                const getVal = (fieldKey) => {
+                    const column = (profile.mapping[fieldKey] || '').toLowerCase().trim();
+                    const idx = headerMap[column];
+                    return column && idx !== undefined && values[idx] !== undefined ? values[idx].trim() : '';
+                };
+
+                const symbol = getVal('symbol');
+                const rawQty = this.parsePrice(getVal('qty'));
+                // Some brokers leave side blank and sign the quantity instead
+                const side = this.normalizeSide(getVal('side')) || (rawQty < 0 ? 'Sell' : '');
+                const qty = rawQty !== null ? Math.abs(rawQty) : 0;
+                const fillPrice = this.parsePrice(getVal('fillPrice'));
+                const time = this.parseDateTime(getVal('time'));
+                const commissionStr = getVal('commission');
+                const commission = commissionStr ? Math.abs(parseFloat(commissionStr.replace(/[^\d.-]/g, '')) || 0) : '';
+
+                if (!symbol || !side || fillPrice === null || !qty || !time) {
+                    errorCount++;
+                    this.recordParseError(i + 1, this.describeMissingFields({
+                        symbol: !!symbol, side: !!side, quantity: !!qty, 'fill price': fillPrice !== null, time: !!time
+                    }));
+                    if (errorCount <= 3) console.warn(`⚠️ Invalid ${broker} order on line ${i + 1}`);
+                    continue;
+                }
+
+                orders.push({
+                    symbol,
+                    side,
+                    type: 'Market',
+                    qty,
+                    limitPrice: null,
+                    stopPrice: null,
+                    fillPrice,
+                    status: 'Filled',
+                    commission,
+                    placingTime: time,
+                    closingTime: time,
+                    orderId: getVal('orderId') || `${idPrefix}_${time.getTime()}_${i}`,
+                    levelId: '',
+                    leverage: '',
+                    margin: '',
+                    broker,
+                    sourceLine: i + 1
+                });
+                validOrderCount++;
+            } catch (error) {
+                errorCount++;
+                this.recordParseError(i + 1, error.message);
+                if (errorCount <= 3) console.warn(`❌ Error parsing ${broker} line ${i + 1}:`, error.message);
+            }
+        }
+
+        console.log(`✅ Custom parsing completed. Valid: ${validOrderCount}, Errors: ${errorCount}`);
+
+        return {
+            orders: orders.sort((a, b) => a.placingTime - b.placingTime),
+            stats: {
+                totalLines: records.length - 1,
+                validOrders: validOrderCount,
+                errors: errorCount,
+                format: 'custom',
+                profile: profile.name,
+                broker
+            }
+        };
+    }
+
+    /**
+     * Broker label for a format id ("tradingview", "ibkr", "ninjatrader", "tradovate", "rithmic", "metatrader" or "custom:<profile>")
+     */
+    getBrokerLabel(format) {
+        if (format === 'ibkr') return 'IBKR';
+        if (format === 'ninjatrader') return 'NinjaTrader';
+        if (format === 'tradovate') return 'Tradovate';
+        if (format === 'rithmic') return 'Rithmic';
+        if (format === 'metatrader') return 'MetaTrader';
+        if (format && format.startsWith('custom:')) {
+            const profile = this.getImportProfile(format.slice('custom:'.length));
+            return profile ? (profile.broker || profile.name) : format.slice('custom:'.length);
+        }
+        return 'TradingView';
+    }
+
     /**
      * Get sample CSV data for demonstration
      */
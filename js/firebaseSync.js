@@ -24,7 +24,19 @@ class FirebaseSync {
     }
 
     /**
-     * Push all journal data (notes + daily goal) to Firebase.
+     * Replace a {..., updatedAt} settings entry with the remote copy when it was saved more recently
+     */
+    static _adoptNewer(key, remote) {
+        if (!remote) return;
+        const updatedAt = (raw) => { try { return JSON.parse(raw).updatedAt || ''; } catch { return ''; } };
+        const local = localStorage.getItem(key);
+        if (!local || updatedAt(remote) > updatedAt(local)) {
+            localStorage.setItem(key, remote);
+        }
+    }
+
+    /**
+     * Push all journal data (notes, tags and planned stops/targets + daily goal + contract specs + commission schedules + matching methods + FX rates + tag groups) to Firebase.
      * Screenshots are pushed separately due to size.
      */
     static async pushJournal() {
@@ -41,6 +53,14 @@ class FirebaseSync {
             const payload = {
                 journals: journals,
                 dailyGoal: localStorage.getItem('tradle_daily_goal') || null,
+                contractSpecs: localStorage.getItem('tradle_contract_specs') || null,
+                commissionSchedules: localStorage.getItem('tradle_commission_schedules') || null,
+                matchingMethods: localStorage.getItem('tradle_matching_methods') || null,
+                fxRates: localStorage.getItem('tradle_fx_rates') || null,
+                accounts: localStorage.getItem('tradle_accounts') || null,
+                cashFlows: localStorage.getItem('tradle_cash_flows') || null,
+                propRules: localStorage.getItem('tradle_prop_rules') || null,
+                tagGroups: localStorage.getItem('tradle_tag_groups') || null,
                 updatedAt: new Date().toISOString()
             };
 
@@ -90,9 +110,28 @@ class FirebaseSync {
                         if (remoteJournal.trades) {
                             if (!local.trades) local.trades = {};
                             for (const [tid, data] of Object.entries(remoteJournal.trades)) {
-                                if (!local.trades[tid] || !local.trades[tid].note) {
-                                    local.trades[tid] = data;
+                                const mine = local.trades[tid] || {};
+                                if (!mine.note) {
+                                    // Tags and planned levels set here win over the remote ones
+                                    local.trades[tid] = {
+                                        ...data,
+                                        tags: mine.tags || data.tags,
+                                        plannedStop: mine.plannedStop ?? data.plannedStop,
+                                        plannedTarget: mine.plannedTarget ?? data.plannedTarget
+                                    };
                                     changed = true;
+                                } else {
+                                    // Tags and planned levels set on another device on a trade with a local note
+                                    if (!Array.isArray(mine.tags) && Array.isArray(data.tags)) {
+                                        mine.tags = data.tags;
+                                        changed = true;
+                                    }
+                                    ['plannedStop', 'plannedTarget'].forEach(field => {
+                                        if (mine[field] === undefined && data[field] !== undefined) {
+                                            mine[field] = data[field];
+                                            changed = true;
+                                        }
+                                    });
                                 }
                             }
                         }
@@ -108,6 +147,17 @@ class FirebaseSync {
                 localStorage.setItem('tradle_daily_goal', data.dailyGoal);
             }
 
+            // Contract spec edits, commission schedules, matching methods, FX rates, accounts, the
+            // cash-flow ledger, prop-firm rule sets and tag groups: the most recently saved set wins
+            this._adoptNewer('tradle_contract_specs', data.contractSpecs);
+            this._adoptNewer('tradle_commission_schedules', data.commissionSchedules);
+            this._adoptNewer('tradle_matching_methods', data.matchingMethods);
+            this._adoptNewer('tradle_fx_rates', data.fxRates);
+            this._adoptNewer('tradle_accounts', data.accounts);
+            this._adoptNewer('tradle_cash_flows', data.cashFlows);
+            this._adoptNewer('tradle_prop_rules', data.propRules);
+            this._adoptNewer('tradle_tag_groups', data.tagGroups);
+
             console.log(`📥 FirebaseSync: Merged ${merged} journal days from remote`);
             this._setSyncStatus('synced');
             return { success: true, merged };
@@ -241,17 +291,22 @@ class FirebaseSync {
     // ===== CSV Sync =====
 
     /**
-     * Push uploaded CSV to Firebase (so other devices can pull it).
+     * Push uploaded CSV to Firebase (so other devices can pull it), with the source lines
+     * excluded in the import preview so they stay out when it is imported again.
      */
-    static async pushCSV(csvContent, format) {
+    static async pushCSV(csvContent, format, excludedLines = []) {
         try {
-            const key = format === 'ibkr' ? 'ibkr' : 'tradingview';
+            // Custom profiles get their own slot ("custom:My Broker" → "custom_my_broker")
+            const key = format.startsWith('custom:')
+                ? `custom_${format.slice('custom:'.length).toLowerCase().replace(/[^a-z0-9]+/g, '_')}`
+                : (['ibkr', 'ninjatrader', 'tradovate', 'rithmic', 'metatrader'].includes(format) ? format : 'tradingview');
             const resp = await fetch(`${this.DB_URL}/csvData/${key}.json`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     content: csvContent,
                     format: format,
+                    excludedLines: [...excludedLines].sort((a, b) => a - b),
                     updatedAt: new Date().toISOString()
                 })
             });
@@ -332,6 +387,7 @@ class FirebaseSync {
 
             const payload = {
                 trades: trades,
+                openLots: db.openLots || [],
                 version: newVersion,
                 lastUpdated: db.lastUpdated
             };
@@ -374,9 +430,11 @@ class FirebaseSync {
             if (!resp.ok) return { success: false };
 
             const remote = await resp.json();
-            if (!remote || !remote.trades || remote.trades.length === 0) {
+            // An undone import can leave the database empty — Firebase drops the empty array but keeps the version
+            if (!remote || ((!remote.trades || remote.trades.length === 0) && !remote.version)) {
                 return { success: true, merged: 0, message: 'No remote trades' };
             }
+            remote.trades = remote.trades || [];
 
             const localRaw = localStorage.getItem('tradle_trade_database');
             const localDB = localRaw ? JSON.parse(localRaw) : { trades: [], version: 0 };
@@ -386,6 +444,7 @@ class FirebaseSync {
             if (remoteVersion > localVersion) {
                 // Firebase is ahead — replace local entirely
                 localDB.trades      = remote.trades;
+                localDB.openLots    = remote.openLots || []; // Firebase drops empty arrays
                 localDB.version     = remoteVersion;
                 localDB.lastUpdated = remote.lastUpdated || new Date().toISOString();
                 localStorage.setItem('tradle_trade_database', JSON.stringify(localDB));
@@ -0,0 +1,83 @@
+/**
+ * Import Worker
+ * Reads, parses and matches an uploaded file off the main thread so large exports
+ * don't freeze the page. Driven by TradleApp.runImportWorker().
+ *
+ * In:  { type: 'start', file, format, dateOptions, scripts, profiles, openLots, matchingMethod, contractSpecs, commissionSchedules, maxContentSize }
+ * Out: { type: 'progress', stage, done, total }
+ *      { type: 'done', parseResult, tradeResult, content }
+ *      { type: 'error', message }
+ */
+
+// timeZone.js / csvParser.js / tradeCalculator.js export their classes onto window
+self.window = self;
+
+const READ_CHUNK_SIZE = 4 * 1024 * 1024; // 4MB
+
+/**
+ * Pick the text encoding from the byte-order mark, like FileReader.readAsText does
+ * (MetaTrader 5 saves its HTML reports as UTF-16LE)
+ */
+function sniffEncoding(bytes) {
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    return 'utf-8';
+}
+
+/**
+ * Read a File in fixed-size chunks, decoding incrementally and reporting bytes read
+ */
+async function readFileInChunks(file, onProgress) {
+    const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+    const decoder = new TextDecoder(sniffEncoding(head));
+    const parts = [];
+
+    for (let offset = 0; offset < file.size; offset += READ_CHUNK_SIZE) {
+        const buffer = await file.slice(offset, offset + READ_CHUNK_SIZE).arrayBuffer();
+        parts.push(decoder.decode(buffer, { stream: true }));
+        onProgress(Math.min(offset + READ_CHUNK_SIZE, file.size), file.size);
+    }
+    parts.push(decoder.decode());
+
+    return parts.join('');
+}
+
+self.onmessage = async (e) => {
+    const { type, file, format, dateOptions, scripts, profiles, openLots, matchingMethod, contractSpecs, commissionSchedules, maxContentSize } = e.data || {};
+    if (type !== 'start') return;
+
+    const progress = (stage, done, total) => self.postMessage({ type: 'progress', stage, done, total });
+
+    try {
+        importScripts(...scripts);
+
+        const parser = new self.CSVParser();
+        const calculator = new self.TradeCalculator();
+        // Workers have no localStorage — custom profiles, contract specs and commission schedules come from the main thread
+        parser.getImportProfiles = () => profiles || [];
+        calculator.customSpecs = contractSpecs || {};
+        calculator.commissionSchedules = commissionSchedules || {};
+        parser.specCalculator = calculator;
+        parser.onProgress = progress;
+        calculator.onProgress = progress;
+
+        console.log(`🧵 Import worker: ${file.name} (${file.size} bytes, ${format})`);
+        const content = await readFileInChunks(file, (done, total) => progress('read', done, total));
+
+        const parseResult = await parser.parseCSV(content, format, dateOptions);
+        const tradeResult = parseResult.orders.length > 0
+            ? calculator.processOrders(parseResult.orders, openLots || [], { method: matchingMethod })
+            : { trades: [], summary: calculator.getEmptySummary(), orders: 0, openLots: openLots || [] };
+
+        self.postMessage({
+            type: 'done',
+            parseResult,
+            tradeResult,
+            // Only hand the raw text back when it is small enough to sync
+            content: content.length <= maxContentSize ? content : null
+        });
+    } catch (error) {
+        console.error('❌ Import worker error:', error);
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -13,16 +13,22 @@ class TradleApp {
 
         this.csvParser = new CSVParser();
         this.tradeCalculator = new TradeCalculator();
+        this.csvParser.specCalculator = this.tradeCalculator;
         this.uiController = new UIController();
 
         this.currentData = null;
         this.isInitialized = false;
         this.sampleDataLoaded = false;
 
-        // Trade database for persistent storage
+        // Background import (Web Worker) — see runImportWorker()
+        this.IMPORT_WORKER_URL = 'js/importWorker.js?v=9';
+        this.activeImport = null;
+
+        // Trade database for persistent storage. openLots are positions no import has closed yet
         this.tradeDatabase = {
             trades: [],
             orderIds: new Set(),
+            openLots: [],
             lastUpdated: null
         };
 
@@ -79,6 +85,39 @@ class TradleApp {
             if (typeof FirebaseSync !== 'undefined') FirebaseSync._setSyncStatus('error', e.message);
         }
 
+        // Contract specs and commission schedules first — loading recalculates P&L with them
+        this.loadContractSpecs();
+        this.loadCommissionSchedules();
+        this.loadFxRates();
+        this.loadPropRules();
+        this.loadAccounts();
+        this.loadCashFlows();
+        this.loadTagGroups();
+        if (typeof this.uiController.renderContractSpecs === 'function') {
+            this.uiController.renderContractSpecs();
+        }
+        if (typeof this.uiController.renderCommissionSchedules === 'function') {
+            this.uiController.renderCommissionSchedules();
+        }
+        if (typeof this.uiController.renderFxRates === 'function') {
+            this.uiController.renderFxRates();
+        }
+        if (typeof this.uiController.renderAccounts === 'function') {
+            this.uiController.renderAccounts();
+        }
+        if (typeof this.uiController.renderCashFlows === 'function') {
+            this.uiController.renderCashFlows();
+        }
+        if (typeof this.uiController.renderPropRuleSets === 'function') {
+            this.uiController.renderPropRuleSets();
+        }
+        if (typeof this.uiController.renderRollCalendar === 'function') {
+            this.uiController.renderRollCalendar();
+        }
+        if (typeof this.uiController.renderTagGroups === 'function') {
+            this.uiController.renderTagGroups();
+        }
+
         // Load persistent trade database
         this.loadTradeDatabase();
 
@@ -184,13 +223,7 @@ class TradleApp {
             if (ibkrCount > 0 && ibkrCount !== 4) {
                 console.log(`🔄 v21d: ${ibkrCount} IBKR trades (expected 4), reloading from sample…`);
                 this.tradeDatabase.trades = this.tradeDatabase.trades.filter(t => t.broker !== 'IBKR');
-                this.tradeDatabase.orderIds = new Set();
-                this.tradeDatabase.trades.forEach(trade => {
-                    const eId = trade.entryOrderId || '';
-                    const xId = trade.exitOrderId  || '';
-                    if (eId && xId) { this.tradeDatabase.orderIds.add(`${eId}__${xId}`); }
-                    else { if (eId) this.tradeDatabase.orderIds.add(eId); if (xId) this.tradeDatabase.orderIds.add(xId); }
-                });
+                this.rebuildOrderIds();
                 this.saveTradeDatabase();
                 try {
                     const resp = await fetch('data/sample-data/ibkr-trade-report-2026-02-12.csv');
@@ -304,7 +337,8 @@ class TradleApp {
                 tradeResult.trades.forEach(t => t.broker = brokerLabel);
 
                 // Merge with database (handles deduplication)
-                const dedup = this.mergeTradesWithDatabase(tradeResult.trades, parseResult.orders);
+                const batchId = this.generateImportBatchId();
+                const dedup = this.mergeTradesWithDatabase(tradeResult.trades, parseResult.orders, batchId);
                 anyLoaded = true;
 
                 // Log to import history ONLY if this file hasn't been logged yet
@@ -313,7 +347,7 @@ class TradleApp {
                 const alreadyLogged = existingHistory.some(h => h.filename === sampleName);
                 if (!alreadyLogged) {
                     // Sample CSVs are the baseline data — always show total trades as "new"
-                    this.logUploadHistory(sampleName, sample.format, tradeResult.trades.length, 0);
+                    this.logUploadHistory(sampleName, sample.format, tradeResult.trades.length, 0, batchId);
                 }
 
                 console.log(`✅ Auto-loaded ${tradeResult.trades.length} trades from ${sample.path}`);
@@ -377,21 +411,57 @@ class TradleApp {
         const uhBody = document.getElementById('uploadHistoryBody');
         if (uhBody) {
             uhBody.addEventListener('click', (e) => {
-                const btn = e.target.closest('.uh-delete-btn');
+                const btn = e.target.closest('.uh-delete-btn, .uh-undo-btn');
                 if (!btn) return;
                 const idx = parseInt(btn.dataset.idx, 10);
-                if (isNaN(idx)) return;
-                const confirmed = confirm(
-                    'Delete this import?\n\n' +
-                    'This will also clear all trade data (trades cannot be traced to individual imports).\n' +
-                    'You can re-upload your CSV to recalculate.'
-                );
-                if (!confirmed) return;
+                const entry = this.getUploadHistory()[idx];
+                if (!entry) return;
+                const count = entry.batchId ? this.countImportTrades(entry.batchId) : 0;
+
+                if (btn.classList.contains('uh-undo-btn')) {
+                    if (!confirm(`Undo this import?\n\nThis removes the ${count} trade${count === 1 ? '' : 's'} added by ${entry.filename}.`)) return;
+                    this.undoImport(entry.batchId);
+                    this.uiController.renderUploadHistory(this.getUploadHistory());
+                    return;
+                }
+
+                const message = !entry.batchId
+                    ? 'Delete this import?\n\n' +
+                      'This will also clear all trade data (this import predates per-import tracking).\n' +
+                      'You can re-upload your CSV to recalculate.'
+                    : entry.undone
+                        ? 'Remove this import from the history?'
+                        : `Delete this import?\n\nThis also removes the ${count} trade${count === 1 ? '' : 's'} added by ${entry.filename}.`;
+                if (!confirm(message)) return;
                 const updated = this.deleteUploadHistoryEntry(idx);
                 this.uiController.renderUploadHistory(updated);
             });
         }
 
+        // Lot matching: method per account and re-matching the stored trades (event delegation)
+        const lmBody = document.getElementById('lotMatchingBody');
+        if (lmBody) {
+            lmBody.addEventListener('change', (e) => {
+                const select = e.target.closest('.lm-method-select');
+                if (!select) return;
+                const entry = this.getMatchingAccounts()[parseInt(select.dataset.idx, 10)];
+                if (!entry) return;
+                this.saveMatchingMethod(entry.account, select.value, entry.accountId);
+                this.uiController.showToast(`${this.uiController._escapeHtml(this.accountRowLabel(entry))}: ${this.tradeCalculator.MATCHING_METHODS[select.value]} applies to new imports — Recalculate to re-match stored trades`, 'info');
+            });
+            lmBody.addEventListener('click', (e) => {
+                const btn = e.target.closest('.lm-recalc-btn');
+                if (!btn) return;
+                const entry = this.getMatchingAccounts()[parseInt(btn.dataset.idx, 10)];
+                if (!entry) return;
+                const label = this.tradeCalculator.MATCHING_METHODS[entry.method];
+                if (!confirm(`Re-match all ${this.accountRowLabel(entry)} trades using ${label}?\n\nTrades are rebuilt from their fills, so trade count and per-trade P&L can change.`)) return;
+                const { before, after } = this.recalculateMatching(entry.account, entry.accountId);
+                this.uiController.renderLotMatching();
+                this.uiController.showToast(`${this.uiController._escapeHtml(this.accountRowLabel(entry))} re-matched with ${label}: ${before} → ${after} trades`, 'success');
+            });
+        }
+
     }
 
     /**
@@ -417,56 +487,53 @@ class TradleApp {
     }
 
     /**
-     * Process uploaded file
+     * Process uploaded file up to the import preview — nothing is saved until confirmImport().
+     * dateOptions: { timeZone, dateOrder } picked for this upload — defaults to the settings saved for the format
+     * preview: false imports straight away (sample data)
      */
-    async processFile(file, format = 'tradingview') {
+    async processFile(file, format = 'tradingview', dateOptions = null, { preview = true, accountId = null } = {}) {
         const startTime = Date.now();
         console.log('🚀 Starting file processing...');
         console.log(`📁 Processing file: ${file.name} (${format})`);
         console.log(`📏 File size: ${file.size} bytes`);
 
         try {
-            // Step 1: File Validation
+            // Step 1: File Validation (streamed imports allow much larger files)
             console.log('🔍 Step 1: Validating file...');
-            const validation = this.csvParser.validateFile(file);
+            const useWorker = this.canUseImportWorker();
+            const maxSize = useWorker ? this.csvParser.MAX_STREAMED_FILE_SIZE : this.csvParser.MAX_FILE_SIZE;
+            const validation = this.csvParser.validateFile(file, this.csvParser.getAcceptedExtensions(format), maxSize);
             if (!validation.valid) {
                 console.error('❌ File validation failed:', validation.errors);
                 throw new Error(validation.errors.join(', '));
             }
             console.log('✅ File validation completed');
 
+            // Resolve here so the worker (no localStorage) gets the saved per-broker settings too
+            dateOptions = { ...this.csvParser.getDateSettings(format), ...dateOptions };
+
             this.uiController.showLoading();
             this.uiController.showUploadStatus('Reading file...');
 
-            // Step 2: File Reading with timeout protection
-            console.log('📖 Step 2: Reading file content...');
-            console.log('⏱️ Starting FileReader operation...');
-
-            const csvContent = await Promise.race([
-                this.csvParser.readFileContent(file),
-                new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('File reading timeout (30s)')), 30000)
-                )
-            ]);
-
-            console.log('✅ File content read successfully');
-            console.log(`📝 Content length: ${csvContent.length} characters`);
-            console.log(`📋 First 200 chars: ${csvContent.substring(0, 200)}...`);
-
-            this.uiController.showUploadStatus('Parsing CSV data...');
-
-            // Step 3: CSV Parsing with timeout protection
-            console.log('🔍 Step 3: Parsing CSV data...');
-            console.log('⏱️ Starting CSV parsing operation...');
-
-            const parseResult = await Promise.race([
-                this.csvParser.parseCSV(csvContent, format),
-                new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('CSV parsing timeout (30s)')), 30000)
-                )
-            ]);
+            // Steps 2–4: read, parse and match — in a Web Worker when available
+            let imported;
+            try {
+                imported = useWorker
+                    ? await this.runImportWorker(file, format, dateOptions, accountId)
+                    : await this.parseFileOnMainThread(file, format, dateOptions, accountId);
+            } catch (workerError) {
+                if (!workerError.workerUnavailable) throw workerError;
+                // The file was only checked against the worker's cap — don't freeze the page on it
+                if (file.size > this.csvParser.MAX_FILE_SIZE) {
+                    throw new Error(`Background import is unavailable, so files must be less than ${Math.round(this.csvParser.MAX_FILE_SIZE / (1024 * 1024))}MB`);
+                }
+                console.warn('⚠️ Import worker unavailable, parsing on the main thread:', workerError.message);
+                imported = await this.parseFileOnMainThread(file, format, dateOptions, accountId);
+            }
+            const { content: csvContent, parseResult, tradeResult } = imported;
+            const parseErrors = parseResult.parseErrors || [];
 
-            if (parseResult.orders.length === 0) {
+            if (parseResult.orders.length === 0 && parseErrors.length === 0) {
                 console.error('❌ No valid orders found in CSV');
                 throw new Error('No valid trading orders found in the CSV file');
             }
@@ -475,160 +542,416 @@ class TradleApp {
             console.log(`📊 Parsed ${parseResult.orders.length} orders`);
             console.log(`📈 Parse stats:`, parseResult.stats);
 
-            this.uiController.showUploadStatus('Calculating trades...');
+            // Step 4b: Nothing is written yet — hold the result for the import preview
+            this.pendingImport = { file, format, accountId, csvContent, parseResult, tradeResult, startTime };
+            if (!preview) return await this.confirmImport();
 
-            // Step 4: Trade Calculation with timeout protection
-            console.log('🧮 Step 4: Calculating trades...');
-            console.log('⏱️ Starting trade calculation operation...');
+            const importPreview = this.buildImportPreview();
+            console.log(`👀 Import preview ready: ${importPreview.trades.length} trades, ${importPreview.duplicates.size} duplicates, ${importPreview.parseErrors.length} errors`);
 
-            const tradeResult = await Promise.race([
-                Promise.resolve(this.tradeCalculator.processOrders(parseResult.orders)),
-                new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('Trade calculation timeout (30s)')), 30000)
-                )
-            ]);
+            this.uiController.hideLoading();
+            this.uiController.hideUploadStatus();
+            this.uiController.showImportPreview(importPreview);
+            return importPreview;
 
-            if (tradeResult.trades.length === 0) {
-                console.error('❌ No valid trades could be matched');
-                throw new Error('No valid trades could be matched from the orders');
-            }
+        } catch (error) {
+            const totalTime = Date.now() - startTime;
+            console.error(`❌ File processing error after ${totalTime}ms:`, error);
+            console.error('📍 Error stack:', error.stack);
+
+            this.uiController.hideLoading();
+            this.uiController.hideUploadStatus();
+            throw error;
+        }
+    }
 
-            // Tag broker on each trade based on the upload format
-            const brokerLabel = format === 'ibkr' ? 'IBKR' : 'TradingView';
-            tradeResult.trades.forEach(t => t.broker = brokerLabel);
+    /**
+     * Dry run of the pending import: the orders left after excluding source lines, the trades
+     * they match into, which of those the database already has, positions left open and parse errors.
+     * Open lots from earlier imports are matched first, so trades closing them are flagged too.
+     * Nothing is written.
+     */
+    buildImportPreview(excludedLines = new Set()) {
+        const { file, format, parseResult, tradeResult } = this.pendingImport;
+        const accountId = this.pendingImport.accountId || null;
+        // The broker label doubles as the account: open lots and the matching method are per account
+        // (and lots stay apart per named account, e.g. a paper and a live TradingView account)
+        const brokerLabel = this.csvParser.getBrokerLabel(format);
+        const method = this.getMatchingMethod(brokerLabel, accountId);
+        const carriedLots = this.getOpenLots(brokerLabel, accountId);
+
+        const orders = this.csvParser.excludeSourceLines(parseResult.orders, excludedLines);
+        // The worker already matched the full file — only re-match when rows were taken out
+        const result = excludedLines.size > 0
+            ? this.tradeCalculator.processOrders(orders, carriedLots, { method })
+            : tradeResult;
+        const openLots = (result.openLots || carriedLots).map(l => ({ ...l, account: brokerLabel, accountId }));
+
+        // Trades whose entry is a lot carried over from an earlier import (lots whose orders are
+        // in this file again are rebuilt from it instead)
+        const lotIds = (lot) => this.tradeCalculator.orderFills(lot.order).map(f => f.orderId).filter(Boolean);
+        const heldIds = new Set(carriedLots.flatMap(lotIds));
+        const fileIds = new Set(orders.map(o => o.orderId).filter(Boolean));
+        const carriedIds = new Set([...heldIds].filter(id => !fileIds.has(id)));
+        const closesOpen = new Set();
+        result.trades.forEach((t, i) => {
+            if (carriedIds.has(t.entryOrderId)) closesOpen.add(i);
+        });
+        const openedLots = openLots.filter(l => !lotIds(l).some(id => heldIds.has(id))).length;
 
-            console.log('✅ Trade calculation completed');
-            console.log(`🔢 Calculated ${tradeResult.trades.length} trades`);
-            console.log(`💰 Total P&L: $${tradeResult.summary.totalProfit.toFixed(2)}`);
-            console.log(`📈 Win Rate: ${tradeResult.summary.winRate.toFixed(1)}%`);
+        // Tag broker on each trade based on the upload format (custom profiles carry their own label)
+        result.trades.forEach(t => {
+            t.broker = brokerLabel;
+            t.accountId = accountId;
+        });
 
-            // Step 5: Order ID-based Deduplication and Merge with Database
-            console.log('🔍 Step 5: Checking for duplicate trades...');
-            this.uiController.showUploadStatus('Checking for duplicates...');
+        return {
+            fileName: file.name,
+            format,
+            broker: brokerLabel,
+            accountId,
+            method,
+            allOrders: parseResult.orders,
+            orders,
+            trades: result.trades,
+            duplicates: this.findDuplicateTrades(result.trades, orders),
+            closesOpen,
+            openLots,
+            openedLots,
+            // Positions this file touches — carried ones it leaves alone are already on the dashboard
+            unclosedPositions: (result.unclosedPositions || [])
+                .filter(p => p.orderIds.length === 0 || p.orderIds.some(id => !carriedIds.has(id))),
+            parseErrors: parseResult.parseErrors || [],
+            // Futures fills dated after their contract's last trade date — usually a wrong contract month
+            expiredFills: this.tradeCalculator.expiredFills(orders),
+            stats: parseResult.stats,
+            excludedLines
+        };
+    }
 
-            const deduplicationResult = this.mergeTradesWithDatabase(tradeResult.trades, parseResult.orders);
-            console.log(`✅ Deduplication completed: ${deduplicationResult.newTrades} new, ${deduplicationResult.duplicates} duplicates`);
+    /**
+     * Import the pending file without the excluded source lines
+     */
+    async confirmImport(excludedLines = new Set()) {
+        if (!this.pendingImport) throw new Error('No import waiting for confirmation');
+
+        const preview = this.buildImportPreview(excludedLines);
+        // A file of entries only is still worth importing — its lots become open positions
+        if (preview.trades.length === 0 && preview.openedLots === 0) {
+            console.error('❌ No valid trades could be matched');
+            throw new Error('No valid trades could be matched from the orders');
+        }
 
-            // Step 6: Data Storage
-            console.log('💾 Step 6: Storing current data...');
-            this.currentData = {
-                file: file.name,
-                format,
-                parseResult,
-                tradeResult: {
-                    trades: this.tradeDatabase.trades, // Use complete database
-                    summary: this.tradeCalculator.generateSummary(this.tradeDatabase.trades)
-                },
-                timestamp: new Date(),
-                uploadStats: deduplicationResult
-            };
-            console.log('✅ Data storage completed');
+        const pending = this.pendingImport;
+        this.pendingImport = null;
+        if (excludedLines.size > 0) console.log(`🚫 Excluding ${excludedLines.size} source lines from ${pending.file.name}`);
 
-            // Step 6b: Persist to localStorage BEFORE any UI update
-            // This ensures the new data is safe even if the UI update encounters errors
-            console.log('💾 Step 6b: Saving to localStorage (early persist)...');
-            this.saveTradeDatabase();
-            this.saveCurrentData();
-            console.log('✅ Early localStorage save completed');
+        try {
+            return await this.commitImport(pending, preview.orders, preview.trades, preview.openLots, excludedLines);
+        } catch (error) {
+            this.uiController.hideLoading();
+            this.uiController.hideUploadStatus();
+            throw error;
+        }
+    }
 
-            // Step 7: UI Update with timeout protection
-            console.log('📊 Step 7: Updating dashboard...');
-            console.log('⏱️ Starting dashboard update operation...');
+    /**
+     * Drop the pending import without writing anything
+     */
+    discardImport() {
+        if (!this.pendingImport) return;
+        console.log(`🗑️ Import of ${this.pendingImport.file.name} discarded from preview`);
+        this.pendingImport = null;
+    }
 
-            const finalSummary = this.currentData.tradeResult.summary;
-            const finalTrades = this.currentData.tradeResult.trades;
+    /**
+     * Merge confirmed trades into the database, persist, refresh the dashboard and sync.
+     * openLots replaces the stored open positions (null keeps them as they are); excludedLines
+     * are the source lines left out in the preview, synced with the file.
+     */
+    async commitImport({ file, format, accountId = null, csvContent, parseResult, startTime }, orders, trades, openLots = null, excludedLines = new Set()) {
+        const tradeResult = { trades, summary: this.tradeCalculator.generateSummary(trades) };
+
+        console.log('✅ Trade calculation completed');
+        console.log(`🔢 Calculated ${tradeResult.trades.length} trades`);
+        console.log(`💰 Total P&L: $${tradeResult.summary.totalProfit.toFixed(2)}`);
+        console.log(`📈 Win Rate: ${tradeResult.summary.winRate.toFixed(1)}%`);
+
+        // Step 5: Order ID-based Deduplication and Merge with Database
+        console.log('🔍 Step 5: Checking for duplicate trades...');
+        this.uiController.showUploadStatus('Checking for duplicates...');
+
+        const batchId = this.generateImportBatchId();
+        const deduplicationResult = this.mergeTradesWithDatabase(tradeResult.trades, orders, batchId);
+        console.log(`✅ Deduplication completed: ${deduplicationResult.newTrades} new, ${deduplicationResult.duplicates} duplicates`);
+
+        // Tiered schedules price a trade by the month's volume before it — re-run them over the account
+        new Set(trades.filter(t => this.tradeCalculator.commissionScheduleFor(t)).map(t => t.broker))
+            .forEach(account => this.stampCommissions(account));
+
+        // Lots still open after this file become the account's open positions; keep the old ones for Undo
+        const openLotsBefore = this.getOpenLots();
+        if (openLots) {
+            const account = this.csvParser.getBrokerLabel(format);
+            const replaced = new Set(this.getOpenLots(account, accountId));
+            this.tradeDatabase.openLots = [...openLotsBefore.filter(l => !replaced.has(l)), ...openLots];
+            console.log(`📌 ${openLots.length} open lots after import (${openLotsBefore.length} before)`);
+        }
 
-            try {
-                if (!finalSummary || !finalTrades) {
-                    throw new Error('Invalid trade result data structure');
-                }
+        // Step 6: Data Storage
+        console.log('💾 Step 6: Storing current data...');
+        this.currentData = {
+            file: file.name,
+            format,
+            parseResult,
+            tradeResult: {
+                trades: this.tradeDatabase.trades, // Use complete database
+                summary: this.tradeCalculator.generateSummary(this.tradeDatabase.trades)
+            },
+            timestamp: new Date(),
+            uploadStats: deduplicationResult
+        };
+        console.log('✅ Data storage completed');
 
-                await Promise.race([
-                    Promise.resolve(this.uiController.updateDashboard(finalTrades, finalSummary)),
-                    new Promise((_, reject) =>
-                        setTimeout(() => reject(new Error('Dashboard update timeout (30s)')), 30000)
-                    )
-                ]);
+        // Step 6b: Persist to localStorage BEFORE any UI update
+        // This ensures the new data is safe even if the UI update encounters errors
+        console.log('💾 Step 6b: Saving to localStorage (early persist)...');
+        this.saveTradeDatabase();
+        this.saveCurrentData();
+        console.log('✅ Early localStorage save completed');
 
-                console.log('✅ Dashboard update completed');
+        // Step 7: UI Update with timeout protection
+        console.log('📊 Step 7: Updating dashboard...');
+        console.log('⏱️ Starting dashboard update operation...');
 
-            } catch (dashboardError) {
-                console.error('❌ Dashboard update error:', dashboardError);
+        const finalSummary = this.currentData.tradeResult.summary;
+        const finalTrades = this.currentData.tradeResult.trades;
 
-                // Always ensure UI is cleaned up, even if dashboard update fails
-                console.log('🧹 Cleaning up UI state after dashboard error...');
-                this.uiController.hideLoading();
-                this.uiController.hideUploadStatus();
+        try {
+            if (!finalSummary || !finalTrades) {
+                throw new Error('Invalid trade result data structure');
+            }
 
-                // Try individual component updates with safety checks
-                console.log('🔄 Attempting individual component updates...');
-                try {
-                    if (finalSummary) {
-                        console.log('📊 Updating summary cards...');
-                        this.uiController.updateSummaryCards(finalSummary);
-                    }
-                    if (finalTrades && finalTrades.length > 0) {
-                        console.log('📋 Updating tables...');
-                        this.uiController.updateDashboardTable(finalTrades);
-                        this.uiController.updateTradesTable();
-                    }
-                    console.log('🎯 Showing dashboard...');
-                    this.uiController.showDashboard();
-                    console.log('✅ Individual component updates completed');
+            await Promise.race([
+                Promise.resolve(this.uiController.updateDashboard(finalTrades, finalSummary)),
+                new Promise((_, reject) =>
+                    setTimeout(() => reject(new Error('Dashboard update timeout (30s)')), 30000)
+                )
+            ]);
 
-                    // Show success message with deduplication stats
-                    const statsMessage = this.formatUploadStatsMessage(deduplicationResult, finalTrades.length);
-                    this.uiController.showToast(statsMessage, 'success');
+            console.log('✅ Dashboard update completed');
 
-                } catch (componentError) {
-                    console.error('❌ Component update error:', componentError);
+        } catch (dashboardError) {
+            console.error('❌ Dashboard update error:', dashboardError);
 
-                    // Still cleanup UI and show partial success
-                    this.uiController.hideLoading();
-                    this.uiController.hideUploadStatus();
-                    this.uiController.showToast('Data processed successfully, but dashboard display may be incomplete.', 'warning');
+            // Always ensure UI is cleaned up, even if dashboard update fails
+            console.log('🧹 Cleaning up UI state after dashboard error...');
+            this.uiController.hideLoading();
+            this.uiController.hideUploadStatus();
+
+            // Try individual component updates with safety checks
+            console.log('🔄 Attempting individual component updates...');
+            try {
+                if (finalSummary) {
+                    console.log('📊 Updating summary cards...');
+                    this.uiController.updateSummaryCards(finalSummary);
                 }
-            }
+                if (finalTrades && finalTrades.length > 0) {
+                    console.log('📋 Updating tables...');
+                    this.uiController.updateDashboardTable(finalTrades);
+                    this.uiController.updateTradesTable();
+                }
+                console.log('🎯 Showing dashboard...');
+                this.uiController.showDashboard();
+                console.log('✅ Individual component updates completed');
 
-            // Step 8: Data already saved in Step 6b (before UI update)
-            console.log('💾 Step 8: Data already persisted to localStorage ✅');
+                // Show success message with deduplication stats
+                const statsMessage = this.formatUploadStatsMessage(deduplicationResult, finalTrades.length);
+                this.uiController.showToast(statsMessage, 'success');
 
-            // Step 9: Sync uploaded CSV to Firebase (cross-device persistence)
-            if (typeof FirebaseSync !== 'undefined') {
-                console.log('🔄 Step 9: Syncing CSV to Firebase...');
-                FirebaseSync.pushCSV(csvContent, format).then(result => {
-                    if (result.success) {
-                        this.uiController.showToast(result.message, 'success');
-                    } else {
-                        console.warn('⚠️ Firebase CSV sync failed:', result.message);
-                    }
-                });
-            }
+            } catch (componentError) {
+                console.error('❌ Component update error:', componentError);
 
-            // Step 9b: Log this upload to upload history
-            this.logUploadHistory(file.name, format, deduplicationResult.newTrades, deduplicationResult.duplicates);
-            // Refresh history UI if visible
-            if (typeof this.uiController.renderUploadHistory === 'function') {
-                this.uiController.renderUploadHistory(this.getUploadHistory());
+                // Still cleanup UI and show partial success
+                this.uiController.hideLoading();
+                this.uiController.hideUploadStatus();
+                this.uiController.showToast('Data processed successfully, but dashboard display may be incomplete.', 'warning');
             }
+        }
 
-            // Step 10: No page reload needed — dashboard is already showing the new data
+        // Step 8: Data already saved in Step 6b (before UI update)
+        console.log('💾 Step 8: Data already persisted to localStorage ✅');
+
+        // Step 9: Sync uploaded CSV to Firebase (cross-device persistence)
+        // Very large streamed imports come back without content and stay local
+        if (!csvContent) {
+            console.log('⏭️ Step 9: File too large to sync — skipping Firebase CSV push');
+        } else if (typeof FirebaseSync !== 'undefined') {
+            console.log('🔄 Step 9: Syncing CSV to Firebase...');
+            FirebaseSync.pushCSV(csvContent, format, excludedLines).then(result => {
+                if (result.success) {
+                    this.uiController.showToast(result.message, 'success');
+                } else {
+                    console.warn('⚠️ Firebase CSV sync failed:', result.message);
+                }
+            });
+        }
 
-            const totalTime = Date.now() - startTime;
-            console.log(`🎉 Processing completed successfully in ${totalTime}ms`);
-            console.log('✅ All processing steps completed!');
+        // Step 9b: Log this upload to upload history
+        this.logUploadHistory(file.name, format, deduplicationResult.newTrades, deduplicationResult.duplicates, batchId, openLots ? openLotsBefore : null);
+        // Refresh history UI if visible
+        if (typeof this.uiController.renderUploadHistory === 'function') {
+            this.uiController.renderUploadHistory(this.getUploadHistory());
+        }
 
-            return this.currentData.tradeResult;
+        // Step 10: No page reload needed — dashboard is already showing the new data
 
-        } catch (error) {
-            const totalTime = Date.now() - startTime;
-            console.error(`❌ File processing error after ${totalTime}ms:`, error);
-            console.error('📍 Error stack:', error.stack);
+        const totalTime = Date.now() - startTime;
+        console.log(`🎉 Processing completed successfully in ${totalTime}ms`);
+        console.log('✅ All processing steps completed!');
 
-            this.uiController.hideLoading();
-            this.uiController.hideUploadStatus();
-            throw error;
+        return this.currentData.tradeResult;
+    }
+
+    /**
+     * Whether uploads can be parsed in the import worker.
+     * Browsers refuse to start workers from file:// pages, so those fall back to the main thread.
+     */
+    canUseImportWorker() {
+        return typeof Worker !== 'undefined' && window.location.protocol !== 'file:';
+    }
+
+    /**
+     * Read, parse and match a file in the import worker.
+     * Progress feeds showUploadStatus; cancelImport() terminates the worker.
+     * Resolves with { content, parseResult, tradeResult } — content is null for files too large to sync.
+     */
+    runImportWorker(file, format, dateOptions = null, accountId = null) {
+        const account = this.csvParser.getBrokerLabel(format);
+        const scriptUrl = (name) => {
+            const el = document.querySelector(`script[src*="${name}"]`);
+            return el ? el.src : new URL(`js/${name}`, window.location.href).href;
+        };
+        const stageLabels = {
+            read: 'Reading file',
+            parse: 'Parsing CSV data',
+            match: 'Matching trades',
+            calculate: 'Calculating trades'
+        };
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(this.IMPORT_WORKER_URL);
+            let started = false;
+            const finish = () => {
+                worker.terminate();
+                this.activeImport = null;
+                this.uiController.setImportCancelHandler(null);
+            };
+            this.activeImport = { worker, reject: (error) => { finish(); reject(error); } };
+            this.uiController.setImportCancelHandler(() => this.cancelImport());
+
+            worker.onmessage = (e) => {
+                const msg = e.data;
+                started = true;
+                if (msg.type === 'progress') {
+                    const percent = msg.total > 0 ? Math.round((msg.done / msg.total) * 100) : 0;
+                    this.uiController.showUploadStatus(`${stageLabels[msg.stage] || 'Processing'}... ${percent}%`, percent);
+                } else if (msg.type === 'done') {
+                    finish();
+                    resolve({ content: msg.content, parseResult: msg.parseResult, tradeResult: msg.tradeResult });
+                } else if (msg.type === 'error') {
+                    finish();
+                    reject(new Error(msg.message));
+                }
+            };
+            worker.onerror = (e) => {
+                finish();
+                const error = new Error(e.message || 'Import worker failed to start');
+                // A worker that never reported back (e.g. script blocked) lets processFile fall back
+                error.workerUnavailable = !started;
+                reject(error);
+            };
+
+            worker.postMessage({
+                type: 'start',
+                file,
+                format,
+                dateOptions,
+                scripts: [scriptUrl('timeZone.js'), scriptUrl('csvParser.js'), scriptUrl('tradeCalculator.js')],
+                profiles: this.csvParser.getImportProfiles(),
+                openLots: this.getOpenLots(account, accountId),
+                matchingMethod: this.getMatchingMethod(account, accountId),
+                contractSpecs: this.tradeCalculator.customSpecs,
+                commissionSchedules: this.tradeCalculator.commissionSchedules,
+                maxContentSize: this.csvParser.MAX_FILE_SIZE
+            });
+        });
+    }
+
+    /**
+     * Stop the running background import, if any
+     */
+    cancelImport() {
+        if (!this.activeImport) return;
+        console.log('🛑 Import cancelled by user');
+        const error = new Error('Import cancelled');
+        error.cancelled = true;
+        this.activeImport.reject(error);
+    }
+
+    /**
+     * Read, parse and match a file on the main thread (fallback when workers are unavailable)
+     */
+    async parseFileOnMainThread(file, format, dateOptions = null, accountId = null) {
+        const account = this.csvParser.getBrokerLabel(format);
+        // Step 2: File Reading with timeout protection
+        console.log('📖 Step 2: Reading file content...');
+        console.log('⏱️ Starting FileReader operation...');
+
+        const csvContent = await Promise.race([
+            this.csvParser.readFileContent(file),
+            new Promise((_, reject) =>
+                setTimeout(() => reject(new Error('File reading timeout (30s)')), 30000)
+            )
+        ]);
+
+        console.log('✅ File content read successfully');
+        console.log(`📝 Content length: ${csvContent.length} characters`);
+        console.log(`📋 First 200 chars: ${csvContent.substring(0, 200)}...`);
+
+        this.uiController.showUploadStatus('Parsing CSV data...');
+
+        // Step 3: CSV Parsing with timeout protection
+        console.log('🔍 Step 3: Parsing CSV data...');
+        console.log('⏱️ Starting CSV parsing operation...');
+
+        const parseResult = await Promise.race([
+            this.csvParser.parseCSV(csvContent, format, dateOptions),
+            new Promise((_, reject) =>
+                setTimeout(() => reject(new Error('CSV parsing timeout (30s)')), 30000)
+            )
+        ]);
+
+        if (parseResult.orders.length === 0) {
+            return { content: csvContent, parseResult, tradeResult: { trades: [] } };
         }
+
+        this.uiController.showUploadStatus('Calculating trades...');
+
+        // Step 4: Trade Calculation with timeout protection
+        console.log('🧮 Step 4: Calculating trades...');
+        console.log('⏱️ Starting trade calculation operation...');
+
+        const tradeResult = await Promise.race([
+            Promise.resolve(this.tradeCalculator.processOrders(parseResult.orders, this.getOpenLots(account, accountId), {
+                method: this.getMatchingMethod(account, accountId)
+            })),
+            new Promise((_, reject) =>
+                setTimeout(() => reject(new Error('Trade calculation timeout (30s)')), 30000)
+            )
+        ]);
+
+        return { content: csvContent, parseResult, tradeResult };
     }
 
     /**
@@ -658,7 +981,7 @@ class TradleApp {
             this.uiController.showUploadStatus('Processing sample data...');
 
             // Process the sample data
-            await this.processFile(mockFile, 'tradingview');
+            await this.processFile(mockFile, 'tradingview', null, { preview: false });
 
             this.uiController.showToast('Sample data loaded successfully! This represents real TradingView paper trading data.', 'success');
 
@@ -873,22 +1196,11 @@ class TradleApp {
                     });
 
                     this.tradeDatabase.trades = [...database.trades]; // Create fresh array
+                    this.tradeDatabase.openLots = this.reviveOpenLots(database.openLots);
                     this.tradeDatabase.lastUpdated = database.lastUpdated || null;
 
-                    // Rebuild Order ID set from existing trades using pair keys.
-                    // Pair keys (entryId__exitId) let the same entry order appear in multiple
-                    // FIFO partial trades without blocking them as duplicates.
-                    this.tradeDatabase.orderIds = new Set();
-                    database.trades.forEach(trade => {
-                        const eId = trade.entryOrderId || '';
-                        const xId = trade.exitOrderId  || '';
-                        if (eId && xId) {
-                            this.tradeDatabase.orderIds.add(`${eId}__${xId}`);
-                        } else {
-                            if (eId) this.tradeDatabase.orderIds.add(eId);
-                            if (xId) this.tradeDatabase.orderIds.add(xId);
-                        }
-                    });
+                    // Rebuild Order ID set from existing trades using pair keys
+                    this.rebuildOrderIds();
 
                     console.log(`📂 ✅ LOADED ${this.tradeDatabase.trades.length} trades from database`);
                     console.log(`🔐 ✅ TRACKING ${this.tradeDatabase.orderIds.size} unique Order IDs`);
@@ -906,12 +1218,12 @@ class TradleApp {
                     // commission fallback was re-enabled for blank-CSV paper trading).
                     let commissionBackfilled = 0;
                     this.tradeDatabase.trades.forEach(trade => {
-                        if (!trade.totalCommission && trade.grossProfit !== undefined) {
+                        if (!trade.totalCommission && trade.grossProfit !== undefined && !trade.manual) {
                             const specs = this.tradeCalculator.getContractSpecs(trade.contract || trade.symbol || '');
                             if (specs.commission > 0) {
                                 const qty = trade.quantity || 1;
                                 trade.totalCommission = specs.commission * 2 * qty;
-                                trade.netProfit = (trade.grossProfit || 0) - trade.totalCommission;
+                                trade.netProfit = (trade.grossProfit || 0) - trade.totalCommission + (trade.swap || 0);
                                 trade.returnValue = Math.round(trade.netProfit);
                                 commissionBackfilled++;
                             }
@@ -958,17 +1270,7 @@ class TradleApp {
                                 return d < '2026-02-24';
                             });
                             // Rebuild orderIds without the removed Feb-24 trades
-                            this.tradeDatabase.orderIds = new Set();
-                            this.tradeDatabase.trades.forEach(trade => {
-                                const eId = trade.entryOrderId || '';
-                                const xId = trade.exitOrderId  || '';
-                                if (eId && xId) {
-                                    this.tradeDatabase.orderIds.add(`${eId}__${xId}`);
-                                } else {
-                                    if (eId) this.tradeDatabase.orderIds.add(eId);
-                                    if (xId) this.tradeDatabase.orderIds.add(xId);
-                                }
-                            });
+                            this.rebuildOrderIds();
                             console.log(`🧹 v21 cleanup: removed ${beforeV21} partial Feb-24 trades — will re-sync from Firebase`);
                             this.saveTradeDatabase();
                             // Signal initialize() to re-pull Firebase now that the conflicting
@@ -1017,6 +1319,9 @@ class TradleApp {
                         this.saveTradeDatabase();
                     }
 
+                    // Tags live in the journal (synced with it) — bring in any set on another device
+                    this.applyJournalEntries();
+
                     console.log('🔍 DEBUG: Sample trade:', this.tradeDatabase.trades[0]);
                     return true;
                 } else {
@@ -1032,6 +1337,7 @@ class TradleApp {
             this.tradeDatabase = {
                 trades: [],
                 orderIds: new Set(),
+                openLots: [],
                 lastUpdated: null
             };
             return false;
@@ -1048,6 +1354,7 @@ class TradleApp {
 
             const databaseToSave = {
                 trades: this.tradeDatabase.trades,
+                openLots: this.getOpenLots(),
                 lastUpdated: new Date().toISOString(),
                 version: '1.0',
                 totalTrades: this.tradeDatabase.trades.length
@@ -1082,9 +1389,10 @@ class TradleApp {
     }
 
     /**
-     * Merge new trades with existing database using Order ID deduplication
+     * Merge new trades with existing database using Order ID deduplication.
+     * batchId tags every added trade with the import it came from (see undoImport)
      */
-    mergeTradesWithDatabase(newTrades, newOrders) {
+    mergeTradesWithDatabase(newTrades, newOrders, batchId = null) {
         console.log('🔍 Starting Order ID-based deduplication...');
         console.log(`📥 Input: ${newTrades.length} new trades, ${newOrders.length} orders`);
         console.log(`📊 Existing database: ${this.tradeDatabase.trades.length} trades, ${this.tradeDatabase.orderIds.size} Order IDs`);
@@ -1117,7 +1425,7 @@ class TradleApp {
                 const fallbackIds = this.extractTradeOrderIds(trade, newOrders);
                 if (fallbackIds.length === 0) {
                     console.warn(`⚠️ Trade ${index + 1}: No Order IDs found, skipping deduplication check`);
-                    const enhancedTrade = { ...trade, id: this.generateTradeId() };
+                    const enhancedTrade = { ...trade, id: this.generateTradeId(), importBatchId: batchId };
                     this.tradeDatabase.trades.push(enhancedTrade);
                     addedTrades.push(enhancedTrade);
                     newTradeCount++;
@@ -1131,7 +1439,7 @@ class TradleApp {
                     ? trade.id : this.generateTradeId();
                 const enhancedTrade = { ...trade, id: tradeId,
                     entryOrderId: fallbackIds[0] || null, exitOrderId: fallbackIds[1] || null,
-                    allOrderIds: fallbackIds };
+                    allOrderIds: fallbackIds, importBatchId: batchId };
                 this.tradeDatabase.trades.push(enhancedTrade);
                 addedTrades.push(enhancedTrade);
                 fallbackIds.forEach(id => this.tradeDatabase.orderIds.add(id));
@@ -1156,7 +1464,8 @@ class TradleApp {
                 id: tradeId,
                 entryOrderId: entryId,
                 exitOrderId: exitId,
-                allOrderIds: [entryId, exitId]
+                allOrderIds: [entryId, exitId],
+                importBatchId: batchId
             };
 
             this.tradeDatabase.trades.push(enhancedTrade);
@@ -1183,6 +1492,32 @@ class TradleApp {
         };
     }
 
+    /**
+     * Dry run of mergeTradesWithDatabase: indices of the trades it would skip as duplicates.
+     * Uses the same pair keys (or fallback Order IDs) against a copy of the tracked IDs.
+     */
+    findDuplicateTrades(newTrades, newOrders) {
+        const seen = new Set(this.tradeDatabase.orderIds);
+        const duplicates = new Set();
+
+        newTrades.forEach((trade, index) => {
+            const entryId = trade.entryOrderId || trade.entryOrder?.orderId || '';
+            const exitId  = trade.exitOrderId  || trade.exitOrder?.orderId  || '';
+            const keys = (entryId && exitId)
+                ? [`${entryId}__${exitId}`]
+                : this.extractTradeOrderIds(trade, newOrders);
+            if (keys.length === 0) return;
+
+            if (keys.some(key => seen.has(key))) {
+                duplicates.add(index);
+            } else {
+                keys.forEach(key => seen.add(key));
+            }
+        });
+
+        return duplicates;
+    }
+
     /**
      * Extract Order IDs associated with a trade.
      * Reads them directly from the trade object (set by tradeCalculator from the CSV).
@@ -1245,6 +1580,13 @@ class TradleApp {
         return 'trade_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
+    /**
+     * Generate an id shared by every trade one import adds
+     */
+    generateImportBatchId() {
+        return 'batch_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
     /**
      * Format upload statistics message
      */
@@ -1261,17 +1603,20 @@ class TradleApp {
     }
 
     /**
-     * Log a successful CSV upload to the upload history
+     * Log a successful CSV upload to the upload history.
+     * openLotsBefore is the open-position state the import replaced, restored if it is undone.
      */
-    logUploadHistory(filename, format, newTrades, duplicates) {
+    logUploadHistory(filename, format, newTrades, duplicates, batchId = null, openLotsBefore = null) {
         try {
             const history = JSON.parse(localStorage.getItem('tradle_upload_history') || '[]');
             history.push({
                 filename,
-                format: format === 'ibkr' ? 'IBKR' : 'TradingView',
+                format: this.csvParser.getBrokerLabel(format),
                 date: new Date().toISOString(),
                 newTrades,
-                duplicates
+                duplicates,
+                batchId,
+                openLotsBefore
             });
             localStorage.setItem('tradle_upload_history', JSON.stringify(history));
             console.log(`📜 Upload history logged: ${filename}`);
@@ -1281,21 +1626,29 @@ class TradleApp {
     }
 
     /**
-     * Delete a single upload history entry by index
+     * Delete a single upload history entry by index, together with the trades that import added.
+     * Entries logged before imports carried a batch id can't be traced, so those clear the database.
      */
     deleteUploadHistoryEntry(index) {
         try {
             const history = this.getUploadHistory();
-            if (index >= 0 && index < history.length) {
+            const entry = history[index];
+            if (!entry) return history;
+
+            if (entry.batchId) {
+                if (!entry.undone) this.undoImport(entry.batchId);
                 history.splice(index, 1);
                 localStorage.setItem('tradle_upload_history', JSON.stringify(history));
+                return history;
             }
 
-            // Trades cannot be traced back to individual imports, so removing
-            // any import requires clearing the full trade database.
+            history.splice(index, 1);
+            localStorage.setItem('tradle_upload_history', JSON.stringify(history));
+
             this.tradeDatabase = {
                 trades: [],
                 orderIds: new Set(),
+                openLots: [],
                 lastUpdated: null
             };
             this.currentData = null;
@@ -1314,77 +1667,1321 @@ class TradleApp {
     }
 
     /**
-     * Get the upload history array
+     * Undo an import: remove exactly the trades tagged with its batch id and their Order IDs,
+     * mark the history entry as undone, refresh the dashboard and sync the removal.
+     * Returns the number of trades removed.
      */
-    getUploadHistory() {
-        try {
-            return JSON.parse(localStorage.getItem('tradle_upload_history') || '[]');
-        } catch {
-            return [];
+    undoImport(batchId) {
+        const before = this.tradeDatabase.trades.length;
+        this.tradeDatabase.trades = this.tradeDatabase.trades.filter(t => t.importBatchId !== batchId);
+        const removed = before - this.tradeDatabase.trades.length;
+        this.rebuildOrderIds();
+
+        const history = this.getUploadHistory();
+        // Open positions only roll back for the latest import — later ones were matched on top of them
+        const live = history.filter(h => h.batchId && !h.undone);
+        const latest = live[live.length - 1];
+        if (latest && latest.batchId === batchId && Array.isArray(latest.openLotsBefore)) {
+            this.tradeDatabase.openLots = this.reviveOpenLots(latest.openLotsBefore);
+        } else if (live.some(h => h.batchId === batchId)) {
+            console.warn(`⚠️ Import ${batchId} was followed by other imports — open positions left as they are`);
         }
+        history.forEach(h => {
+            if (h.batchId === batchId) h.undone = true;
+        });
+        localStorage.setItem('tradle_upload_history', JSON.stringify(history));
+
+        this.saveTradeDatabase(); // persists + pushes the smaller database to Firebase
+        this.refreshDashboard();
+
+        console.log(`↩️ Import ${batchId} undone: ${removed} trades removed`);
+        this.uiController.showToast(`Import undone — ${removed} trade${removed === 1 ? '' : 's'} removed`, 'info');
+        return removed;
     }
 
     /**
-     * Clear all trade database data
+     * Recalculate the summary from the trade database and redraw the dashboard
      */
-    clearTradeDatabase() {
-        this.tradeDatabase = {
-            trades: [],
-            orderIds: new Set(),
-            lastUpdated: null
-        };
-        localStorage.removeItem('tradle_trade_database');
-        this.currentData = null;
-        localStorage.removeItem('tradle_current_data');
-
-        this.uiController.hideDashboard();
-        this.uiController.showToast('Trade data cleared. Restoring sample data...', 'info');
-        console.log('🗑️ Trade database cleared');
+    refreshDashboard() {
+        if (this.tradeDatabase.trades.length === 0) {
+            this.currentData = null;
+            localStorage.removeItem('tradle_current_data');
+            this.uiController.hideDashboard();
+            return;
+        }
 
-        // Immediately reload sample data so the dashboard is restored
-        this.autoLoadDefaultCSV();
+        const summary = this.tradeCalculator.generateSummary(this.tradeDatabase.trades);
+        if (this.currentData) {
+            this.currentData.tradeResult = { trades: this.tradeDatabase.trades, summary };
+            this.saveCurrentData();
+        }
+        this.uiController.updateDashboard(this.tradeDatabase.trades, summary, { quiet: true });
     }
 
+    // ===== Manual Trades =====
+
     /**
-     * Nuclear reset: clear EVERYTHING — trades, journals, screenshots, risk settings, upload history
+     * Create a trade by hand, or edit an existing one (tradeId). P&L runs through
+     * TradeCalculator.calculateTrade and the result is flagged `manual`.
+     * Edits keep the trade's id and Order IDs, so journal notes stay attached and a
+     * re-import of the original file still sees it as a duplicate instead of adding it back.
      */
-    async resetEverything() {
-        // Double-confirm
-        const pass1 = confirm(
-            '⚠️ FULL RESET\n\n' +
-            'This will permanently delete ALL your data:\n' +
-            '• All trades\n' +
-            '• All journal notes\n' +
-            '• All screenshots\n' +
-            '• Upload history\n' +
-            '• Risk settings\n\n' +
-            'This action CANNOT be undone.\n\nContinue?'
+    saveManualTrade(fields, tradeId = null) {
+        const index = tradeId ? this.tradeDatabase.trades.findIndex(t => t.id === tradeId) : -1;
+        if (tradeId && index === -1) throw new Error('Trade not found');
+        const existing = index !== -1 ? this.tradeDatabase.trades[index] : null;
+
+        const trade = this.tradeCalculator.buildManualTrade(
+            {
+                ...fields,
+                // Contract metadata the form doesn't show carries over from the original
+                multiplier: existing ? existing.multiplier : null,
+                swap: existing ? existing.swap : 0,
+                plannedStop: existing ? existing.plannedStop ?? null : null,
+                plannedTarget: existing ? existing.plannedTarget ?? null : null
+            },
+            existing ? { id: existing.id, entryOrderId: existing.entryOrderId, exitOrderId: existing.exitOrderId } : {}
         );
-        if (!pass1) return;
+        trade.notes = fields.notes ?? (existing ? existing.notes : '');
+        trade.tags = existing ? existing.tags : '';
+        trade.importBatchId = existing ? existing.importBatchId || null : null;
+        trade.accountId = fields.accountId !== undefined ? fields.accountId || null : (existing ? existing.accountId || null : null);
+        trade.allOrderIds = existing && existing.allOrderIds ? existing.allOrderIds : [trade.entryOrderId, trade.exitOrderId];
+        if (existing) {
+            ['expiry', 'contractMonth', 'conid', 'currency', 'lots'].forEach(k => {
+                if (existing[k] && existing.contract === trade.contract) trade[k] = existing[k];
+            });
+            this.tradeDatabase.trades[index] = trade;
+        } else {
+            this.tradeDatabase.trades.push(trade);
+        }
+        this.tradeDatabase.orderIds.add(`${trade.entryOrderId}__${trade.exitOrderId}`);
 
-        const pass2 = confirm(
-            '🚨 FINAL CONFIRMATION\n\n' +
-            'Are you ABSOLUTELY sure?\n' +
-            'Type OK to wipe everything.'
-        );
-        if (!pass2) return;
+        console.log(`✏️ Manual trade ${existing ? 'updated' : 'added'}: ${trade.contract} ${trade.side} × ${trade.quantity} → ${trade.netProfit.toFixed(2)}`);
+        this.saveTradeDatabase(); // persists + pushTradeDatabase
+        this.refreshDashboard();
+        return trade;
+    }
 
-        console.log('🗑️ Full reset initiated by user');
+    /**
+     * Delete a single trade from the database
+     */
+    deleteTrade(tradeId) {
+        const before = this.tradeDatabase.trades.length;
+        this.tradeDatabase.trades = this.tradeDatabase.trades.filter(t => t.id !== tradeId);
+        if (this.tradeDatabase.trades.length === before) return false;
+
+        this.rebuildOrderIds();
+        console.log(`🗑️ Trade ${tradeId} deleted`);
+        this.saveTradeDatabase();
+        this.refreshDashboard();
+        return true;
+    }
 
-        // 1. Clear trade database
-        this.tradeDatabase = { trades: [], orderIds: new Set(), lastUpdated: null };
-        localStorage.removeItem('tradle_trade_database');
-        this.currentData = null;
-        localStorage.removeItem('tradle_current_data');
+    // ===== Open Positions =====
 
-        // 2. Clear all journal entries
-        const keysToRemove = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('tradle_journal_')) keysToRemove.push(key);
-        }
-        keysToRemove.forEach(k => localStorage.removeItem(k));
-        console.log(`🗑️ Cleared ${keysToRemove.length} journal entries`);
+    /**
+     * Lots left open by earlier imports, in the shape TradeCalculator.matchTrades takes back.
+     * With an account, only that account's lots (plus any stored before lots carried one);
+     * with an accountId as well, only the lots in that named account (null = in none).
+     */
+    getOpenLots(account = null, accountId = undefined) {
+        const lots = this.tradeDatabase.openLots || [];
+        if (!account) return lots;
+        return lots.filter(l => (!l.account || l.account === account) &&
+            (accountId === undefined || (l.accountId || null) === (accountId || null)));
+    }
+
+    /**
+     * Turn stored lots back into matchable ones — JSON (localStorage, Firebase) flattens the order dates
+     */
+    reviveOpenLots(lots) {
+        if (!Array.isArray(lots)) return [];
+        return lots
+            .filter(lot => lot && lot.key && lot.order && lot.qty > 0)
+            .map(lot => ({
+                ...lot,
+                closedBy: lot.closedBy || [],
+                order: this.tradeCalculator.reviveOrder(lot.order)
+            }));
+    }
+
+    /**
+     * Open lots grouped per account and position (symbol, or contract when the broker gave a conid)
+     * for the dashboard
+     */
+    getOpenPositions() {
+        const byKey = new Map();
+        this.getOpenLots().forEach(lot => {
+            const group = `${lot.account || ''}|${lot.accountId || ''}|${lot.key}`;
+            if (!byKey.has(group)) byKey.set(group, []);
+            byKey.get(group).push(lot);
+        });
+
+        return [...byKey.values()].map(lots => {
+            const qty = lots.reduce((s, l) => s + l.qty, 0);
+            const first = lots[0].order;
+            return {
+                key: lots[0].key,
+                account: lots[0].account || '',
+                accountId: lots[0].accountId || null,
+                symbol: first.symbol,
+                contract: (first.symbol || '').replace(/^[A-Z0-9_]+:/, '') || first.symbol,
+                side: first.side.toLowerCase() === 'buy' ? 'LONG' : 'SHORT',
+                qty,
+                avgPrice: lots.reduce((s, l) => s + l.qty * l.price, 0) / qty,
+                openedAt: first.placingTime,
+                expiry: first.expiry || '',
+                contractMonth: first.contractMonth || '',
+                lots: lots.length
+            };
+        });
+    }
+
+    /**
+     * Forget an open position (e.g. it was closed somewhere no export covers).
+     * A later exit order for it will then open a new position instead of closing this one.
+     */
+    discardOpenPosition(key, account = '', accountId = null) {
+        const before = this.getOpenLots().length;
+        this.tradeDatabase.openLots = this.getOpenLots()
+            .filter(l => l.key !== key || (l.account || '') !== account || (l.accountId || null) !== accountId);
+        if (this.tradeDatabase.openLots.length === before) return false;
+
+        console.log(`🗑️ Open position ${key} discarded`);
+        this.saveTradeDatabase();
+        this.uiController.renderOpenPositions();
+        return true;
+    }
+
+    // ===== Lot Matching =====
+
+    /**
+     * Saved matching methods by account. Stored as { methods, updatedAt } so sync can tell the
+     * newer copy apart; saves from before that are the bare map.
+     */
+    getMatchingMethods() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('tradle_matching_methods') || '{}');
+            return saved.updatedAt ? (saved.methods || {}) : saved;
+        } catch {
+            return {};
+        }
+    }
+
+    /**
+     * Matching method for an account (broker label) — a named account's own method (saved under
+     * its id) wins over the broker's; FIFO unless changed
+     */
+    getMatchingMethod(account, accountId = null) {
+        const saved = this.getMatchingMethods();
+        const valid = (key) => key && this.tradeCalculator.MATCHING_METHODS[saved[key]];
+        if (valid(accountId)) return saved[accountId];
+        return valid(account) ? saved[account] : 'fifo';
+    }
+
+    /**
+     * Remember a matching method for a named account (accountId) or, without one, the broker
+     * label; it applies to the next import and to recalculateMatching
+     */
+    saveMatchingMethod(account, method, accountId = null) {
+        if (!this.tradeCalculator.MATCHING_METHODS[method]) throw new Error(`Unknown matching method: ${method}`);
+        const methods = { ...this.getMatchingMethods(), [accountId || account]: method };
+        localStorage.setItem('tradle_matching_methods', JSON.stringify({ methods, updatedAt: new Date().toISOString() }));
+        if (typeof FirebaseSync !== 'undefined') FirebaseSync.scheduleJournalSync();
+        console.log(`⚙️ Matching method for ${accountId || account}: ${this.tradeCalculator.MATCHING_METHODS[method]}`);
+    }
+
+    /**
+     * Accounts with imported trades or open lots — one row per broker label and named account
+     * (accountId null = in none) — with their trade count and matching method
+     */
+    getMatchingAccounts() {
+        const rows = new Map();
+        const row = (account, accountId) => {
+            const key = `${account}|${accountId || ''}`;
+            if (!rows.has(key)) rows.set(key, { account, accountId: accountId || null, trades: 0 });
+            return rows.get(key);
+        };
+        this.tradeDatabase.trades.forEach(t => {
+            if (t.manual || !t.broker) return;
+            row(t.broker, t.accountId).trades++;
+        });
+        this.getOpenLots().forEach(l => {
+            if (l.account) row(l.account, l.accountId);
+        });
+        return [...rows.values()]
+            .map(r => ({
+                ...r,
+                accountName: (this.getAccount(r.accountId) || {}).name || '',
+                method: this.getMatchingMethod(r.account, r.accountId)
+            }))
+            .sort((a, b) => a.account.localeCompare(b.account) || a.accountName.localeCompare(b.accountName));
+    }
+
+    /**
+     * "Broker · Account" for a getMatchingAccounts / getCommissionAccounts row
+     */
+    accountRowLabel(row) {
+        return row.accountName ? `${row.account} · ${row.accountName}` : row.account;
+    }
+
+    /**
+     * Re-match an account's imported trades and open lots from their raw fills with the account's
+     * current matching method. Manual trades are left alone; notes, tags and import batches carry
+     * over by trade id, else from the trade that held the same exit fill. Each named account the
+     * broker's trades are in is matched on its own, with its own method; an accountId (null = in
+     * none) re-matches just that one.
+     * Returns { before, after } trade counts.
+     */
+    recalculateMatching(account, accountId = undefined) {
+        const calc = this.tradeCalculator;
+        const inScope = (x) => accountId === undefined || (x.accountId || null) === (accountId || null);
+        const isAccountTrade = (t) => t.broker === account && inScope(t) && !t.manual && t.entryOrder && t.exitOrder;
+        const oldTrades = this.tradeDatabase.trades.filter(isAccountTrade);
+        const lots = this.getOpenLots(account, accountId);
+
+        const trades = [];
+        const openLots = [];
+        const methods = new Set();
+        new Set([...oldTrades, ...lots].map(x => x.accountId || null)).forEach(id => {
+            const inAccount = (x) => (x.accountId || null) === id;
+            const fills = calc.uniqueFills([
+                ...oldTrades.filter(inAccount).flatMap(t => calc.tradeFills(t)),
+                ...lots.filter(inAccount).flatMap(l => calc.orderFills(l.order))
+            ]).map(f => calc.reviveOrder(f));
+            if (fills.length === 0) return;
+
+            const method = this.getMatchingMethod(account, id);
+            methods.add(calc.MATCHING_METHODS[method]);
+            const result = calc.processOrders(fills, [], { method });
+            result.trades.forEach(t => {
+                t.broker = account;
+                t.accountId = id;
+            });
+            trades.push(...result.trades);
+            openLots.push(...result.openLots.map(l => ({ ...l, account, accountId: id })));
+        });
+        if (trades.length === 0 && openLots.length === 0) return { before: 0, after: 0 };
+
+        const byId = new Map(oldTrades.map(t => [t.id, t]));
+        const byExit = new Map(oldTrades.map(t => [t.exitOrderId, t]));
+        trades.forEach(t => {
+            const old = byId.get(t.id) || byExit.get(t.exitOrderId);
+            if (!old) return;
+            t.notes = old.notes || '';
+            t.tags = old.tags || '';
+            t.importBatchId = old.importBatchId || null;
+        });
+
+        this.tradeDatabase.trades = [...this.tradeDatabase.trades.filter(t => !isAccountTrade(t)), ...trades];
+        this.tradeDatabase.openLots = [
+            ...this.getOpenLots().filter(l => l.account && !(l.account === account && inScope(l))),
+            ...openLots
+        ];
+        this.rebuildOrderIds();
+        // Stops and targets set by hand live in the journal
+        this.applyJournalEntries();
+
+        console.log(`🔁 ${account} re-matched (${[...methods].join(', ')}): ${oldTrades.length} → ${trades.length} trades`);
+        this.saveTradeDatabase();
+        this.refreshDashboard();
+        return { before: oldTrades.length, after: trades.length };
+    }
+
+    // ===== Contract Specs =====
+
+    /**
+     * Apply the user's contract spec edits (tradle_contract_specs) to the trade calculator
+     */
+    loadContractSpecs() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('tradle_contract_specs') || '{}');
+            this.tradeCalculator.customSpecs = saved.specs || {};
+        } catch {
+            this.tradeCalculator.customSpecs = {};
+        }
+        return this.tradeCalculator.customSpecs;
+    }
+
+    /**
+     * Persist the calculator's custom specs and schedule a sync to the other devices
+     */
+    persistContractSpecs() {
+        localStorage.setItem('tradle_contract_specs', JSON.stringify({
+            specs: this.tradeCalculator.customSpecs,
+            updatedAt: new Date().toISOString()
+        }));
+        if (typeof FirebaseSync !== 'undefined') FirebaseSync.scheduleJournalSync();
+    }
+
+    /**
+     * Add or edit an instrument's spec (multiplier, tick size, commission per side, currency,
+     * exchange, session hours). Trades on that symbol are recalculated with the new spec.
+     * Returns the number of trades recalculated.
+     */
+    saveContractSpec(fields) {
+        const calc = this.tradeCalculator;
+        const problems = calc.validateContractSpec(fields);
+        if (problems.length > 0) throw new Error(problems[0]);
+
+        const symbol = calc.specKey(fields.symbol).toUpperCase();
+        calc.customSpecs[symbol] = {
+            name: (fields.name || '').trim() || symbol,
+            multiplier: fields.multiplier,
+            tickSize: fields.tickSize,
+            commission: fields.commission,
+            currency: fields.currency,
+            exchange: (fields.exchange || '').trim(),
+            session: fields.session || ''
+        };
+        this.persistContractSpecs();
+        console.log(`📐 Contract spec saved: ${symbol}`);
+        return this.recalculateSymbolTrades(symbol);
+    }
+
+    /**
+     * Drop the user's edits for a symbol — built-ins go back to their default, added instruments are removed
+     */
+    resetContractSpec(symbol) {
+        if (!this.tradeCalculator.customSpecs[symbol]) return 0;
+        delete this.tradeCalculator.customSpecs[symbol];
+        this.persistContractSpecs();
+        console.log(`📐 Contract spec reset: ${symbol}`);
+        return this.recalculateSymbolTrades(symbol);
+    }
+
+    /**
+     * Re-run calculateTrade for the stored trades on a symbol after its spec changed
+     */
+    recalculateSymbolTrades(symbol) {
+        const calc = this.tradeCalculator;
+        let count = 0;
+        this.tradeDatabase.trades = this.tradeDatabase.trades.map(trade => {
+            if (calc.specKey(trade.contract || trade.symbol) !== symbol || !trade.entryOrder || !trade.exitOrder) return trade;
+            try {
+                count++;
+                return { ...calc.calculateTrade(trade), notes: trade.notes || '', tags: trade.tags || '' };
+            } catch (e) {
+                return trade; // keep original if recalculation fails
+            }
+        });
+
+        if (count > 0) {
+            console.log(`🔄 Recalculated ${count} ${symbol} trades with the new spec`);
+            this.saveTradeDatabase();
+            this.refreshDashboard();
+        }
+        return count;
+    }
+
+    // ===== Commission Schedules =====
+
+    /**
+     * Apply the saved commission schedules (tradle_commission_schedules) to the trade calculator
+     */
+    loadCommissionSchedules() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('tradle_commission_schedules') || '{}');
+            this.tradeCalculator.commissionSchedules = saved.schedules || {};
+        } catch {
+            this.tradeCalculator.commissionSchedules = {};
+        }
+        return this.tradeCalculator.commissionSchedules;
+    }
+
+    /**
+     * Persist the calculator's commission schedules and schedule a sync to the other devices
+     */
+    persistCommissionSchedules() {
+        localStorage.setItem('tradle_commission_schedules', JSON.stringify({
+            schedules: this.tradeCalculator.commissionSchedules,
+            updatedAt: new Date().toISOString()
+        }));
+        if (typeof FirebaseSync !== 'undefined') FirebaseSync.scheduleJournalSync();
+    }
+
+    /**
+     * Accounts with their trade count and commission schedule, if any — one row per broker label
+     * and named account (accountId null = in none). A named account without a schedule of its own
+     * shows the broker's, flagged inherited.
+     */
+    getCommissionAccounts() {
+        const schedules = this.tradeCalculator.commissionSchedules;
+        const rows = new Map();
+        const row = (account, accountId) => {
+            const key = `${account}|${accountId || ''}`;
+            if (!rows.has(key)) rows.set(key, { account, accountId: accountId || null, trades: 0 });
+            return rows.get(key);
+        };
+        this.tradeDatabase.trades.forEach(t => {
+            if (t.broker) row(t.broker, t.accountId).trades++;
+        });
+        const used = new Set([...rows.values()].map(r => r.accountId).filter(Boolean));
+        Object.keys(schedules).forEach(key => {
+            if (this.getAccount(key)) {
+                if (!used.has(key)) row('', key);
+            } else if (!rows.has(`${key}|`)) {
+                row(key, null);
+            }
+        });
+        return [...rows.values()]
+            .map(r => {
+                const own = (r.accountId ? schedules[r.accountId] : schedules[r.account]) || null;
+                return {
+                    ...r,
+                    accountName: (this.getAccount(r.accountId) || {}).name || '',
+                    schedule: own || (r.accountId && schedules[r.account]) || null,
+                    inherited: !own && !!(r.accountId && schedules[r.account])
+                };
+            })
+            .sort((a, b) => a.account.localeCompare(b.account) || a.accountName.localeCompare(b.accountName));
+    }
+
+    /**
+     * Set the commission schedule of a named account (accountId) or, without one, of a broker
+     * label, and re-price the trades it covers that have no CSV commission.
+     * Returns the number of trades recalculated.
+     */
+    saveCommissionSchedule(account, schedule, accountId = null) {
+        const problems = this.tradeCalculator.validateCommissionSchedule(schedule);
+        if (!account && !accountId) problems.unshift('Account is required');
+        if (problems.length > 0) throw new Error(problems[0]);
+
+        this.tradeCalculator.commissionSchedules[accountId || account] = {
+            type: schedule.type,
+            rate: schedule.type === 'fixed' ? schedule.rate : null,
+            tiers: schedule.type === 'tiered' ? schedule.tiers : [],
+            fees: schedule.fees || []
+        };
+        this.persistCommissionSchedules();
+        console.log(`🧾 Commission schedule saved for ${accountId || account} (${this.tradeCalculator.COMMISSION_TYPES[schedule.type]})`);
+        return this.repriceCommissions(account, accountId);
+    }
+
+    /**
+     * Drop an account's schedule — its trades go back to the broker's schedule (named accounts)
+     * or the contract spec rate
+     */
+    removeCommissionSchedule(account, accountId = null) {
+        const key = accountId || account;
+        if (!this.tradeCalculator.commissionSchedules[key]) return 0;
+        delete this.tradeCalculator.commissionSchedules[key];
+        this.persistCommissionSchedules();
+        console.log(`🧾 Commission schedule removed for ${key}`);
+        return this.repriceCommissions(account, accountId);
+    }
+
+    /**
+     * Recalculate an account's trades, save and redraw when any changed
+     */
+    repriceCommissions(account, accountId = null) {
+        const count = this.stampCommissions(account, accountId);
+        if (count > 0) {
+            this.saveTradeDatabase();
+            this.refreshDashboard();
+        }
+        return count;
+    }
+
+    /**
+     * Re-run calculateTrade over an account's trades in exit order, stamping each with
+     * tierVolume — the contracts (both sides) the account traded earlier in the same month —
+     * so tiered schedules price it at the tier it was actually in. With an accountId, that named
+     * account's trades, else the broker label's. Returns the trades updated.
+     */
+    stampCommissions(account, accountId = null) {
+        const calc = this.tradeCalculator;
+        const trades = this.tradeDatabase.trades
+            .filter(t => (accountId ? t.accountId === accountId : t.broker === account) && t.entryOrder && t.exitOrder)
+            .sort((a, b) => new Date(a.exitTime) - new Date(b.exitTime));
+        if (trades.length === 0) return 0;
+
+        const volume = new Map();
+        const updated = new Map();
+        trades.forEach(trade => {
+            // Two named accounts at the same broker each count their own volume
+            const month = `${trade.accountId || ''}|${new Date(trade.exitTime).toISOString().slice(0, 7)}`;
+            const before = volume.get(month) || 0;
+            volume.set(month, before + 2 * (trade.quantity || 0));
+            try {
+                const priced = calc.calculateTrade({ ...trade, tierVolume: before });
+                updated.set(trade, { ...priced, notes: trade.notes || '', tags: trade.tags || '' });
+            } catch (e) {
+                // keep original if recalculation fails
+            }
+        });
+
+        this.tradeDatabase.trades = this.tradeDatabase.trades.map(t => updated.get(t) || t);
+        console.log(`🧾 Re-priced ${updated.size} ${accountId || account} trades`);
+        return updated.size;
+    }
+
+    // ===== FX Rates =====
+
+    /**
+     * Apply the saved FX rate table and base currency (tradle_fx_rates) to the trade calculator
+     */
+    loadFxRates() {
+        const calc = this.tradeCalculator;
+        try {
+            const saved = JSON.parse(localStorage.getItem('tradle_fx_rates') || '{}');
+            calc.fxRates = saved.rates || {};
+            calc.baseCurrency = saved.baseCurrency || 'USD';
+        } catch {
+            calc.fxRates = {};
+            calc.baseCurrency = 'USD';
+        }
+        return calc.fxRates;
+    }
+
+    /**
+     * Persist the FX rate table and base currency and schedule a sync to the other devices
+     */
+    persistFxRates() {
+        localStorage.setItem('tradle_fx_rates', JSON.stringify({
+            rates: this.tradeCalculator.fxRates,
+            baseCurrency: this.tradeCalculator.baseCurrency,
+            updatedAt: new Date().toISOString()
+        }));
+        if (typeof FirebaseSync !== 'undefined') FirebaseSync.scheduleJournalSync();
+    }
+
+    /**
+     * Currency every dashboard figure, liquidity and export is shown in
+     */
+    setBaseCurrency(code) {
+        const currency = String(code || '').trim().toUpperCase();
+        if (!/^[A-Z]{3}$/.test(currency)) throw new Error('Currency must be a 3-letter code');
+        this.tradeCalculator.baseCurrency = currency;
+        this.persistFxRates();
+        console.log(`💱 Base currency set to ${currency}`);
+        this.refreshDashboard();
+    }
+
+    /**
+     * Add or overwrite one day's rate for a pair ("EUR/USD" and "eurusd" both become EURUSD)
+     */
+    saveFxRate({ pair, day, rate }) {
+        const entry = { pair: String(pair || '').toUpperCase().replace(/[^A-Z]/g, ''), day, rate };
+        const problems = this.tradeCalculator.validateFxRate(entry);
+        if (problems.length > 0) throw new Error(problems[0]);
+
+        const rates = this.tradeCalculator.fxRates;
+        rates[entry.pair] = { ...rates[entry.pair], [entry.day]: entry.rate };
+        this.persistFxRates();
+        this.refreshDashboard();
+        return entry;
+    }
+
+    /**
+     * Drop every rate of a pair
+     */
+    removeFxPair(pair) {
+        if (!this.tradeCalculator.fxRates[pair]) return false;
+        delete this.tradeCalculator.fxRates[pair];
+        this.persistFxRates();
+        console.log(`💱 FX pair ${pair} removed`);
+        this.refreshDashboard();
+        return true;
+    }
+
+    /**
+     * Merge a daily rate file into the table — a day already present is overwritten
+     */
+    importFxRates(content) {
+        const { rates, errors } = this.csvParser.parseFxRatesCSV(content);
+        if (rates.length === 0) throw new Error('No FX rates found in the file');
+
+        const table = this.tradeCalculator.fxRates;
+        rates.forEach(({ pair, day, rate }) => {
+            table[pair] = table[pair] || {};
+            table[pair][day] = rate;
+        });
+        this.persistFxRates();
+        const pairs = [...new Set(rates.map(r => r.pair))];
+        console.log(`💱 Imported ${rates.length} FX rates for ${pairs.join(', ')}`);
+        this.refreshDashboard();
+        return { imported: rates.length, pairs, errors };
+    }
+
+    /**
+     * One row per pair in the table: how many days it covers, its range and latest rate
+     */
+    getFxPairs() {
+        return Object.entries(this.tradeCalculator.fxRates)
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(([pair, byDay]) => {
+                const days = Object.keys(byDay).sort();
+                return { pair, count: days.length, first: days[0], last: days[days.length - 1], latest: byDay[days[days.length - 1]] };
+            });
+    }
+
+    /**
+     * Currencies the stored trades and cash flows are in that have no rate to the base
+     * currency, with how many trades that leaves unconverted and cash flows left out:
+     * [{ currency, trades, cashFlows }]
+     */
+    getMissingFxRates() {
+        const missing = new Map();
+        const count = (currency, field) => {
+            if (!missing.has(currency)) missing.set(currency, { currency, trades: 0, cashFlows: 0 });
+            missing.get(currency)[field]++;
+        };
+        this.tradeCalculator.toBaseCurrency(this.tradeDatabase.trades)
+            .filter(t => t.fxMissing)
+            .forEach(t => count(t.currency, 'trades'));
+        this.tradeCalculator.fxMissingCashFlows(this.getCashFlows())
+            .forEach(f => count(f.currency, 'cashFlows'));
+        return [...missing.values()];
+    }
+
+    // ===== Accounts =====
+
+    /**
+     * Load the named trading accounts (tradle_accounts): [{ id, name, startingLiquidity, ruleSetId }]
+     */
+    loadAccounts() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('tradle_accounts') || '{}');
+            this.accounts = Array.isArray(saved.accounts) ? saved.accounts : [];
+        } catch {
+            this.accounts = [];
+        }
+        return this.accounts;
+    }
+
+    /**
+     * Persist the accounts and schedule a sync to the other devices
+     */
+    persistAccounts() {
+        localStorage.setItem('tradle_accounts', JSON.stringify({
+            accounts: this.getAccounts(),
+            updatedAt: new Date().toISOString()
+        }));
+        if (typeof FirebaseSync !== 'undefined') FirebaseSync.scheduleJournalSync();
+    }
+
+    getAccounts() {
+        return this.accounts || [];
+    }
+
+    getAccount(id) {
+        return id ? this.getAccounts().find(a => a.id === id) || null : null;
+    }
+
+    /**
+     * Add an account, or rename / change the starting liquidity of an existing one (id).
+     * ruleSetId picks the prop-firm rules it's evaluated against (null for none; left out keeps it).
+     * Throws the first problem.
+     */
+    saveAccount({ id = null, name, startingLiquidity, ruleSetId = undefined }) {
+        const existing = this.getAccount(id);
+        if (id && !existing) throw new Error('Account not found');
+
+        const label = String(name || '').trim();
+        const liquidity = Number(startingLiquidity);
+        const problems = [];
+        if (!label) problems.push('Account name is required');
+        else if (this.getAccounts().some(a => a.id !== id && a.name.toLowerCase() === label.toLowerCase())) {
+            problems.push(`There is already an account named ${label}`);
+        }
+        if (startingLiquidity === '' || !Number.isFinite(liquidity) || liquidity < 0) problems.push('Starting liquidity must be 0 or more');
+        if (ruleSetId && !this.tradeCalculator.getPropRuleSet(ruleSetId)) problems.push('Unknown prop-firm rule set');
+        if (problems.length > 0) throw new Error(problems[0]);
+
+        const account = {
+            id: existing ? existing.id : 'account_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            name: label,
+            startingLiquidity: liquidity,
+            ruleSetId: ruleSetId === undefined ? (existing && existing.ruleSetId) || null : ruleSetId || null
+        };
+        this.accounts = existing
+            ? this.getAccounts().map(a => (a.id === id ? account : a))
+            : [...this.getAccounts(), account];
+        this.persistAccounts();
+        console.log(`🏦 Account ${existing ? 'updated' : 'added'}: ${label}`);
+        this.refreshDashboard();
+        return account;
+    }
+
+    /**
+     * Delete an account. Its trades and open lots stay, unassigned (back on the broker's matching
+     * method and commission schedule). Returns the trades unassigned.
+     */
+    deleteAccount(id) {
+        if (!this.getAccount(id)) return 0;
+        this.accounts = this.getAccounts().filter(a => a.id !== id);
+        this.persistAccounts();
+        if (this.tradeCalculator.commissionSchedules[id]) {
+            delete this.tradeCalculator.commissionSchedules[id];
+            this.persistCommissionSchedules();
+        }
+        const methods = this.getMatchingMethods();
+        if (methods[id]) {
+            delete methods[id];
+            localStorage.setItem('tradle_matching_methods', JSON.stringify({ methods, updatedAt: new Date().toISOString() }));
+        }
+        const count = this.assignAccount(t => t.accountId === id, null);
+        console.log(`🏦 Account ${id} deleted — ${count} trades unassigned`);
+        return count;
+    }
+
+    /**
+     * Move the trades, open lots and cash flows that `belongs` picks into an account (null
+     * unassigns them), re-price them when commission schedules are set, save and redraw.
+     * Returns the trades moved.
+     */
+    assignAccount(belongs, accountId) {
+        let count = 0;
+        const brokers = new Set();
+        this.tradeDatabase.trades.forEach(t => {
+            if (!belongs(t)) return;
+            t.accountId = accountId;
+            if (t.broker) brokers.add(t.broker);
+            count++;
+        });
+        // The account may have its own schedule (or the one they left did)
+        if (Object.keys(this.tradeCalculator.commissionSchedules).length > 0) {
+            brokers.forEach(account => this.stampCommissions(account));
+        }
+        this.getOpenLots().forEach(l => {
+            if (belongs(l)) l.accountId = accountId;
+        });
+        const flows = this.getCashFlows().filter(belongs);
+        if (flows.length > 0) {
+            flows.forEach(f => { f.accountId = accountId; });
+            this.persistCashFlows();
+        }
+        this.saveTradeDatabase();
+        this.refreshDashboard();
+        return count;
+    }
+
+    /**
+     * Put every trade, open lot and cash flow that has no account into `accountId` — for data
+     * imported before accounts were set up
+     */
+    claimUnassigned(accountId) {
+        if (!this.getAccount(accountId)) throw new Error('Account not found');
+        return this.assignAccount(t => !this.getAccount(t.accountId), accountId);
+    }
+
+    /**
+     * Whether a trade or open position falls in an account scope:
+     * 'all', 'unassigned' (no account, or one deleted on another device) or an account id
+     */
+    inAccountScope(item, scope = 'all') {
+        if (scope === 'all') return true;
+        if (scope === 'unassigned') return !this.getAccount(item.accountId);
+        return item.accountId === scope;
+    }
+
+    /**
+     * One row per account — trade count, net P&L in the base currency, net cash flows and
+     * current liquidity — plus the number of trades in no account
+     */
+    getAccountSummaries() {
+        const trades = this.tradeCalculator.toBaseCurrency(this.tradeDatabase.trades);
+        const accounts = this.getAccounts().map(account => {
+            const own = trades.filter(t => t.accountId === account.id);
+            const netProfit = own.reduce((sum, t) => sum + (t.netProfit || 0), 0);
+            const cashFlows = this.getCashFlows(account.id).reduce((sum, f) => sum + (this.tradeCalculator.cashFlowAmount(f) || 0), 0);
+            return { ...account, trades: own.length, netProfit, cashFlows, currentLiquidity: account.startingLiquidity + netProfit + cashFlows };
+        });
+        return { accounts, unassigned: trades.filter(t => this.inAccountScope(t, 'unassigned')).length };
+    }
+
+    /**
+     * Account new uploads of a format go into (remembered per broker screen; null = none)
+     */
+    getImportAccount(format) {
+        try {
+            const saved = JSON.parse(localStorage.getItem('tradle_import_accounts') || '{}');
+            return this.getAccount(saved[format]) ? saved[format] : null;
+        } catch {
+            return null;
+        }
+    }
+
+    saveImportAccount(format, accountId) {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('tradle_import_accounts') || '{}');
+        } catch { /* start over */ }
+        saved[format] = accountId || null;
+        localStorage.setItem('tradle_import_accounts', JSON.stringify(saved));
+    }
+
+    // ===== Cash Flows =====
+
+    /**
+     * Load the cash-flow ledger (tradle_cash_flows): deposits, withdrawals, payouts and fees
+     */
+    loadCashFlows() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('tradle_cash_flows') || '{}');
+            this.cashFlows = Array.isArray(saved.entries) ? saved.entries : [];
+        } catch {
+            this.cashFlows = [];
+        }
+        return this.cashFlows;
+    }
+
+    /**
+     * Persist the ledger and schedule a sync to the other devices
+     */
+    persistCashFlows() {
+        localStorage.setItem('tradle_cash_flows', JSON.stringify({
+            entries: this.getCashFlows(),
+            updatedAt: new Date().toISOString()
+        }));
+        if (typeof FirebaseSync !== 'undefined') FirebaseSync.scheduleJournalSync();
+    }
+
+    /**
+     * Ledger entries in an account scope (see inAccountScope), oldest first
+     */
+    getCashFlows(scope = 'all') {
+        return (this.cashFlows || [])
+            .filter(f => this.inAccountScope(f, scope))
+            .sort((a, b) => a.day.localeCompare(b.day));
+    }
+
+    /**
+     * Add a ledger entry; the amount is in `currency` (the base currency when left out).
+     * Throws the first problem.
+     */
+    addCashFlow({ day, type, amount, currency = null, accountId = null, note = '' }) {
+        const entry = {
+            id: 'flow_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            day,
+            type,
+            amount,
+            currency: String(currency || this.tradeCalculator.baseCurrency).trim().toUpperCase(),
+            accountId: this.getAccount(accountId) ? accountId : null,
+            note: String(note || '').trim()
+        };
+        const problems = this.tradeCalculator.validateCashFlow(entry);
+        if (problems.length > 0) throw new Error(problems[0]);
+
+        this.cashFlows = [...(this.cashFlows || []), entry];
+        this.persistCashFlows();
+        console.log(`💵 ${this.tradeCalculator.CASH_FLOW_TYPES[type]} of ${amount} ${entry.currency} on ${day}`);
+        this.refreshDashboard();
+        return entry;
+    }
+
+    removeCashFlow(id) {
+        const before = (this.cashFlows || []).length;
+        this.cashFlows = (this.cashFlows || []).filter(f => f.id !== id);
+        if (this.cashFlows.length === before) return false;
+        this.persistCashFlows();
+        this.refreshDashboard();
+        return true;
+    }
+
+    // ===== Prop-Firm Rules =====
+
+    /**
+     * Apply the user's prop-firm rule set edits and additions (tradle_prop_rules) to the trade calculator
+     */
+    loadPropRules() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('tradle_prop_rules') || '{}');
+            this.tradeCalculator.customPropRules = saved.rules || {};
+        } catch {
+            this.tradeCalculator.customPropRules = {};
+        }
+        return this.tradeCalculator.customPropRules;
+    }
+
+    /**
+     * Persist the custom rule sets and schedule a sync to the other devices
+     */
+    persistPropRules() {
+        localStorage.setItem('tradle_prop_rules', JSON.stringify({
+            rules: this.tradeCalculator.customPropRules,
+            updatedAt: new Date().toISOString()
+        }));
+        if (typeof FirebaseSync !== 'undefined') FirebaseSync.scheduleJournalSync();
+    }
+
+    /**
+     * Add a rule set, or edit a preset / an added one (id). Blank limits are stored as null.
+     * Throws the first problem.
+     */
+    savePropRuleSet(fields) {
+        const calc = this.tradeCalculator;
+        const limit = (v) => (v === '' || v === null || v === undefined ? null : Number(v));
+        const rules = {
+            name: String(fields.name || '').trim(),
+            profitTarget: limit(fields.profitTarget),
+            maxDrawdown: limit(fields.maxDrawdown),
+            drawdownMode: fields.drawdownMode || 'static',
+            dailyLossLimit: limit(fields.dailyLossLimit),
+            minTradingDays: limit(fields.minTradingDays),
+            consistency: limit(fields.consistency)
+        };
+        const problems = calc.validatePropRules(rules);
+        if (problems.length > 0) throw new Error(problems[0]);
+
+        const id = fields.id && calc.getPropRuleSet(fields.id)
+            ? fields.id
+            : 'rules_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        calc.customPropRules[id] = rules;
+        this.persistPropRules();
+        console.log(`🏁 Prop-firm rules saved: ${rules.name}`);
+        this.refreshDashboard();
+        return calc.getPropRuleSet(id);
+    }
+
+    /**
+     * Drop the user's edits to a rule set — presets go back to their defaults, added sets are
+     * removed and the accounts following them are left without rules
+     */
+    resetPropRuleSet(id) {
+        const calc = this.tradeCalculator;
+        if (!calc.customPropRules[id]) return false;
+        delete calc.customPropRules[id];
+        this.persistPropRules();
+        if (!calc.getPropRuleSet(id) && this.getAccounts().some(a => a.ruleSetId === id)) {
+            this.accounts = this.getAccounts().map(a => (a.ruleSetId === id ? { ...a, ruleSetId: null } : a));
+            this.persistAccounts();
+        }
+        console.log(`🏁 Prop-firm rules reset: ${id}`);
+        this.refreshDashboard();
+        return true;
+    }
+
+    // ===== Tags =====
+
+    /**
+     * Load the tag groups (tradle_tag_groups): [{ id, name, tags }] — the default groups until edited
+     */
+    loadTagGroups() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('tradle_tag_groups') || '{}');
+            this.tagGroups = Array.isArray(saved.groups) ? saved.groups : this.tradeCalculator.DEFAULT_TAG_GROUPS.map(g => ({ ...g, tags: [...g.tags] }));
+        } catch {
+            this.tagGroups = this.tradeCalculator.DEFAULT_TAG_GROUPS.map(g => ({ ...g, tags: [...g.tags] }));
+        }
+        return this.tagGroups;
+    }
+
+    /**
+     * Persist the tag groups and schedule a sync to the other devices
+     */
+    persistTagGroups() {
+        localStorage.setItem('tradle_tag_groups', JSON.stringify({
+            groups: this.getTagGroups(),
+            updatedAt: new Date().toISOString()
+        }));
+        if (typeof FirebaseSync !== 'undefined') FirebaseSync.scheduleJournalSync();
+    }
+
+    getTagGroups() {
+        return this.tagGroups || [];
+    }
+
+    /**
+     * Tags as a trimmed, de-duplicated list — from an array or a comma-separated string
+     */
+    parseTags(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split(',');
+        const seen = new Set();
+        return list.map(t => String(t).trim()).filter(t => {
+            const key = t.toLowerCase();
+            if (!t || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Add a tag group, or rename / change the tags of an existing one (id). Tags already on
+     * trades stay when they're taken out of a group. Throws the first problem.
+     */
+    saveTagGroup({ id = null, name, tags }) {
+        const existing = id ? this.getTagGroups().find(g => g.id === id) : null;
+        if (id && !existing) throw new Error('Tag group not found');
+
+        const label = String(name || '').trim();
+        const list = this.parseTags(tags);
+        if (!label) throw new Error('Group name is required');
+        if (this.getTagGroups().some(g => g.id !== id && g.name.toLowerCase() === label.toLowerCase())) {
+            throw new Error(`There is already a group named ${label}`);
+        }
+        if (list.length === 0) throw new Error('Add at least one tag');
+
+        const group = {
+            id: existing ? existing.id : 'tags_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            name: label,
+            tags: list
+        };
+        this.tagGroups = existing
+            ? this.getTagGroups().map(g => (g.id === id ? group : g))
+            : [...this.getTagGroups(), group];
+        this.persistTagGroups();
+        console.log(`🏷️ Tag group ${existing ? 'updated' : 'added'}: ${label}`);
+        return group;
+    }
+
+    removeTagGroup(id) {
+        if (!this.getTagGroups().some(g => g.id === id)) return false;
+        this.tagGroups = this.getTagGroups().filter(g => g.id !== id);
+        this.persistTagGroups();
+        console.log(`🏷️ Tag group ${id} removed`);
+        return true;
+    }
+
+    /**
+     * Where a trade's journal entry lives: the tradle_journal_ key of its exit day (in the
+     * display time zone) and its id there — the same as UIController._stableTradeId
+     */
+    tradeJournalRef(trade) {
+        const day = window.TimeZone.dayKey(new Date(trade.exitTime), this.uiController.displayTimeZone);
+        return { key: `tradle_journal_${day}`, tradeId: `${trade.entryOrderId}_${trade.exitOrderId}` };
+    }
+
+    /**
+     * Journal days for one batch of edits: get(key) reads tradle_journal_<day> once (an empty
+     * day when there is none), save() writes back every day read
+     */
+    journalBatch() {
+        const journals = new Map();
+        return {
+            get: (key) => {
+                if (!journals.has(key)) {
+                    let journal = null;
+                    try { journal = JSON.parse(localStorage.getItem(key)); } catch { /* start a new one */ }
+                    journals.set(key, journal || { dayNotes: '', trades: {} });
+                }
+                const journal = journals.get(key);
+                if (!journal.trades) journal.trades = {};
+                return journal;
+            },
+            save: () => journals.forEach((journal, key) => localStorage.setItem(key, JSON.stringify(journal)))
+        };
+    }
+
+    /**
+     * Tag stored trades (ids). mode 'set' replaces their tags, 'add' and 'remove' change only
+     * the tags given. Tags are saved on the trades and in their journal entries, which sync.
+     * Returns the trades changed.
+     */
+    tagTrades(ids, tags, mode = 'set') {
+        const wanted = this.parseTags(tags);
+        const dropped = new Set(wanted.map(t => t.toLowerCase()));
+        const targets = this.tradeDatabase.trades.filter(t => ids.includes(t.id));
+        const journals = this.journalBatch();
+        let count = 0;
+
+        targets.forEach(trade => {
+            const current = this.parseTags(trade.tags);
+            const next = mode === 'add' ? this.parseTags([...current, ...wanted])
+                : mode === 'remove' ? current.filter(t => !dropped.has(t.toLowerCase()))
+                : wanted;
+            if (next.join(', ') === current.join(', ')) return;
+            trade.tags = next.join(', ');
+            count++;
+
+            const { key, tradeId } = this.tradeJournalRef(trade);
+            const journal = journals.get(key);
+            journal.trades[tradeId] = { note: '', ...journal.trades[tradeId], tags: next };
+        });
+        if (count === 0) return 0;
+
+        journals.save();
+        if (typeof FirebaseSync !== 'undefined') FirebaseSync.scheduleJournalSync();
+        console.log(`🏷️ Tags ${mode === 'set' ? 'set on' : mode === 'add' ? 'added to' : 'removed from'} ${count} trades`);
+        this.saveTradeDatabase();
+        this.refreshDashboard();
+        return count;
+    }
+
+    /**
+     * Price from a form field: a number, or null when blank. Throws on anything else.
+     */
+    parsePlannedLevel(value, label) {
+        if (value === null || value === undefined || String(value).trim() === '') return null;
+        const price = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+        if (!Number.isFinite(price)) throw new Error(`${label} must be a number`);
+        return price;
+    }
+
+    /**
+     * Set the planned stop and target of stored trades (ids) by hand — blank clears them back to
+     * what the import's bracket orders gave. The trades' R multiples are recalculated and the
+     * levels saved in their journal entries, which sync. Throws the first problem.
+     * Returns the trades changed.
+     */
+    setPlannedLevels(ids, { stop = null, target = null }) {
+        const levels = { stop: this.parsePlannedLevel(stop, 'Planned stop'), target: this.parsePlannedLevel(target, 'Planned target') };
+        const targets = this.tradeDatabase.trades.filter(t => ids.includes(t.id));
+        targets.forEach(trade => {
+            const problems = this.tradeCalculator.validatePlannedLevels(trade, levels);
+            if (problems.length > 0) throw new Error(problems[0]);
+        });
+
+        const journals = this.journalBatch();
+        let count = 0;
+        targets.forEach(trade => {
+            const plannedStop = levels.stop ?? trade.entryOrder?.plannedStop ?? null;
+            const plannedTarget = levels.target ?? trade.entryOrder?.plannedTarget ?? null;
+            const { key, tradeId } = this.tradeJournalRef(trade);
+            const journal = journals.get(key);
+            journal.trades[tradeId] = { note: '', ...journal.trades[tradeId], plannedStop: levels.stop, plannedTarget: levels.target };
+            if (plannedStop === (trade.plannedStop ?? null) && plannedTarget === (trade.plannedTarget ?? null)) return;
+
+            const index = this.tradeDatabase.trades.indexOf(trade);
+            this.tradeDatabase.trades[index] = this.tradeCalculator.calculateTrade({ ...trade, plannedStop, plannedTarget });
+            count++;
+        });
+        if (targets.length === 0) return 0;
+
+        journals.save();
+        if (typeof FirebaseSync !== 'undefined') FirebaseSync.scheduleJournalSync();
+        if (count === 0) return 0;
+        console.log(`🎯 Planned stop/target set on ${count} trades`);
+        this.saveTradeDatabase();
+        this.refreshDashboard();
+        return count;
+    }
+
+    /**
+     * Copy what the journal holds onto the stored trades (after a pull from another device):
+     * tags, and a planned stop / target set by hand. Trades whose journal entry has no tags keep
+     * theirs. Returns the trades changed.
+     */
+    applyJournalEntries() {
+        const journals = this.journalBatch();
+        let count = 0;
+        this.tradeDatabase.trades.forEach((trade, index) => {
+            if (!trade.exitTime || !trade.entryOrderId) return;
+            const { key, tradeId } = this.tradeJournalRef(trade);
+            const entry = journals.get(key).trades[tradeId];
+            if (!entry) return;
+            let changed = false;
+
+            if (Array.isArray(entry.tags)) {
+                const tags = this.parseTags(entry.tags).join(', ');
+                if (tags !== (trade.tags || '')) {
+                    trade.tags = tags;
+                    changed = true;
+                }
+            }
+            const plannedStop = typeof entry.plannedStop === 'number' ? entry.plannedStop : trade.plannedStop ?? null;
+            const plannedTarget = typeof entry.plannedTarget === 'number' ? entry.plannedTarget : trade.plannedTarget ?? null;
+            if (plannedStop !== (trade.plannedStop ?? null) || plannedTarget !== (trade.plannedTarget ?? null)) {
+                this.tradeDatabase.trades[index] = this.tradeCalculator.calculateTrade({ ...trade, plannedStop, plannedTarget });
+                changed = true;
+            }
+            if (changed) count++;
+        });
+        if (count > 0) console.log(`📓 Applied journal tags and planned levels to ${count} trades`);
+        return count;
+    }
+
+    /**
+     * Rebuild the tracked Order ID keys from the trades in the database, the same keys
+     * mergeTrades adds: a pair key (entryId__exitId) per trade — so one entry order can appear
+     * in several FIFO partial trades without blocking them as duplicates — or, for trades
+     * without both ids, each of their order ids.
+     */
+    rebuildOrderIds() {
+        this.tradeDatabase.orderIds = new Set();
+        this.tradeDatabase.trades.forEach(trade => {
+            const eId = trade.entryOrderId || '';
+            const xId = trade.exitOrderId  || '';
+            if (eId && xId) {
+                this.tradeDatabase.orderIds.add(`${eId}__${xId}`);
+            } else {
+                (trade.allOrderIds || [eId, xId]).filter(Boolean).forEach(id => this.tradeDatabase.orderIds.add(id));
+            }
+        });
+    }
+
+    /**
+     * Number of trades in the database that came from an import batch
+     */
+    countImportTrades(batchId) {
+        return this.tradeDatabase.trades.filter(t => t.importBatchId === batchId).length;
+    }
+
+    /**
+     * Get the upload history array
+     */
+    getUploadHistory() {
+        try {
+            return JSON.parse(localStorage.getItem('tradle_upload_history') || '[]');
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Clear all trade database data
+     */
+    clearTradeDatabase() {
+        this.tradeDatabase = {
+            trades: [],
+            orderIds: new Set(),
+            openLots: [],
+            lastUpdated: null
+        };
+        localStorage.removeItem('tradle_trade_database');
+        this.currentData = null;
+        localStorage.removeItem('tradle_current_data');
+
+        this.uiController.hideDashboard();
+        this.uiController.showToast('Trade data cleared. Restoring sample data...', 'info');
+        console.log('🗑️ Trade database cleared');
+
+        // Immediately reload sample data so the dashboard is restored
+        this.autoLoadDefaultCSV();
+    }
+
+    /**
+     * Nuclear reset: clear EVERYTHING — trades, journals, screenshots, risk settings, upload history
+     */
+    async resetEverything() {
+        // Double-confirm
+        const pass1 = confirm(
+            '⚠️ FULL RESET\n\n' +
+            'This will permanently delete ALL your data:\n' +
+            '• All trades\n' +
+            '• All journal notes\n' +
+            '• All screenshots\n' +
+            '• Upload history\n' +
+            '• Risk settings\n\n' +
+            'This action CANNOT be undone.\n\nContinue?'
+        );
+        if (!pass1) return;
+
+        const pass2 = confirm(
+            '🚨 FINAL CONFIRMATION\n\n' +
+            'Are you ABSOLUTELY sure?\n' +
+            'Type OK to wipe everything.'
+        );
+        if (!pass2) return;
+
+        console.log('🗑️ Full reset initiated by user');
+
+        // 1. Clear trade database
+        this.tradeDatabase = { trades: [], orderIds: new Set(), openLots: [], lastUpdated: null };
+        localStorage.removeItem('tradle_trade_database');
+        this.currentData = null;
+        localStorage.removeItem('tradle_current_data');
+
+        // 2. Clear all journal entries
+        const keysToRemove = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith('tradle_journal_')) keysToRemove.push(key);
+        }
+        keysToRemove.forEach(k => localStorage.removeItem(k));
+        console.log(`🗑️ Cleared ${keysToRemove.length} journal entries`);
 
         // 3. Clear upload history
         localStorage.removeItem('tradle_upload_history');
@@ -1590,7 +3187,7 @@ class TradleApp {
 
             // Build backup object
             const backup = {
-                version: '2.1',
+                version: '2.5',
                 exportedAt: new Date().toISOString(),
                 browser: navigator.userAgent,
                 data: {
@@ -1598,7 +3195,15 @@ class TradleApp {
                     journals: journals,
                     dailyGoal: dailyGoal,
                     screenshots: screenshots,
-                    uploadHistory: localStorage.getItem('tradle_upload_history')
+                    uploadHistory: localStorage.getItem('tradle_upload_history'),
+                    accounts: localStorage.getItem('tradle_accounts'),
+                    cashFlows: localStorage.getItem('tradle_cash_flows'),
+                    propRules: localStorage.getItem('tradle_prop_rules'),
+                    tagGroups: localStorage.getItem('tradle_tag_groups'),
+                    fxRates: localStorage.getItem('tradle_fx_rates'),
+                    contractSpecs: localStorage.getItem('tradle_contract_specs'),
+                    commissionSchedules: localStorage.getItem('tradle_commission_schedules'),
+                    matchingMethods: localStorage.getItem('tradle_matching_methods')
                 }
             };
 
@@ -1686,7 +3291,28 @@ class TradleApp {
                 console.log('✅ Upload history restored');
             }
 
+            // 5b. Restore accounts and the cash-flow ledger (backups from v2.2)
+            if (backup.data.accounts) localStorage.setItem('tradle_accounts', backup.data.accounts);
+            if (backup.data.cashFlows) localStorage.setItem('tradle_cash_flows', backup.data.cashFlows);
+            // 5c. Prop-firm rule sets the accounts follow (backups from v2.3)
+            if (backup.data.propRules) localStorage.setItem('tradle_prop_rules', backup.data.propRules);
+            // 5d. Tag groups (backups from v2.4 — the trades' tags come back with the journal)
+            if (backup.data.tagGroups) localStorage.setItem('tradle_tag_groups', backup.data.tagGroups);
+            // 5e. Base currency + FX rates, contract specs, commission schedules and matching
+            // methods (backups from v2.5) — without the rates, restored non-base cash flows are left out
+            if (backup.data.fxRates) localStorage.setItem('tradle_fx_rates', backup.data.fxRates);
+            if (backup.data.contractSpecs) localStorage.setItem('tradle_contract_specs', backup.data.contractSpecs);
+            if (backup.data.commissionSchedules) localStorage.setItem('tradle_commission_schedules', backup.data.commissionSchedules);
+            if (backup.data.matchingMethods) localStorage.setItem('tradle_matching_methods', backup.data.matchingMethods);
+
             // 6. Reload the app to pick up restored data
+            this.loadContractSpecs();
+            this.loadCommissionSchedules();
+            this.loadFxRates();
+            this.loadPropRules();
+            this.loadTagGroups();
+            this.loadAccounts();
+            this.loadCashFlows();
             this.loadTradeDatabase();
 
             if (this.tradeDatabase.trades.length > 0) {
@@ -1700,6 +3326,10 @@ class TradleApp {
             if (typeof this.uiController.renderUploadHistory === 'function') {
                 this.uiController.renderUploadHistory(this.getUploadHistory());
             }
+            // ...and the settings tables the backup may have replaced
+            ['renderContractSpecs', 'renderCommissionSchedules', 'renderFxRates', 'renderAccounts', 'renderCashFlows', 'renderPropRuleSets']
+                .filter(name => typeof this.uiController[name] === 'function')
+                .forEach(name => this.uiController[name]());
 
             const screenshotCount = backup.data.screenshots ? backup.data.screenshots.length : 0;
             const journalCount = backup.data.journals ? Object.keys(backup.data.journals).length : 0;
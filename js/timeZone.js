@@ -0,0 +1,143 @@
+/**
+ * TimeZone — IANA time zone helpers for Tradle.
+ *
+ * Trades are stored as absolute (UTC) instants. Imports turn broker wall-clock
+ * timestamps into those instants using the export's time zone, and the calendar
+ * groups them back into days in the chosen display time zone.
+ *
+ * 'local' always means the browser's own time zone.
+ *
+ * Usage:
+ *   const d = TimeZone.toUTC(2026, 3, 2, 9, 30, 0, 'America/Chicago');
+ *   TimeZone.dayKey(d, 'America/Chicago');        // "2026-03-02"
+ *   TimeZone.formatTime(d, 'UTC', { hour: '2-digit', minute: '2-digit' });
+ */
+class TimeZone {
+    static LOCAL = 'local';
+
+    // Zones offered in the import and display pickers
+    static COMMON = [
+        { id: 'local', label: 'Browser local time' },
+        { id: 'UTC', label: 'UTC' },
+        { id: 'America/New_York', label: 'New York (ET)' },
+        { id: 'America/Chicago', label: 'Chicago (CT) — CME' },
+        { id: 'America/Denver', label: 'Denver (MT)' },
+        { id: 'America/Los_Angeles', label: 'Los Angeles (PT)' },
+        { id: 'Europe/London', label: 'London' },
+        { id: 'Europe/Berlin', label: 'Frankfurt / Berlin' },
+        { id: 'Europe/Athens', label: 'Athens (MetaTrader servers)' },
+        { id: 'Asia/Tokyo', label: 'Tokyo' },
+        { id: 'Asia/Hong_Kong', label: 'Hong Kong' },
+        { id: 'Asia/Singapore', label: 'Singapore' },
+        { id: 'Australia/Sydney', label: 'Sydney' }
+    ];
+
+    static _formatters = {};
+
+    /**
+     * True for the browser's own zone ('local', empty or missing)
+     */
+    static isLocal(timeZone) {
+        return !timeZone || timeZone === TimeZone.LOCAL;
+    }
+
+    /**
+     * Whether the runtime knows the given IANA zone name
+     */
+    static isValid(timeZone) {
+        if (TimeZone.isLocal(timeZone)) return true;
+        try {
+            TimeZone._formatter(timeZone);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Cached numeric formatter for a zone (formatter construction is the slow part)
+     */
+    static _formatter(timeZone) {
+        if (!TimeZone._formatters[timeZone]) {
+            TimeZone._formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit',
+                weekday: 'short'
+            });
+        }
+        return TimeZone._formatters[timeZone];
+    }
+
+    /**
+     * Wall-clock fields of an instant in a zone: { year, month (1-12), day, hour, minute, second, weekday (0=Sun) }
+     */
+    static getParts(date, timeZone) {
+        if (TimeZone.isLocal(timeZone)) {
+            return {
+                year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(),
+                hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds(),
+                weekday: date.getDay()
+            };
+        }
+
+        const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const parts = {};
+        TimeZone._formatter(timeZone).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+        return {
+            year: parseInt(parts.year, 10),
+            month: parseInt(parts.month, 10),
+            day: parseInt(parts.day, 10),
+            hour: parseInt(parts.hour, 10) % 24, // some engines print midnight as "24"
+            minute: parseInt(parts.minute, 10),
+            second: parseInt(parts.second, 10),
+            weekday: weekdays.indexOf(parts.weekday)
+        };
+    }
+
+    /**
+     * Offset of a zone from UTC at the given instant, in milliseconds (Chicago in winter → -6h)
+     */
+    static getOffset(date, timeZone) {
+        if (TimeZone.isLocal(timeZone)) return -date.getTimezoneOffset() * 60000;
+        const p = TimeZone.getParts(date, timeZone);
+        const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+        return asUTC - (date.getTime() - date.getMilliseconds());
+    }
+
+    /**
+     * Build the instant for a wall-clock time in a zone.
+     * The offset is re-checked at the result so times next to a DST switch land correctly.
+     */
+    static toUTC(year, month, day, hour = 0, minute = 0, second = 0, timeZone = TimeZone.LOCAL) {
+        if (TimeZone.isLocal(timeZone)) {
+            return new Date(year, month - 1, day, hour, minute, second);
+        }
+
+        const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+        let ts = wall - TimeZone.getOffset(new Date(wall), timeZone);
+        const offset = TimeZone.getOffset(new Date(ts), timeZone);
+        if (wall - offset !== ts) ts = wall - offset;
+        return new Date(ts);
+    }
+
+    /**
+     * Calendar day of an instant in a zone, as "YYYY-MM-DD"
+     */
+    static dayKey(date, timeZone) {
+        const p = TimeZone.getParts(date, timeZone);
+        return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+    }
+
+    /**
+     * toLocaleTimeString in a zone ('local' leaves the browser zone in place)
+     */
+    static formatTime(date, timeZone, options = {}) {
+        const opts = TimeZone.isLocal(timeZone) ? options : { ...options, timeZone };
+        return date.toLocaleTimeString('en-US', opts);
+    }
+}
+
+// Export
+window.TimeZone = TimeZone;
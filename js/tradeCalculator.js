@@ -6,48 +6,48 @@ class TradeCalculator {
     constructor() {
         // Contract specifications registry — add new symbols here
         this.CONTRACT_SPECS = {
-            'ES1!': { multiplier: 50, commission: 2.50, name: 'E-mini S&P 500' },
-            'MES1!': { multiplier: 5, commission: 0.62, name: 'Micro E-mini S&P 500' },
-            'NQ1!': { multiplier: 20, commission: 2.50, name: 'E-mini Nasdaq-100' },
-            'MNQ1!': { multiplier: 2, commission: 0.62, name: 'Micro E-mini Nasdaq-100' },
-            'YM1!': { multiplier: 5, commission: 2.50, name: 'E-mini Dow' },
-            'MYM1!': { multiplier: 0.50, commission: 0.62, name: 'Micro E-mini Dow' },
-            'RTY1!': { multiplier: 50, commission: 2.50, name: 'E-mini Russell 2000' },
-            'M2K1!': { multiplier: 5, commission: 0.62, name: 'Micro E-mini Russell 2000' },
-            'CL1!': { multiplier: 1000, commission: 2.50, name: 'Crude Oil' },
-            'MCL1!': { multiplier: 100, commission: 0.62, name: 'Micro Crude Oil' },
-            'GC1!': { multiplier: 100, commission: 2.50, name: 'Gold' },
-            'MGC1!': { multiplier: 10, commission: 0.62, name: 'Micro Gold' },
-            'SI1!': { multiplier: 5000, commission: 2.50, name: 'Silver' },
-            'NG1!': { multiplier: 10000, commission: 2.50, name: 'Natural Gas' },
-            'ZB1!': { multiplier: 1000, commission: 2.50, name: '30-Year T-Bond' },
-            'ZN1!': { multiplier: 1000, commission: 2.50, name: '10-Year T-Note' },
-            '6E1!': { multiplier: 125000, commission: 2.50, name: 'Euro FX' },
-            '6J1!': { multiplier: 12500000, commission: 2.50, name: 'Japanese Yen' },
+            'ES1!': { multiplier: 50, commission: 2.50, name: 'E-mini S&P 500', tickSize: 0.25 },
+            'MES1!': { multiplier: 5, commission: 0.62, name: 'Micro E-mini S&P 500', tickSize: 0.25 },
+            'NQ1!': { multiplier: 20, commission: 2.50, name: 'E-mini Nasdaq-100', tickSize: 0.25 },
+            'MNQ1!': { multiplier: 2, commission: 0.62, name: 'Micro E-mini Nasdaq-100', tickSize: 0.25 },
+            'YM1!': { multiplier: 5, commission: 2.50, name: 'E-mini Dow', tickSize: 1 },
+            'MYM1!': { multiplier: 0.50, commission: 0.62, name: 'Micro E-mini Dow', tickSize: 1 },
+            'RTY1!': { multiplier: 50, commission: 2.50, name: 'E-mini Russell 2000', tickSize: 0.10 },
+            'M2K1!': { multiplier: 5, commission: 0.62, name: 'Micro E-mini Russell 2000', tickSize: 0.10 },
+            'CL1!': { multiplier: 1000, commission: 2.50, name: 'Crude Oil', tickSize: 0.01 },
+            'MCL1!': { multiplier: 100, commission: 0.62, name: 'Micro Crude Oil', tickSize: 0.01 },
+            'GC1!': { multiplier: 100, commission: 2.50, name: 'Gold', tickSize: 0.10 },
+            'MGC1!': { multiplier: 10, commission: 0.62, name: 'Micro Gold', tickSize: 0.10 },
+            'SI1!': { multiplier: 5000, commission: 2.50, name: 'Silver', tickSize: 0.005 },
+            'NG1!': { multiplier: 10000, commission: 2.50, name: 'Natural Gas', tickSize: 0.001 },
+            'ZB1!': { multiplier: 1000, commission: 2.50, name: '30-Year T-Bond', tickSize: 0.03125 },
+            'ZN1!': { multiplier: 1000, commission: 2.50, name: '10-Year T-Note', tickSize: 0.015625 },
+            '6E1!': { multiplier: 125000, commission: 2.50, name: 'Euro FX', tickSize: 0.00005 },
+            '6J1!': { multiplier: 12500000, commission: 2.50, name: 'Japanese Yen', tickSize: 0.0000005 },
             // ── Additional CME futures ────────────────────────────────────────
-            'ZC1!': { multiplier: 50,    commission: 2.50, name: 'Corn' },
-            'ZW1!': { multiplier: 50,    commission: 2.50, name: 'Wheat' },
-            'ZS1!': { multiplier: 50,    commission: 2.50, name: 'Soybeans' },
-            'HG1!': { multiplier: 25000, commission: 2.50, name: 'Copper' },
-            'PL1!': { multiplier: 50,    commission: 2.50, name: 'Platinum' },
-            '6B1!': { multiplier: 62500, commission: 2.50, name: 'British Pound' },
-            '6C1!': { multiplier: 100000,commission: 2.50, name: 'Canadian Dollar' },
-            '6A1!': { multiplier: 100000,commission: 2.50, name: 'Australian Dollar' },
-            '6S1!': { multiplier: 125000,commission: 2.50, name: 'Swiss Franc' },
-            '6N1!': { multiplier: 100000,commission: 2.50, name: 'New Zealand Dollar' },
-            '6M1!': { multiplier: 500000,commission: 2.50, name: 'Mexican Peso' },
+            'ZC1!': { multiplier: 50,    commission: 2.50, name: 'Corn', tickSize: 0.25 },
+            'ZW1!': { multiplier: 50,    commission: 2.50, name: 'Wheat', tickSize: 0.25 },
+            'ZS1!': { multiplier: 50,    commission: 2.50, name: 'Soybeans', tickSize: 0.25 },
+            'HG1!': { multiplier: 25000, commission: 2.50, name: 'Copper', tickSize: 0.0005 },
+            'PL1!': { multiplier: 50,    commission: 2.50, name: 'Platinum', tickSize: 0.10 },
+            '6B1!': { multiplier: 62500, commission: 2.50, name: 'British Pound', tickSize: 0.0001 },
+            '6C1!': { multiplier: 100000,commission: 2.50, name: 'Canadian Dollar', tickSize: 0.00005 },
+            '6A1!': { multiplier: 100000,commission: 2.50, name: 'Australian Dollar', tickSize: 0.00005 },
+            '6S1!': { multiplier: 125000,commission: 2.50, name: 'Swiss Franc', tickSize: 0.00005 },
+            '6N1!': { multiplier: 100000,commission: 2.50, name: 'New Zealand Dollar', tickSize: 0.00005 },
+            '6M1!': { multiplier: 500000,commission: 2.50, name: 'Mexican Peso', tickSize: 0.00001 },
 
             // ── CFD indices (B2Prime / OANDA / Pepperstone / etc.) ───────────
             'SPXUSD': { multiplier: 1, commission: 0, name: 'S&P 500 CFD' },
             'NAS100': { multiplier: 1, commission: 0, name: 'Nasdaq 100 CFD' },
             'US30':   { multiplier: 1, commission: 0, name: 'Dow Jones CFD' },
             'US2000': { multiplier: 1, commission: 0, name: 'Russell 2000 CFD' },
-            'GER40':  { multiplier: 1, commission: 0, name: 'DAX 40 CFD' },
-            'UK100':  { multiplier: 1, commission: 0, name: 'FTSE 100 CFD' },
-            'FRA40':  { multiplier: 1, commission: 0, name: 'CAC 40 CFD' },
-            'JPN225': { multiplier: 1, commission: 0, name: 'Nikkei 225 CFD' },
-            'HK50':   { multiplier: 1, commission: 0, name: 'Hang Seng CFD' },
-            'AUS200': { multiplier: 1, commission: 0, name: 'ASX 200 CFD' },
+            'GER40':  { multiplier: 1, commission: 0, name: 'DAX 40 CFD', currency: 'EUR' },
+            'UK100':  { multiplier: 1, commission: 0, name: 'FTSE 100 CFD', currency: 'GBP' },
+            'FRA40':  { multiplier: 1, commission: 0, name: 'CAC 40 CFD', currency: 'EUR' },
+            'JPN225': { multiplier: 1, commission: 0, name: 'Nikkei 225 CFD', currency: 'JPY' },
+            'HK50':   { multiplier: 1, commission: 0, name: 'Hang Seng CFD', currency: 'HKD' },
+            'AUS200': { multiplier: 1, commission: 0, name: 'ASX 200 CFD', currency: 'AUD' },
 
             // ── CFD commodities ───────────────────────────────────────────────
             'XAUUSD': { multiplier: 1, commission: 0, name: 'Gold CFD' },
@@ -60,37 +60,37 @@ class TradeCalculator {
             // ── CFD forex majors ──────────────────────────────────────────────
             'EURUSD': { multiplier: 1, commission: 0, name: 'EUR/USD' },
             'GBPUSD': { multiplier: 1, commission: 0, name: 'GBP/USD' },
-            'USDJPY': { multiplier: 1, commission: 0, name: 'USD/JPY' },
-            'USDCHF': { multiplier: 1, commission: 0, name: 'USD/CHF' },
+            'USDJPY': { multiplier: 1, commission: 0, name: 'USD/JPY', currency: 'JPY' },
+            'USDCHF': { multiplier: 1, commission: 0, name: 'USD/CHF', currency: 'CHF' },
             'AUDUSD': { multiplier: 1, commission: 0, name: 'AUD/USD' },
             'NZDUSD': { multiplier: 1, commission: 0, name: 'NZD/USD' },
-            'USDCAD': { multiplier: 1, commission: 0, name: 'USD/CAD' },
+            'USDCAD': { multiplier: 1, commission: 0, name: 'USD/CAD', currency: 'CAD' },
             // Reversed-quote variants (as B2Prime sometimes labels them)
-            'USDEUR': { multiplier: 1, commission: 0, name: 'USD/EUR' },
-            'USDGBP': { multiplier: 1, commission: 0, name: 'USD/GBP' },
+            'USDEUR': { multiplier: 1, commission: 0, name: 'USD/EUR', currency: 'EUR' },
+            'USDGBP': { multiplier: 1, commission: 0, name: 'USD/GBP', currency: 'GBP' },
             'JPYUSD': { multiplier: 1, commission: 0, name: 'JPY/USD' },
 
             // ── CFD forex crosses ─────────────────────────────────────────────
-            'EURGBP': { multiplier: 1, commission: 0, name: 'EUR/GBP' },
-            'EURJPY': { multiplier: 1, commission: 0, name: 'EUR/JPY' },
-            'EURCAD': { multiplier: 1, commission: 0, name: 'EUR/CAD' },
-            'EURCHF': { multiplier: 1, commission: 0, name: 'EUR/CHF' },
-            'EURAUD': { multiplier: 1, commission: 0, name: 'EUR/AUD' },
-            'EURNZD': { multiplier: 1, commission: 0, name: 'EUR/NZD' },
-            'GBPJPY': { multiplier: 1, commission: 0, name: 'GBP/JPY' },
-            'GBPCAD': { multiplier: 1, commission: 0, name: 'GBP/CAD' },
-            'GBPCHF': { multiplier: 1, commission: 0, name: 'GBP/CHF' },
-            'GBPAUD': { multiplier: 1, commission: 0, name: 'GBP/AUD' },
-            'GBPNZD': { multiplier: 1, commission: 0, name: 'GBP/NZD' },
-            'AUDJPY': { multiplier: 1, commission: 0, name: 'AUD/JPY' },
-            'AUDCAD': { multiplier: 1, commission: 0, name: 'AUD/CAD' },
-            'AUDCHF': { multiplier: 1, commission: 0, name: 'AUD/CHF' },
-            'AUDNZD': { multiplier: 1, commission: 0, name: 'AUD/NZD' },
-            'CADJPY': { multiplier: 1, commission: 0, name: 'CAD/JPY' },
-            'CHFJPY': { multiplier: 1, commission: 0, name: 'CHF/JPY' },
-            'NZDJPY': { multiplier: 1, commission: 0, name: 'NZD/JPY' },
-            'NZDCAD': { multiplier: 1, commission: 0, name: 'NZD/CAD' },
-            'NZDCHF': { multiplier: 1, commission: 0, name: 'NZD/CHF' },
+            'EURGBP': { multiplier: 1, commission: 0, name: 'EUR/GBP', currency: 'GBP' },
+            'EURJPY': { multiplier: 1, commission: 0, name: 'EUR/JPY', currency: 'JPY' },
+            'EURCAD': { multiplier: 1, commission: 0, name: 'EUR/CAD', currency: 'CAD' },
+            'EURCHF': { multiplier: 1, commission: 0, name: 'EUR/CHF', currency: 'CHF' },
+            'EURAUD': { multiplier: 1, commission: 0, name: 'EUR/AUD', currency: 'AUD' },
+            'EURNZD': { multiplier: 1, commission: 0, name: 'EUR/NZD', currency: 'NZD' },
+            'GBPJPY': { multiplier: 1, commission: 0, name: 'GBP/JPY', currency: 'JPY' },
+            'GBPCAD': { multiplier: 1, commission: 0, name: 'GBP/CAD', currency: 'CAD' },
+            'GBPCHF': { multiplier: 1, commission: 0, name: 'GBP/CHF', currency: 'CHF' },
+            'GBPAUD': { multiplier: 1, commission: 0, name: 'GBP/AUD', currency: 'AUD' },
+            'GBPNZD': { multiplier: 1, commission: 0, name: 'GBP/NZD', currency: 'NZD' },
+            'AUDJPY': { multiplier: 1, commission: 0, name: 'AUD/JPY', currency: 'JPY' },
+            'AUDCAD': { multiplier: 1, commission: 0, name: 'AUD/CAD', currency: 'CAD' },
+            'AUDCHF': { multiplier: 1, commission: 0, name: 'AUD/CHF', currency: 'CHF' },
+            'AUDNZD': { multiplier: 1, commission: 0, name: 'AUD/NZD', currency: 'NZD' },
+            'CADJPY': { multiplier: 1, commission: 0, name: 'CAD/JPY', currency: 'JPY' },
+            'CHFJPY': { multiplier: 1, commission: 0, name: 'CHF/JPY', currency: 'JPY' },
+            'NZDJPY': { multiplier: 1, commission: 0, name: 'NZD/JPY', currency: 'JPY' },
+            'NZDCAD': { multiplier: 1, commission: 0, name: 'NZD/CAD', currency: 'CAD' },
+            'NZDCHF': { multiplier: 1, commission: 0, name: 'NZD/CHF', currency: 'CHF' },
 
             // ── CFD crypto (TV / broker CFDs) ─────────────────────────────────
             'BTCUSD': { multiplier: 1, commission: 0, name: 'Bitcoin CFD' },
@@ -99,6 +99,121 @@ class TradeCalculator {
 
         // Default specs for unknown symbols
         this.DEFAULT_SPECS = { multiplier: 1, commission: 0, name: 'Unknown' };
+
+        // User edits from the Contract Specifications card, keyed like CONTRACT_SPECS.
+        // An entry overrides the built-in fields it sets, or adds an instrument not listed above.
+        this.customSpecs = {};
+
+        // Commission schedules per named account (by id) or broker label, used when the CSV has no commission:
+        // { type: 'fixed', rate } or { type: 'tiered', tiers: [{ upTo, rate }] }, plus per-side fees [{ name, perSide }]
+        this.commissionSchedules = {};
+        this.COMMISSION_TYPES = {
+            fixed: 'Fixed',
+            tiered: 'Tiered by monthly volume'
+        };
+
+        // Daily FX rates for converting P&L into the base currency, by pair then day:
+        // { EURUSD: { '2026-02-10': 1.0812 } } — quote-currency units per one unit of the pair's base
+        this.fxRates = {};
+        this.baseCurrency = 'USD';
+
+        // Cash-flow ledger entries: { id, day, type, amount (always positive), currency, accountId, note }.
+        // Deposits, withdrawals and payouts move money in or out; fees are a cost of trading.
+        this.CASH_FLOW_TYPES = {
+            deposit: 'Deposit',
+            withdrawal: 'Withdrawal',
+            payout: 'Payout',
+            fee: 'Platform / data fee'
+        };
+
+        // Prop-firm evaluation rule sets, by id. Amounts are in the base currency; a rule left
+        // null isn't checked. These are starting points — firms change their terms, so check them
+        // and edit in the Prop-Firm Rules card (edits land in customPropRules, like customSpecs).
+        this.PROP_RULE_PRESETS = {
+            topstep_50k: { name: 'Topstep 50K Combine', profitTarget: 3000, maxDrawdown: 2000, drawdownMode: 'eod', dailyLossLimit: 1000, minTradingDays: 2, consistency: 50 },
+            apex_50k: { name: 'Apex 50K Evaluation', profitTarget: 3000, maxDrawdown: 2500, drawdownMode: 'trailing', dailyLossLimit: null, minTradingDays: 7, consistency: null },
+            ftmo_100k: { name: 'FTMO 100K Challenge', profitTarget: 10000, maxDrawdown: 10000, drawdownMode: 'static', dailyLossLimit: 5000, minTradingDays: 4, consistency: null }
+        };
+        this.customPropRules = {};
+        // Where the drawdown floor sits: fixed below the starting balance, or trailing the highest
+        // balance after every trade / at each day's close — a trailing floor stops at the starting balance
+        this.PROP_DRAWDOWN_MODES = {
+            static: 'Static',
+            trailing: 'Trailing (intraday)',
+            eod: 'Trailing (end of day)'
+        };
+
+        // Futures roll calendar by root symbol: the listed contract months (exchange month codes),
+        // how the exchange sets the last trade date, and how many business days before it volume
+        // usually moves to the next contract. Exchange holidays aren't modelled, so a date that
+        // lands on one is a day late.
+        const roll = (months, lastTrade, rollDays) => ({ months, lastTrade, rollDays });
+        this.ROLL_RULES = {
+            ES: roll('HMUZ', 'thirdFriday', 6), MES: roll('HMUZ', 'thirdFriday', 6),
+            NQ: roll('HMUZ', 'thirdFriday', 6), MNQ: roll('HMUZ', 'thirdFriday', 6),
+            YM: roll('HMUZ', 'thirdFriday', 6), MYM: roll('HMUZ', 'thirdFriday', 6),
+            RTY: roll('HMUZ', 'thirdFriday', 6), M2K: roll('HMUZ', 'thirdFriday', 6),
+            '6E': roll('HMUZ', 'fx', 5), '6J': roll('HMUZ', 'fx', 5), '6B': roll('HMUZ', 'fx', 5), '6C': roll('HMUZ', 'fx', 5),
+            '6A': roll('HMUZ', 'fx', 5), '6S': roll('HMUZ', 'fx', 5), '6N': roll('HMUZ', 'fx', 5), '6M': roll('HMUZ', 'fx', 5),
+            CL: roll('FGHJKMNQUVXZ', 'crude', 5), MCL: roll('FGHJKMNQUVXZ', 'crude', 5),
+            NG: roll('FGHJKMNQUVXZ', 'natGas', 3),
+            GC: roll('GJMQVZ', 'metals', 22), MGC: roll('GJMQVZ', 'metals', 22),
+            SI: roll('HKNUZ', 'metals', 22), HG: roll('HKNUZ', 'metals', 22), PL: roll('FJNV', 'metals', 22),
+            ZB: roll('HMUZ', 'treasuries', 25), ZN: roll('HMUZ', 'treasuries', 25),
+            ZC: roll('HKNUZ', 'grains', 12), ZW: roll('HKNUZ', 'grains', 12), ZS: roll('FHKNQUX', 'grains', 12)
+        };
+        this.MONTH_CODES = 'FGHJKMNQUVXZ';
+
+        // Starting tag groups for the journal, used until the user edits them in the Tags card:
+        // [{ id, name, tags }]. A trade's tags are a ", "-joined string on the trade.
+        this.DEFAULT_TAG_GROUPS = [
+            { id: 'setup', name: 'Setup', tags: ['Breakout', 'Pullback', 'Reversal', 'Range'] },
+            { id: 'mistake', name: 'Mistake', tags: ['FOMO entry', 'Moved stop', 'Oversized', 'Early exit'] },
+            { id: 'market', name: 'Market condition', tags: ['Trending', 'Choppy', 'News'] },
+            { id: 'emotion', name: 'Emotion', tags: ['Confident', 'Anxious', 'Revenge', 'Bored'] }
+        ];
+
+        // Optional (stage, done, total) callback for long runs — set by the import worker
+        this.onProgress = null;
+        this.PROGRESS_INTERVAL = 2000;
+
+        // Positions the last matchTrades call left open (no closing order in the file)
+        this.unclosedPositions = [];
+        // The lots behind them, in the shape matchTrades accepts back as openLots
+        this.openLots = [];
+
+        // How exits are matched against the open lots of a position
+        this.MATCHING_METHODS = {
+            fifo: 'FIFO',
+            lifo: 'LIFO',
+            average: 'Average cost'
+        };
+
+        // How the dashboard counts trades: each matched pair, or each flat-to-flat position
+        this.TRADE_VIEWS = {
+            trades: 'Trades',
+            positions: 'Positions'
+        };
+
+        // What the Reports view can break the metrics down by (see groupReport)
+        this.REPORT_DIMENSIONS = {
+            symbol: 'Symbol',
+            side: 'Side',
+            broker: 'Broker',
+            weekday: 'Weekday',
+            hour: 'Hour of day',
+            tag: 'Tag'
+        };
+    }
+
+    /**
+     * Report matching/calculation progress every PROGRESS_INTERVAL items (and on the last one)
+     */
+    reportProgress(stage, done, total) {
+        if (!this.onProgress) return;
+        if (done % this.PROGRESS_INTERVAL === 0 || done >= total) {
+            this.onProgress(stage, done, total);
+        }
     }
 
     /**
@@ -107,26 +222,699 @@ class TradeCalculator {
      */
     getContractSpecs(symbolRaw) {
         if (!symbolRaw) return this.DEFAULT_SPECS;
-        const stripped = symbolRaw.replace(/^[A-Z0-9_]+:/, ''); // "CME_MINI:ES1!" → "ES1!", "B2PRIME:SPXUSD" → "SPXUSD"
-        return this.CONTRACT_SPECS[stripped] || this.DEFAULT_SPECS;
+        const stripped = this.specKey(symbolRaw); // "CME_MINI:ES1!" → "ES1!", "B2PRIME:SPXUSD" → "SPXUSD"
+        const base = this.CONTRACT_SPECS[stripped];
+        const custom = this.customSpecs[stripped];
+        if (!base && !custom) return this.DEFAULT_SPECS;
+        return this.completeSpec({ ...base, ...custom });
+    }
+
+    /**
+     * Registry key for a symbol — the exchange prefix is dropped
+     */
+    specKey(symbolRaw) {
+        return String(symbolRaw || '').trim().replace(/^[A-Z0-9_]+:/, '');
+    }
+
+    /**
+     * Fill the optional spec fields; tick value is always tick size × multiplier
+     */
+    completeSpec(spec) {
+        const full = { currency: 'USD', exchange: '', session: '', tickSize: null, ...spec };
+        full.tickValue = full.tickSize ? full.tickSize * full.multiplier : null;
+        return full;
+    }
+
+    /**
+     * Every instrument in the registry — built-in and user-added — with its effective spec,
+     * flagged `builtIn` / `custom` so the settings card can offer Reset
+     */
+    getAllContractSpecs() {
+        const symbols = [...new Set([...Object.keys(this.CONTRACT_SPECS), ...Object.keys(this.customSpecs)])];
+        const all = {};
+        symbols.forEach(sym => {
+            all[sym] = {
+                ...this.getContractSpecs(sym),
+                builtIn: !!this.CONTRACT_SPECS[sym],
+                custom: !!this.customSpecs[sym]
+            };
+        });
+        return all;
+    }
+
+    /**
+     * Check contract spec fields; returns a list of problems (empty when valid)
+     */
+    validateContractSpec(fields) {
+        const problems = [];
+        if (!this.specKey(fields.symbol)) problems.push('Symbol is required');
+        if (!(fields.multiplier > 0)) problems.push('Multiplier must be greater than 0');
+        if (fields.tickSize !== null && !(fields.tickSize > 0)) problems.push('Tick size must be greater than 0');
+        if (!(fields.commission >= 0)) problems.push('Commission must be 0 or more');
+        if (!/^[A-Z]{3}$/.test(fields.currency || '')) problems.push('Currency must be a 3-letter code');
+        if (fields.session && !/^\d{2}:\d{2}-\d{2}:\d{2}$/.test(fields.session)) problems.push('Session hours must look like 17:00-16:00');
+        return problems;
+    }
+
+    /**
+     * Check a commission schedule; returns a list of problems (empty when valid)
+     */
+    validateCommissionSchedule(schedule) {
+        const problems = [];
+        if (!this.COMMISSION_TYPES[schedule.type]) problems.push('Pick a schedule type');
+        if (schedule.type === 'fixed' && !(schedule.rate >= 0)) problems.push('Rate per side must be 0 or more');
+        if (schedule.type === 'tiered') {
+            const tiers = schedule.tiers || [];
+            if (tiers.length === 0) problems.push('Add at least one tier');
+            if (tiers.some(t => !(t.rate >= 0))) problems.push('Tier rates must be 0 or more');
+            const limits = tiers.slice(0, -1).map(t => t.upTo);
+            if (limits.some((v, i) => !(v > 0) || (i > 0 && v <= limits[i - 1]))) {
+                problems.push('Tier volumes must be positive and increasing');
+            }
+        }
+        if ((schedule.fees || []).some(f => !f.name || !(f.perSide >= 0))) problems.push('Each fee needs a name and an amount of 0 or more');
+        return problems;
+    }
+
+    /**
+     * Schedule that prices a trade: its named account's own, else its broker's (null for none)
+     */
+    commissionScheduleFor(trade) {
+        return (trade.accountId && this.commissionSchedules[trade.accountId]) ||
+            this.commissionSchedules[trade.broker || trade.entryOrder?.broker || ''] || null;
+    }
+
+    /**
+     * Commission lines for a trade under a schedule — the broker rate (its tier picked by
+     * tierVolume, the contracts the account traded earlier that month) and each fee, per side
+     */
+    scheduleCommission(schedule, quantity, tierVolume = 0) {
+        const sides = 2 * quantity;
+        let label = 'Broker';
+        let rate = schedule.rate || 0;
+        if (schedule.type === 'tiered') {
+            const tiers = schedule.tiers;
+            let index = tiers.findIndex(t => t.upTo === null || t.upTo === undefined || tierVolume < t.upTo);
+            if (index === -1) index = tiers.length - 1;
+            label = `Broker (tier ${index + 1})`;
+            rate = tiers[index].rate;
+        }
+        return [{ label, rate, sides, amount: rate * sides },
+            ...(schedule.fees || []).map(f => ({ label: f.name, rate: f.perSide, sides, amount: f.perSide * sides }))];
+    }
+
+    /**
+     * Rate converting one unit of `from` into `to` on `day` (YYYY-MM-DD): the pair's latest rate
+     * on or before the day (its first rate for earlier days), the inverse pair, or a cross via USD.
+     * Null when the table has nothing to go on.
+     */
+    fxRate(from, to, day) {
+        if (from === to) return 1;
+        const lookup = (pair) => {
+            const byDay = this.fxRates[pair];
+            if (!byDay) return null;
+            const days = Object.keys(byDay).sort();
+            let pick = days[0];
+            for (const d of days) {
+                if (d > day) break;
+                pick = d;
+            }
+            return pick ? byDay[pick] : null;
+        };
+        const direct = lookup(from + to);
+        if (direct) return direct;
+        const inverse = lookup(to + from);
+        if (inverse) return 1 / inverse;
+        if (from !== 'USD' && to !== 'USD') {
+            const viaUsd = this.fxRate(from, 'USD', day);
+            const fromUsd = viaUsd && this.fxRate('USD', to, day);
+            if (fromUsd) return viaUsd * fromUsd;
+        }
+        return null;
+    }
+
+    /**
+     * Copy of a trade with its money fields in `base`, at the rate for its exit day.
+     * The original amounts stay on `native`; a trade with no usable rate keeps its own
+     * currency and is flagged `fxMissing`.
+     */
+    convertTrade(trade, base = this.baseCurrency, cache = new Map()) {
+        const currency = trade.currency || 'USD';
+        if (currency === base) return trade;
+
+        const day = new Date(trade.exitTime).toISOString().slice(0, 10);
+        const key = `${currency}${base}_${day}`;
+        if (!cache.has(key)) cache.set(key, this.fxRate(currency, base, day));
+        let rate = cache.get(key);
+        if (!rate && trade.impliedFxRate) {
+            const fromUsd = this.fxRate('USD', base, day);
+            if (fromUsd) rate = trade.impliedFxRate * fromUsd;
+        }
+        if (!rate) return { ...trade, fxMissing: true };
+
+        const money = (v) => (v || 0) * rate;
+        const netProfit = money(trade.netProfit);
+        return {
+            ...trade,
+            native: {
+                currency,
+                grossProfit: trade.grossProfit,
+                totalCommission: trade.totalCommission,
+                swap: trade.swap,
+                netProfit: trade.netProfit
+            },
+            fxRate: rate,
+            currency: base,
+            grossProfit: money(trade.grossProfit),
+            totalCommission: money(trade.totalCommission),
+            swap: money(trade.swap),
+            netProfit,
+            returnValue: Math.round(netProfit),
+            return: Math.round(netProfit),
+            commission: money(trade.commission),
+            initialRisk: trade.initialRisk ? trade.initialRisk * rate : trade.initialRisk,
+            commissionBreakdown: trade.commissionBreakdown
+                ? trade.commissionBreakdown.map(line => ({ ...line, rate: line.rate * rate, amount: line.amount * rate }))
+                : trade.commissionBreakdown
+        };
+    }
+
+    /**
+     * Trades with their P&L in the base currency — the same array when none needs converting
+     */
+    toBaseCurrency(trades, base = this.baseCurrency) {
+        if (trades.every(t => (t.currency || 'USD') === base)) return trades;
+        const cache = new Map();
+        return trades.map(t => this.convertTrade(t, base, cache));
+    }
+
+    /**
+     * Check one FX rate entry; returns a list of problems (empty when valid)
+     */
+    validateFxRate({ pair, day, rate }) {
+        const problems = [];
+        if (!/^[A-Z]{6}$/.test(pair || '') || pair.slice(0, 3) === pair.slice(3)) problems.push('Pair must be two 3-letter codes, e.g. EURUSD');
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(day || '')) problems.push('Date must be YYYY-MM-DD');
+        if (!(rate > 0)) problems.push('Rate must be greater than 0');
+        return problems;
+    }
+
+    /**
+     * Check one cash-flow ledger entry; returns a list of problems (empty when valid)
+     */
+    validateCashFlow({ day, type, amount, currency }) {
+        const problems = [];
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(day || '') || isNaN(new Date(`${day}T00:00:00Z`).getTime())) problems.push('Date must be YYYY-MM-DD');
+        if (!this.CASH_FLOW_TYPES[type]) problems.push(`Unknown cash flow type: ${type}`);
+        if (!(amount > 0)) problems.push('Amount must be greater than 0');
+        if (currency && !/^[A-Z]{3}$/.test(currency)) problems.push('Currency must be a 3-letter code');
+        return problems;
+    }
+
+    /**
+     * Signed effect of a ledger entry on the balance, in `base`: deposits add, the rest take out.
+     * null when there is no rate from the entry's currency to `base` — such entries are left out
+     * of balances and returns (see fxMissingCashFlows).
+     */
+    cashFlowAmount(entry, base = this.baseCurrency) {
+        const rate = this.fxRate(entry.currency || base, base, entry.day);
+        if (!rate) return null;
+        return (entry.type === 'deposit' ? 1 : -1) * entry.amount * rate;
+    }
+
+    /**
+     * Ledger entries with no rate to `base`, flagged `fxMissing` like unconverted trades
+     */
+    fxMissingCashFlows(cashFlows, base = this.baseCurrency) {
+        return cashFlows.filter(f => this.cashFlowAmount(f, base) === null).map(f => ({ ...f, fxMissing: true }));
+    }
+
+    /**
+     * Day-by-day balance from a starting balance, trade P&L (on each trade's exit day) and the
+     * cash-flow ledger: [{ day, pnl, flow, fees, equity, return }]. Deposits, withdrawals and
+     * payouts are external flows, taken to land at the start of their day; fees count against
+     * the day's return. dayKey turns a date into YYYY-MM-DD (UTC unless given).
+     */
+    equityCurve(trades, cashFlows = [], startingBalance = 0, dayKey = (d) => new Date(d).toISOString().slice(0, 10)) {
+        const days = new Map();
+        const dayOf = (key) => {
+            if (!days.has(key)) days.set(key, { day: key, pnl: 0, flow: 0, fees: 0 });
+            return days.get(key);
+        };
+        trades.forEach(t => { dayOf(dayKey(t.exitTime)).pnl += t.netProfit || 0; });
+        cashFlows.forEach(entry => {
+            const amount = this.cashFlowAmount(entry);
+            if (amount === null) return;
+            if (entry.type === 'fee') dayOf(entry.day).fees -= amount;
+            else dayOf(entry.day).flow += amount;
+        });
+
+        let equity = startingBalance;
+        return [...days.values()]
+            .sort((a, b) => a.day.localeCompare(b.day))
+            .map(d => {
+                const start = equity + d.flow;
+                equity = start + d.pnl - d.fees;
+                return { ...d, equity, return: start > 0 ? equity / start - 1 : 0 };
+            });
+    }
+
+    /**
+     * Time-weighted return of an equity curve — the daily returns chained together, so money
+     * moved in or out doesn't count as a gain or loss
+     */
+    timeWeightedReturn(curve) {
+        return curve.reduce((growth, d) => growth * (1 + d.return), 1) - 1;
+    }
+
+    /**
+     * A prop-firm rule set — the preset with the user's edits on top, or one the user added
+     */
+    getPropRuleSet(id) {
+        const base = this.PROP_RULE_PRESETS[id];
+        const custom = this.customPropRules[id];
+        if (!base && !custom) return null;
+        return { id, ...base, ...custom };
+    }
+
+    /**
+     * Every rule set, flagged `builtIn` / `custom` so the settings card can offer Reset
+     */
+    getAllPropRuleSets() {
+        const ids = [...new Set([...Object.keys(this.PROP_RULE_PRESETS), ...Object.keys(this.customPropRules)])];
+        const all = {};
+        ids.forEach(id => {
+            all[id] = { ...this.getPropRuleSet(id), builtIn: !!this.PROP_RULE_PRESETS[id], custom: !!this.customPropRules[id] };
+        });
+        return all;
+    }
+
+    /**
+     * Check a rule set; returns a list of problems (empty when valid). Limits may be null (not checked).
+     */
+    validatePropRules(rules) {
+        const problems = [];
+        const optional = (v) => v === null || v === undefined;
+        if (!String(rules.name || '').trim()) problems.push('Rule set name is required');
+        if (!optional(rules.profitTarget) && !(rules.profitTarget > 0)) problems.push('Profit target must be greater than 0');
+        if (!optional(rules.maxDrawdown) && !(rules.maxDrawdown > 0)) problems.push('Max drawdown must be greater than 0');
+        if (!this.PROP_DRAWDOWN_MODES[rules.drawdownMode]) problems.push(`Unknown drawdown mode: ${rules.drawdownMode}`);
+        if (!optional(rules.dailyLossLimit) && !(rules.dailyLossLimit > 0)) problems.push('Daily loss limit must be greater than 0');
+        if (!optional(rules.minTradingDays) && !(Number.isInteger(rules.minTradingDays) && rules.minTradingDays > 0)) problems.push('Minimum trading days must be a whole number above 0');
+        if (!optional(rules.consistency) && !(rules.consistency > 0 && rules.consistency <= 100)) problems.push('Consistency must be a percentage between 1 and 100');
+        return problems;
+    }
+
+    /**
+     * Evaluate an account against a prop-firm rule set. dayMap is groupTradesByDay's output
+     * ({ 'YYYY-MM-DD': { pnl, tradeList } }); trades are replayed in exit order from the starting
+     * balance. today (a day key) sets which day's loss counts toward the daily buffer.
+     *
+     * Returns { status: 'passed' | 'failed' | 'pending', balance, rules: [{ id, label, status,
+     * value, limit, buffer, progress }], breaches: { day: [rule labels] } }. The drawdown and
+     * daily loss rules fail on the first breach; the profit target, minimum days and
+     * consistency rules pass once met.
+     */
+    evaluatePropRules(dayMap, rules, startingBalance = 0, { today = null } = {}) {
+        const days = Object.keys(dayMap).sort();
+        const summary = this.generateSummary(days.flatMap(day => dayMap[day].tradeList));
+        const has = (v) => v !== null && v !== undefined;
+        const breaches = {};
+        const breach = (day, label) => {
+            breaches[day] = breaches[day] || [];
+            if (!breaches[day].includes(label)) breaches[day].push(label);
+        };
+
+        // Drawdown floor: below the highest balance so far, never above the starting balance once trailing
+        const floorUnder = (high) => (rules.drawdownMode === 'static'
+            ? startingBalance - rules.maxDrawdown
+            : Math.min(high - rules.maxDrawdown, startingBalance));
+        let balance = startingBalance;
+        let high = startingBalance;
+        let floor = has(rules.maxDrawdown) ? floorUnder(high) : null;
+        let drawdownBreached = false;
+        let dailyBreached = false;
+        let todayPnl = 0;
+
+        days.forEach(day => {
+            const list = [...dayMap[day].tradeList].sort((a, b) => new Date(a.exitTime) - new Date(b.exitTime));
+            let dayPnl = 0;
+            let dayLow = 0;
+            list.forEach(t => {
+                balance += t.netProfit || 0;
+                dayPnl += t.netProfit || 0;
+                dayLow = Math.min(dayLow, dayPnl);
+                if (floor === null) return;
+                if (rules.drawdownMode === 'trailing' && balance > high) {
+                    high = balance;
+                    floor = floorUnder(high);
+                }
+                if (balance <= floor) {
+                    drawdownBreached = true;
+                    breach(day, 'Max drawdown');
+                }
+            });
+            if (has(rules.dailyLossLimit) && -dayLow >= rules.dailyLossLimit) {
+                dailyBreached = true;
+                breach(day, 'Daily loss limit');
+            }
+            if (floor !== null && rules.drawdownMode === 'eod' && balance > high) {
+                high = balance;
+                floor = floorUnder(high);
+            }
+            if (day === today) todayPnl = dayPnl;
+        });
+
+        const profit = summary.totalProfit;
+        const results = [];
+        if (has(rules.profitTarget)) {
+            results.push({
+                id: 'profitTarget', label: 'Profit target', status: profit >= rules.profitTarget ? 'passed' : 'pending',
+                value: profit, limit: rules.profitTarget, buffer: Math.max(0, rules.profitTarget - profit),
+                progress: Math.max(0, Math.min(1, profit / rules.profitTarget))
+            });
+        }
+        if (floor !== null) {
+            const buffer = Math.max(0, balance - floor);
+            results.push({
+                id: 'maxDrawdown', label: 'Max drawdown', status: drawdownBreached ? 'failed' : 'passed',
+                value: floor, limit: rules.maxDrawdown, buffer,
+                progress: Math.max(0, Math.min(1, 1 - buffer / rules.maxDrawdown))
+            });
+        }
+        if (has(rules.dailyLossLimit)) {
+            const buffer = Math.max(0, rules.dailyLossLimit + Math.min(0, todayPnl));
+            results.push({
+                id: 'dailyLossLimit', label: 'Daily loss limit', status: dailyBreached ? 'failed' : 'passed',
+                value: todayPnl, limit: rules.dailyLossLimit, buffer,
+                progress: 1 - buffer / rules.dailyLossLimit
+            });
+        }
+        if (has(rules.minTradingDays)) {
+            results.push({
+                id: 'minTradingDays', label: 'Minimum trading days', status: days.length >= rules.minTradingDays ? 'passed' : 'pending',
+                value: days.length, limit: rules.minTradingDays, buffer: Math.max(0, rules.minTradingDays - days.length),
+                progress: Math.min(1, days.length / rules.minTradingDays)
+            });
+        }
+        if (has(rules.consistency)) {
+            // Share of the total profit made on the best day — it must stay at or under the limit
+            const bestDay = Math.max(0, ...days.map(day => dayMap[day].pnl));
+            const share = profit > 0 ? bestDay / profit * 100 : null;
+            results.push({
+                id: 'consistency', label: 'Consistency', status: share !== null && share <= rules.consistency ? 'passed' : 'pending',
+                value: share, limit: rules.consistency, buffer: share === null ? null : Math.max(0, rules.consistency - share),
+                progress: share === null ? 0 : Math.min(1, share / rules.consistency)
+            });
+        }
+
+        const status = results.some(r => r.status === 'failed') ? 'failed'
+            : results.length > 0 && results.every(r => r.status === 'passed') ? 'passed'
+                : 'pending';
+        return { status, balance, rules: results, breaches };
+    }
+
+    /**
+     * Root of a futures symbol — "CME_MINI:ES1!" → "ES"; other symbols come back without the prefix
+     */
+    rootSymbol(symbol) {
+        return this.specKey(symbol).replace(/1!$/, '');
+    }
+
+    /**
+     * Exchange code of one contract — ("ES", "2026-03") → "ESH26"
+     */
+    contractCode(root, contractMonth) {
+        const [year, month] = contractMonth.split('-').map(Number);
+        return `${root}${this.MONTH_CODES[month - 1]}${String(year % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * Move a UTC date by `days` business days, skipping Saturdays and Sundays —
+     * shiftBusinessDays(d, -3) is the third business day before d
+     */
+    shiftBusinessDays(date, days) {
+        const d = new Date(date);
+        const weekend = () => d.getUTCDay() === 0 || d.getUTCDay() === 6;
+        const step = days < 0 ? -1 : 1;
+        for (let left = Math.abs(days); left > 0;) {
+            d.setUTCDate(d.getUTCDate() + step);
+            if (!weekend()) left--;
+        }
+        return d;
+    }
+
+    /**
+     * Last trade date ('YYYY-MM-DD') of a contract month under its root's ROLL_RULES, or null
+     * for a root without rules
+     */
+    lastTradeDate(root, contractMonth) {
+        const rule = this.ROLL_RULES[root];
+        if (!rule) return null;
+        const [year, month] = contractMonth.split('-').map(Number);
+        const day = (d, m = month) => new Date(Date.UTC(year, m - 1, d));
+        const nthWeekday = (weekday, n) => {
+            const first = day(1);
+            return day(1 + (weekday - first.getUTCDay() + 7) % 7 + (n - 1) * 7);
+        };
+        let last;
+        switch (rule.lastTrade) {
+        case 'thirdFriday':
+            last = nthWeekday(5, 3);
+            break;
+        case 'fx':
+            // Two business days before the third Wednesday
+            last = this.shiftBusinessDays(nthWeekday(3, 3), -2);
+            break;
+        case 'crude': {
+            // Three business days before the 25th of the prior month — four when the 25th is a weekend
+            const the25th = day(25, month - 1);
+            const weekend = the25th.getUTCDay() === 0 || the25th.getUTCDay() === 6;
+            last = this.shiftBusinessDays(the25th, weekend ? -4 : -3);
+            break;
+        }
+        case 'natGas':
+            last = this.shiftBusinessDays(day(1), -3);
+            break;
+        case 'metals':
+            // Third-last business day of the month
+            last = this.shiftBusinessDays(day(1, month + 1), -3);
+            break;
+        case 'treasuries':
+            // Seven business days before the last business day of the month
+            last = this.shiftBusinessDays(day(1, month + 1), -8);
+            break;
+        case 'grains':
+            last = this.shiftBusinessDays(day(15), -1);
+            break;
+        default:
+            return null;
+        }
+        return last.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Roll date of a contract month — rollDays business days before its last trade date
+     */
+    rollDate(root, contractMonth) {
+        const last = this.lastTradeDate(root, contractMonth);
+        if (!last) return null;
+        return this.shiftBusinessDays(new Date(`${last}T00:00:00Z`), -this.ROLL_RULES[root].rollDays).toISOString().slice(0, 10);
     }
 
     /**
-     * Process orders and calculate trades
+     * The next `count` contracts of a root still trading on `from` ('YYYY-MM-DD'), each with
+     * { code, contractMonth, rollDate, lastTrade, front }. The front contract is the first
+     * one not yet past its roll date.
      */
-    processOrders(orders) {
+    rollCalendar(root, from, count = 4) {
+        const rule = this.ROLL_RULES[root];
+        if (!rule) return [];
+        const contracts = [];
+        let [year, month] = from.split('-').map(Number);
+        for (let i = 0; i < 36 && contracts.length < count; i++) {
+            const contractMonth = `${year}-${String(month).padStart(2, '0')}`;
+            if (rule.months.includes(this.MONTH_CODES[month - 1])) {
+                const lastTrade = this.lastTradeDate(root, contractMonth);
+                if (lastTrade >= from) {
+                    contracts.push({ code: this.contractCode(root, contractMonth), contractMonth, rollDate: this.rollDate(root, contractMonth), lastTrade, front: false });
+                }
+            }
+            if (++month > 12) { month = 1; year++; }
+        }
+        const front = contracts.find(c => c.rollDate > from) || contracts[0];
+        if (front) front.front = true;
+        return contracts;
+    }
+
+    /**
+     * Grouping key of a trade for the instrument breakdown: its root ("ES"), or with
+     * by = 'contract' the specific contract ("ESH26") when the trade knows its month
+     */
+    instrumentKey(trade, by = 'root') {
+        const root = this.rootSymbol(trade.contract || trade.symbol || 'Unknown');
+        const month = trade.contractMonth || (trade.expiry ? trade.expiry.slice(0, 7) : '');
+        return by === 'contract' && month ? this.contractCode(root, month) : root;
+    }
+
+    /**
+     * Summary statistics per instrument, grouped by root or by specific contract (see
+     * instrumentKey), largest absolute P&L first
+     */
+    groupByInstrument(trades, by = 'root') {
+        const groups = new Map();
+        trades.forEach(trade => {
+            const key = this.instrumentKey(trade, by);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(trade);
+        });
+        return [...groups].map(([key, list]) => ({ key, ...this.generateSummary(list) }))
+            .sort((a, b) => Math.abs(b.totalProfit) - Math.abs(a.totalProfit) || a.key.localeCompare(b.key));
+    }
+
+    /**
+     * Report keys of a trade for one REPORT_DIMENSIONS entry — several for 'tag' when the trade
+     * has several tags. Weekday and hour are those of the entry in wallClock's zone.
+     */
+    reportKeys(trade, by, wallClock) {
+        switch (by) {
+            case 'side': return [trade.side || 'Unknown'];
+            case 'broker': return [trade.broker || 'Unknown'];
+            case 'weekday': return [wallClock(new Date(trade.entryTime)).weekday];
+            case 'hour': return [wallClock(new Date(trade.entryTime)).hour];
+            case 'tag': {
+                const tags = [...new Set(String(trade.tags || '').split(',').map(t => t.trim()).filter(Boolean))];
+                return tags.length ? tags : [null];
+            }
+            default: return [trade.contract || trade.symbol || 'Unknown'];
+        }
+    }
+
+    /**
+     * Summary statistics per report key (see reportKeys): [{ key, label, ...generateSummary }].
+     * Weekdays and hours come in calendar order, other keys largest P&L first. With by = 'tag'
+     * a trade counts once under each of its tags (matched ignoring case); onlyTags limits the rows to those tags (one
+     * tag group) and untagged trades fall under 'Untagged'. wallClock(date) gives
+     * { weekday (0=Sun), hour } — UTC unless the caller passes its display zone.
+     */
+    groupReport(trades, by = 'symbol', { wallClock = (d) => ({ weekday: d.getUTCDay(), hour: d.getUTCHours() }), onlyTags = null } = {}) {
+        const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const only = onlyTags ? new Set(onlyTags.map(t => t.toLowerCase())) : null;
+        const sorted = [...trades].sort((a, b) => new Date(a.exitTime) - new Date(b.exitTime));
+        const spelling = new Map();
+        const groups = new Map();
+        sorted.forEach(trade => {
+            let keys = this.reportKeys(trade, by, wallClock);
+            if (only) {
+                keys = keys.filter(k => k !== null && only.has(k.toLowerCase()));
+                if (!keys.length) keys = [null];
+            }
+            if (by === 'tag') {
+                // "breakout" and "Breakout" are one tag, shown as first spelled
+                keys = [...new Set(keys.map(k => {
+                    if (k === null) return null;
+                    if (!spelling.has(k.toLowerCase())) spelling.set(k.toLowerCase(), k);
+                    return spelling.get(k.toLowerCase());
+                }))];
+            }
+            keys.forEach(key => {
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(trade);
+            });
+        });
+
+        const label = (key) => key === null ? 'Untagged'
+            : by === 'weekday' ? weekdays[key]
+            : by === 'hour' ? `${String(key).padStart(2, '0')}:00`
+            : key;
+        const rows = [...groups].map(([key, list]) => ({ key, label: label(key), ...this.generateSummary(list) }));
+        if (by === 'weekday' || by === 'hour') return rows.sort((a, b) => a.key - b.key);
+        return rows.sort((a, b) => (a.key === null) - (b.key === null) || b.totalProfit - a.totalProfit || a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Weekday × time-of-day grid of the trades' entries, bucketMinutes wide (15, 30 or 60).
+     * Returns { weekdays, buckets, cells } — weekdays (0=Sun) and buckets (minutes after
+     * midnight) span only the days and hours traded, cells["weekday-bucket"] holds
+     * { trades, wins, pnl, winRate }. wallClock(date) gives { weekday, hour, minute }.
+     */
+    timeHeatmap(trades, bucketMinutes = 30, wallClock = (d) => ({ weekday: d.getUTCDay(), hour: d.getUTCHours(), minute: d.getUTCMinutes() })) {
+        const cells = {};
+        const days = new Set();
+        let first = Infinity;
+        let last = -Infinity;
+        trades.forEach(trade => {
+            if (!trade.entryTime) return;
+            const t = wallClock(new Date(trade.entryTime));
+            const bucket = Math.floor((t.hour * 60 + t.minute) / bucketMinutes) * bucketMinutes;
+            const key = `${t.weekday}-${bucket}`;
+            if (!cells[key]) cells[key] = { trades: 0, wins: 0, pnl: 0, winRate: 0 };
+            cells[key].trades += 1;
+            cells[key].wins += trade.isWin ? 1 : 0;
+            cells[key].pnl += trade.netProfit;
+            cells[key].winRate = (cells[key].wins / cells[key].trades) * 100;
+            days.add(t.weekday);
+            first = Math.min(first, bucket);
+            last = Math.max(last, bucket);
+        });
+
+        // Monday first; weekends only when traded
+        const weekdays = [1, 2, 3, 4, 5, 6, 0].filter(d => (d >= 1 && d <= 5) || days.has(d));
+        const buckets = [];
+        for (let b = first; b <= last; b += bucketMinutes) buckets.push(b);
+        return { weekdays, buckets, cells };
+    }
+
+    /**
+     * Holding time against P&L, one point per trade: { minutes, netProfit, isWin, duration, trade }
+     */
+    holdingTimePoints(trades) {
+        return trades.filter(t => t.entryTime && t.exitTime).map(trade => ({
+            minutes: this.durationMinutes(trade.entryTime, trade.exitTime),
+            netProfit: trade.netProfit,
+            isWin: trade.isWin,
+            duration: this.calculateDuration(trade.entryTime, trade.exitTime),
+            trade
+        }));
+    }
+
+    /**
+     * Fills dated after their contract's last trade date — the statement's expiry when it has
+     * one, else the roll calendar's. Returns [{ order, code, lastTrade }].
+     */
+    expiredFills(orders) {
+        const expired = [];
+        orders.forEach(order => {
+            if (!order.contractMonth && !order.expiry) return;
+            const root = this.rootSymbol(order.symbol);
+            const lastTrade = order.expiry || this.lastTradeDate(root, order.contractMonth);
+            const day = new Date(order.placingTime).toISOString().slice(0, 10);
+            if (lastTrade && day > lastTrade) {
+                expired.push({ order, code: this.contractCode(root, order.contractMonth || order.expiry.slice(0, 7)), lastTrade });
+            }
+        });
+        return expired;
+    }
+
+    /**
+     * Process orders and calculate trades.
+     * openLots are lots left open by earlier imports — exits in these orders close them first.
+     * method is one of MATCHING_METHODS (FIFO by default).
+     */
+    processOrders(orders, openLots = [], { method = 'fifo' } = {}) {
         console.log('🧮 processOrders: Starting trade calculation...');
         console.log(`📊 Input: ${orders.length} orders`);
 
         try {
             // Match buy/sell pairs chronologically
             console.log('🔗 Step 1: Matching trades...');
-            const trades = this.matchTrades(orders);
+            const trades = this.matchTrades(orders, openLots, method);
             console.log(`✅ Matched ${trades.length} trades`);
 
             // Calculate profit/loss for each trade
             console.log('💰 Step 2: Calculating trade profits...');
             const calculatedTrades = trades.map((trade, index) => {
+                this.reportProgress('calculate', index + 1, trades.length);
                 if (index < 5) {
                     console.log(`💹 Calculating trade ${index + 1}:`, {
                         entry: trade.entryPrice,
@@ -150,7 +938,10 @@ class TradeCalculator {
             const result = {
                 trades: calculatedTrades,
                 summary,
-                orders: orders.length
+                orders: orders.length,
+                unclosedPositions: this.unclosedPositions,
+                openLots: this.openLots,
+                method: this.MATCHING_METHODS[method] ? method : 'fifo'
             };
 
             console.log('✅ processOrders completed successfully');
@@ -174,33 +965,71 @@ class TradeCalculator {
     }
 
     /**
-     * Match orders into trades using FIFO position tracking.
+     * Match orders into trades using per-symbol position tracking.
      * Handles partial fills: a single large entry (e.g. Sell 5) is correctly matched
      * against multiple smaller exits (Buy 2 + Buy 2 + Buy 1) using a per-symbol position queue.
+     *
+     * method picks the lot an exit closes: 'fifo' the oldest, 'lifo' the newest. 'average' blends
+     * the open lots into one at the average entry price and emits one trade per flat-to-flat
+     * position (a position still open at the end of the batch is split there).
+     *
+     * openLots ({ key, qty, price, order, closedBy }) seed the queues ahead of the new orders.
+     * A lot whose fills are all in this batch is left out — the batch rebuilds it — and fills that
+     * already traded against a seeded lot are skipped, so re-importing an overlapping export
+     * doesn't double-count them.
      */
-    matchTrades(orders) {
+    matchTrades(orders, openLots = [], method = 'fifo') {
+        if (!this.MATCHING_METHODS[method]) method = 'fifo';
         const trades = [];
+        const batchIds = new Set(orders.map(o => o.orderId).filter(Boolean));
+        const lotIds = (lot) => this.orderFills(lot.order).map(f => f.orderId).filter(Boolean);
+        const seededLots = openLots.filter(lot => {
+            const ids = lotIds(lot);
+            return ids.length === 0 || !ids.every(id => batchIds.has(id));
+        });
+        const consumedIds = new Set();
+        seededLots.forEach(lot => [...lotIds(lot), ...(lot.closedBy || [])].forEach(id => consumedIds.add(id)));
         const validOrders = orders
             .filter(order => order.fillPrice && order.placingTime)
+            .filter(order => !order.orderId || !consumedIds.has(order.orderId))
             // Primary: chronological. Secondary: price ascending (stable tiebreaker so
             // same-timestamp orders always sort identically across devices/JS engines).
             .sort((a, b) => (a.placingTime - b.placingTime) || (a.fillPrice - b.fillPrice));
 
-        console.log(`Matching ${validOrders.length} valid orders chronologically (FIFO)`);
+        console.log(`Matching ${validOrders.length} valid orders chronologically (${this.MATCHING_METHODS[method]})`);
 
-        // Position tracker per symbol: array of open lots { qty, price, order }
+        // Position tracker per symbol: array of open lots { qty, price, order, closedBy }
         const positions = {};
+        seededLots.forEach(lot => {
+            if (!positions[lot.key]) positions[lot.key] = [];
+            positions[lot.key].push({ qty: lot.qty, price: lot.price, order: lot.order, closedBy: [...(lot.closedBy || [])] });
+        });
+        if (seededLots.length > 0) console.log(`📌 Carrying ${seededLots.length} open lots from earlier imports`);
+
+        // Average cost: partial closes wait here until their position is flat again
+        const average = method === 'average';
+        const rounds = {};
+        const closeRound = (sym) => {
+            const partials = rounds[sym];
+            delete rounds[sym];
+            if (partials && partials.length > 0) trades.push(this.mergeRoundTrip(partials));
+        };
 
-        for (const order of validOrders) {
+        for (let i = 0; i < validOrders.length; i++) {
+            const order = validOrders[i];
+            this.reportProgress('match', i + 1, validOrders.length);
             if (order.status !== 'Filled') continue;
 
-            const sym = order.symbol;
+            // Orders carrying an IBKR conid or a contract month are tracked per contract month,
+            // not per continuous symbol
+            const sym = order.conid ? `${order.symbol}#${order.conid}`
+                : order.contractMonth ? `${order.symbol}@${order.contractMonth}` : order.symbol;
             if (!positions[sym]) positions[sym] = [];
             const pos = positions[sym];
 
             if (pos.length === 0) {
                 // No open position — start one
-                pos.push({ qty: order.qty, price: order.fillPrice, order });
+                pos.push({ qty: order.qty, price: order.fillPrice, order, closedBy: [] });
                 continue;
             }
 
@@ -209,14 +1038,16 @@ class TradeCalculator {
 
             if (isSameSide) {
                 // Scale into existing position
-                pos.push({ qty: order.qty, price: order.fillPrice, order });
+                pos.push({ qty: order.qty, price: order.fillPrice, order, closedBy: [] });
                 continue;
             }
 
-            // Opposite side — close open lots FIFO
+            // Opposite side — close open lots (oldest first for FIFO, newest first for LIFO)
+            if (average) this.blendLots(pos);
             let remainingQty = order.qty;
+            const closedLotIds = [];
             while (remainingQty > 0 && pos.length > 0) {
-                const lot = pos[0];
+                const lot = method === 'lifo' ? pos[pos.length - 1] : pos[0];
                 const closeQty = Math.min(remainingQty, lot.qty);
 
                 // Copies that carry the partial qty and the original qty (for commission scaling)
@@ -224,27 +1055,50 @@ class TradeCalculator {
                 const exitOrderCopy  = { ...order, originalQty: order.qty, qty: closeQty };
 
                 const trade = this.createTradeObject(entryOrderCopy, exitOrderCopy);
-                trades.push(trade);
+                trade.matchingMethod = method;
+                if (average) {
+                    (rounds[sym] = rounds[sym] || []).push(trade);
+                } else {
+                    trades.push(trade);
+                }
 
                 const label = (closeQty < lot.order.qty || closeQty < order.qty) ? ' (partial)' : '';
                 console.log(`✅ Trade ${trades.length}${label}: ${lot.order.side} ${lot.price} → ${order.side} ${order.fillPrice} qty=${closeQty} [${trade.side}]`);
 
                 lot.qty -= closeQty;
                 remainingQty -= closeQty;
-                if (lot.qty <= 0) pos.shift();
+                if (lot.qty <= 0) {
+                    if (method === 'lifo') pos.pop(); else pos.shift();
+                    closedLotIds.push(...lotIds(lot));
+                } else if (order.orderId) {
+                    lot.closedBy.push(order.orderId);
+                }
             }
+            if (average && pos.length === 0) closeRound(sym);
 
             // Leftover quantity opens a new position in the opposite direction
             if (remainingQty > 0) {
-                pos.push({ qty: remainingQty, price: order.fillPrice, order });
+                pos.push({ qty: remainingQty, price: order.fillPrice, order, closedBy: closedLotIds });
             }
         }
+        Object.keys(rounds).forEach(closeRound);
 
-        // Log any positions left open (e.g. no closing order in this CSV)
+        // Record any positions left open (e.g. no closing order in this CSV)
+        this.unclosedPositions = [];
+        this.openLots = [];
         for (const [sym, pos] of Object.entries(positions)) {
+            pos.forEach(lot => this.openLots.push({ key: sym, qty: lot.qty, price: lot.price, order: lot.order, closedBy: lot.closedBy }));
             if (pos.length > 0) {
                 const unclosed = pos.reduce((s, l) => s + l.qty, 0);
                 console.log(`⚠️ Unclosed position: ${sym} ${unclosed} qty remaining`);
+                this.unclosedPositions.push({
+                    symbol: pos[0].order.symbol,
+                    side: pos[0].order.side,
+                    qty: unclosed,
+                    avgPrice: pos.reduce((s, l) => s + l.qty * l.price, 0) / unclosed,
+                    orderIds: pos.flatMap(l => lotIds(l)),
+                    sourceLines: pos.flatMap(l => this.orderFills(l.order).map(f => f.sourceLine)).filter(n => n != null)
+                });
             }
         }
 
@@ -252,6 +1106,105 @@ class TradeCalculator {
         return trades;
     }
 
+    /**
+     * Share of a per-order amount (commission, swap, margin) that belongs to qty of the order
+     */
+    proRata(order, qty, value) {
+        const amount = parseFloat(String(value ?? '').replace(/[^0-9.-]/g, '')) || 0;
+        return amount * qty / (order.originalQty || order.qty || qty);
+    }
+
+    /**
+     * Average cost: fold a position's lots into one at the qty-weighted entry price.
+     * Commission, swap and margin carry over pro rata; the raw fills stay on the order.
+     */
+    blendLots(pos) {
+        if (pos.length < 2) return;
+        const qty = pos.reduce((s, l) => s + l.qty, 0);
+        const sum = (field) => pos.reduce((s, l) => s + this.proRata(l.order, l.qty, l.order[field]), 0);
+        const first = pos[0].order;
+        const order = {
+            ...first,
+            qty,
+            fillPrice: pos.reduce((s, l) => s + l.qty * l.price, 0) / qty,
+            commission: sum('commission'),
+            swap: sum('swap'),
+            margin: first.margin ? sum('margin') : first.margin,
+            fills: this.uniqueFills(pos.flatMap(l => this.orderFills(l.order)))
+        };
+        pos.splice(0, pos.length, { qty, price: order.fillPrice, order, closedBy: pos.flatMap(l => l.closedBy || []) });
+    }
+
+    /**
+     * Average cost: one trade for a flat-to-flat position out of the partial closes inside it —
+     * average entry, average exit, first entry time, last exit time, summed commission and swap
+     */
+    mergeRoundTrip(partials) {
+        if (partials.length === 1) return partials[0];
+        const qty = partials.reduce((s, p) => s + p.quantity, 0);
+        const avg = (field) => partials.reduce((s, p) => s + p[field] * p.quantity, 0) / qty;
+        const leg = (pick, base, price) => {
+            const sum = (field) => partials.reduce((s, p) => s + this.proRata(pick(p), pick(p).qty, pick(p)[field]), 0);
+            return {
+                ...base,
+                qty,
+                originalQty: qty,
+                fillPrice: price,
+                commission: sum('commission'),
+                swap: sum('swap'),
+                margin: base.margin ? sum('margin') : base.margin
+            };
+        };
+
+        const entryOrder = leg(p => p.entryOrder, partials[0].entryOrder, avg('entryPrice'));
+        const exitOrder = leg(p => p.exitOrder, partials[partials.length - 1].exitOrder, avg('exitPrice'));
+        delete entryOrder.fills;
+        const trade = this.createTradeObject(entryOrder, exitOrder);
+        trade.matchingMethod = 'average';
+        trade.fills = this.uniqueFills(partials.flatMap(p => this.tradeFills(p)));
+        return trade;
+    }
+
+    /**
+     * The raw orders behind an order: itself at its original size, or the fills a blended lot came from
+     */
+    orderFills(order) {
+        if (order.fills) return order.fills;
+        const { originalQty, ...raw } = order;
+        return [{ ...raw, qty: originalQty ?? order.qty }];
+    }
+
+    /**
+     * The raw orders a trade was matched from — what recalculating with another method starts from
+     */
+    tradeFills(trade) {
+        if (trade.fills) return trade.fills;
+        return [...this.orderFills(trade.entryOrder), ...this.orderFills(trade.exitOrder)];
+    }
+
+    /**
+     * Drop repeated fills (by Order ID, or symbol/side/time/price/qty when the broker gives none)
+     */
+    uniqueFills(fills) {
+        const seen = new Set();
+        return fills.filter(f => {
+            const key = f.orderId || [f.symbol, f.side, new Date(f.placingTime).getTime(), f.fillPrice, f.qty].join('|');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Orders read back from JSON (localStorage, Firebase) carry their dates as strings
+     */
+    reviveOrder(order) {
+        const date = (d) => (d ? new Date(d) : null);
+        const revived = { ...order, placingTime: date(order.placingTime), closingTime: date(order.closingTime) };
+        if (order.fills) revived.fills = order.fills.map(f => this.reviveOrder(f));
+        return revived;
+    }
+
     /**
      * Check if two orders form a valid trade pair
      */
@@ -297,7 +1250,20 @@ class TradeCalculator {
             side: side,
             margin: parseMargin(entryOrder.margin || exitOrder.margin),
             leverage: entryOrder.leverage || exitOrder.leverage || '',
-            broker: entryOrder.broker || exitOrder.broker || ''
+            broker: entryOrder.broker || exitOrder.broker || '',
+            // Contract metadata from statements that carry it (IBKR Flex). The closing fill's
+            // multiplier comes first: a MetaTrader out deal's profit implies its own.
+            multiplier: exitOrder.multiplier || entryOrder.multiplier || null,
+            conid: entryOrder.conid || '',
+            expiry: entryOrder.expiry || '',
+            // Specific contract month ('YYYY-MM') of a futures fill traded under its continuous ticker
+            contractMonth: entryOrder.contractMonth || '',
+            currency: entryOrder.currency || 'USD',
+            // MetaTrader orders are sized in lots; qty is lots × contract size
+            lots: entryOrder.contractSize ? entryOrder.qty / entryOrder.contractSize : null,
+            // Planned exits from the entry's bracket orders (TradingView); the journal can set them too
+            plannedStop: entryOrder.plannedStop ?? null,
+            plannedTarget: entryOrder.plannedTarget ?? null
         };
     }
 
@@ -318,11 +1284,17 @@ class TradeCalculator {
             ? entryPrice - exitPrice
             : exitPrice - entryPrice;
 
+        // P&L comes out in the currency the broker reports for the fill, else the instrument's
+        // quote currency (GBPJPY → JPY); the dashboard converts it to the base currency.
+        const currency = trade.entryOrder?.currency || specs.currency || 'USD';
+
         // Effective multiplier — for most instruments specs.multiplier is correct.
-        // For non-USD-quoted forex (e.g. GBPJPY) the raw point×qty product is in
-        // the quote currency, not USD.  Derive a conversion factor from the order's
-        // margin and leverage so the result is always in USD.
-        let effectiveMultiplier = specs.multiplier;
+        // A multiplier reported by the broker statement beats the registry lookup.
+        // The order's margin × leverage gives the USD notional: for a USD-quoted instrument a
+        // mismatch means the registry size is wrong; for a non-USD quote it implies the
+        // quote → USD rate at entry, kept as a fallback for days the FX table has no rate.
+        let effectiveMultiplier = trade.multiplier || specs.multiplier;
+        let impliedFxRate = null;
         if (trade.margin > 0 && trade.leverage) {
             const levMatch = String(trade.leverage).match(/(\d+)/);
             if (levMatch) {
@@ -330,10 +1302,12 @@ class TradeCalculator {
                 const refQty = (trade.entryOrder && trade.entryOrder.originalQty) || quantity;
                 if (levVal > 0 && refQty > 0 && entryPrice > 0) {
                     const derived = (trade.margin * levVal) / (refQty * entryPrice);
-                    // Use derived value only when it differs significantly from spec
-                    // (avoids fill-price vs margin-price rounding noise on limit/stop orders)
                     const specMult = specs.multiplier || 1;
-                    if (Math.abs(derived - specMult) / specMult > 0.1) {
+                    if (currency !== 'USD') {
+                        impliedFxRate = derived / specMult;
+                    } else if (Math.abs(derived - specMult) / specMult > 0.1) {
+                        // Use derived value only when it differs significantly from spec
+                        // (avoids fill-price vs margin-price rounding noise on limit/stop orders)
                         effectiveMultiplier = derived;
                     }
                 }
@@ -345,20 +1319,37 @@ class TradeCalculator {
         // Commission: use CSV per-order values only when at least one order has a non-zero value.
         // Blank CSV commission (paper trading) falls back to spec-based rate.
         let totalCommission;
+        let commissionBreakdown = null;
+        const schedule = this.commissionScheduleFor(trade);
         const entryOrder = trade.entryOrder;
         const exitOrder  = trade.exitOrder;
         const entryCommNum = parseFloat(entryOrder?.commission) || 0;
         const exitCommNum  = parseFloat(exitOrder?.commission)  || 0;
-        if (entryOrder && entryOrder.commission !== undefined && (entryCommNum > 0 || exitCommNum > 0)) {
+        if (trade.commissionOverride !== undefined && trade.commissionOverride !== null) {
+            // Hand-entered round-trip commission (manual trades) — an explicit 0 is respected
+            totalCommission = trade.commissionOverride;
+        } else if (entryOrder && entryOrder.commission !== undefined && (entryCommNum > 0 || exitCommNum > 0)) {
             // Non-zero CSV commission — use per-order values scaled for partial fills
             const origEntryQty = entryOrder.originalQty || quantity;
             const origExitQty  = exitOrder ? (exitOrder.originalQty || quantity) : quantity;
             totalCommission = entryCommNum * (quantity / origEntryQty) + exitCommNum * (quantity / origExitQty);
+        } else if (schedule) {
+            // Blank commission in CSV, broker schedule set → rate (by tier) plus fees, per side
+            commissionBreakdown = this.scheduleCommission(schedule, quantity, trade.tierVolume || 0);
+            totalCommission = commissionBreakdown.reduce((sum, line) => sum + line.amount, 0);
         } else {
             // Blank commission in CSV → use spec-based round-trip rate (entry + exit legs)
             totalCommission = specs.commission * 2 * quantity;
         }
-        const netProfit = grossProfit - totalCommission;
+
+        // Swap (overnight financing) is signed as the broker reports it: negative is a charge,
+        // positive a credit. Scaled for partial fills like commission.
+        const entrySwap = parseFloat(entryOrder?.swap) || 0;
+        const exitSwap  = parseFloat(exitOrder?.swap)  || 0;
+        const swap = entrySwap * (quantity / ((entryOrder && entryOrder.originalQty) || quantity)) +
+            exitSwap * (quantity / ((exitOrder && exitOrder.originalQty) || quantity));
+
+        const netProfit = grossProfit - totalCommission + swap;
 
         // Determine win/loss status
         const isWin = netProfit > 0;
@@ -367,6 +1358,12 @@ class TradeCalculator {
         // Format return value (round to nearest dollar)
         const returnValue = Math.round(netProfit);
 
+        // R multiples: initial risk is the distance to the planned stop at the trade's size
+        const plannedStop = trade.plannedStop ?? null;
+        const plannedTarget = trade.plannedTarget ?? null;
+        const stopDistance = plannedStop !== null ? Math.abs(entryPrice - plannedStop) : 0;
+        const initialRisk = stopDistance > 0 ? stopDistance * quantity * effectiveMultiplier : null;
+
         // Create Trinjo-compatible format
         const trinjoTrade = {
             // Original trade data
@@ -376,10 +1373,17 @@ class TradeCalculator {
             pointDifference,
             grossProfit,
             totalCommission,
+            commissionBreakdown,
+            swap,
             netProfit,
             returnValue,
             status,
             isWin,
+            plannedStop,
+            plannedTarget,
+            initialRisk,
+            rMultiple: initialRisk ? netProfit / initialRisk : null,
+            plannedR: initialRisk && plannedTarget !== null ? Math.abs(plannedTarget - entryPrice) / stopDistance : null,
 
             // Trinjo format fields
             date: this.formatDateTime(trade.exitTime),
@@ -391,10 +1395,11 @@ class TradeCalculator {
             exit: exitPrice,
             return: returnValue,
             commission: specs.commission,
-            currency: 'USD',
+            currency,
+            impliedFxRate,
             images: '-',
-            notes: '',
-            tags: '',
+            notes: trade.notes || '',
+            tags: trade.tags || '',
 
             // Additional metadata
             duration: this.calculateDuration(trade.entryTime, trade.exitTime),
@@ -408,14 +1413,100 @@ class TradeCalculator {
         return trinjoTrade;
     }
 
+    /**
+     * Check a planned stop and target against a trade's side and entry; returns a list of
+     * problems (empty when valid). Either level may be null.
+     */
+    validatePlannedLevels(trade, { stop = null, target = null }) {
+        const problems = [];
+        const long = (trade.side || 'LONG') !== 'SHORT';
+        const entry = trade.entryPrice;
+        if (stop !== null && !(Number.isFinite(stop) && stop > 0)) problems.push('Planned stop must be a positive price');
+        else if (stop !== null && (long ? stop >= entry : stop <= entry)) {
+            problems.push(`Planned stop must be ${long ? 'below' : 'above'} the entry (${entry}) for a ${long ? 'long' : 'short'} trade`);
+        }
+        if (target !== null && !(Number.isFinite(target) && target > 0)) problems.push('Planned target must be a positive price');
+        else if (target !== null && (long ? target <= entry : target >= entry)) {
+            problems.push(`Planned target must be ${long ? 'above' : 'below'} the entry (${entry}) for a ${long ? 'long' : 'short'} trade`);
+        }
+        return problems;
+    }
+
+    /**
+     * Check hand-entered trade fields; returns a list of problems (empty when valid)
+     */
+    validateManualTrade(fields) {
+        const problems = [];
+        const isDate = (d) => d instanceof Date && !isNaN(d.getTime());
+        if (!fields.contract || !String(fields.contract).trim()) problems.push('Symbol is required');
+        if (fields.side !== 'LONG' && fields.side !== 'SHORT') problems.push('Side must be LONG or SHORT');
+        if (!(fields.quantity > 0)) problems.push('Quantity must be greater than 0');
+        if (!Number.isFinite(fields.entryPrice)) problems.push('Entry price is required');
+        if (!Number.isFinite(fields.exitPrice)) problems.push('Exit price is required');
+        if (!isDate(fields.entryTime)) problems.push('Entry time is required');
+        if (!isDate(fields.exitTime)) problems.push('Exit time is required');
+        if (isDate(fields.entryTime) && isDate(fields.exitTime) && fields.exitTime < fields.entryTime) {
+            problems.push('Exit time is before entry time');
+        }
+        if (fields.commission !== null && fields.commission !== undefined && !(fields.commission >= 0)) {
+            problems.push('Commission cannot be negative');
+        }
+        return problems;
+    }
+
+    /**
+     * Build a calculated trade from hand-entered values (a manual trade or an edit of one).
+     * fields: { contract, side ('LONG'|'SHORT'), quantity, entryPrice, exitPrice, entryTime, exitTime,
+     *           commission (round trip; null = contract spec rate), broker, multiplier, swap }
+     * ids: { id, entryOrderId, exitOrderId } — an edited import keeps its Order IDs so re-imports still see it.
+     */
+    buildManualTrade(fields, ids = {}) {
+        const problems = this.validateManualTrade(fields);
+        if (problems.length > 0) throw new Error(problems.join('. '));
+
+        const key = Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        const contract = String(fields.contract).trim();
+        const broker = fields.broker || 'Manual';
+        const makeOrder = (side, fillPrice, time, orderId) => ({
+            symbol: contract,
+            side,
+            type: 'Market',
+            qty: fields.quantity,
+            fillPrice,
+            status: 'Filled',
+            commission: '',
+            placingTime: time,
+            closingTime: time,
+            orderId,
+            leverage: '',
+            margin: '',
+            broker,
+            multiplier: fields.multiplier || null
+        });
+
+        const entrySide = fields.side === 'LONG' ? 'Buy' : 'Sell';
+        const exitSide = fields.side === 'LONG' ? 'Sell' : 'Buy';
+        const entryOrder = makeOrder(entrySide, fields.entryPrice, fields.entryTime, ids.entryOrderId || `manual_${key}_entry`);
+        const exitOrder = makeOrder(exitSide, fields.exitPrice, fields.exitTime, ids.exitOrderId || `manual_${key}_exit`);
+        if (fields.swap) exitOrder.swap = fields.swap;
+
+        const trade = this.createTradeObject(entryOrder, exitOrder);
+        trade.commissionOverride = fields.commission ?? null;
+        trade.plannedStop = fields.plannedStop ?? null;
+        trade.plannedTarget = fields.plannedTarget ?? null;
+
+        return {
+            ...this.calculateTrade(trade),
+            id: ids.id || `manual_${key}`,
+            manual: true
+        };
+    }
+
     /**
      * Calculate duration between two dates
      */
     calculateDuration(startTime, endTime) {
-        if (typeof startTime === 'string') startTime = new Date(startTime);
-        if (typeof endTime === 'string') endTime = new Date(endTime);
-        const durationMs = endTime - startTime;
-        const minutes = Math.floor(durationMs / (1000 * 60));
+        const minutes = this.durationMinutes(startTime, endTime);
         const hours = Math.floor(minutes / 60);
         const days = Math.floor(hours / 24);
 
@@ -428,6 +1519,15 @@ class TradeCalculator {
         }
     }
 
+    /**
+     * Whole minutes between two times (Dates or date strings)
+     */
+    durationMinutes(startTime, endTime) {
+        if (typeof startTime === 'string') startTime = new Date(startTime);
+        if (typeof endTime === 'string') endTime = new Date(endTime);
+        return Math.floor((endTime - startTime) / (1000 * 60));
+    }
+
     /**
      * Format datetime for display
      */
@@ -454,9 +1554,151 @@ class TradeCalculator {
     }
 
     /**
-     * Generate summary statistics
+     * Roll matched trades into flat-to-flat positions: trades of one account (and broker), contract and side
+     * whose holding times overlap are one position (a 5-lot closed 2+2+1 counts once).
+     * Order follows each position's first trade in the input; a lone trade passes through.
+     */
+    groupPositions(trades) {
+        const time = (t) => new Date(t.entryTime || t.boughtDate).getTime();
+        const exit = (t) => new Date(t.exitTime || t.soldDate || t.date).getTime();
+        const byKey = new Map();
+        trades.forEach((trade, index) => {
+            const key = [trade.accountId || '', trade.broker || '', trade.contract || trade.symbol || '', trade.side || 'LONG'].join('|');
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push({ trade, index });
+        });
+
+        const groups = [];
+        byKey.forEach(items => {
+            items.sort((a, b) => time(a.trade) - time(b.trade) || a.index - b.index);
+            let group = null;
+            items.forEach(item => {
+                // Re-entering at the exit's timestamp starts a new position
+                if (group && time(item.trade) < group.end) {
+                    group.items.push(item);
+                    group.end = Math.max(group.end, exit(item.trade));
+                } else {
+                    group = { items: [item], end: exit(item.trade) };
+                    groups.push(group);
+                }
+            });
+        });
+
+        return groups
+            .sort((a, b) => Math.min(...a.items.map(i => i.index)) - Math.min(...b.items.map(i => i.index)))
+            .map(g => this.buildPosition(g.items.map(i => i.trade)));
+    }
+
+    /**
+     * One position out of the overlapping trades behind it — average entry and exit, total
+     * and peak size, summed P&L, commission and swap, and each leg's prices and times so MAE/MFE
+     * can be measured over the holding window later
+     */
+    buildPosition(legs) {
+        const peak = (trades) => {
+            const events = trades.flatMap(t => [
+                { at: new Date(t.entryTime).getTime(), qty: t.quantity },
+                { at: new Date(t.exitTime).getTime(), qty: -t.quantity }
+            ]).sort((a, b) => a.at - b.at || a.qty - b.qty);
+            let open = 0;
+            let max = { qty: 0, at: null };
+            events.forEach(e => {
+                open += e.qty;
+                if (open > max.qty) max = { qty: open, at: e.at };
+            });
+            return max;
+        };
+        const legInfo = (t) => ({
+            id: t.id,
+            quantity: t.quantity,
+            entryPrice: t.entryPrice,
+            exitPrice: t.exitPrice,
+            entryTime: t.entryTime,
+            exitTime: t.exitTime
+        });
+
+        if (legs.length === 1) {
+            const only = legs[0];
+            return { ...only, legCount: 1, tradeIds: [only.id], maxSize: only.quantity, maxSizeTime: only.entryTime, legs: [legInfo(only)] };
+        }
+
+        const byEntry = [...legs].sort((a, b) => new Date(a.entryTime) - new Date(b.entryTime));
+        const byExit = [...legs].sort((a, b) => new Date(a.exitTime) - new Date(b.exitTime));
+        const first = byEntry[0];
+        const last = byExit[byExit.length - 1];
+        const quantity = legs.reduce((s, t) => s + t.quantity, 0);
+        const sum = (field) => legs.reduce((s, t) => s + (t[field] || 0), 0);
+        const avg = (field) => legs.reduce((s, t) => s + t[field] * t.quantity, 0) / quantity;
+
+        const entryPrice = avg('entryPrice');
+        const exitPrice = avg('exitPrice');
+        const netProfit = sum('netProfit');
+        const returnValue = Math.round(netProfit);
+        const max = peak(legs);
+        const notes = legs.map(t => t.notes).filter(Boolean);
+        const tags = [...new Set(legs.flatMap(t => (t.tags || '').split(',').map(x => x.trim()).filter(Boolean)))];
+        // R over the whole position, only when every leg had a planned stop
+        const initialRisk = legs.every(t => t.initialRisk) ? sum('initialRisk') : null;
+        const plannedR = initialRisk && legs.every(t => t.plannedR !== null && t.plannedR !== undefined)
+            ? legs.reduce((s, t) => s + t.plannedR * t.initialRisk, 0) / initialRisk
+            : null;
+
+        return {
+            id: `position_${first.id}`,
+            legCount: legs.length,
+            tradeIds: byEntry.map(t => t.id),
+            legs: byEntry.map(legInfo),
+            symbol: first.symbol,
+            contract: first.contract,
+            side: first.side,
+            broker: first.broker,
+            currency: first.currency,
+            expiry: first.expiry,
+            contractMonth: first.contractMonth,
+            quantity,
+            maxSize: max.qty,
+            maxSizeTime: max.at !== null ? new Date(max.at) : first.entryTime,
+            entryPrice,
+            exitPrice,
+            entry: entryPrice,
+            exit: exitPrice,
+            entryTime: first.entryTime,
+            exitTime: last.exitTime,
+            entryOrderId: first.entryOrderId,
+            exitOrderId: last.exitOrderId,
+            pointDifference: first.side === 'SHORT' ? entryPrice - exitPrice : exitPrice - entryPrice,
+            grossProfit: sum('grossProfit'),
+            totalCommission: sum('totalCommission'),
+            commission: first.commission,
+            swap: sum('swap'),
+            netProfit,
+            returnValue,
+            return: returnValue,
+            status: netProfit > 0 ? 'WIN' : 'LOSE',
+            isWin: netProfit > 0,
+            date: this.formatDateTime(last.exitTime),
+            boughtDate: this.formatDateTime(first.entryTime),
+            soldDate: this.formatDateTime(last.exitTime),
+            duration: this.calculateDuration(first.entryTime, last.exitTime),
+            margin: Math.max(...legs.map(t => t.margin || 0)),
+            manual: legs.some(t => t.manual),
+            images: '-',
+            notes: notes.join(' · '),
+            tags: tags.join(', '),
+            plannedStop: first.plannedStop ?? null,
+            plannedTarget: first.plannedTarget ?? null,
+            initialRisk,
+            rMultiple: initialRisk ? netProfit / initialRisk : null,
+            plannedR
+        };
+    }
+
+    /**
+     * Generate summary statistics. view 'positions' counts flat-to-flat positions
+     * (groupPositions) instead of matched trades.
      */
-    generateSummary(trades) {
+    generateSummary(trades, { view = 'trades' } = {}) {
+        if (view === 'positions') trades = this.groupPositions(trades);
         if (trades.length === 0) {
             return this.getEmptySummary();
         }
@@ -474,9 +1716,21 @@ class TradeCalculator {
         const worstTrade = Math.min(...profits);
         const averageProfit = totalProfit / trades.length;
 
+        const averageWin = winCount > 0 ? winningTrades.reduce((sum, t) => sum + t.netProfit, 0) / winCount : 0;
+        const averageLoss = lossCount > 0 ? losingTrades.reduce((sum, t) => sum + t.netProfit, 0) / lossCount : 0;
+
         const totalCommission = trades.reduce((sum, trade) => sum + trade.totalCommission, 0);
         const totalGrossProfit = trades.reduce((sum, trade) => sum + trade.grossProfit, 0);
 
+        // R-based figures over the trades with a planned stop, in the order given
+        const withR = trades.filter(t => typeof t.rMultiple === 'number' && isFinite(t.rMultiple));
+        let totalR = 0;
+        const rCurve = withR.map(t => {
+            totalR += t.rMultiple;
+            return { time: t.exitTime, r: t.rMultiple, cumulative: totalR };
+        });
+        const withPlan = withR.filter(t => typeof t.plannedR === 'number');
+
         return {
             totalTrades: trades.length,
             totalProfit: totalProfit,
@@ -488,8 +1742,15 @@ class TradeCalculator {
             bestTrade,
             worstTrade,
             averageProfit,
-            averageWin: winCount > 0 ? winningTrades.reduce((sum, t) => sum + t.netProfit, 0) / winCount : 0,
-            averageLoss: lossCount > 0 ? losingTrades.reduce((sum, t) => sum + t.netProfit, 0) / lossCount : 0,
+            averageWin,
+            averageLoss,
+            // What a trade is worth on average: win rate × average win + loss rate × average loss
+            expectancy: (winCount * averageWin + lossCount * averageLoss) / trades.length,
+            rTrades: withR.length,
+            totalR,
+            expectancyR: withR.length > 0 ? totalR / withR.length : 0,
+            averagePlannedR: withPlan.length > 0 ? withPlan.reduce((sum, t) => sum + t.plannedR, 0) / withPlan.length : 0,
+            rCurve,
             profitFactor: this.calculateProfitFactor(winningTrades, losingTrades),
             sharpeRatio: this.calculateSharpeRatio(profits),
             maxDrawdown: this.calculateMaxDrawdown(trades),
@@ -516,6 +1777,12 @@ class TradeCalculator {
             averageProfit: 0,
             averageWin: 0,
             averageLoss: 0,
+            expectancy: 0,
+            rTrades: 0,
+            totalR: 0,
+            expectancyR: 0,
+            averagePlannedR: 0,
+            rCurve: [],
             profitFactor: 0,
             sharpeRatio: 0,
             maxDrawdown: 0,
@@ -616,6 +1883,8 @@ class TradeCalculator {
         ];
 
         const csvLines = [headers.join(',')];
+        // Notes and tags ("Breakout, News") can hold commas — quote them
+        const field = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : v);
 
         trades.forEach(trade => {
             const row = [
@@ -635,7 +1904,7 @@ class TradeCalculator {
                 trade.notes || '-',
                 trade.tags || '-'
             ];
-            csvLines.push(row.join(','));
+            csvLines.push(row.map(field).join(','));
         });
 
         return csvLines.join('\n');
@@ -14,7 +14,12 @@ class UIController {
 
         this.initializeElements();
         this.bindEvents();
+        this.initAccountFilter();
         this.initLiquidity();
+        this.initTradeView();
+        this.initInstrumentGrouping();
+        this.initTimeHeatmap();
+        this.initReports();
         this.initCalendar();
         this.initRiskManager();
     }
@@ -29,6 +34,7 @@ class UIController {
         // Sections
         this.dashboardSection = document.getElementById('dashboardSection');
         this.importSection = document.getElementById('importSection');
+        this.reportsSection = document.getElementById('reportsSection');
         this.riskSection = document.getElementById('riskSection');
         this.exportSection = document.getElementById('exportSection');
 
@@ -43,6 +49,16 @@ class UIController {
         this.selectIBKRBtn = document.getElementById('selectIBKRBtn');
         this.backToFormatSelection = document.getElementById('backToFormatSelection');
         this.backToFormatSelectionIBKR = document.getElementById('backToFormatSelectionIBKR');
+        this.ninjatraderUploadContainer = document.getElementById('ninjatraderUploadContainer');
+        this.selectNinjaTraderBtn = document.getElementById('selectNinjaTraderBtn');
+        this.tradovateUploadContainer = document.getElementById('tradovateUploadContainer');
+        this.selectTradovateBtn = document.getElementById('selectTradovateBtn');
+        this.rithmicUploadContainer = document.getElementById('rithmicUploadContainer');
+        this.selectRithmicBtn = document.getElementById('selectRithmicBtn');
+        this.metatraderUploadContainer = document.getElementById('metatraderUploadContainer');
+        this.selectMetaTraderBtn = document.getElementById('selectMetaTraderBtn');
+        this.customUploadContainer = document.getElementById('customUploadContainer');
+        this.selectCustomBtn = document.getElementById('selectCustomBtn');
 
         // Upload elements (TradingView)
         this.uploadArea = document.getElementById('uploadArea');
@@ -53,6 +69,27 @@ class UIController {
         this.ibkrUploadArea = document.getElementById('ibkrUploadArea');
         this.ibkrCsvFileInput = document.getElementById('ibkrCsvFileInput');
 
+        // Upload elements (NinjaTrader)
+        this.ninjatraderUploadArea = document.getElementById('ninjatraderUploadArea');
+        this.ninjatraderCsvFileInput = document.getElementById('ninjatraderCsvFileInput');
+
+        // Upload elements (Tradovate / Rithmic)
+        this.tradovateUploadArea = document.getElementById('tradovateUploadArea');
+        this.tradovateCsvFileInput = document.getElementById('tradovateCsvFileInput');
+        this.rithmicUploadArea = document.getElementById('rithmicUploadArea');
+        this.rithmicCsvFileInput = document.getElementById('rithmicCsvFileInput');
+
+        // Upload elements (MetaTrader)
+        this.metatraderUploadArea = document.getElementById('metatraderUploadArea');
+        this.metatraderFileInput = document.getElementById('metatraderFileInput');
+
+        // Upload elements (custom column mapping)
+        this.customUploadArea = document.getElementById('customUploadArea');
+        this.customCsvFileInput = document.getElementById('customCsvFileInput');
+        this.columnMappingPanel = document.getElementById('columnMappingPanel');
+        this.importDateOptions = document.getElementById('importDateOptions');
+        this.pendingColumnMapping = null;
+
         // Track which format is currently selected
         this.selectedUploadFormat = 'tradingview';
         this.formatOptions = document.querySelectorAll('input[name="csvFormat"]');
@@ -94,6 +131,9 @@ class UIController {
 
         // Overlays
         this.loadingOverlay = document.getElementById('loadingOverlay');
+        this.loadingProgress = document.getElementById('loadingProgress');
+        this.cancelImportBtn = document.getElementById('cancelImportBtn');
+        this.importCancelHandler = null;
         this.toastContainer = document.getElementById('toastContainer');
     }
 
@@ -119,6 +159,30 @@ class UIController {
         if (this.backToFormatSelectionIBKR) {
             this.backToFormatSelectionIBKR.addEventListener('click', this.showFormatSelection.bind(this));
         }
+        if (this.selectNinjaTraderBtn) {
+            this.selectNinjaTraderBtn.addEventListener('click', this.showNinjaTraderUpload.bind(this));
+        }
+        if (this.selectTradovateBtn) {
+            this.selectTradovateBtn.addEventListener('click', this.showTradovateUpload.bind(this));
+        }
+        if (this.selectRithmicBtn) {
+            this.selectRithmicBtn.addEventListener('click', this.showRithmicUpload.bind(this));
+        }
+        if (this.selectMetaTraderBtn) {
+            this.selectMetaTraderBtn.addEventListener('click', this.showMetaTraderUpload.bind(this));
+        }
+        // Every broker screen after IBKR shares the same back-button class
+        document.querySelectorAll('.back-to-formats').forEach(btn => {
+            btn.addEventListener('click', this.showFormatSelection.bind(this));
+        });
+        if (this.selectCustomBtn) {
+            this.selectCustomBtn.addEventListener('click', this.showCustomUpload.bind(this));
+        }
+        if (this.cancelImportBtn) {
+            this.cancelImportBtn.addEventListener('click', () => {
+                if (this.importCancelHandler) this.importCancelHandler();
+            });
+        }
 
         // File upload events
         console.log('🔧 Binding upload events');
@@ -170,6 +234,42 @@ class UIController {
             });
         }
 
+        // NinjaTrader, Tradovate, Rithmic, MetaTrader and custom column-mapping upload events
+        this._bindUploadArea(this.ninjatraderUploadArea, this.ninjatraderCsvFileInput, (file) => this.processFile(file));
+        this._bindUploadArea(this.tradovateUploadArea, this.tradovateCsvFileInput, (file) => this.processFile(file));
+        this._bindUploadArea(this.rithmicUploadArea, this.rithmicCsvFileInput, (file) => this.processFile(file));
+        this._bindUploadArea(this.metatraderUploadArea, this.metatraderFileInput, (file) => this.processFile(file));
+        this._bindUploadArea(this.customUploadArea, this.customCsvFileInput, (file) => this.handleCustomFile(file));
+        const saveColumnMapping = document.getElementById('saveColumnMapping');
+        const cancelColumnMapping = document.getElementById('cancelColumnMapping');
+        if (saveColumnMapping) saveColumnMapping.addEventListener('click', () => this.saveColumnMapping());
+        if (cancelColumnMapping) cancelColumnMapping.addEventListener('click', () => this.hideColumnMapping());
+        const columnMappingFields = document.getElementById('columnMappingFields');
+        if (columnMappingFields) {
+            columnMappingFields.addEventListener('change', () => this._renderColumnMappingPreview());
+        }
+        const importProfilesList = document.getElementById('importProfilesList');
+        if (importProfilesList) {
+            importProfilesList.addEventListener('click', (e) => {
+                const btn = e.target.closest('.cm-profile-delete');
+                if (!btn) return;
+                const parser = window.tradleApp.csvParser;
+                const profile = parser.getImportProfiles()[parseInt(btn.dataset.idx, 10)];
+                if (!profile || !confirm(`Delete import profile "${profile.name}"?`)) return;
+                parser.deleteImportProfile(profile.name);
+                this.renderImportProfiles();
+            });
+        }
+        if (this.importDateOptions) {
+            this.importDateOptions.addEventListener('change', (e) => {
+                if (e.target.id === 'importAccountSelect') {
+                    if (this.selectedUploadFormat) window.tradleApp.saveImportAccount(this.selectedUploadFormat, this._readImportAccount());
+                } else {
+                    this._saveImportDateOptions();
+                }
+            });
+        }
+
         // Format selection (legacy - keeping for backward compatibility)
         this.formatOptions.forEach(option => {
             option.addEventListener('change', this.handleFormatChange.bind(this));
@@ -218,6 +318,26 @@ class UIController {
             if (e.target === this.tradeModal) this.closeTradeModal();
         });
 
+        // Manual trade entry — from the trade history table and the trade detail modal
+        const addTradeBtn = document.getElementById('addTradeBtn');
+        if (addTradeBtn) addTradeBtn.addEventListener('click', () => this.openTradeForm());
+        const editTradeBtn = document.getElementById('editTradeBtn');
+        if (editTradeBtn) {
+            editTradeBtn.addEventListener('click', () => {
+                const trade = this.modalTrade;
+                this.closeTradeModal();
+                if (trade) this.openTradeForm(trade);
+            });
+        }
+        this._bindTradeForm();
+        this._bindContractSpecForm();
+        this._bindCommissionScheduleForm();
+        this._bindFxRates();
+        this._bindAccountForm();
+        this._bindCashFlows();
+        this._bindPropRulesForm();
+        this._bindTags();
+
         // Keyboard events
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.tradeModal.classList.contains('active')) {
@@ -229,6 +349,36 @@ class UIController {
         this.initializeDarkMode();
     }
 
+    /**
+     * Wire click-to-browse, drag & drop and file-input change for an upload area
+     */
+    _bindUploadArea(area, input, onFile) {
+        if (area) {
+            area.addEventListener('click', () => {
+                if (input) input.click();
+            });
+            area.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                area.classList.add('dragover');
+            });
+            area.addEventListener('dragleave', (e) => {
+                e.preventDefault();
+                area.classList.remove('dragover');
+            });
+            area.addEventListener('drop', (e) => {
+                e.preventDefault();
+                area.classList.remove('dragover');
+                if (e.dataTransfer.files.length > 0) onFile(e.dataTransfer.files[0]);
+            });
+        }
+        if (input) {
+            input.addEventListener('change', (e) => {
+                if (e.target.files[0]) onFile(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+    }
+
     /**
      * Handle drag over event
      */
@@ -281,8 +431,288 @@ class UIController {
         e.target.closest('.format-option').classList.add('active');
 
         if (e.target.value === 'custom') {
-            this.showToast('Custom format support coming soon!', 'warning');
+            this.showCustomUpload();
+        }
+    }
+
+    // ===== Import Dates & Time Zones =====
+
+    /**
+     * Fill a time zone <select> with the common zones (plus the current one if it isn't listed)
+     */
+    _fillTimeZoneSelect(select, value) {
+        if (!select) return;
+        const zones = [...TimeZone.COMMON];
+        if (value && !zones.some(z => z.id === value)) zones.push({ id: value, label: value });
+        select.innerHTML = zones.map(z => `<option value="${this._escapeHtml(z.id)}">${this._escapeHtml(z.label)}</option>`).join('');
+        select.value = value || TimeZone.LOCAL;
+    }
+
+    /**
+     * Human label for a time zone id
+     */
+    _timeZoneLabel(timeZone) {
+        const known = TimeZone.COMMON.find(z => z.id === timeZone);
+        return known ? known.label : timeZone;
+    }
+
+    /**
+     * Move the Dates & Time Zone card into an upload screen and load the settings saved for its format
+     */
+    _mountImportDateOptions(container) {
+        const panel = this.importDateOptions;
+        if (!panel || !window.tradleApp) return;
+
+        const parser = window.tradleApp.csvParser;
+        const format = this.selectedUploadFormat;
+        const settings = parser.getDateSettings(format);
+
+        container.insertBefore(panel, container.querySelector('.upload-area'));
+        panel.style.display = 'block';
+
+        this._fillTimeZoneSelect(document.getElementById('importTimeZoneSelect'), settings.timeZone);
+        const orderSelect = document.getElementById('importDateOrderSelect');
+        orderSelect.innerHTML = Object.entries(parser.DATE_ORDERS)
+            .map(([id, label]) => `<option value="${id}">${label}</option>`).join('');
+        orderSelect.value = settings.dateOrder;
+
+        document.getElementById('importDateOptionsHint').textContent = format === 'custom'
+            ? 'Saved with each new profile — files matching a saved profile use that profile\'s settings.'
+            : `File timestamps are read in this zone and stored as UTC. Remembered for ${parser.getBrokerLabel(format)} uploads.`;
+
+        // Account the upload goes into — only offered once accounts are set up
+        const accountField = document.getElementById('importAccountField');
+        if (accountField) accountField.style.display = window.tradleApp.getAccounts().length > 0 ? '' : 'none';
+        this._fillAccountSelect(document.getElementById('importAccountSelect'), window.tradleApp.getImportAccount(format));
+    }
+
+    /**
+     * Account picked for the upload (null = none)
+     */
+    _readImportAccount() {
+        const select = document.getElementById('importAccountSelect');
+        return select && select.value ? select.value : null;
+    }
+
+    /**
+     * Current Dates & Time Zone picks: { timeZone, dateOrder } (null when the card is missing)
+     */
+    _readImportDateOptions() {
+        const timeZoneSelect = document.getElementById('importTimeZoneSelect');
+        const orderSelect = document.getElementById('importDateOrderSelect');
+        if (!timeZoneSelect || !orderSelect || !timeZoneSelect.value) return null;
+        return { timeZone: timeZoneSelect.value, dateOrder: orderSelect.value };
+    }
+
+    /**
+     * Remember the Dates & Time Zone picks for the broker screen that is open
+     */
+    _saveImportDateOptions() {
+        const options = this._readImportDateOptions();
+        if (!options || !window.tradleApp || !this.selectedUploadFormat) return;
+        try {
+            window.tradleApp.csvParser.saveDateSettings(this.selectedUploadFormat, options);
+        } catch (error) {
+            this.showToast(error.message, 'warning');
+        }
+    }
+
+    // ===== Custom Column Mapping =====
+
+    /**
+     * Handle a file dropped on the custom upload area.
+     * Uses a saved profile when one matches the headers, otherwise opens the mapping wizard.
+     */
+    async handleCustomFile(file) {
+        const parser = window.tradleApp.csvParser;
+        const maxSize = window.tradleApp.canUseImportWorker() ? parser.MAX_STREAMED_FILE_SIZE : parser.MAX_FILE_SIZE;
+        const validation = parser.validateFile(file, parser.getAcceptedExtensions('custom'), maxSize);
+        if (!validation.valid) {
+            this.showToast(validation.errors.join(', '), 'error');
+            return;
+        }
+
+        try {
+            // Header detection and the mapping preview only need the top of the file
+            const content = await parser.readFileContent(file.slice(0, 256 * 1024));
+            const headers = parser.getCSVHeaders(content);
+            if (headers.length === 0) {
+                this.showToast('Could not find a header row in this CSV', 'error');
+                return;
+            }
+
+            const detected = parser.detectFormat(content);
+            if (detected.startsWith('custom:')) {
+                console.log(`🧩 Saved profile matched: ${detected}`);
+                this.showToast(`Using saved profile "${this._escapeHtml(detected.slice('custom:'.length))}"`, 'info');
+                await this._processWithFormat(file, detected);
+                return;
+            }
+
+            this.showColumnMapping(file, content, headers);
+        } catch (error) {
+            console.error('❌ Custom file read error:', error);
+            this.showToast(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Run the normal upload pipeline with a one-off format, then restore the selection
+     */
+    async _processWithFormat(file, format) {
+        const previous = this.selectedUploadFormat;
+        this.selectedUploadFormat = format;
+        try {
+            await this.processFile(file);
+        } finally {
+            this.selectedUploadFormat = previous;
+        }
+    }
+
+    /**
+     * Open the mapping wizard for a file whose headers don't fit any saved profile
+     */
+    showColumnMapping(file, content, headers) {
+        const parser = window.tradleApp.csvParser;
+        const guess = parser.guessColumnMapping(headers);
+        this.pendingColumnMapping = { file, content, headers };
+
+        const fieldsEl = document.getElementById('columnMappingFields');
+        // Options carry the header index so odd header names never need attribute escaping
+        const options = headers.map((h, i) => `<option value="${i}">${this._escapeHtml(h)}</option>`).join('');
+        fieldsEl.innerHTML = parser.MAPPABLE_FIELDS.map(field => `
+            <label class="rm-label">
+                <span>${field.label}${field.required ? ' *' : ''}</span>
+                <select class="cm-select" data-field="${field.key}">
+                    <option value="">— ${field.required ? 'Select column' : 'Not in file'} —</option>
+                    ${options}
+                </select>
+            </label>`).join('');
+        fieldsEl.querySelectorAll('select[data-field]').forEach(sel => {
+            const idx = headers.indexOf(guess[sel.dataset.field]);
+            sel.value = idx !== -1 ? String(idx) : '';
+        });
+
+        document.getElementById('columnMappingFileName').textContent = file.name;
+        document.getElementById('columnMappingProfileName').value = '';
+        document.getElementById('columnMappingBroker').value = '';
+        this._renderColumnMappingPreview();
+
+        if (this.customUploadArea) this.customUploadArea.style.display = 'none';
+        this.columnMappingPanel.style.display = 'block';
+        this.showToast('No saved profile fits this file — map its columns below.', 'info');
+    }
+
+    /**
+     * Close the mapping wizard without importing
+     */
+    hideColumnMapping() {
+        this.pendingColumnMapping = null;
+        if (this.columnMappingPanel) this.columnMappingPanel.style.display = 'none';
+        if (this.customUploadArea) this.customUploadArea.style.display = '';
+    }
+
+    /**
+     * Read the wizard selections into a { field: header } mapping
+     */
+    _readColumnMapping() {
+        const headers = this.pendingColumnMapping ? this.pendingColumnMapping.headers : [];
+        const mapping = {};
+        document.querySelectorAll('#columnMappingFields select[data-field]').forEach(sel => {
+            mapping[sel.dataset.field] = sel.value !== '' ? headers[parseInt(sel.value, 10)] : '';
+        });
+        return mapping;
+    }
+
+    /**
+     * Show the first rows of the pending file as they will be imported
+     */
+    _renderColumnMappingPreview() {
+        const previewEl = document.getElementById('columnMappingPreview');
+        if (!previewEl || !this.pendingColumnMapping) return;
+
+        const parser = window.tradleApp.csvParser;
+        const { content, headers } = this.pendingColumnMapping;
+        const mapping = this._readColumnMapping();
+        const { records, delimiter } = parser.tokenizeCSV(content);
+        const rows = records.slice(1).map(record => parser.cleanCSVRecord(record, delimiter)).filter(row => row.some(Boolean)).slice(0, 3);
+        const fields = parser.MAPPABLE_FIELDS.filter(f => mapping[f.key]);
+
+        if (rows.length === 0 || fields.length === 0) {
+            previewEl.innerHTML = '';
+            return;
+        }
+
+        const cell = (row, field) => {
+            const idx = headers.indexOf(mapping[field.key]);
+            return this._escapeHtml(idx !== -1 && row[idx] !== undefined ? row[idx] : '');
+        };
+
+        previewEl.innerHTML = `
+            <p><strong>Preview</strong></p>
+            <table class="uh-table">
+                <thead><tr>${fields.map(f => `<th>${f.label}</th>`).join('')}</tr></thead>
+                <tbody>${rows.map(row => `<tr>${fields.map(f => `<td>${cell(row, f)}</td>`).join('')}</tr>`).join('')}</tbody>
+            </table>`;
+    }
+
+    /**
+     * Save the wizard mapping as a profile and import the pending file with it
+     */
+    async saveColumnMapping() {
+        if (!this.pendingColumnMapping) return;
+
+        const parser = window.tradleApp.csvParser;
+        const { file, headers } = this.pendingColumnMapping;
+        let profile;
+        try {
+            profile = parser.saveImportProfile({
+                name: document.getElementById('columnMappingProfileName').value,
+                broker: document.getElementById('columnMappingBroker').value,
+                mapping: this._readColumnMapping(),
+                headers,
+                ...this._readImportDateOptions()
+            });
+        } catch (error) {
+            this.showToast(error.message, 'warning');
+            return;
         }
+
+        this.hideColumnMapping();
+        this.renderImportProfiles();
+        this.showToast(`Profile "${this._escapeHtml(profile.name)}" saved`, 'success');
+        await this._processWithFormat(file, `custom:${profile.name}`);
+    }
+
+    /**
+     * Render the saved column-mapping profiles list
+     */
+    renderImportProfiles() {
+        const list = document.getElementById('importProfilesList');
+        const empty = document.getElementById('importProfilesEmpty');
+        if (!list || !window.tradleApp) return;
+
+        const parser = window.tradleApp.csvParser;
+        const profiles = parser.getImportProfiles();
+        if (empty) empty.style.display = profiles.length === 0 ? 'block' : 'none';
+
+        list.innerHTML = profiles.map((p, idx) => {
+            const columns = parser.MAPPABLE_FIELDS
+                .filter(f => p.mapping[f.key])
+                .map(f => `${f.label} ← ${this._escapeHtml(p.mapping[f.key])}`)
+                .join(' · ');
+            const dates = parser.normalizeDateSettings(p);
+            return `
+                <li class="cm-profile">
+                    <div>
+                        <strong>${this._escapeHtml(p.name)}</strong>
+                        <span class="uh-badge uh-badge--custom">${this._escapeHtml(p.broker || p.name)}</span>
+                        <div class="cm-profile-columns">${columns}</div>
+                        <div class="cm-profile-columns">${parser.DATE_ORDERS[dates.dateOrder]} · ${this._escapeHtml(this._timeZoneLabel(dates.timeZone))}</div>
+                    </div>
+                    <button type="button" class="uh-delete-btn cm-profile-delete" data-idx="${idx}" title="Delete profile"><i class="fas fa-trash-alt"></i></button>
+                </li>`;
+        }).join('');
     }
 
     /**
@@ -296,11 +726,95 @@ class UIController {
             // Use the format selected from the two-step UI
             const selectedFormat = this.selectedUploadFormat || 'tradingview';
 
+            // Saved profiles bring their own date settings; every other screen uses the Dates & Time Zone card
+            const dateOptions = selectedFormat.startsWith('custom:') ? null : this._readImportDateOptions();
+
             console.log(`📁 Processing file with format: ${selectedFormat}`);
 
             // Process file through main application
-            await window.tradleApp.processFile(file, selectedFormat);
+            await window.tradleApp.processFile(file, selectedFormat, dateOptions, { accountId: this._readImportAccount() });
+
+        } catch (error) {
+            this.hideLoading();
+            this.hideUploadStatus();
+            if (error.cancelled) {
+                this.showToast('Import cancelled', 'info');
+            } else {
+                this.showToast(`Error: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    // ===== Import Preview =====
+
+    /**
+     * Show what an upload would import and let the user exclude source rows before confirming
+     */
+    showImportPreview(preview) {
+        const modal = document.getElementById('importPreviewModal');
+        if (!modal) return;
+
+        this.importPreview = preview;
+        this.importExcludedLines = new Set(preview.excludedLines);
+        this._renderImportPreview();
+        modal.classList.add('active');
+
+        document.getElementById('importPreviewClose').onclick = () => this.closeImportPreview();
+        document.getElementById('importPreviewCancel').onclick = () => this.closeImportPreview();
+        document.getElementById('importPreviewConfirm').onclick = () => this._confirmImportPreview();
+        modal.onclick = (e) => {
+            if (e.target === modal) this.closeImportPreview();
+        };
+
+        // Row checkboxes are re-rendered, so listen on the body once
+        const body = document.getElementById('importPreviewBody');
+        body.onchange = (e) => {
+            const box = e.target.closest('input[type="checkbox"]');
+            if (!box) return;
+            const lines = box.dataset.line
+                ? [parseInt(box.dataset.line, 10)]
+                : [...body.querySelectorAll('input[data-line]')].map(el => parseInt(el.dataset.line, 10));
+            lines.forEach(line => {
+                if (box.checked) this.importExcludedLines.delete(line);
+                else this.importExcludedLines.add(line);
+            });
+            this._scheduleImportPreviewRefresh();
+        };
+    }
+
+    /**
+     * Close the preview; without `imported` the pending upload is discarded
+     */
+    closeImportPreview(imported = false) {
+        const modal = document.getElementById('importPreviewModal');
+        if (modal) modal.classList.remove('active');
+        clearTimeout(this._importPreviewTimer);
+        if (!imported && window.tradleApp) {
+            window.tradleApp.discardImport();
+            this.showToast('Import cancelled — nothing was saved', 'info');
+        }
+        this.importPreview = null;
+    }
+
+    /**
+     * Re-match the pending upload once the user stops toggling rows
+     */
+    _scheduleImportPreviewRefresh() {
+        clearTimeout(this._importPreviewTimer);
+        this._importPreviewTimer = setTimeout(() => {
+            if (!this.importPreview) return;
+            this.importPreview = window.tradleApp.buildImportPreview(new Set(this.importExcludedLines));
+            this._renderImportPreview();
+        }, 250);
+    }
 
+    async _confirmImportPreview() {
+        const excluded = new Set(this.importExcludedLines);
+        this.closeImportPreview(true);
+        try {
+            this.showLoading();
+            this.showUploadStatus('Importing trades...');
+            await window.tradleApp.confirmImport(excluded);
         } catch (error) {
             this.hideLoading();
             this.hideUploadStatus();
@@ -308,10 +822,145 @@ class UIController {
         }
     }
 
+    _renderImportPreview() {
+        const preview = this.importPreview;
+        const body = document.getElementById('importPreviewBody');
+        const title = document.getElementById('importPreviewTitle');
+        const confirmBtn = document.getElementById('importPreviewConfirm');
+        if (!preview || !body) return;
+
+        const ROW_LIMIT = 1000;
+        const newCount = preview.trades.length - preview.duplicates.size;
+        const time = (d) => {
+            const date = d instanceof Date ? d : new Date(d);
+            if (isNaN(date.getTime())) return '—';
+            return `${this._dayKey(date)} ${TimeZone.formatTime(date, this.displayTimeZone, { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false })}`;
+        };
+        const limitNote = (total) => total > ROW_LIMIT
+            ? `<p class="ip-note">Showing the first ${ROW_LIMIT} of ${total} rows.</p>` : '';
+
+        if (title) title.innerHTML = `<i class="fas fa-eye"></i> Import Preview &mdash; ${this._escapeHtml(preview.fileName)}`;
+        if (confirmBtn) {
+            confirmBtn.disabled = preview.trades.length === 0 && preview.openedLots === 0;
+            confirmBtn.innerHTML = `<i class="fas fa-file-import"></i> Import ${newCount} new trade${newCount === 1 ? '' : 's'}`;
+        }
+
+        const chip = (label, value, mod = '') => `<div class="ip-chip${mod ? ` ip-chip--${mod}` : ''}"><span>${label}</span><strong>${value}</strong></div>`;
+        let html = `<div class="ip-summary">
+            ${preview.accountId && window.tradleApp.getAccount(preview.accountId) ? chip('Account', this._escapeHtml(window.tradleApp.getAccount(preview.accountId).name)) : ''}
+            ${chip('Orders', `${preview.orders.length} / ${preview.allOrders.length}`)}
+            ${chip('Trades', preview.trades.length)}
+            ${preview.method && preview.method !== 'fifo' ? chip('Matching', window.tradleApp.tradeCalculator.MATCHING_METHODS[preview.method]) : ''}
+            ${chip('New', newCount, 'new')}
+            ${chip('Duplicates', preview.duplicates.size, preview.duplicates.size ? 'warn' : '')}
+            ${preview.closesOpen.size ? chip('Closes open', preview.closesOpen.size) : ''}
+            ${chip('Unclosed', preview.unclosedPositions.length, preview.unclosedPositions.length ? 'warn' : '')}
+            ${chip('Errors', preview.parseErrors.length, preview.parseErrors.length ? 'error' : '')}
+            ${preview.expiredFills.length ? chip('Expired', preview.expiredFills.length, 'warn') : ''}
+        </div>`;
+
+        if (preview.expiredFills.length > 0) {
+            html += `<div class="ip-section"><div class="ip-section-label"><i class="fas fa-calendar-times"></i> Fills after their contract's last trade date (check the contract month)</div>
+                <ul class="ip-list">${preview.expiredFills.slice(0, ROW_LIMIT).map(({ order, code, lastTrade }) =>
+                    `<li><strong>${this._escapeHtml(code)}</strong> ${this._escapeHtml(order.side)} ${order.qty} on ${time(order.placingTime)} &mdash; last trade ${lastTrade}
+                    ${order.sourceLine != null ? `<span class="ip-line">Line ${order.sourceLine}</span>` : ''}</li>`).join('')}</ul>
+                ${limitNote(preview.expiredFills.length)}
+            </div>`;
+        }
+
+        if (preview.parseErrors.length > 0) {
+            html += `<div class="ip-section"><div class="ip-section-label"><i class="fas fa-exclamation-triangle"></i> Rows that could not be parsed</div>
+                <ul class="ip-list">${preview.parseErrors.map(e =>
+                    `<li><span class="ip-line">Line ${e.line}</span>${this._escapeHtml(e.message)}</li>`).join('')}</ul>
+                ${preview.parseErrors.length >= window.tradleApp.csvParser.MAX_REPORTED_PARSE_ERRORS ? `<p class="ip-note">Only the first ${preview.parseErrors.length} errors are listed.</p>` : ''}
+            </div>`;
+        }
+
+        if (preview.unclosedPositions.length > 0) {
+            html += `<div class="ip-section"><div class="ip-section-label"><i class="fas fa-hourglass-half"></i> Positions left open (kept under Open Positions until a later import closes them)</div>
+                <ul class="ip-list">${preview.unclosedPositions.map(p =>
+                    `<li><strong>${this._escapeHtml(p.symbol)}</strong> ${this._escapeHtml(p.side)} ${p.qty} @ ${p.avgPrice.toFixed(2)}
+                    ${p.sourceLines.length ? `<span class="ip-line">Line${p.sourceLines.length > 1 ? 's' : ''} ${p.sourceLines.join(', ')}</span>` : ''}</li>`).join('')}</ul>
+            </div>`;
+        }
+
+        html += `<div class="ip-section"><div class="ip-section-label"><i class="fas fa-exchange-alt"></i> Trades</div>`;
+        if (preview.trades.length === 0) {
+            html += '<p class="ip-note">No trades can be matched from the included orders.</p>';
+        } else {
+            html += `<div class="uh-table-wrap ip-table-wrap"><table class="uh-table">
+                <thead><tr><th>Entry</th><th>Exit</th><th>Contract</th><th>Side</th><th>Qty</th><th>Prices</th><th>Net P&amp;L</th><th></th></tr></thead>
+                <tbody>${preview.trades.slice(0, ROW_LIMIT).map((t, i) => {
+                    const dup = preview.duplicates.has(i);
+                    return `<tr class="${dup ? 'ip-row--muted' : ''}">
+                        <td>${time(t.entryTime)}</td>
+                        <td>${time(t.exitTime)}</td>
+                        <td>${this._escapeHtml(t.contract)}</td>
+                        <td>${t.side}</td>
+                        <td>${t.quantity}</td>
+                        <td>${t.entryPrice} → ${t.exitPrice}</td>
+                        <td class="${t.netProfit >= 0 ? 'ip-pnl--win' : 'ip-pnl--loss'}">${this.formatCurrency(t.netProfit)}</td>
+                        <td>${dup ? '<span class="uh-badge ip-badge--dup">Duplicate</span>' : '<span class="uh-badge ip-badge--new">New</span>'}${preview.closesOpen.has(i) ? '<span class="uh-badge ip-badge--open" title="Entry came from an earlier import">Closes open</span>' : ''}</td>
+                    </tr>`;
+                }).join('')}</tbody></table></div>${limitNote(preview.trades.length)}`;
+        }
+        html += '</div>';
+
+        // Orders in file order, with a checkbox per source line
+        const orders = preview.allOrders.slice().sort((a, b) => (a.sourceLine || 0) - (b.sourceLine || 0));
+        const allIncluded = this.importExcludedLines.size === 0;
+        html += `<div class="ip-section"><div class="ip-section-label"><i class="fas fa-list"></i> Parsed orders <span class="ip-hint">untick a row to leave it out</span></div>
+            <div class="uh-table-wrap ip-table-wrap"><table class="uh-table">
+            <thead><tr><th><input type="checkbox" title="Include all" ${allIncluded ? 'checked' : ''}></th><th>Line</th><th>Time</th><th>Symbol</th><th>Side</th><th>Qty</th><th>Fill</th><th>Order ID</th></tr></thead>
+            <tbody>${orders.slice(0, ROW_LIMIT).map(o => {
+                const hasLine = o.sourceLine != null;
+                const excluded = hasLine && this.importExcludedLines.has(o.sourceLine);
+                return `<tr class="${excluded ? 'ip-row--muted' : ''}">
+                    <td><input type="checkbox" ${hasLine ? `data-line="${o.sourceLine}"` : 'disabled'} ${excluded ? '' : 'checked'}></td>
+                    <td>${hasLine ? o.sourceLine : '—'}</td>
+                    <td>${time(o.placingTime)}</td>
+                    <td>${this._escapeHtml(o.symbol)}</td>
+                    <td>${this._escapeHtml(o.side)}</td>
+                    <td>${o.qty}</td>
+                    <td>${o.fillPrice}</td>
+                    <td>${this._escapeHtml(o.orderId || '')}</td>
+                </tr>`;
+            }).join('')}</tbody></table></div>${limitNote(orders.length)}
+        </div>`;
+
+        body.innerHTML = html;
+    }
+
     /**
-     * Update dashboard with trade data
+     * Update dashboard with trade data.
+     * quiet skips the "processed" toast for in-place edits (manual trades, undone imports)
      */
-    async updateDashboard(trades, summary) {
+    async updateDashboard(trades, summary, { quiet = false } = {}) {
+        // Account filter: every card, chart, the calendar and the Risk tab follow the picked account
+        const scope = this._accountScope();
+        if (scope !== 'all') {
+            trades = trades.filter(t => window.tradleApp.inAccountScope(t, scope));
+            summary = window.tradleApp.tradeCalculator.generateSummary(trades);
+        }
+        this._syncLiquidityInput();
+
+        // Money fields in the base currency — each trade keeps its native P&L on `native`
+        if (window.tradleApp) {
+            const calc = window.tradleApp.tradeCalculator;
+            const converted = calc.toBaseCurrency(trades);
+            if (converted !== trades) {
+                trades = converted;
+                summary = calc.generateSummary(trades);
+            }
+        }
+
+        // Positions view: cards, charts, calendar and tables all count flat-to-flat positions
+        if (this.tradeView === 'positions' && window.tradleApp) {
+            const calc = window.tradleApp.tradeCalculator;
+            trades = calc.groupPositions(trades);
+            summary = calc.generateSummary(trades);
+        }
+
         this.currentTrades = trades;
         this.filteredTrades = [...trades];
 
@@ -324,11 +973,24 @@ class UIController {
         // Prefetch which days have screenshots (for calendar journal indicators)
         await this._prefetchScreenshotDays();
 
+        // Prop-firm evaluation — before the calendar, which flags the breached days
+        this.renderPropRules();
+
         // Update trading calendar
         this.updateCalendar(trades);
 
         // Update dashboard trades table
         this.updateDashboardTable(trades);
+        this.renderOpenPositions();
+        this.renderInstrumentPerformance(trades);
+        this.renderReports();
+        this.renderLotMatching();
+        this.renderCommissionSchedules();
+        this.renderFxRates();
+        this.renderAccounts();
+        this.renderCashFlows();
+        this.renderPropRuleSets();
+        this.renderRollCalendar();
 
         // Update trade history table
         this.updateTradesTable();
@@ -339,7 +1001,7 @@ class UIController {
         this.hideLoading();
         this.hideUploadStatus();
 
-        this.showToast(`Successfully processed ${trades.length} trades!`, 'success');
+        if (!quiet) this.showToast(`Successfully processed ${trades.length} ${this.tradeView === 'positions' ? 'positions' : 'trades'}!`, 'success');
     }
 
     /**
@@ -418,7 +1080,7 @@ class UIController {
         const totalComm = safeSummary.totalCommission || 0;
         this.updateElement('totalCommissions', this.formatCurrency(totalComm));
         const perTradeComm = safeSummary.totalTrades > 0 ? (totalComm / safeSummary.totalTrades).toFixed(2) : '0.00';
-        this.updateElement('commissionNote', `$${perTradeComm}/trade avg · TradingView rate`);
+        this.updateElement('commissionNote', `${this._currencySymbol()}${perTradeComm}/trade avg · TradingView rate`);
 
         // Row 2: Performance metrics
         const netProfitFactor = safeSummary.profitFactor || 0;
@@ -551,6 +1213,10 @@ class UIController {
         this.updateCommissionsByDayChart(trades);
         this.updateDistributionChart(summary);
         this.updatePnLEvolutionChart(trades);
+        this.updateEquityCurveChart(trades);
+        this.updateTimeHeatmap(trades);
+        this.updateHoldingTimeChart(trades);
+        this.updateRCurveChart(summary);
         this._setupWeekNavControls();
     }
 
@@ -561,16 +1227,27 @@ class UIController {
      */
     initLiquidity() {
         const savedLiquidity = localStorage.getItem('tradle_starting_liquidity');
-        this.startingLiquidity = savedLiquidity !== null ? parseFloat(savedLiquidity) : 100000;
+        // The single figure used with no accounts set up (and for trades in no account)
+        this.globalLiquidity = savedLiquidity !== null ? parseFloat(savedLiquidity) : 100000;
+        this.startingLiquidity = this._scopeLiquidity();
 
         const input = document.getElementById('startingLiquidity');
         if (input) {
             input.value = this.startingLiquidity;
             input.addEventListener('change', () => {
+                if (input.readOnly) return;
                 const val = parseFloat(input.value);
                 this.startingLiquidity = isNaN(val) || val < 0 ? 0 : val;
                 input.value = this.startingLiquidity;
-                localStorage.setItem('tradle_starting_liquidity', String(this.startingLiquidity));
+                const scope = this._accountScope();
+                if (scope !== 'all' && scope !== 'unassigned') {
+                    const account = window.tradleApp.getAccount(scope);
+                    window.tradleApp.saveAccount({ ...account, startingLiquidity: this.startingLiquidity });
+                    this.renderAccounts();
+                } else {
+                    this.globalLiquidity = this.startingLiquidity;
+                    localStorage.setItem('tradle_starting_liquidity', String(this.startingLiquidity));
+                }
                 this.updateLiquidity(this.lastNetRevenue || 0);
                 // Recalculate metric card percentages with new baseline
                 if (this.lastSummary) {
@@ -580,6 +1257,41 @@ class UIController {
         }
     }
 
+    /**
+     * Initialize the Trades / Positions counting toggle from localStorage
+     */
+    initTradeView() {
+        this.tradeView = localStorage.getItem('tradle_trade_view') === 'positions' ? 'positions' : 'trades';
+
+        const select = document.getElementById('tradeViewSelect');
+        if (select) {
+            select.value = this.tradeView;
+            select.addEventListener('change', () => {
+                this.tradeView = select.value === 'positions' ? 'positions' : 'trades';
+                localStorage.setItem('tradle_trade_view', this.tradeView);
+                this.currentPage = 1;
+                if (window.tradleApp) window.tradleApp.refreshDashboard();
+            });
+        }
+    }
+
+    /**
+     * Initialize the Performance by Instrument grouping (root symbol or specific contract) from localStorage
+     */
+    initInstrumentGrouping() {
+        this.instrumentGrouping = localStorage.getItem('tradle_instrument_grouping') === 'contract' ? 'contract' : 'root';
+
+        const select = document.getElementById('instrumentGroupSelect');
+        if (select) {
+            select.value = this.instrumentGrouping;
+            select.addEventListener('change', () => {
+                this.instrumentGrouping = select.value === 'contract' ? 'contract' : 'root';
+                localStorage.setItem('tradle_instrument_grouping', this.instrumentGrouping);
+                this.renderInstrumentPerformance(this.currentTrades || []);
+            });
+        }
+    }
+
     /**
      * Update current liquidity display
      */
@@ -587,15 +1299,36 @@ class UIController {
         this.lastNetRevenue = netRevenue;
         if (!this.startingLiquidity && this.startingLiquidity !== 0) this.initLiquidity();
 
-        const current = this.startingLiquidity + netRevenue;
-        const returnPct = this.startingLiquidity > 0 ? (netRevenue / this.startingLiquidity) * 100 : 0;
+        // Deposits, withdrawals, payouts and fees move the balance; the return is time-weighted
+        // so money moved in or out isn't counted as a gain or loss
+        const app = window.tradleApp;
+        const flows = app ? app.getCashFlows(this._accountScope()) : [];
+        const netFlows = flows.reduce((sum, f) => sum + (app.tradeCalculator.cashFlowAmount(f) || 0), 0);
+        const unconverted = app ? app.tradeCalculator.fxMissingCashFlows(flows) : [];
+        const current = this.startingLiquidity + netRevenue + netFlows;
+        let returnPct = this.startingLiquidity > 0 ? (netRevenue / this.startingLiquidity) * 100 : 0;
+        if (flows.length > 0) {
+            const calc = app.tradeCalculator;
+            returnPct = calc.timeWeightedReturn(calc.equityCurve(this.currentTrades, flows, this.startingLiquidity, this._equityDayKey())) * 100;
+        }
 
         const currentEl = document.getElementById('currentLiquidity');
+        const flowsEl = document.getElementById('liquidityCashFlows');
         const returnEl = document.getElementById('liquidityReturn');
+        this._syncRiskAccountSize(current);
 
+        document.querySelectorAll('.liquidity-currency').forEach(el => { el.textContent = this._currencySymbol(); });
         if (currentEl) {
             currentEl.textContent = this.formatCurrency(current);
-            currentEl.className = 'liquidity-value ' + (current >= this.startingLiquidity ? 'positive' : 'negative');
+            currentEl.className = 'liquidity-value ' + (current >= this.startingLiquidity + netFlows ? 'positive' : 'negative');
+        }
+        if (flowsEl) {
+            flowsEl.textContent = this.formatCurrency(netFlows);
+            if (unconverted.length > 0) {
+                const currencies = [...new Set(unconverted.map(f => f.currency))].join(', ');
+                const note = `${unconverted.length} ${currencies} cash flow${unconverted.length === 1 ? '' : 's'} not counted: no rate to ${this._baseCurrency()}`;
+                flowsEl.innerHTML += ` <i class="fas fa-exclamation-triangle fx-missing-flag" title="${this._escapeHtml(note)}" aria-hidden="true"></i><span class="sr-only">${this._escapeHtml(note)}</span>`;
+            }
         }
         if (returnEl) {
             const sign = returnPct >= 0 ? '+' : '';
@@ -608,8 +1341,13 @@ class UIController {
      * Initialize calendar state and event listeners
      */
     initCalendar() {
-        this.calendarMonth = new Date().getMonth();
-        this.calendarYear = new Date().getFullYear();
+        // Time zone trades are grouped into days in (e.g. America/Chicago for CME session days)
+        const savedZone = localStorage.getItem('tradle_display_timezone');
+        this.displayTimeZone = savedZone && TimeZone.isValid(savedZone) ? savedZone : TimeZone.LOCAL;
+
+        const now = TimeZone.getParts(new Date(), this.displayTimeZone);
+        this.calendarMonth = now.month - 1;
+        this.calendarYear = now.year;
 
         // Load daily goal from localStorage or default to 500
         const savedGoal = localStorage.getItem('tradle_daily_goal');
@@ -628,6 +1366,17 @@ class UIController {
             });
         }
 
+        const zoneSelect = document.getElementById('displayTimeZoneSelect');
+        if (zoneSelect) {
+            this._fillTimeZoneSelect(zoneSelect, this.displayTimeZone);
+            zoneSelect.addEventListener('change', () => {
+                this.displayTimeZone = zoneSelect.value;
+                localStorage.setItem('tradle_display_timezone', this.displayTimeZone);
+                this.renderCalendar();
+                if (this.currentTrades) this.updateDashboardTable(this.currentTrades);
+            });
+        }
+
         const prevBtn = document.getElementById('calendarPrevMonth');
         const nextBtn = document.getElementById('calendarNextMonth');
         if (prevBtn) prevBtn.addEventListener('click', () => this.navigateCalendar(-1));
@@ -654,7 +1403,14 @@ class UIController {
     }
 
     /**
-     * Group trades by calendar day
+     * "YYYY-MM-DD" day of a date in the display time zone
+     */
+    _dayKey(date) {
+        return TimeZone.dayKey(date, this.displayTimeZone);
+    }
+
+    /**
+     * Group trades by calendar day (in the display time zone)
      */
     groupTradesByDay(trades) {
         const dayMap = {};
@@ -663,7 +1419,7 @@ class UIController {
             if (!exitTime) return;
             const d = new Date(exitTime);
             if (isNaN(d.getTime())) return;
-            const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+            const key = this._dayKey(d);
             if (!dayMap[key]) dayMap[key] = { pnl: 0, qty: 0, trades: 0, tradeList: [] };
             dayMap[key].pnl += (trade.netProfit ?? trade.returnValue ?? trade.return ?? 0);
             dayMap[key].qty += (trade.quantity ?? trade.qty ?? 0);
@@ -684,7 +1440,7 @@ class UIController {
 
         const year = this.calendarYear;
         const month = this.calendarMonth;
-        const today = new Date();
+        const todayKey = this._dayKey(new Date());
 
         // Month label
         const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
@@ -723,7 +1479,7 @@ class UIController {
         for (let day = 1; day <= daysInMonth; day++) {
             const key = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
             const data = dayMap[key];
-            const isToday = (today.getFullYear() === year && today.getMonth() === month && today.getDate() === day);
+            const isToday = key === todayKey;
 
             let classes = 'calendar-day';
             if (isToday) classes += ' today';
@@ -763,12 +1519,16 @@ class UIController {
                 if (daySymbols.length) {
                     html += `<div class="calendar-day-symbols">${daySymbols.join(', ')}</div>`;
                 }
-                html += `<div class="calendar-day-pnl">Pnl: $${this.formatCalendarNumber(data.pnl)}</div>`;
+                html += `<div class="calendar-day-pnl">Pnl: ${this._currencySymbol()}${this.formatCalendarNumber(data.pnl)}</div>`;
                 html += `<div class="calendar-day-qty">Quantity: ${this.formatCalendarNumber(data.qty)}</div>`;
                 html += `<div class="calendar-day-trades">Trades: ${data.trades}</div>`;
                 if (goalReached) {
                     html += `<div class="calendar-goal-badge"><i class="fas fa-trophy"></i> Goal</div>`;
                 }
+                const breaches = this._propBreaches && this._propBreaches[key];
+                if (breaches) {
+                    html += `<div class="calendar-breach-badge" title="${this._escapeHtml(breaches.join('\n'))}"><i class="fas fa-flag"></i> Rule breached</div>`;
+                }
                 html += '</div>';
             } else {
                 html += `<div class="${classes}">`;
@@ -795,16 +1555,17 @@ class UIController {
             const tradingDays = positiveDays + negativeDays + breakevenDays;
             const avgPerDay = tradingDays > 0 ? totalPnl / tradingDays : 0;
             const avgClass = avgPerDay >= 0 ? 'positive' : 'negative';
+            const symbol = this._currencySymbol();
 
             summaryEl.innerHTML =
-                `Total P&L: <span class="highlight ${pnlClass}">$${this.formatCalendarNumber(totalPnl)}</span> &nbsp;|&nbsp; ` +
+                `Total P&L: <span class="highlight ${pnlClass}">${symbol}${this.formatCalendarNumber(totalPnl)}</span> &nbsp;|&nbsp; ` +
                 `<span class="highlight">${totalTradeCount}</span> trades &nbsp;|&nbsp; ` +
                 `<span class="highlight">${this.formatCalendarNumber(totalQty)}</span> contracts &nbsp;|&nbsp; ` +
-                `Avg/day: <span class="highlight ${avgClass}">$${this.formatCalendarNumber(avgPerDay)}</span><br>` +
+                `Avg/day: <span class="highlight ${avgClass}">${symbol}${this.formatCalendarNumber(avgPerDay)}</span><br>` +
                 `<span class="highlight positive">${positiveDays}</span> green day${positiveDays !== 1 ? 's' : ''} · ` +
                 `<span class="highlight negative">${negativeDays}</span> red day${negativeDays !== 1 ? 's' : ''} · ` +
-                `<span class="highlight positive">${winningTrades} W</span> ($${this.formatCalendarNumber(winningPnl)}) · ` +
-                `<span class="highlight negative">${losingTrades} L</span> ($${this.formatCalendarNumber(losingPnl)})`;
+                `<span class="highlight positive">${winningTrades} W</span> (${symbol}${this.formatCalendarNumber(winningPnl)}) · ` +
+                `<span class="highlight negative">${losingTrades} L</span> (${symbol}${this.formatCalendarNumber(losingPnl)})`;
         }
     }
 
@@ -858,6 +1619,9 @@ class UIController {
             <button class="btn-day-journal" id="btnDayJournal">
                 <i class="fas fa-book-open"></i> ${hasJournal ? 'Open Journal' : 'Write in Journal'}
             </button>
+            <button class="btn-day-journal btn-day-add-trade" id="btnDayAddTrade">
+                <i class="fas fa-plus"></i> Add Trade
+            </button>
             <div class="day-trades-summary">
                 <div class="summary-stat"><div class="stat-value">${trades.length}</div><div class="stat-label">Trades</div></div>
                 <div class="summary-stat"><div class="stat-value" style="color:var(--success-color)">${wins} W</div><div class="stat-label">Wins</div></div>
@@ -886,11 +1650,11 @@ class UIController {
             let entryTimeStr = '-', exitTimeStr = '-';
             try {
                 const et = new Date(trade.entryTime || trade.boughtDate);
-                if (!isNaN(et.getTime())) entryTimeStr = et.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+                if (!isNaN(et.getTime())) entryTimeStr = TimeZone.formatTime(et, this.displayTimeZone, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
             } catch (e) { /* ignore */ }
             try {
                 const xt = new Date(trade.exitTime || trade.soldDate || trade.date);
-                if (!isNaN(xt.getTime())) exitTimeStr = xt.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+                if (!isNaN(xt.getTime())) exitTimeStr = TimeZone.formatTime(xt, this.displayTimeZone, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
             } catch (e) { /* ignore */ }
 
             // Build TradingView URL
@@ -914,6 +1678,9 @@ class UIController {
                     <button class="btn-open-journal" data-trade-id="${tradeId}" onclick="event.stopPropagation()">
                         <i class="fas fa-book-open"></i> Open Journal
                     </button>
+                    ${trade.id && !(trade.legCount > 1) ? `<button class="btn-open-journal btn-edit-trade" data-db-id="${this._escapeHtml(trade.id)}">
+                        <i class="fas fa-pen"></i> Edit Trade
+                    </button>` : ''}
                 </div>
             `;
         });
@@ -926,8 +1693,19 @@ class UIController {
             dayJournalBtn.onclick = () => this.openJournalModal(dayKey, trades);
         }
 
+        // Manual entry on this day, and per-trade edit
+        const dayAddBtn = document.getElementById('btnDayAddTrade');
+        if (dayAddBtn) dayAddBtn.onclick = () => this.openTradeForm(null, dayKey);
+        tradesEl.querySelectorAll('.btn-edit-trade').forEach(btn => {
+            btn.onclick = (e) => {
+                e.stopPropagation();
+                const trade = trades.find(t => t.id === btn.dataset.dbId);
+                if (trade) this.openTradeForm(trade);
+            };
+        });
+
         // Bind per-trade journal buttons
-        tradesEl.querySelectorAll('.btn-open-journal').forEach(btn => {
+        tradesEl.querySelectorAll('.btn-open-journal:not(.btn-edit-trade)').forEach(btn => {
             btn.onclick = (e) => {
                 e.stopPropagation();
                 this.openJournalModal(dayKey, trades, btn.dataset.tradeId);
@@ -1151,6 +1929,8 @@ class UIController {
                     <div class="journal-trade-entry-body${collapsed}">
                         <textarea class="journal-trade-notes" data-trade-id="${tradeId}"
                             placeholder="Notes for this trade: what was your setup? entry reason? exit reason? emotions?">${this._escapeHtml(tradeJournal.note || '')}</textarea>
+                        ${this._tagPickerHtml(trade)}
+                        ${this._plannedLevelsHtml(trade)}
                         <div class="journal-screenshots-label"><i class="fas fa-camera"></i> Screenshots</div>
                         <div class="journal-screenshot-grid" data-trade-id="${tradeId}">
                             ${tradeScreenshots.map((s, si) => `
@@ -1181,6 +1961,8 @@ class UIController {
 
         // ---- Bind events ----
         this._bindJournalEvents(dayKey, trades);
+        this._bindTagPickers(container);
+        this._bindPlannedLevels(container);
     }
 
     _escapeHtml(str) {
@@ -1308,9 +2090,11 @@ class UIController {
 
     _saveCurrentJournal(dayKey, trades) {
         const dayNotesEl = document.getElementById('journalDayNotes');
+        // Tags are saved by TradleApp.tagTrades as they're picked — keep them (and the legs' entries in the Positions view)
+        const saved = this._loadJournal(dayKey);
         const journal = {
             dayNotes: dayNotesEl ? dayNotesEl.value : '',
-            trades: {}
+            trades: { ...saved.trades }
         };
 
         trades.forEach((trade, i) => {
@@ -1318,6 +2102,7 @@ class UIController {
             const noteEl = document.querySelector(`.journal-trade-notes[data-trade-id="${tradeId}"]`);
 
             journal.trades[tradeId] = {
+                ...journal.trades[tradeId],
                 note: noteEl ? noteEl.value : ''
                 // screenshots are in IndexedDB, not here anymore
             };
@@ -1897,14 +2682,14 @@ class UIController {
                         beginAtZero: true,
                         title: {
                             display: true,
-                            text: 'Commissions ($)',
+                            text: `Commissions (${this._currencySymbol()})`,
                             color: '#ef4444',
                             font: { size: 11 }
                         },
                         grid: { color: 'rgba(0, 0, 0, 0.06)' },
                         ticks: {
                             color: '#6b7280',
-                            callback: (value) => '$' + value
+                            callback: (value) => this._currencySymbol() + value
                         }
                     },
                     y1: {
@@ -2107,9 +2892,8 @@ class UIController {
             return;
         }
 
-        // Get today's date string (YYYY-MM-DD)
-        const today = new Date();
-        const todayStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+        // Get today's date string (YYYY-MM-DD) in the display time zone
+        const todayStr = this._dayKey(new Date());
 
         // Filter trades for today
         let todayTrades = trades.filter(trade => {
@@ -2117,8 +2901,7 @@ class UIController {
             if (!exitTime) return false;
             const d = new Date(exitTime);
             if (isNaN(d.getTime())) return false;
-            const tradeDate = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-            return tradeDate === todayStr;
+            return this._dayKey(d) === todayStr;
         });
 
         let label = 'Today';
@@ -2136,18 +2919,18 @@ class UIController {
 
             if (sortedByDate.length > 0) {
                 const latestDate = new Date(sortedByDate[0].exitTime || sortedByDate[0].soldDate || sortedByDate[0].date);
-                const latestStr = `${latestDate.getFullYear()}-${String(latestDate.getMonth() + 1).padStart(2, '0')}-${String(latestDate.getDate()).padStart(2, '0')}`;
+                const latestStr = this._dayKey(latestDate);
 
                 todayTrades = trades.filter(trade => {
                     const exitTime = trade.exitTime || trade.soldDate || trade.date;
                     if (!exitTime) return false;
                     const d = new Date(exitTime);
                     if (isNaN(d.getTime())) return false;
-                    const tradeDate = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-                    return tradeDate === latestStr;
+                    return this._dayKey(d) === latestStr;
                 });
 
-                label = latestDate.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+                const [y, m, d] = latestStr.split('-');
+                label = new Date(parseInt(y), parseInt(m) - 1, parseInt(d)).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
             }
         }
 
@@ -2188,16 +2971,16 @@ class UIController {
                 try {
                     const exitDate = new Date(trade.exitTime || trade.soldDate || trade.date);
                     if (!isNaN(exitDate.getTime())) {
-                        timeStr = exitDate.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+                        timeStr = TimeZone.formatTime(exitDate, this.displayTimeZone, { hour: '2-digit', minute: '2-digit' });
                     }
                 } catch (e) { /* ignore */ }
 
                 const broker = trade.broker || '';
-                const brokerClass = broker === 'IBKR' ? 'broker-ibkr' : 'broker-tv';
+                const brokerClass = this._brokerBadgeClass(broker);
 
                 row.innerHTML = `
                     <td>${timeStr}</td>
-                    <td><span class="broker-badge ${brokerClass}">${broker}</span></td>
+                    <td><span class="broker-badge ${brokerClass}">${this._escapeHtml(broker)}</span></td>
                     <td>${trade.contract || trade.symbol || '-'}</td>
                     <td><span class="side side-${(trade.side?.toLowerCase() || 'long')}">${trade.side || 'LONG'}</span></td>
                     <td>${this.formatCurrency(entryPrice)} → ${this.formatCurrency(exitPrice)}</td>
@@ -2213,39 +2996,1628 @@ class UIController {
     }
 
     /**
-     * Test dashboard table population manually
+     * Open Positions panel — lots earlier imports left open, closed automatically by a later
+     * import's exit orders. Hidden while there are none.
      */
-    testDashboardTable() {
-        console.log('🧪 Testing dashboard table...');
+    renderOpenPositions() {
+        const panel = document.getElementById('openPositionsPanel');
+        const body = document.getElementById('openPositionsBody');
+        const subtitle = document.getElementById('openPositionsSubtitle');
+        if (!panel || !body || !window.tradleApp) return;
+
+        const scope = this._accountScope();
+        const positions = window.tradleApp.getOpenPositions().filter(p => window.tradleApp.inAccountScope(p, scope));
+        panel.style.display = positions.length > 0 ? '' : 'none';
+        if (positions.length === 0) {
+            body.innerHTML = '';
+            return;
+        }
 
-        // Create test trade data
-        const testTrades = [{
-            date: '2026-02-11 17:00:00',
-            contract: 'CME_MINI:ES1!', // test data only
-            side: 'LONG',
-            entry: 6970.75,
-            exit: 6976.75,
-            netProfit: 300,
-            status: 'WIN'
-        }];
+        if (subtitle) {
+            subtitle.textContent = `${positions.length} position${positions.length === 1 ? '' : 's'} waiting for an exit in a later import`;
+        }
 
-        // Try to populate table
-        this.updateDashboardTable(testTrades);
+        body.innerHTML = positions.map((p, idx) => {
+            const opened = p.openedAt ? new Date(p.openedAt) : null;
+            const openedStr = opened && !isNaN(opened.getTime())
+                ? `${this._dayKey(opened)} ${TimeZone.formatTime(opened, this.displayTimeZone, { hour: '2-digit', minute: '2-digit' })}`
+                : '—';
+            return `<tr>
+                <td>${openedStr}</td>
+                <td><span class="broker-badge ${this._brokerBadgeClass(p.account)}">${this._escapeHtml(p.account)}</span></td>
+                <td>${this._escapeHtml(p.contract)}${this._contractMonthLabel(p) ? ` <span class="dashboard-table-subtitle">${this._escapeHtml(this._contractMonthLabel(p))}</span>` : ''}</td>
+                <td><span class="side side-${p.side.toLowerCase()}">${p.side}</span></td>
+                <td>${p.qty}</td>
+                <td>${this.formatCurrency(p.avgPrice)}</td>
+                <td><button type="button" class="uh-delete-btn" data-idx="${idx}" title="Discard — closed outside your exports" aria-label="Discard open position"><i class="fas fa-times"></i></button></td>
+            </tr>`;
+        }).join('');
 
-        return testTrades;
+        body.querySelectorAll('button[data-idx]').forEach(btn => {
+            btn.onclick = () => {
+                const position = positions[parseInt(btn.dataset.idx, 10)];
+                if (!confirm('Discard this open position? A later exit order for it will open a new position instead of closing this one.')) return;
+                window.tradleApp.discardOpenPosition(position.key, position.account, position.accountId);
+            };
+        });
     }
 
     /**
-     * Update trade history performance table
+     * Performance by Instrument panel — the dashboard's trades grouped by root symbol (ES) or by
+     * specific contract (ESH26). Trades without a contract month stay under their root.
      */
-    updateTradeHistoryPerformanceTable(trades) {
-        console.log('📊 updateTradeHistoryPerformanceTable called with trades:', trades);
-        const tableBody = document.getElementById('tradeHistoryPerformanceBody');
+    renderInstrumentPerformance(trades) {
+        const panel = document.getElementById('instrumentPerformancePanel');
+        const body = document.getElementById('instrumentPerformanceBody');
+        if (!panel || !body || !window.tradleApp) return;
+
+        const groups = window.tradleApp.tradeCalculator.groupByInstrument(trades, this.instrumentGrouping);
+        panel.hidden = groups.length === 0;
+        body.innerHTML = groups.map(g => `<tr>
+                <td><strong>${this._escapeHtml(g.key)}</strong></td>
+                <td>${g.totalTrades}</td>
+                <td>${g.winRate.toFixed(1)}%</td>
+                <td>${g.profitFactor === Infinity ? '∞' : g.profitFactor.toFixed(2)}</td>
+                <td class="${g.totalProfit >= 0 ? 'profit-positive' : 'profit-negative'}">${this.formatCurrency(g.totalProfit)}</td>
+            </tr>`).join('');
+    }
 
-        if (!tableBody) {
-            console.error('❌ tradeHistoryPerformanceBody element not found!');
-            return;
-        }
+    /**
+     * Roll Calendar card in the Import tab — the next contracts of one root with their roll and
+     * last trade dates, the front contract flagged
+     */
+    renderRollCalendar() {
+        const select = document.getElementById('rollCalendarRoot');
+        const body = document.getElementById('rollCalendarBody');
+        if (!select || !body || !window.tradleApp) return;
+        const calc = window.tradleApp.tradeCalculator;
+
+        if (!select.options.length) {
+            select.innerHTML = Object.keys(calc.ROLL_RULES).map(root => {
+                const spec = calc.getContractSpecs(`${root}1!`);
+                return `<option value="${root}">${root}${spec.name !== 'Unknown' ? ` &mdash; ${this._escapeHtml(spec.name)}` : ''}</option>`;
+            }).join('');
+            select.value = 'ES';
+            select.addEventListener('change', () => this.renderRollCalendar());
+        }
+
+        const root = select.value;
+        const months = calc.ROLL_RULES[root].months.split('').map(code => calc.MONTH_CODES.indexOf(code) + 1);
+        const hint = document.getElementById('rollCalendarHint');
+        if (hint) {
+            hint.textContent = `Lists ${months.map(m => this._formatExpiry(`2000-${String(m).padStart(2, '0')}-01`).split(' ')[0]).join(', ')} · rolls ${calc.ROLL_RULES[root].rollDays} business days before the last trade date.`;
+        }
+        body.innerHTML = calc.rollCalendar(root, this._dayKey(new Date()), 4).map(c => `<tr>
+                <td><strong>${c.code}</strong>${c.front ? ' <span class="uh-badge uh-badge--custom">Front</span>' : ''}</td>
+                <td>${this._formatExpiry(`${c.contractMonth}-01`)}</td>
+                <td>${c.rollDate}</td>
+                <td>${c.lastTrade}</td>
+            </tr>`).join('');
+    }
+
+    /**
+     * Lot Matching card in the Import tab — one row per account (broker, and named account when the
+     * trades are in one) with its method and a Recalculate button.
+     * Rows are addressed by index into TradleApp.getMatchingAccounts().
+     */
+    renderLotMatching() {
+        const section = document.getElementById('lotMatchingSection');
+        const body = document.getElementById('lotMatchingBody');
+        if (!section || !body || !window.tradleApp) return;
+
+        const accounts = window.tradleApp.getMatchingAccounts();
+        section.style.display = accounts.length > 0 ? '' : 'none';
+        const methods = window.tradleApp.tradeCalculator.MATCHING_METHODS;
+
+        body.innerHTML = accounts.map((a, idx) => `
+            <tr>
+                <td><span class="uh-badge uh-badge--${this._uploadBadgeClass(a.account)}">${this._escapeHtml(a.account)}</span>${a.accountName ? `
+                    <span class="contract-expiry">${this._escapeHtml(a.accountName)}</span>` : ''}</td>
+                <td class="lm-col-center">${a.trades}</td>
+                <td>
+                    <select class="cm-select lm-method-select" data-idx="${idx}" aria-label="Matching method">
+                        ${Object.entries(methods).map(([value, label]) =>
+                            `<option value="${value}" ${value === a.method ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </td>
+                <td class="lm-col-center">
+                    <button type="button" class="uh-undo-btn lm-recalc-btn" data-idx="${idx}" title="Re-match stored trades with this method" aria-label="Recalculate"${a.trades === 0 ? ' disabled' : ''}><i class="fas fa-sync-alt"></i></button>
+                </td>
+            </tr>`).join('');
+    }
+
+    /**
+     * Contract Specifications card in the Import tab — the whole registry, user edits flagged.
+     * Rows are addressed by index into this._specRows. Also refreshes the Risk tab dropdowns.
+     */
+    renderContractSpecs() {
+        this._fillRiskContracts();
+        this.recalcRisk();
+
+        const body = document.getElementById('contractSpecsBody');
+        if (!body) return;
+        const num = (v) => (v === null || v === undefined ? '-' : String(+Number(v).toPrecision(10)));
+
+        const all = this._contractRegistry().getAllContractSpecs();
+        this._specRows = Object.keys(all).sort((a, b) => (all[b].custom - all[a].custom) || a.localeCompare(b));
+        body.innerHTML = this._specRows.map((sym, idx) => {
+            const spec = all[sym];
+            const flag = spec.custom ? ` <span class="uh-badge uh-badge--custom">${spec.builtIn ? 'Edited' : 'Added'}</span>` : '';
+            return `
+            <tr>
+                <td class="cs-symbol">${this._escapeHtml(sym)}${flag}</td>
+                <td>${this._escapeHtml(spec.name)}</td>
+                <td>${num(spec.multiplier)}</td>
+                <td>${num(spec.tickSize)}</td>
+                <td>${spec.tickValue ? `${num(spec.tickValue)} ${this._escapeHtml(spec.currency)}` : '-'}</td>
+                <td>${num(spec.commission)}</td>
+                <td>${this._escapeHtml(spec.exchange) || '-'}</td>
+                <td>${this._escapeHtml(spec.session) || '-'}</td>
+                <td class="cs-col-center">
+                    <button type="button" class="uh-undo-btn cs-edit-btn" data-idx="${idx}" title="Edit ${this._escapeHtml(sym)}" aria-label="Edit"><i class="fas fa-pen"></i></button>
+                </td>
+            </tr>`;
+        }).join('');
+    }
+
+    _bindContractSpecForm() {
+        const modal = document.getElementById('contractSpecModal');
+        const form = document.getElementById('contractSpecForm');
+        if (!modal || !form) return;
+        const $ = (id) => document.getElementById(id);
+
+        const addBtn = $('addContractSpecBtn');
+        if (addBtn) addBtn.addEventListener('click', () => this.openContractSpecForm());
+        const body = $('contractSpecsBody');
+        if (body) {
+            body.addEventListener('click', (e) => {
+                const btn = e.target.closest('.cs-edit-btn');
+                if (btn && this._specRows) this.openContractSpecForm(this._specRows[+btn.dataset.idx]);
+            });
+        }
+
+        // Tick value = tick size × multiplier: editing one side updates the other
+        const num = (id) => parseFloat($(id).value);
+        const syncTickValue = () => {
+            const value = num('contractSpecTickSize') * num('contractSpecMultiplier');
+            $('contractSpecTickValue').value = value > 0 ? +value.toPrecision(10) : '';
+        };
+        $('contractSpecMultiplier').addEventListener('input', syncTickValue);
+        $('contractSpecTickSize').addEventListener('input', syncTickValue);
+        $('contractSpecTickValue').addEventListener('input', () => {
+            const multiplier = num('contractSpecTickValue') / num('contractSpecTickSize');
+            if (multiplier > 0 && isFinite(multiplier)) $('contractSpecMultiplier').value = +multiplier.toPrecision(10);
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._submitContractSpecForm();
+        });
+        $('contractSpecClose').addEventListener('click', () => this.closeContractSpecForm());
+        $('contractSpecCancel').addEventListener('click', () => this.closeContractSpecForm());
+        $('contractSpecReset').addEventListener('click', () => this._resetContractSpec());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeContractSpecForm();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) this.closeContractSpecForm();
+        });
+    }
+
+    /**
+     * Open the instrument form — empty to add one, or filled to edit `symbol`
+     */
+    openContractSpecForm(symbol = null) {
+        const modal = document.getElementById('contractSpecModal');
+        if (!modal) return;
+        const $ = (id) => document.getElementById(id);
+        const spec = symbol ? this._contractRegistry().getAllContractSpecs()[symbol] : null;
+        this.editingSpecSymbol = spec ? symbol : null;
+
+        $('contractSpecForm').reset();
+        $('contractSpecError').textContent = '';
+        $('contractSpecTitle').innerHTML = spec
+            ? `<i class="fas fa-pen"></i> Edit ${this._escapeHtml(symbol)}`
+            : '<i class="fas fa-ruler-combined"></i> Add Instrument';
+        $('contractSpecSymbol').readOnly = !!spec;
+        $('contractSpecReset').style.display = spec && spec.custom ? '' : 'none';
+        $('contractSpecReset').lastChild.textContent = spec && !spec.builtIn ? ' Remove' : ' Reset';
+
+        if (spec) {
+            $('contractSpecSymbol').value = symbol;
+            $('contractSpecName').value = spec.name || '';
+            $('contractSpecMultiplier').value = spec.multiplier;
+            $('contractSpecTickSize').value = spec.tickSize ?? '';
+            $('contractSpecTickValue').value = spec.tickValue ? +spec.tickValue.toPrecision(10) : '';
+            $('contractSpecCommission').value = spec.commission;
+            $('contractSpecCurrency').value = spec.currency;
+            $('contractSpecExchange').value = spec.exchange;
+            $('contractSpecSession').value = spec.session;
+        }
+
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        $(spec ? 'contractSpecMultiplier' : 'contractSpecSymbol').focus();
+    }
+
+    closeContractSpecForm() {
+        const modal = document.getElementById('contractSpecModal');
+        if (modal) modal.classList.remove('active');
+        document.body.style.overflow = '';
+        this.editingSpecSymbol = null;
+    }
+
+    _readContractSpecForm() {
+        const $ = (id) => document.getElementById(id);
+        const num = (id) => ($(id).value === '' ? NaN : parseFloat($(id).value));
+        return {
+            symbol: $('contractSpecSymbol').value.trim(),
+            name: $('contractSpecName').value.trim(),
+            multiplier: num('contractSpecMultiplier'),
+            tickSize: $('contractSpecTickSize').value === '' ? null : num('contractSpecTickSize'),
+            commission: num('contractSpecCommission'),
+            currency: $('contractSpecCurrency').value.trim().toUpperCase(),
+            exchange: $('contractSpecExchange').value.trim(),
+            session: $('contractSpecSession').value.replace(/\s+/g, '')
+        };
+    }
+
+    _submitContractSpecForm() {
+        try {
+            const fields = this._readContractSpecForm();
+            const count = window.tradleApp.saveContractSpec(fields);
+            this.closeContractSpecForm();
+            this.renderContractSpecs();
+            this.showToast(`${this._escapeHtml(fields.symbol.toUpperCase())} saved${count > 0 ? ` — ${count} trade${count === 1 ? '' : 's'} recalculated` : ''}`, 'success');
+        } catch (error) {
+            document.getElementById('contractSpecError').textContent = error.message;
+        }
+    }
+
+    _resetContractSpec() {
+        const symbol = this.editingSpecSymbol;
+        if (!symbol) return;
+        const builtIn = !!this._contractRegistry().CONTRACT_SPECS[symbol];
+        if (!confirm(builtIn ? `Reset ${symbol} to its built-in spec?` : `Remove ${symbol} from the registry?`)) return;
+        const count = window.tradleApp.resetContractSpec(symbol);
+        this.closeContractSpecForm();
+        this.renderContractSpecs();
+        this.showToast(`${this._escapeHtml(symbol)} ${builtIn ? 'reset' : 'removed'}${count > 0 ? ` — ${count} trade${count === 1 ? '' : 's'} recalculated` : ''}`, 'info');
+    }
+
+    /**
+     * Commission Schedules card in the Import tab — one row per account (broker, and named account
+     * when the trades are in one) with its schedule, if any.
+     * Rows are addressed by index into this._commissionRows.
+     */
+    renderCommissionSchedules() {
+        const body = document.getElementById('commissionSchedulesBody');
+        if (!body || !window.tradleApp) return;
+
+        const calc = window.tradleApp.tradeCalculator;
+        this._commissionRows = window.tradleApp.getCommissionAccounts();
+        const empty = document.getElementById('commissionSchedulesEmpty');
+        if (empty) empty.style.display = this._commissionRows.length > 0 ? 'none' : '';
+
+        body.innerHTML = this._commissionRows.map((a, idx) => {
+            const fees = a.schedule ? a.schedule.fees.reduce((sum, f) => sum + f.perSide, 0) : 0;
+            return `
+            <tr>
+                <td>${a.account ? `<span class="uh-badge uh-badge--${this._uploadBadgeClass(a.account)}">${this._escapeHtml(a.account)}</span>` : ''}${a.accountName ? `
+                    <span class="contract-expiry">${this._escapeHtml(a.accountName)}</span>` : ''}</td>
+                <td class="cms-col-center">${a.trades}</td>
+                <td>${a.schedule ? `${calc.COMMISSION_TYPES[a.schedule.type]} <span class="cms-rates">${this._commissionRates(a.schedule)}${a.inherited ? ` (${this._escapeHtml(a.account)})` : ''}</span>` : '<span class="cms-rates">Contract spec rate</span>'}</td>
+                <td>${a.schedule && a.schedule.fees.length > 0 ? `${this.formatCurrency(fees)} <span class="cms-rates">${a.schedule.fees.map(f => this._escapeHtml(f.name)).join(', ')}</span>` : '-'}</td>
+                <td class="cms-col-center">
+                    <button type="button" class="uh-undo-btn cms-edit-btn" data-idx="${idx}" title="Edit the ${this._escapeHtml(window.tradleApp.accountRowLabel(a))} schedule" aria-label="Edit"><i class="fas fa-pen"></i></button>
+                </td>
+            </tr>`;
+        }).join('');
+    }
+
+    /**
+     * Per-side broker rate(s) of a schedule, e.g. "$0.85" or "$0.85 → $0.65 → $0.25"
+     */
+    _commissionRates(schedule) {
+        return schedule.type === 'tiered'
+            ? schedule.tiers.map(t => this.formatCurrency(t.rate)).join(' → ')
+            : this.formatCurrency(schedule.rate);
+    }
+
+    _bindCommissionScheduleForm() {
+        const modal = document.getElementById('commissionScheduleModal');
+        const form = document.getElementById('commissionScheduleForm');
+        if (!modal || !form) return;
+        const $ = (id) => document.getElementById(id);
+
+        const addBtn = $('addCommissionScheduleBtn');
+        if (addBtn) addBtn.addEventListener('click', () => this.openCommissionScheduleForm());
+        const body = $('commissionSchedulesBody');
+        if (body) {
+            body.addEventListener('click', (e) => {
+                const btn = e.target.closest('.cms-edit-btn');
+                const row = btn && this._commissionRows ? this._commissionRows[+btn.dataset.idx] : null;
+                if (row) this.openCommissionScheduleForm(row.account, row.accountId);
+            });
+        }
+        $('commissionScheduleType').addEventListener('change', () => this._toggleCommissionType());
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._submitCommissionScheduleForm();
+        });
+        $('commissionScheduleClose').addEventListener('click', () => this.closeCommissionScheduleForm());
+        $('commissionScheduleCancel').addEventListener('click', () => this.closeCommissionScheduleForm());
+        $('commissionScheduleRemove').addEventListener('click', () => this._removeCommissionSchedule());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeCommissionScheduleForm();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) this.closeCommissionScheduleForm();
+        });
+    }
+
+    /**
+     * Show the rate field for a fixed schedule, the tier list for a tiered one
+     */
+    _toggleCommissionType() {
+        const tiered = document.getElementById('commissionScheduleType').value === 'tiered';
+        document.getElementById('commissionScheduleRateField').style.display = tiered ? 'none' : '';
+        document.getElementById('commissionScheduleTiersField').style.display = tiered ? '' : 'none';
+    }
+
+    /**
+     * Open the schedule form — empty to add one, or filled with the schedule of `account` (a
+     * broker label) or of the named account `accountId`; a named account without its own starts
+     * from the broker's
+     */
+    openCommissionScheduleForm(account = null, accountId = null) {
+        const modal = document.getElementById('commissionScheduleModal');
+        if (!modal) return;
+        const $ = (id) => document.getElementById(id);
+        const app = window.tradleApp;
+        const schedules = app.tradeCalculator.commissionSchedules;
+        const own = accountId ? schedules[accountId] : account ? schedules[account] : null;
+        const schedule = own || (accountId && account ? schedules[account] : null);
+        const named = app.getAccount(accountId);
+        const label = named ? app.accountRowLabel({ account, accountName: named.name }) : account;
+        this.editingCommissionAccount = account || null;
+        this.editingCommissionAccountId = accountId || null;
+
+        $('commissionScheduleForm').reset();
+        $('commissionScheduleError').textContent = '';
+        $('commissionScheduleTitle').innerHTML = label
+            ? `<i class="fas fa-pen"></i> ${this._escapeHtml(label)} Commissions`
+            : '<i class="fas fa-file-invoice-dollar"></i> Add Commission Schedule';
+        $('commissionScheduleAccount').readOnly = !!(account || accountId);
+        $('commissionScheduleRemove').style.display = own ? '' : 'none';
+        $('commissionScheduleAccounts').innerHTML = [...new Set(app.getCommissionAccounts().map(a => a.account).filter(Boolean))]
+            .map(a => `<option value="${this._escapeHtml(a)}"></option>`).join('');
+
+        if (label) $('commissionScheduleAccount').value = label;
+        if (schedule) {
+            $('commissionScheduleType').value = schedule.type;
+            $('commissionScheduleRate').value = schedule.rate ?? '';
+            $('commissionScheduleTiers').value = schedule.tiers.map(t => `${t.upTo ?? ''}, ${t.rate}`).join('\n');
+            $('commissionScheduleFees').value = schedule.fees.map(f => `${f.name}, ${f.perSide}`).join('\n');
+        }
+        this._toggleCommissionType();
+
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        $(label ? 'commissionScheduleType' : 'commissionScheduleAccount').focus();
+    }
+
+    closeCommissionScheduleForm() {
+        const modal = document.getElementById('commissionScheduleModal');
+        if (modal) modal.classList.remove('active');
+        document.body.style.overflow = '';
+        this.editingCommissionAccount = null;
+        this.editingCommissionAccountId = null;
+    }
+
+    /**
+     * Read the form into a schedule. Tiers are "up to, rate" lines (blank "up to" on the last
+     * line for "and above"); fees are "name, amount" lines.
+     */
+    _readCommissionScheduleForm() {
+        const $ = (id) => document.getElementById(id);
+        const num = (v) => (v === undefined || v.trim() === '' ? NaN : parseFloat(v));
+        const lines = (id) => $(id).value.split('\n').map(l => l.trim()).filter(Boolean).map(l => l.split(','));
+        return {
+            account: $('commissionScheduleAccount').value.trim(),
+            schedule: {
+                type: $('commissionScheduleType').value,
+                rate: num($('commissionScheduleRate').value),
+                tiers: lines('commissionScheduleTiers').map(parts => parts.length === 1
+                    ? { upTo: null, rate: num(parts[0]) }
+                    : { upTo: parts[0].trim() === '' ? null : num(parts[0]), rate: num(parts[1]) }),
+                fees: lines('commissionScheduleFees').map(parts => ({ name: parts[0].trim(), perSide: num(parts[1]) }))
+            }
+        };
+    }
+
+    _submitCommissionScheduleForm() {
+        try {
+            const form = this._readCommissionScheduleForm();
+            // Editing keeps the row's account; the field shows "Broker · Account" for named ones
+            const accountId = this.editingCommissionAccountId;
+            const account = this.editingCommissionAccount || (accountId ? '' : form.account);
+            const count = window.tradleApp.saveCommissionSchedule(account, form.schedule, accountId);
+            this.closeCommissionScheduleForm();
+            this.renderCommissionSchedules();
+            this.showToast(`${this._escapeHtml(form.account)} schedule saved${count > 0 ? ` — ${count} trade${count === 1 ? '' : 's'} recalculated` : ''}`, 'success');
+        } catch (error) {
+            document.getElementById('commissionScheduleError').textContent = error.message;
+        }
+    }
+
+    _removeCommissionSchedule() {
+        const account = this.editingCommissionAccount;
+        const accountId = this.editingCommissionAccountId;
+        if (!account && !accountId) return;
+        const label = document.getElementById('commissionScheduleAccount').value;
+        const fallback = accountId && account && window.tradleApp.tradeCalculator.commissionSchedules[account]
+            ? `the ${account} schedule` : 'the contract spec rate';
+        if (!confirm(`Remove the ${label} schedule? Its trades go back to ${fallback}.`)) return;
+        const count = window.tradleApp.removeCommissionSchedule(account, accountId);
+        this.closeCommissionScheduleForm();
+        this.renderCommissionSchedules();
+        this.showToast(`${this._escapeHtml(label)} schedule removed${count > 0 ? ` — ${count} trade${count === 1 ? '' : 's'} recalculated` : ''}`, 'info');
+    }
+
+    /**
+     * FX Rates card in the Import tab — one row per pair, plus the base currency pickers and a
+     * warning for trade currencies with no rate. Rows are addressed by index into this._fxRows.
+     */
+    renderFxRates() {
+        if (!window.tradleApp) return;
+        const app = window.tradleApp;
+        const base = app.tradeCalculator.baseCurrency;
+        this._fxRows = app.getFxPairs();
+
+        // Common currencies plus any the trades or the table use
+        const currencies = new Set(['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'HKD', base]);
+        app.tradeDatabase.trades.forEach(t => { if (t.currency) currencies.add(t.currency); });
+        this._fxRows.forEach(r => { currencies.add(r.pair.slice(0, 3)); currencies.add(r.pair.slice(3)); });
+        const options = [...currencies].sort()
+            .map(c => `<option value="${c}" ${c === base ? 'selected' : ''}>${c}</option>`).join('');
+        document.querySelectorAll('.base-currency-select').forEach(select => { select.innerHTML = options; });
+
+        const body = document.getElementById('fxRatesBody');
+        if (body) {
+            body.innerHTML = this._fxRows.map((r, idx) => `
+            <tr>
+                <td class="cs-symbol">${r.pair.slice(0, 3)}/${r.pair.slice(3)}</td>
+                <td>${+r.latest.toPrecision(8)}</td>
+                <td>${r.last}</td>
+                <td class="fx-col-center">${r.count}</td>
+                <td>${r.count > 1 ? `${r.first} → ${r.last}` : r.first}</td>
+                <td class="fx-col-center">
+                    <button type="button" class="uh-undo-btn fx-remove-btn" data-idx="${idx}" title="Remove every ${r.pair} rate" aria-label="Remove"><i class="fas fa-trash-alt"></i></button>
+                </td>
+            </tr>`).join('');
+        }
+        const empty = document.getElementById('fxRatesEmpty');
+        if (empty) empty.style.display = this._fxRows.length > 0 ? 'none' : '';
+
+        const warning = document.getElementById('fxRatesMissing');
+        if (warning) {
+            const missing = app.getMissingFxRates();
+            warning.style.display = missing.length > 0 ? '' : 'none';
+            warning.innerHTML = missing.length > 0
+                ? `<i class="fas fa-exclamation-triangle"></i> No rate to ${base} for ${missing.map(m => {
+                    const counts = [
+                        m.trades > 0 ? `${m.trades} trade${m.trades === 1 ? '' : 's'}` : '',
+                        m.cashFlows > 0 ? `${m.cashFlows} cash flow${m.cashFlows === 1 ? '' : 's'}` : ''
+                    ].filter(Boolean).join(', ');
+                    return `${this._escapeHtml(m.currency)} (${counts})`;
+                }).join(', ')} &mdash; those trades are counted unconverted and those cash flows left out.`
+                : '';
+        }
+    }
+
+    _bindFxRates() {
+        const $ = (id) => document.getElementById(id);
+        document.querySelectorAll('.base-currency-select').forEach(select => {
+            select.addEventListener('change', () => {
+                try {
+                    window.tradleApp.setBaseCurrency(select.value);
+                    this.renderFxRates();
+                    this.updateLiquidity(this.lastNetRevenue || 0);
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
+            });
+        });
+
+        const form = $('fxRateForm');
+        if (form) {
+            $('fxRateDay').value = new Date().toISOString().slice(0, 10);
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                try {
+                    const entry = window.tradleApp.saveFxRate({
+                        pair: $('fxRatePair').value,
+                        day: $('fxRateDay').value,
+                        rate: parseFloat($('fxRateValue').value)
+                    });
+                    $('fxRateValue').value = '';
+                    $('fxRateError').textContent = '';
+                    this.renderFxRates();
+                    this.showToast(`${entry.pair} ${entry.day} saved`, 'success');
+                } catch (error) {
+                    $('fxRateError').textContent = error.message;
+                }
+            });
+        }
+
+        const fileInput = $('fxRatesFile');
+        if (fileInput) {
+            $('importFxRatesBtn').addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+                try {
+                    const result = window.tradleApp.importFxRates(await window.tradleApp.csvParser.readFileContent(file));
+                    this.renderFxRates();
+                    const skipped = result.errors.length > 0 ? `, ${result.errors.length} row${result.errors.length === 1 ? '' : 's'} skipped` : '';
+                    this.showToast(`${result.imported} rates imported for ${result.pairs.join(', ')}${skipped}`, 'success');
+                } catch (error) {
+                    this.showToast('FX import failed: ' + error.message, 'error');
+                }
+            });
+        }
+
+        const body = $('fxRatesBody');
+        if (body) {
+            body.addEventListener('click', (e) => {
+                const btn = e.target.closest('.fx-remove-btn');
+                if (!btn || !this._fxRows) return;
+                const { pair } = this._fxRows[+btn.dataset.idx];
+                if (!confirm(`Remove every ${pair} rate?`)) return;
+                window.tradleApp.removeFxPair(pair);
+                this.renderFxRates();
+            });
+        }
+    }
+
+    // ===== Accounts =====
+
+    /**
+     * Initialize the dashboard's account filter from localStorage ('all', 'unassigned' or an account id)
+     */
+    initAccountFilter() {
+        this.accountScope = localStorage.getItem('tradle_account_filter') || 'all';
+
+        const select = document.getElementById('accountFilterSelect');
+        if (select) {
+            select.addEventListener('change', () => {
+                this.accountScope = select.value || 'all';
+                localStorage.setItem('tradle_account_filter', this.accountScope);
+                this.currentPage = 1;
+                if (window.tradleApp) window.tradleApp.refreshDashboard();
+            });
+        }
+    }
+
+    /**
+     * The account filter in effect — back to All accounts when none are set up or the
+     * picked one was deleted
+     */
+    _accountScope() {
+        const app = window.tradleApp;
+        if (!app || app.getAccounts().length === 0) return 'all';
+        const scope = this.accountScope || 'all';
+        return scope === 'all' || scope === 'unassigned' || app.getAccount(scope) ? scope : 'all';
+    }
+
+    /**
+     * Starting liquidity of the filtered view: the account's own, every account's added up for
+     * All accounts (plus the single Starting Liquidity while some trades are in no account),
+     * or that single figure when no accounts are set up
+     */
+    _scopeLiquidity() {
+        const app = window.tradleApp;
+        const scope = this._accountScope();
+        if (scope === 'unassigned' || !app || app.getAccounts().length === 0) return this.globalLiquidity;
+        if (scope !== 'all') return app.getAccount(scope).startingLiquidity;
+        const unassigned = app.tradeDatabase.trades.some(t => app.inAccountScope(t, 'unassigned'));
+        return app.getAccounts().reduce((sum, a) => sum + a.startingLiquidity, 0) + (unassigned ? this.globalLiquidity : 0);
+    }
+
+    /**
+     * Point the Starting Liquidity input at the filtered view — read-only for All accounts,
+     * which is the sum of the accounts
+     */
+    _syncLiquidityInput() {
+        this.startingLiquidity = this._scopeLiquidity();
+        const input = document.getElementById('startingLiquidity');
+        if (!input) return;
+        const summed = this._accountScope() === 'all' && window.tradleApp && window.tradleApp.getAccounts().length > 0;
+        input.value = this.startingLiquidity;
+        input.readOnly = summed;
+        input.title = summed ? 'Sum of every account — pick one in the Account filter to change its starting liquidity' : '';
+    }
+
+    /**
+     * With one account picked, the Risk tab sizes off that account's current liquidity;
+     * otherwise it uses the Account Size typed in
+     */
+    _syncRiskAccountSize(current) {
+        const input = document.getElementById('riskAccountSize');
+        const source = document.getElementById('riskAccountSource');
+        if (!input) return;
+        const scope = this._accountScope();
+        const account = scope !== 'all' && scope !== 'unassigned' ? window.tradleApp.getAccount(scope) : null;
+        const wasLinked = input.readOnly;
+
+        if (account) {
+            input.value = Math.round(current);
+            input.readOnly = true;
+            if (source) source.textContent = `Current liquidity of ${account.name}`;
+        } else {
+            input.readOnly = false;
+            if (source) source.textContent = '';
+            if (!wasLinked) return;
+            const saved = localStorage.getItem('tradle_riskAccountSize');
+            input.value = saved !== null ? saved : 100000;
+        }
+        if (typeof this.recalcRisk === 'function') this.recalcRisk();
+    }
+
+    /**
+     * Fill an account <select>: a "none" option, then every account
+     */
+    _fillAccountSelect(select, value, noneLabel = 'No account') {
+        if (!select || !window.tradleApp) return;
+        select.innerHTML = `<option value="">${noneLabel}</option>` + window.tradleApp.getAccounts()
+            .map(a => `<option value="${this._escapeHtml(a.id)}">${this._escapeHtml(a.name)}</option>`).join('');
+        select.value = window.tradleApp.getAccount(value) ? value : '';
+    }
+
+    /**
+     * Accounts card in the Import tab and the dashboard's Account filter.
+     * Rows are addressed by index into this._accountRows.
+     */
+    renderAccounts() {
+        if (!window.tradleApp) return;
+        const { accounts, unassigned } = window.tradleApp.getAccountSummaries();
+        this._accountRows = accounts;
+
+        const filterItem = document.getElementById('accountFilterItem');
+        const filter = document.getElementById('accountFilterSelect');
+        if (filterItem) filterItem.style.display = accounts.length > 0 ? '' : 'none';
+        if (filter) {
+            const scope = this._accountScope();
+            filter.innerHTML = '<option value="all">All accounts</option>' +
+                accounts.map(a => `<option value="${this._escapeHtml(a.id)}">${this._escapeHtml(a.name)}</option>`).join('') +
+                (unassigned > 0 || scope === 'unassigned' ? '<option value="unassigned">No account</option>' : '');
+            filter.value = scope;
+        }
+
+        const body = document.getElementById('accountsBody');
+        if (body) {
+            const rules = window.tradleApp.tradeCalculator.getAllPropRuleSets();
+            body.innerHTML = accounts.map((a, idx) => `
+            <tr>
+                <td><strong>${this._escapeHtml(a.name)}</strong>${rules[a.ruleSetId] ? ` <span class="uh-badge uh-badge--custom" title="Evaluated against these prop-firm rules">${this._escapeHtml(rules[a.ruleSetId].name)}</span>` : ''}</td>
+                <td class="acc-col-center">${a.trades}</td>
+                <td>${this.formatCurrency(a.startingLiquidity)}</td>
+                <td class="${a.netProfit >= 0 ? 'profit-positive' : 'profit-negative'}">${this.formatCurrency(a.netProfit)}</td>
+                <td>${this.formatCurrency(a.currentLiquidity)}</td>
+                <td class="acc-col-center">
+                    <button type="button" class="uh-undo-btn acc-edit-btn" data-idx="${idx}" title="Edit ${this._escapeHtml(a.name)}" aria-label="Edit"><i class="fas fa-pen"></i></button>
+                    ${unassigned > 0 ? `<button type="button" class="uh-undo-btn acc-claim-btn" data-idx="${idx}" title="Move the ${unassigned} trade${unassigned === 1 ? '' : 's'} in no account into ${this._escapeHtml(a.name)}" aria-label="Move unassigned trades here"><i class="fas fa-inbox"></i></button>` : ''}
+                </td>
+            </tr>`).join('');
+        }
+        const empty = document.getElementById('accountsEmpty');
+        if (empty) empty.style.display = accounts.length > 0 ? 'none' : '';
+        const note = document.getElementById('accountsUnassigned');
+        if (note) {
+            note.style.display = accounts.length > 0 && unassigned > 0 ? '' : 'none';
+            note.textContent = `${unassigned} trade${unassigned === 1 ? ' is' : 's are'} in no account — they show under All accounts and No account.`;
+        }
+    }
+
+    _bindAccountForm() {
+        const modal = document.getElementById('accountModal');
+        const form = document.getElementById('accountForm');
+        if (!modal || !form) return;
+        const $ = (id) => document.getElementById(id);
+
+        const addBtn = $('addAccountBtn');
+        if (addBtn) addBtn.addEventListener('click', () => this.openAccountForm());
+        const body = $('accountsBody');
+        if (body) {
+            body.addEventListener('click', (e) => {
+                const btn = e.target.closest('.acc-edit-btn, .acc-claim-btn');
+                if (!btn || !this._accountRows) return;
+                const account = this._accountRows[+btn.dataset.idx];
+                if (btn.classList.contains('acc-edit-btn')) {
+                    this.openAccountForm(account);
+                    return;
+                }
+                if (!confirm(`Move every trade and open position in no account into ${account.name}?`)) return;
+                const count = window.tradleApp.claimUnassigned(account.id);
+                this.renderAccounts();
+                this.showToast(`${count} trade${count === 1 ? '' : 's'} moved into ${this._escapeHtml(account.name)}`, 'success');
+            });
+        }
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._submitAccountForm();
+        });
+        $('accountClose').addEventListener('click', () => this.closeAccountForm());
+        $('accountCancel').addEventListener('click', () => this.closeAccountForm());
+        $('accountDelete').addEventListener('click', () => this._deleteFormAccount());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeAccountForm();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) this.closeAccountForm();
+        });
+    }
+
+    /**
+     * Open the account form — empty to add one, or filled with `account`
+     */
+    openAccountForm(account = null) {
+        const modal = document.getElementById('accountModal');
+        if (!modal) return;
+        const $ = (id) => document.getElementById(id);
+        this.editingAccountId = account ? account.id : null;
+
+        $('accountForm').reset();
+        $('accountError').textContent = '';
+        $('accountTitle').innerHTML = account
+            ? `<i class="fas fa-pen"></i> ${this._escapeHtml(account.name)}`
+            : '<i class="fas fa-id-card"></i> Add Account';
+        $('accountDelete').style.display = account ? '' : 'none';
+        const rules = window.tradleApp.tradeCalculator.getAllPropRuleSets();
+        $('accountRuleSet').innerHTML = '<option value="">None</option>' + Object.entries(rules)
+            .map(([id, set]) => `<option value="${this._escapeHtml(id)}">${this._escapeHtml(set.name)}</option>`).join('');
+        $('accountRuleSet').value = account && rules[account.ruleSetId] ? account.ruleSetId : '';
+        if (account) {
+            $('accountName').value = account.name;
+            $('accountStartingLiquidity').value = account.startingLiquidity;
+        }
+
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        $('accountName').focus();
+    }
+
+    closeAccountForm() {
+        const modal = document.getElementById('accountModal');
+        if (modal) modal.classList.remove('active');
+        document.body.style.overflow = '';
+        this.editingAccountId = null;
+    }
+
+    _submitAccountForm() {
+        const $ = (id) => document.getElementById(id);
+        const editing = this.editingAccountId;
+        try {
+            const account = window.tradleApp.saveAccount({
+                id: editing,
+                name: $('accountName').value,
+                startingLiquidity: $('accountStartingLiquidity').value === '' ? '' : parseFloat($('accountStartingLiquidity').value),
+                ruleSetId: $('accountRuleSet').value || null
+            });
+            this.closeAccountForm();
+            this.renderAccounts();
+            this.renderPropRuleSets();
+            this.showToast(`${this._escapeHtml(account.name)} ${editing ? 'updated' : 'added'}`, 'success');
+        } catch (error) {
+            $('accountError').textContent = error.message;
+        }
+    }
+
+    _deleteFormAccount() {
+        const account = window.tradleApp.getAccount(this.editingAccountId);
+        if (!account || !confirm(`Delete the ${account.name} account?\n\nIts trades are kept and move to No account.`)) return;
+        const count = window.tradleApp.deleteAccount(account.id);
+        this.closeAccountForm();
+        this.renderAccounts();
+        this.showToast(`${this._escapeHtml(account.name)} deleted — ${count} trade${count === 1 ? '' : 's'} now in no account`, 'info');
+    }
+
+    // ===== Cash Flows =====
+
+    /**
+     * Day key for the equity curve — the calendar's display time zone
+     */
+    _equityDayKey() {
+        return (date) => this._dayKey(new Date(date));
+    }
+
+    /**
+     * Equity curve of the dashboard's trades and the ledger in the account filter, with the
+     * time-weighted return, money in, money out and fees above it
+     */
+    updateEquityCurveChart(trades) {
+        const ctx = document.getElementById('equityCurveChart');
+        const stats = document.getElementById('equityCurveStats');
+        if (!ctx || !window.tradleApp) return;
+
+        if (this.charts.equityCurve) {
+            try {
+                this.charts.equityCurve.destroy();
+            } catch (error) {
+                console.warn('Warning destroying equity curve chart:', error);
+            }
+            this.charts.equityCurve = null;
+        }
+
+        const calc = window.tradleApp.tradeCalculator;
+        const flows = window.tradleApp.getCashFlows(this._accountScope());
+        const curve = calc.equityCurve(trades, flows, this.startingLiquidity || 0, this._equityDayKey());
+
+        if (stats) {
+            const total = (types) => flows.filter(f => types.includes(f.type)).reduce((sum, f) => sum + Math.abs(calc.cashFlowAmount(f) || 0), 0);
+            const twr = calc.timeWeightedReturn(curve) * 100;
+            const stat = (label, value, cls = '') => `<div class="equity-stat"><span>${label}</span><strong class="${cls}">${value}</strong></div>`;
+            stats.innerHTML = [
+                stat('Time-Weighted Return', `${twr >= 0 ? '+' : ''}${twr.toFixed(2)}%`, twr >= 0 ? 'profit-positive' : 'profit-negative'),
+                stat('Deposits', this.formatCurrency(total(['deposit']))),
+                stat('Withdrawals & Payouts', this.formatCurrency(total(['withdrawal', 'payout']))),
+                stat('Fees', this.formatCurrency(total(['fee'])))
+            ].join('');
+        }
+
+        this.charts.equityCurve = new Chart(ctx.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: curve.map(d => d.day),
+                datasets: [{
+                    label: 'Equity',
+                    data: curve.map(d => d.equity),
+                    borderColor: '#3b82f6',
+                    backgroundColor: 'rgba(59, 130, 246, 0.08)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.3,
+                    pointRadius: (context) => (curve[context.dataIndex] && curve[context.dataIndex].flow !== 0 ? 5 : 2),
+                    pointBackgroundColor: (context) => (curve[context.dataIndex] && curve[context.dataIndex].flow !== 0 ? '#f59e0b' : '#3b82f6')
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const d = curve[context.dataIndex];
+                                const lines = [`Equity: ${this.formatCurrency(d.equity)}`, `Trading: ${this.formatCurrency(d.pnl)}`];
+                                if (d.flow) lines.push(`${d.flow > 0 ? 'Deposited' : 'Withdrawn'}: ${this.formatCurrency(Math.abs(d.flow))}`);
+                                if (d.fees) lines.push(`Fees: ${this.formatCurrency(d.fees)}`);
+                                return lines;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: { color: '#6b7280', font: { size: 11 }, maxRotation: 0, autoSkip: true },
+                        grid: { display: false }
+                    },
+                    y: {
+                        grid: { color: 'rgba(0, 0, 0, 0.1)', drawBorder: false },
+                        ticks: {
+                            color: '#6b7280',
+                            font: { size: 11 },
+                            callback: (value) => this.formatCurrency(value)
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Initialize the Time of Day heatmap's metric (net P&L or win rate) and bucket size from localStorage
+     */
+    initTimeHeatmap() {
+        const saved = localStorage.getItem('tradle_heatmap');
+        let options = {};
+        try { options = saved ? JSON.parse(saved) : {}; } catch { /* defaults */ }
+        this.heatmapMetric = options.metric === 'winRate' ? 'winRate' : 'pnl';
+        this.heatmapBucket = [15, 30, 60].includes(options.bucket) ? options.bucket : 30;
+
+        const metric = document.getElementById('heatmapMetric');
+        const bucket = document.getElementById('heatmapBucket');
+        const save = () => {
+            localStorage.setItem('tradle_heatmap', JSON.stringify({ metric: this.heatmapMetric, bucket: this.heatmapBucket }));
+            this.updateTimeHeatmap(this.currentTrades || []);
+        };
+        if (metric) {
+            metric.value = this.heatmapMetric;
+            metric.addEventListener('change', () => {
+                this.heatmapMetric = metric.value === 'winRate' ? 'winRate' : 'pnl';
+                save();
+            });
+        }
+        if (bucket) {
+            bucket.value = String(this.heatmapBucket);
+            bucket.addEventListener('change', () => {
+                this.heatmapBucket = parseInt(bucket.value, 10) || 30;
+                save();
+            });
+        }
+    }
+
+    /**
+     * Time of Day heatmap — weekday rows × entry-time columns in the display time zone, each cell
+     * green or red by its net P&L (or win rate above/below 50%), the strongest cell darkest
+     */
+    updateTimeHeatmap(trades) {
+        const container = document.getElementById('timeHeatmap');
+        if (!container || !window.tradleApp) return;
+
+        const calc = window.tradleApp.tradeCalculator;
+        const { weekdays, buckets, cells } = calc.timeHeatmap(trades, this.heatmapBucket, (d) => TimeZone.getParts(d, this.displayTimeZone));
+        if (!buckets.length) {
+            container.innerHTML = '<p class="import-date-hint">No trades yet.</p>';
+            return;
+        }
+
+        const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const time = (m) => `${String(Math.floor(m / 60) % 24).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+        const byWinRate = this.heatmapMetric === 'winRate';
+        const strength = (cell) => (byWinRate ? (cell.winRate - 50) / 50 : cell.pnl);
+        const peak = Math.max(...Object.values(cells).map(c => Math.abs(strength(c))), 0) || 1;
+
+        const cell = (day, bucket) => {
+            const c = cells[`${day}-${bucket}`];
+            if (!c) return '<td class="time-heatmap-cell empty"></td>';
+            const value = strength(c) / peak;
+            const color = value >= 0 ? '16, 185, 129' : '239, 68, 68';
+            const tip = `${names[day]} ${time(bucket)}–${time(bucket + this.heatmapBucket)} · ${c.trades} trade${c.trades === 1 ? '' : 's'} · ${this.formatCurrency(c.pnl)} · ${c.winRate.toFixed(0)}% win`;
+            return `<td class="time-heatmap-cell" style="background: rgba(${color}, ${(0.15 + 0.75 * Math.abs(value)).toFixed(2)})" title="${tip}"><span class="sr-only">${tip}</span></td>`;
+        };
+        // Label every hour, not every bucket
+        const head = buckets.map(b => `<th scope="col">${b % 60 === 0 ? time(b) : ''}</th>`).join('');
+        container.innerHTML = `<table class="time-heatmap">
+                <thead><tr><th scope="col"><span class="sr-only">Weekday</span></th>${head}</tr></thead>
+                <tbody>${weekdays.map(day => `<tr><th scope="row">${names[day]}</th>${buckets.map(b => cell(day, b)).join('')}</tr>`).join('')}</tbody>
+            </table>`;
+    }
+
+    /**
+     * Holding Time vs P&L scatter — one point per trade, wins green and losses red
+     */
+    updateHoldingTimeChart(trades) {
+        const ctx = document.getElementById('holdingTimeChart');
+        if (!ctx || !window.tradleApp) return;
+
+        if (this.charts.holdingTime) {
+            try {
+                this.charts.holdingTime.destroy();
+            } catch (error) {
+                console.warn('Warning destroying holding time chart:', error);
+            }
+            this.charts.holdingTime = null;
+        }
+
+        const points = window.tradleApp.tradeCalculator.holdingTimePoints(trades);
+        const duration = (minutes) => (minutes >= 60 ? `${Math.floor(minutes / 60)}h${minutes % 60 ? ` ${minutes % 60}m` : ''}` : `${minutes}m`);
+
+        this.charts.holdingTime = new Chart(ctx.getContext('2d'), {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Trades',
+                    data: points.map(p => ({ x: p.minutes, y: p.netProfit })),
+                    backgroundColor: points.map(p => (p.isWin ? 'rgba(16, 185, 129, 0.7)' : 'rgba(239, 68, 68, 0.7)')),
+                    pointRadius: 4,
+                    pointHoverRadius: 6
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const p = points[context.dataIndex];
+                                return `${p.trade.contract} · held ${p.duration} · ${this.formatCurrency(p.netProfit)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: { display: true, text: 'Holding time', color: '#6b7280' },
+                        ticks: { color: '#6b7280', font: { size: 11 }, callback: (value) => duration(Math.round(value)) },
+                        grid: { display: false }
+                    },
+                    y: {
+                        grid: { color: 'rgba(0, 0, 0, 0.1)', drawBorder: false },
+                        ticks: { color: '#6b7280', font: { size: 11 }, callback: (value) => this.formatCurrency(value) }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Cash Flows card in the Import tab — the ledger in the account filter, newest first.
+     * Rows are addressed by index into this._cashFlowRows.
+     */
+    renderCashFlows() {
+        const body = document.getElementById('cashFlowsBody');
+        if (!body || !window.tradleApp) return;
+        const app = window.tradleApp;
+        const calc = app.tradeCalculator;
+
+        const typeSelect = document.getElementById('cashFlowType');
+        if (typeSelect && typeSelect.options.length === 0) {
+            typeSelect.innerHTML = Object.entries(calc.CASH_FLOW_TYPES).map(([id, label]) => `<option value="${id}">${label}</option>`).join('');
+        }
+        const accountSelect = document.getElementById('cashFlowAccount');
+        const accountField = document.getElementById('cashFlowAccountField');
+        if (accountField) accountField.style.display = app.getAccounts().length > 0 ? '' : 'none';
+        this._fillAccountSelect(accountSelect, accountSelect && accountSelect.value ? accountSelect.value : this._accountScope());
+
+        this._cashFlowRows = app.getCashFlows(this._accountScope()).reverse();
+        body.innerHTML = this._cashFlowRows.map((f, idx) => {
+            const amount = calc.cashFlowAmount(f, f.currency);
+            const account = app.getAccount(f.accountId);
+            const fxMissing = calc.cashFlowAmount(f) === null;
+            return `
+            <tr>
+                <td>${f.day}</td>
+                <td>${calc.CASH_FLOW_TYPES[f.type]}</td>
+                <td>${account ? this._escapeHtml(account.name) : '-'}</td>
+                <td class="${amount >= 0 ? 'profit-positive' : 'profit-negative'}">${this.formatCurrency(amount, f.currency)}${fxMissing ? `
+                    <span class="contract-expiry">No ${this._escapeHtml(f.currency)} &rarr; ${this._baseCurrency()} rate &mdash; not counted</span>` : ''}</td>
+                <td>${f.note ? this._escapeHtml(f.note) : '-'}</td>
+                <td class="cf-col-center">
+                    <button type="button" class="uh-undo-btn cf-remove-btn" data-idx="${idx}" title="Remove this entry" aria-label="Remove"><i class="fas fa-trash-alt"></i></button>
+                </td>
+            </tr>`;
+        }).join('');
+        const empty = document.getElementById('cashFlowsEmpty');
+        if (empty) empty.style.display = this._cashFlowRows.length > 0 ? 'none' : '';
+    }
+
+    _bindCashFlows() {
+        const $ = (id) => document.getElementById(id);
+        const form = $('cashFlowForm');
+        if (!form) return;
+        $('cashFlowDay').value = new Date().toISOString().slice(0, 10);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                const entry = window.tradleApp.addCashFlow({
+                    day: $('cashFlowDay').value,
+                    type: $('cashFlowType').value,
+                    amount: $('cashFlowAmount').value === '' ? NaN : parseFloat($('cashFlowAmount').value),
+                    accountId: $('cashFlowAccount').value || null,
+                    note: $('cashFlowNote').value
+                });
+                $('cashFlowAmount').value = '';
+                $('cashFlowNote').value = '';
+                $('cashFlowError').textContent = '';
+                this.renderCashFlows();
+                this.updateLiquidity(this.lastNetRevenue || 0);
+                this.showToast(`${window.tradleApp.tradeCalculator.CASH_FLOW_TYPES[entry.type]} of ${this.formatCurrency(entry.amount, entry.currency)} on ${entry.day} saved`, 'success');
+            } catch (error) {
+                $('cashFlowError').textContent = error.message;
+            }
+        });
+
+        $('cashFlowsBody').addEventListener('click', (e) => {
+            const btn = e.target.closest('.cf-remove-btn');
+            if (!btn || !this._cashFlowRows) return;
+            const entry = this._cashFlowRows[+btn.dataset.idx];
+            if (!confirm(`Remove this ${window.tradleApp.tradeCalculator.CASH_FLOW_TYPES[entry.type].toLowerCase()} of ${entry.day}?`)) return;
+            window.tradleApp.removeCashFlow(entry.id);
+            this.renderCashFlows();
+            this.updateLiquidity(this.lastNetRevenue || 0);
+        });
+    }
+
+    // ===== Prop-Firm Rules =====
+
+    /**
+     * Evaluate every account in the account filter that follows a rule set, from its own trades
+     * grouped by day in the display time zone: [{ account, rules, result }]
+     */
+    _propEvaluations() {
+        const app = window.tradleApp;
+        if (!app) return [];
+        const calc = app.tradeCalculator;
+        const scope = this._accountScope();
+        return app.getAccounts()
+            .filter(a => (scope === 'all' || a.id === scope) && calc.getPropRuleSet(a.ruleSetId))
+            .map(account => {
+                const rules = calc.getPropRuleSet(account.ruleSetId);
+                const trades = calc.toBaseCurrency(app.tradeDatabase.trades.filter(t => t.accountId === account.id));
+                const result = calc.evaluatePropRules(this.groupTradesByDay(trades), rules, account.startingLiquidity, { today: this._dayKey(new Date()) });
+                return { account, rules, result };
+            });
+    }
+
+    /**
+     * Prop-firm evaluation panel on the dashboard — pass/fail and remaining buffer per rule —
+     * and the breached days the calendar flags
+     */
+    renderPropRules() {
+        const panel = document.getElementById('propRulesPanel');
+        const evaluations = this._propEvaluations();
+
+        this._propBreaches = {};
+        evaluations.forEach(({ account, result }) => {
+            Object.entries(result.breaches).forEach(([day, labels]) => {
+                this._propBreaches[day] = [...(this._propBreaches[day] || []), ...labels.map(label => `${account.name}: ${label}`)];
+            });
+        });
+
+        if (!panel) return;
+        panel.hidden = evaluations.length === 0;
+        const statusLabels = { passed: 'Passed', failed: 'Failed', pending: 'In progress' };
+        const money = (v) => this.formatCurrency(v);
+
+        panel.innerHTML = evaluations.map(({ account, rules, result }) => {
+            const firstBreach = Object.keys(result.breaches).sort()[0];
+            const rows = result.rules.map(r => {
+                let value = '';
+                let note = '';
+                if (r.id === 'profitTarget') {
+                    value = `${money(r.value)} / ${money(r.limit)}`;
+                    note = r.status === 'passed' ? 'Target reached' : `${money(r.buffer)} to go`;
+                } else if (r.id === 'maxDrawdown') {
+                    value = `Floor ${money(r.value)}`;
+                    note = r.status === 'failed' ? 'Breached' : `${money(r.buffer)} left above the floor`;
+                } else if (r.id === 'dailyLossLimit') {
+                    value = `Today ${money(r.value)} / −${money(r.limit)}`;
+                    note = r.status === 'failed' ? 'Breached' : `${money(r.buffer)} left today`;
+                } else if (r.id === 'minTradingDays') {
+                    value = `${r.value} / ${r.limit} days`;
+                    note = r.status === 'passed' ? 'Met' : `${r.buffer} more day${r.buffer === 1 ? '' : 's'}`;
+                } else if (r.id === 'consistency') {
+                    value = r.value === null ? `No profit yet / ${r.limit}%` : `Best day ${r.value.toFixed(1)}% / ${r.limit}%`;
+                    note = r.status === 'passed' ? 'Within the limit' : 'Best day is too large a share of the profit';
+                }
+                return `
+                <div class="prop-rule prop-rule--${r.status}">
+                    <div class="prop-rule-head">
+                        <span>${r.label}</span>
+                        <strong>${value}</strong>
+                    </div>
+                    <div class="prop-rule-bar"><div class="prop-rule-fill" style="width:${Math.round(Math.max(0, Math.min(1, r.progress)) * 100)}%"></div></div>
+                    <div class="prop-rule-note">${note}</div>
+                </div>`;
+            }).join('');
+            return `
+            <div class="prop-eval">
+                <div class="prop-eval-header">
+                    <h3><i class="fas fa-flag-checkered"></i> ${this._escapeHtml(account.name)}</h3>
+                    <span class="prop-eval-rules">${this._escapeHtml(rules.name)} &middot; balance ${money(result.balance)}</span>
+                    <span class="prop-status prop-status--${result.status}">${statusLabels[result.status]}</span>
+                </div>
+                ${firstBreach ? `<p class="prop-eval-breach"><i class="fas fa-exclamation-triangle"></i> ${result.breaches[firstBreach].join(' and ')} breached on ${firstBreach}</p>` : ''}
+                <div class="prop-rules">${rows || '<p class="import-date-hint">This rule set has no limits.</p>'}</div>
+            </div>`;
+        }).join('');
+    }
+
+    /**
+     * Prop-Firm Rules card in the Import tab — presets and added rule sets, edits flagged.
+     * Rows are addressed by index into this._propRuleRows.
+     */
+    renderPropRuleSets() {
+        const body = document.getElementById('propRulesBody');
+        if (!body || !window.tradleApp) return;
+        const app = window.tradleApp;
+        const calc = app.tradeCalculator;
+        const money = (v) => (v === null || v === undefined ? '-' : this.formatCurrency(v));
+
+        const all = calc.getAllPropRuleSets();
+        this._propRuleRows = Object.keys(all);
+        body.innerHTML = this._propRuleRows.map((id, idx) => {
+            const set = all[id];
+            const flag = set.custom ? ` <span class="uh-badge uh-badge--custom">${set.builtIn ? 'Edited' : 'Added'}</span>` : '';
+            const accounts = app.getAccounts().filter(a => a.ruleSetId === id).map(a => this._escapeHtml(a.name));
+            return `
+            <tr>
+                <td><strong>${this._escapeHtml(set.name)}</strong>${flag}</td>
+                <td>${money(set.profitTarget)}</td>
+                <td>${set.maxDrawdown ? `${money(set.maxDrawdown)} <span class="prop-mode">${calc.PROP_DRAWDOWN_MODES[set.drawdownMode]}</span>` : '-'}</td>
+                <td>${money(set.dailyLossLimit)}</td>
+                <td class="pr-col-center">${set.minTradingDays || '-'}</td>
+                <td class="pr-col-center">${set.consistency ? `${set.consistency}%` : '-'}</td>
+                <td>${accounts.join(', ') || '-'}</td>
+                <td class="pr-col-center">
+                    <button type="button" class="uh-undo-btn pr-edit-btn" data-idx="${idx}" title="Edit ${this._escapeHtml(set.name)}" aria-label="Edit"><i class="fas fa-pen"></i></button>
+                </td>
+            </tr>`;
+        }).join('');
+    }
+
+    _bindPropRulesForm() {
+        const modal = document.getElementById('propRulesModal');
+        const form = document.getElementById('propRulesForm');
+        if (!modal || !form) return;
+        const $ = (id) => document.getElementById(id);
+
+        const addBtn = $('addPropRulesBtn');
+        if (addBtn) addBtn.addEventListener('click', () => this.openPropRulesForm());
+        $('propRulesBody').addEventListener('click', (e) => {
+            const btn = e.target.closest('.pr-edit-btn');
+            if (btn && this._propRuleRows) this.openPropRulesForm(this._propRuleRows[+btn.dataset.idx]);
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._submitPropRulesForm();
+        });
+        $('propRulesClose').addEventListener('click', () => this.closePropRulesForm());
+        $('propRulesCancel').addEventListener('click', () => this.closePropRulesForm());
+        $('propRulesReset').addEventListener('click', () => this._resetPropRuleSet());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closePropRulesForm();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) this.closePropRulesForm();
+        });
+    }
+
+    /**
+     * Open the rule set form — empty to add one, or filled to edit rule set `id`
+     */
+    openPropRulesForm(id = null) {
+        const modal = document.getElementById('propRulesModal');
+        if (!modal || !window.tradleApp) return;
+        const $ = (fieldId) => document.getElementById(fieldId);
+        const calc = window.tradleApp.tradeCalculator;
+        const set = id ? calc.getAllPropRuleSets()[id] : null;
+        this.editingPropRulesId = set ? id : null;
+
+        $('propRulesForm').reset();
+        $('propRulesError').textContent = '';
+        $('propRulesDrawdownMode').innerHTML = Object.entries(calc.PROP_DRAWDOWN_MODES)
+            .map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('');
+        $('propRulesTitle').innerHTML = set
+            ? `<i class="fas fa-pen"></i> ${this._escapeHtml(set.name)}`
+            : '<i class="fas fa-flag-checkered"></i> Add Rule Set';
+        $('propRulesReset').style.display = set && set.custom ? '' : 'none';
+        $('propRulesReset').lastChild.textContent = set && !set.builtIn ? ' Remove' : ' Reset';
+
+        if (set) {
+            const value = (v) => (v === null || v === undefined ? '' : v);
+            $('propRulesName').value = set.name;
+            $('propRulesProfitTarget').value = value(set.profitTarget);
+            $('propRulesMaxDrawdown').value = value(set.maxDrawdown);
+            $('propRulesDrawdownMode').value = set.drawdownMode;
+            $('propRulesDailyLoss').value = value(set.dailyLossLimit);
+            $('propRulesMinDays').value = value(set.minTradingDays);
+            $('propRulesConsistency').value = value(set.consistency);
+        }
+
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        $('propRulesName').focus();
+    }
+
+    closePropRulesForm() {
+        const modal = document.getElementById('propRulesModal');
+        if (modal) modal.classList.remove('active');
+        document.body.style.overflow = '';
+        this.editingPropRulesId = null;
+    }
+
+    _submitPropRulesForm() {
+        const $ = (id) => document.getElementById(id);
+        const num = (id) => ($(id).value === '' ? null : parseFloat($(id).value));
+        const editing = this.editingPropRulesId;
+        try {
+            const set = window.tradleApp.savePropRuleSet({
+                id: editing,
+                name: $('propRulesName').value,
+                profitTarget: num('propRulesProfitTarget'),
+                maxDrawdown: num('propRulesMaxDrawdown'),
+                drawdownMode: $('propRulesDrawdownMode').value,
+                dailyLossLimit: num('propRulesDailyLoss'),
+                minTradingDays: num('propRulesMinDays'),
+                consistency: num('propRulesConsistency')
+            });
+            this.closePropRulesForm();
+            this.renderPropRuleSets();
+            this.showToast(`${this._escapeHtml(set.name)} ${editing ? 'updated' : 'added'}`, 'success');
+        } catch (error) {
+            $('propRulesError').textContent = error.message;
+        }
+    }
+
+    _resetPropRuleSet() {
+        const id = this.editingPropRulesId;
+        const calc = window.tradleApp.tradeCalculator;
+        const set = id ? calc.getPropRuleSet(id) : null;
+        if (!set) return;
+        const builtIn = !!calc.PROP_RULE_PRESETS[id];
+        if (!confirm(builtIn ? `Reset ${set.name} to its preset rules?` : `Remove ${set.name}?\n\nAccounts following it are left without rules.`)) return;
+        window.tradleApp.resetPropRuleSet(id);
+        this.closePropRulesForm();
+        this.renderPropRuleSets();
+        this.renderAccounts();
+        this.showToast(`${this._escapeHtml(set.name)} ${builtIn ? 'reset' : 'removed'}`, 'info');
+    }
+
+    // ===== Tags =====
+
+    /**
+     * Stored trade ids behind a row — a position's legs, or the trade itself
+     */
+    _dbTradeIds(trade) {
+        if (Array.isArray(trade.tradeIds)) return trade.tradeIds;
+        return trade.id ? [trade.id] : [];
+    }
+
+    /**
+     * Tag chips for one trade, by group — the trade's tags switched on. Tags no group lists
+     * any more show under Other. Empty for a trade that isn't stored (nothing to save on).
+     */
+    _tagPickerHtml(trade) {
+        const ids = this._dbTradeIds(trade);
+        if (!window.tradleApp || ids.length === 0) return '';
+        const app = window.tradleApp;
+        const current = app.parseTags(trade.tags);
+        const active = new Set(current.map(t => t.toLowerCase()));
+        const groups = app.getTagGroups().map(g => ({ name: g.name, tags: g.tags }));
+        const listed = new Set(groups.flatMap(g => g.tags.map(t => t.toLowerCase())));
+        const other = current.filter(t => !listed.has(t.toLowerCase()));
+        if (other.length > 0) groups.push({ name: 'Other', tags: other });
+
+        return `<div class="tag-picker" data-trade-ids="${this._escapeHtml(ids.join(','))}">
+            ${groups.map(g => `<div class="tag-group">
+                <span class="tag-group-label">${this._escapeHtml(g.name)}</span>
+                ${g.tags.map(tag => {
+                    const on = active.has(tag.toLowerCase());
+                    return `<button type="button" class="tag-chip${on ? ' active' : ''}" data-tag="${this._escapeHtml(tag)}" aria-pressed="${on}">${this._escapeHtml(tag)}</button>`;
+                }).join('')}
+            </div>`).join('')}
+        </div>`;
+    }
+
+    /**
+     * Clicking a chip switches its tag on or off and saves the picker's tags straight away
+     */
+    _bindTagPickers(root) {
+        if (!root) return;
+        root.querySelectorAll('.tag-picker').forEach(picker => {
+            picker.onclick = (e) => {
+                const chip = e.target.closest('.tag-chip');
+                if (!chip) return;
+                e.stopPropagation();
+                const on = chip.classList.toggle('active');
+                chip.setAttribute('aria-pressed', String(on));
+                const tags = [...picker.querySelectorAll('.tag-chip.active')].map(c => c.dataset.tag);
+                window.tradleApp.tagTrades(picker.dataset.tradeIds.split(','), tags, 'set');
+            };
+        });
+    }
+
+    /**
+     * Tags card in the Import tab — one row per tag group
+     */
+    renderTagGroups() {
+        const body = document.getElementById('tagGroupsBody');
+        if (!body || !window.tradleApp) return;
+        const groups = window.tradleApp.getTagGroups();
+        this._tagGroupRows = groups;
+        body.innerHTML = groups.map((g, idx) => `
+            <tr>
+                <td><strong>${this._escapeHtml(g.name)}</strong></td>
+                <td>${g.tags.map(tag => `<span class="tag-chip tag-chip--static">${this._escapeHtml(tag)}</span>`).join('')}</td>
+                <td class="tg-col-center">
+                    <button type="button" class="uh-undo-btn tg-edit-btn" data-idx="${idx}" title="Edit ${this._escapeHtml(g.name)}" aria-label="Edit"><i class="fas fa-pen"></i></button>
+                </td>
+            </tr>`).join('');
+        const empty = document.getElementById('tagGroupsEmpty');
+        if (empty) empty.style.display = groups.length > 0 ? 'none' : '';
+        this._renderBulkTagBar();
+    }
+
+    _bindTags() {
+        const $ = (id) => document.getElementById(id);
+
+        // Bulk tagging: row checkboxes in the trade history table, then Add / Remove
+        this.selectedTradeIds = new Set();
+        const body = $('tradesTableBody');
+        if (body) {
+            body.addEventListener('change', (e) => {
+                const box = e.target.closest('.trade-select');
+                if (!box) return;
+                if (box.checked) this.selectedTradeIds.add(box.dataset.tradeId);
+                else this.selectedTradeIds.delete(box.dataset.tradeId);
+                this._renderBulkTagBar();
+            });
+        }
+        const selectAll = $('tradeSelectAll');
+        if (selectAll) {
+            selectAll.addEventListener('change', () => {
+                document.querySelectorAll('#tradesTableBody .trade-select').forEach(box => {
+                    box.checked = selectAll.checked;
+                    if (box.checked) this.selectedTradeIds.add(box.dataset.tradeId);
+                    else this.selectedTradeIds.delete(box.dataset.tradeId);
+                });
+                this._renderBulkTagBar();
+            });
+        }
+        const bulk = (mode) => {
+            const tag = $('bulkTagSelect').value;
+            if (!tag) return;
+            const rows = (this.currentTrades || []).filter(t => this.selectedTradeIds.has(t.id));
+            const count = window.tradleApp.tagTrades(rows.flatMap(t => this._dbTradeIds(t)), [tag], mode);
+            this.showToast(`${this._escapeHtml(tag)} ${mode === 'add' ? 'added to' : 'removed from'} ${count} trade${count === 1 ? '' : 's'}`, count ? 'success' : 'info');
+        };
+        if ($('bulkTagAdd')) $('bulkTagAdd').addEventListener('click', () => bulk('add'));
+        if ($('bulkTagRemove')) $('bulkTagRemove').addEventListener('click', () => bulk('remove'));
+        if ($('bulkTagClear')) {
+            $('bulkTagClear').addEventListener('click', () => {
+                this.selectedTradeIds.clear();
+                this.renderTableRows();
+                this._renderBulkTagBar();
+            });
+        }
+
+        // Tag group card and form
+        const modal = $('tagGroupModal');
+        const form = $('tagGroupForm');
+        if (!modal || !form) return;
+        const addBtn = $('addTagGroupBtn');
+        if (addBtn) addBtn.addEventListener('click', () => this.openTagGroupForm());
+        const groupsBody = $('tagGroupsBody');
+        if (groupsBody) {
+            groupsBody.addEventListener('click', (e) => {
+                const btn = e.target.closest('.tg-edit-btn');
+                if (btn && this._tagGroupRows) this.openTagGroupForm(this._tagGroupRows[+btn.dataset.idx]);
+            });
+        }
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._submitTagGroupForm();
+        });
+        $('tagGroupClose').addEventListener('click', () => this.closeTagGroupForm());
+        $('tagGroupCancel').addEventListener('click', () => this.closeTagGroupForm());
+        $('tagGroupDelete').addEventListener('click', () => this._deleteFormTagGroup());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeTagGroupForm();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) this.closeTagGroupForm();
+        });
+    }
+
+    /**
+     * Bulk tag bar above the trade history table — shown while rows are ticked
+     */
+    _renderBulkTagBar() {
+        const bar = document.getElementById('bulkTagBar');
+        if (!bar || !window.tradleApp) return;
+        const ids = new Set((this.currentTrades || []).map(t => t.id));
+        [...(this.selectedTradeIds || [])].forEach(id => { if (!ids.has(id)) this.selectedTradeIds.delete(id); });
+        const count = this.selectedTradeIds ? this.selectedTradeIds.size : 0;
+        bar.hidden = count === 0;
+        const label = document.getElementById('bulkTagCount');
+        if (label) label.textContent = `${count} selected`;
+        const select = document.getElementById('bulkTagSelect');
+        if (select) {
+            const value = select.value;
+            select.innerHTML = window.tradleApp.getTagGroups().map(g => `<optgroup label="${this._escapeHtml(g.name)}">
+                ${g.tags.map(tag => `<option value="${this._escapeHtml(tag)}">${this._escapeHtml(tag)}</option>`).join('')}
+            </optgroup>`).join('');
+            if (value && [...select.options].some(o => o.value === value)) select.value = value;
+        }
+    }
+
+    /**
+     * Open the tag group form — empty to add one, or filled with `group`
+     */
+    openTagGroupForm(group = null) {
+        const modal = document.getElementById('tagGroupModal');
+        if (!modal) return;
+        const $ = (id) => document.getElementById(id);
+        this.editingTagGroupId = group ? group.id : null;
+
+        $('tagGroupForm').reset();
+        $('tagGroupError').textContent = '';
+        $('tagGroupTitle').innerHTML = group
+            ? `<i class="fas fa-pen"></i> ${this._escapeHtml(group.name)}`
+            : '<i class="fas fa-tags"></i> Add Tag Group';
+        $('tagGroupDelete').style.display = group ? '' : 'none';
+        if (group) {
+            $('tagGroupName').value = group.name;
+            $('tagGroupTags').value = group.tags.join(', ');
+        }
+
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        $('tagGroupName').focus();
+    }
+
+    closeTagGroupForm() {
+        const modal = document.getElementById('tagGroupModal');
+        if (modal) modal.classList.remove('active');
+        document.body.style.overflow = '';
+        this.editingTagGroupId = null;
+    }
+
+    _submitTagGroupForm() {
+        const $ = (id) => document.getElementById(id);
+        const editing = this.editingTagGroupId;
+        try {
+            const group = window.tradleApp.saveTagGroup({
+                id: editing,
+                name: $('tagGroupName').value,
+                tags: $('tagGroupTags').value
+            });
+            this.closeTagGroupForm();
+            this.renderTagGroups();
+            this.showToast(`${this._escapeHtml(group.name)} ${editing ? 'updated' : 'added'}`, 'success');
+        } catch (error) {
+            $('tagGroupError').textContent = error.message;
+        }
+    }
+
+    _deleteFormTagGroup() {
+        const group = (window.tradleApp.getTagGroups()).find(g => g.id === this.editingTagGroupId);
+        if (!group || !confirm(`Delete the ${group.name} tag group?\n\nTrades keep the tags they already have.`)) return;
+        window.tradleApp.removeTagGroup(group.id);
+        this.closeTagGroupForm();
+        this.renderTagGroups();
+        this.showToast(`${this._escapeHtml(group.name)} deleted`, 'info');
+    }
+
+    /**
+     * Test dashboard table population manually
+     */
+    testDashboardTable() {
+        console.log('🧪 Testing dashboard table...');
+
+        // Create test trade data
+        const testTrades = [{
+            date: '2026-02-11 17:00:00',
+            contract: 'CME_MINI:ES1!', // test data only
+            side: 'LONG',
+            entry: 6970.75,
+            exit: 6976.75,
+            netProfit: 300,
+            status: 'WIN'
+        }];
+
+        // Try to populate table
+        this.updateDashboardTable(testTrades);
+
+        return testTrades;
+    }
+
+    /**
+     * Update trade history performance table
+     */
+    updateTradeHistoryPerformanceTable(trades) {
+        console.log('📊 updateTradeHistoryPerformanceTable called with trades:', trades);
+        const tableBody = document.getElementById('tradeHistoryPerformanceBody');
+
+        if (!tableBody) {
+            console.error('❌ tradeHistoryPerformanceBody element not found!');
+            return;
+        }
 
         // Clear existing content
         tableBody.innerHTML = '';
@@ -2373,11 +4745,11 @@ class UIController {
                 const sideClass = trade.side?.toLowerCase() || 'long';
 
                 const broker = trade.broker || '';
-                const brokerClass = broker === 'IBKR' ? 'broker-ibkr' : 'broker-tv';
+                const brokerClass = this._brokerBadgeClass(broker);
 
                 row.innerHTML = `
                     <td>${this.formatDate(trade.date || trade.exitTime)}</td>
-                    <td><span class="broker-badge ${brokerClass}">${broker}</span></td>
+                    <td><span class="broker-badge ${brokerClass}">${this._escapeHtml(broker)}</span></td>
                     <td>${trade.contract || trade.symbol || '-'}</td>
                     <td><span class="side side-${sideClass}">${trade.side || 'LONG'}</span></td>
                     <td>${this.formatCurrency(trade.entry || trade.entryPrice || 0)}</td>
@@ -2625,6 +4997,7 @@ class UIController {
 
             // Render table rows
             this.renderTableRows();
+            this._renderBulkTagBar();
         } catch (error) {
             console.error('❌ Error updating trades table:', error);
         }
@@ -2644,8 +5017,10 @@ class UIController {
                 const status = (trade.status || '').toLowerCase();
                 const entry = (trade.entry ?? trade.entryPrice ?? '').toString();
                 const exit = (trade.exit ?? trade.exitPrice ?? '').toString();
+                const tags = (trade.tags || '').toLowerCase();
                 return contract.includes(searchTerm) ||
                     status.includes(searchTerm) ||
+                    tags.includes(searchTerm) ||
                     entry.includes(searchTerm) ||
                     exit.includes(searchTerm);
             });
@@ -2796,131 +5171,580 @@ class UIController {
     }
 
     /**
-     * Render table rows
+     * Render table rows
+     */
+    renderTableRows() {
+        if (!this.tradesTableBody) return;
+
+        const start = (this.currentPage - 1) * this.tradesPerPage;
+        const end = start + this.tradesPerPage;
+        const pageTrades = this.filteredTrades.slice(start, end);
+
+        if (pageTrades.length === 0) {
+            this.tradesTableBody.innerHTML = `
+                <tr class="no-data-row">
+                    <td colspan="14">
+                        <div class="no-data-message">
+                            <i class="fas fa-search"></i>
+                            <h4>No Matching Trades</h4>
+                            <p>Try adjusting your search or filter criteria.</p>
+                        </div>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const html = pageTrades.map(trade => {
+            try {
+                return this.createTradeRow(trade);
+            } catch (err) {
+                console.error('❌ Error creating trade row:', err, trade);
+                return '';
+            }
+        }).join('');
+
+        this.tradesTableBody.innerHTML = html;
+
+        const selectAll = document.getElementById('tradeSelectAll');
+        if (selectAll) selectAll.checked = pageTrades.every(t => this.selectedTradeIds && this.selectedTradeIds.has(t.id));
+
+        // Add click events to rows (the select checkbox only ticks the row)
+        this.tradesTableBody.querySelectorAll('tr.trade-row').forEach(row => {
+            row.addEventListener('click', (e) => {
+                if (e.target.closest('.trade-select-cell')) return;
+                const tradeId = row.dataset.tradeId;
+                const trade = this.currentTrades.find(t => t.id === tradeId);
+                if (trade) this.showTradeModal(trade);
+            });
+        });
+    }
+
+    /**
+     * Create table row HTML
+     */
+    createTradeRow(trade) {
+        const pnl = trade.netProfit ?? trade.returnValue ?? trade.return ?? 0;
+        const profitClass = pnl >= 0 ? 'profit-positive' : 'profit-negative';
+        const status = trade.status || (pnl >= 0 ? 'WIN' : 'LOSE');
+        const statusClass = status.toLowerCase();
+        const side = trade.side || 'LONG';
+        const qty = trade.quantity ?? trade.qty ?? 1;
+        const entryPrice = trade.entry ?? trade.entryPrice ?? 0;
+        const exitPrice = trade.exit ?? trade.exitPrice ?? 0;
+        const dateValue = trade.entryTime || trade.date || trade.boughtDate;
+        const dateStr = dateValue ? this.formatDate(new Date(dateValue)) : '-';
+        const duration = trade.duration || '-';
+
+        // Try to get margin from trade.margin or from the embedded order objects
+        let margin = trade.margin || 0;
+        if (!margin && trade.entryOrder && trade.entryOrder.margin) {
+            const m = String(trade.entryOrder.margin).replace(/[^0-9.]/g, '');
+            margin = parseFloat(m) || 0;
+        }
+        if (!margin && trade.exitOrder && trade.exitOrder.margin) {
+            const m = String(trade.exitOrder.margin).replace(/[^0-9.]/g, '');
+            margin = parseFloat(m) || 0;
+        }
+
+        const symbol = trade.contract || trade.symbol || '-';
+
+        const broker = trade.broker || '';
+        const brokerClass = this._brokerBadgeClass(broker);
+
+        return `
+            <tr data-trade-id="${trade.id || ''}" class="trade-row">
+                <td class="trade-select-cell">${trade.id ? `<input type="checkbox" class="trade-select" data-trade-id="${this._escapeHtml(trade.id)}" aria-label="Select trade"${this.selectedTradeIds && this.selectedTradeIds.has(trade.id) ? ' checked' : ''}>` : ''}</td>
+                <td>${dateStr}</td>
+                <td><span class="broker-badge ${brokerClass}">${this._escapeHtml(broker)}</span></td>
+                <td>${symbol}${this._contractMonthLabel(trade) ? ` <span class="contract-expiry" title="${trade.expiry ? `Expires ${trade.expiry}` : 'Contract month'}">${this._contractMonthLabel(trade)}</span>` : ''}${trade.manual ? ' <i class="fas fa-pen manual-trade-icon" title="Entered or edited by hand"></i>' : ''}</td>
+                <td>${side}</td>
+                <td>${qty}${trade.legCount > 1 ? ` <span class="contract-expiry" title="${trade.legCount} fills, peak size ${trade.maxSize}">${trade.legCount} fills</span>` : ''}</td>
+                <td>${this.formatCurrency(entryPrice)}</td>
+                <td>${this.formatCurrency(exitPrice)}</td>
+                <td class="${profitClass}">${this.formatCurrency(pnl)}</td>
+                <td><span class="status-badge ${statusClass}">${status}</span></td>
+                <td>${margin > 0 ? this.formatCurrency(margin) : '-'}</td>
+                <td class="hide-mobile">${trade.notes || '-'}</td>
+                <td class="hide-mobile">${trade.tags ? trade.tags.split(',').map(tag => tag.trim()).filter(Boolean).map(tag => `<span class="tag-chip tag-chip--static">${this._escapeHtml(tag)}</span>`).join('') : '-'}</td>
+                <td>${duration}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Handle search input
+     */
+    handleSearch() {
+        this.updateTradesTable();
+    }
+
+    /**
+     * Handle filter change
+     */
+    handleFilter() {
+        this.updateTradesTable();
+    }
+
+    /**
+     * Show trade modal
+     */
+    showTradeModal(trade) {
+        this.modalTrade = trade;
+        // A multi-leg position isn't a stored trade — its legs are edited one by one in the Trades view
+        const editTradeBtn = document.getElementById('editTradeBtn');
+        if (editTradeBtn) editTradeBtn.style.display = trade.legCount > 1 ? 'none' : '';
+        const html = this.createTradeModalContent(trade);
+        this.modalBody.innerHTML = html;
+        this._bindTagPickers(this.modalBody);
+        this._bindPlannedLevels(this.modalBody);
+        this.tradeModal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Close trade modal
+     */
+    closeTradeModal() {
+        this.tradeModal.classList.remove('active');
+        document.body.style.overflow = '';
+    }
+
+    // ===== R Multiples =====
+
+    _formatR(r) {
+        return `${r >= 0 ? '+' : ''}${r.toFixed(2)}R`;
+    }
+
+    /**
+     * Planned stop and target fields for one trade, with its initial risk and R — saved on
+     * change. Empty for a trade that isn't stored (nothing to save on).
+     */
+    _plannedLevelsHtml(trade) {
+        const ids = this._dbTradeIds(trade);
+        if (!window.tradleApp || ids.length === 0) return '';
+        const value = (v) => (v === null || v === undefined ? '' : v);
+        const hasR = typeof trade.rMultiple === 'number';
+        const facts = hasR
+            ? [
+                `Risk ${this.formatCurrency(trade.initialRisk)}`,
+                `Result ${this._formatR(trade.rMultiple)}`,
+                typeof trade.plannedR === 'number' ? `Planned ${this._formatR(trade.plannedR)}` : ''
+            ].filter(Boolean).join(' · ')
+            : 'Set a planned stop to track this trade in R';
+
+        return `<div class="planned-levels" data-trade-ids="${this._escapeHtml(ids.join(','))}">
+            <label class="planned-level"><span>Planned stop</span>
+                <input type="number" step="any" class="planned-stop" value="${value(trade.plannedStop)}" placeholder="-"></label>
+            <label class="planned-level"><span>Planned target</span>
+                <input type="number" step="any" class="planned-target" value="${value(trade.plannedTarget)}" placeholder="-"></label>
+            <span class="planned-levels-r${hasR ? (trade.rMultiple >= 0 ? ' profit-positive' : ' profit-negative') : ''}">${facts}</span>
+        </div>`;
+    }
+
+    /**
+     * Changing a planned stop or target saves both straight away, then redraws the fields from
+     * the recalculated trade (or position)
+     */
+    _bindPlannedLevels(root) {
+        if (!root) return;
+        root.querySelectorAll('.planned-levels').forEach(box => {
+            box.onclick = (e) => e.stopPropagation();
+            box.onchange = () => {
+                const ids = box.dataset.tradeIds;
+                try {
+                    window.tradleApp.setPlannedLevels(ids.split(','), {
+                        stop: box.querySelector('.planned-stop').value,
+                        target: box.querySelector('.planned-target').value
+                    });
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                    return;
+                }
+                const row = (this.currentTrades || []).find(t => this._dbTradeIds(t).join(',') === ids);
+                if (!row) return;
+                const parent = box.parentNode;
+                box.outerHTML = this._plannedLevelsHtml(row);
+                this._bindPlannedLevels(parent);
+            };
+        });
+    }
+
+    /**
+     * R-Multiple Curve card — cumulative R of the trades with a planned stop, hidden when there
+     * are none. Also notes the planned R:R next to the Risk tab's Avg R:R.
+     */
+    updateRCurveChart(summary) {
+        const panel = document.getElementById('rCurvePanel');
+        const ctx = document.getElementById('rCurveChart');
+        if (!panel || !ctx) return;
+
+        if (this.charts.rCurve) {
+            try {
+                this.charts.rCurve.destroy();
+            } catch (error) {
+                console.warn('Warning destroying R curve chart:', error);
+            }
+            this.charts.rCurve = null;
+        }
+
+        const curve = (summary && summary.rCurve) || [];
+        panel.hidden = curve.length === 0;
+        const source = document.getElementById('riskRRSource');
+        if (source) {
+            source.textContent = summary && summary.averagePlannedR
+                ? `Your trades plan ${summary.averagePlannedR.toFixed(2)}R on average (${summary.rTrades} with a stop)`
+                : '';
+        }
+        if (curve.length === 0) return;
+
+        const stats = document.getElementById('rCurveStats');
+        if (stats) {
+            const stat = (label, value, cls = '') => `<div class="equity-stat"><span>${label}</span><strong class="${cls}">${value}</strong></div>`;
+            const sign = (v) => (v >= 0 ? 'profit-positive' : 'profit-negative');
+            stats.innerHTML = [
+                stat('Trades with a Stop', `${summary.rTrades} of ${summary.totalTrades}`),
+                stat('Total', this._formatR(summary.totalR), sign(summary.totalR)),
+                stat('Expectancy', this._formatR(summary.expectancyR), sign(summary.expectancyR)),
+                stat('Avg Planned', summary.averagePlannedR ? this._formatR(summary.averagePlannedR) : '-')
+            ].join('');
+        }
+
+        this.charts.rCurve = new Chart(ctx.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: curve.map((p, i) => i + 1),
+                datasets: [{
+                    label: 'Cumulative R',
+                    data: curve.map(p => p.cumulative),
+                    borderColor: '#8b5cf6',
+                    backgroundColor: 'rgba(139, 92, 246, 0.08)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.2,
+                    pointRadius: 2,
+                    pointBackgroundColor: curve.map(p => (p.r >= 0 ? '#10b981' : '#ef4444'))
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            title: (items) => `Trade ${items[0].label} · ${this.formatDateTime(curve[items[0].dataIndex].time)}`,
+                            label: (context) => {
+                                const p = curve[context.dataIndex];
+                                return [`Trade: ${this._formatR(p.r)}`, `Cumulative: ${this._formatR(p.cumulative)}`];
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: { color: '#6b7280', font: { size: 11 }, maxRotation: 0, autoSkip: true },
+                        grid: { display: false }
+                    },
+                    y: {
+                        grid: { color: 'rgba(0, 0, 0, 0.1)', drawBorder: false },
+                        ticks: { color: '#6b7280', font: { size: 11 }, callback: (value) => `${value}R` }
+                    }
+                }
+            }
+        });
+    }
+
+    // ===== Reports =====
+
+    /**
+     * Reports tab: restore the breakdown picked last time and bind the dimension picker and
+     * the sortable headers. Sorting follows this.reportSort = { column, direction }; null keeps
+     * groupReport's own order.
+     */
+    initReports() {
+        this.reportDimension = localStorage.getItem('tradle_report_dimension') || 'symbol';
+        this.reportSort = null;
+
+        const select = document.getElementById('reportDimension');
+        if (select) {
+            select.addEventListener('change', () => {
+                this.reportDimension = select.value;
+                this.reportSort = null;
+                localStorage.setItem('tradle_report_dimension', this.reportDimension);
+                this.renderReports();
+            });
+        }
+
+        document.querySelectorAll('.report-table th.sortable').forEach(th => {
+            th.addEventListener('click', () => {
+                const column = th.dataset.reportSort;
+                const same = this.reportSort && this.reportSort.column === column;
+                this.reportSort = { column, direction: same && this.reportSort.direction === 'desc' ? 'asc' : 'desc' };
+                this.renderReports();
+            });
+        });
+    }
+
+    /**
+     * Reports tab — the dashboard's trades (account filter, currency and view applied) broken
+     * down by symbol, side, broker, weekday, hour, any tag or one tag group. The bar chart shows
+     * the sorted column (net P&L until one is picked). Only drawn while the tab is open.
+     */
+    renderReports() {
+        const section = document.getElementById('reportsSection');
+        const body = document.getElementById('reportBody');
+        if (!section || !body || !window.tradleApp || !section.classList.contains('active')) return;
+        const app = window.tradleApp;
+        const calc = app.tradeCalculator;
+        const groups = app.getTagGroups();
+
+        const select = document.getElementById('reportDimension');
+        if (select) {
+            select.innerHTML = `<optgroup label="Trade">${Object.entries(calc.REPORT_DIMENSIONS)
+                .map(([id, label]) => `<option value="${id}">${label}</option>`).join('')}</optgroup>`
+                + (groups.length ? `<optgroup label="Tag group">${groups
+                    .map(g => `<option value="group:${this._escapeHtml(g.id)}">${this._escapeHtml(g.name)}</option>`).join('')}</optgroup>` : '');
+            if (![...select.options].some(o => o.value === this.reportDimension)) this.reportDimension = 'symbol';
+            select.value = this.reportDimension;
+        }
+
+        const group = this.reportDimension.startsWith('group:') ? groups.find(g => `group:${g.id}` === this.reportDimension) : null;
+        const rows = calc.groupReport(this.currentTrades || [], group ? 'tag' : this.reportDimension, {
+            wallClock: (d) => TimeZone.getParts(d, this.displayTimeZone),
+            onlyTags: group ? group.tags : null
+        });
+
+        if (this.reportSort) {
+            const { column, direction } = this.reportSort;
+            rows.sort((a, b) => {
+                const cmp = column === 'label' ? String(a.label).localeCompare(String(b.label)) : a[column] - b[column];
+                return direction === 'desc' ? -cmp : cmp;
+            });
+        }
+        document.querySelectorAll('.report-table th.sortable').forEach(th => {
+            th.classList.remove('sorted', 'asc', 'desc');
+            if (this.reportSort && th.dataset.reportSort === this.reportSort.column) th.classList.add('sorted', this.reportSort.direction);
+        });
+
+        const empty = document.getElementById('reportEmpty');
+        if (empty) empty.hidden = rows.length > 0;
+        const money = (v, cls = true) => `<td class="${cls ? (v >= 0 ? 'profit-positive' : 'profit-negative') : ''}">${this.formatCurrency(v)}</td>`;
+        body.innerHTML = rows.map(r => `<tr>
+                <td><strong>${this._escapeHtml(String(r.label))}</strong></td>
+                <td>${r.totalTrades}</td>
+                ${money(r.totalProfit)}
+                <td>${r.winRate.toFixed(1)}%</td>
+                <td>${r.profitFactor === Infinity ? '∞' : r.profitFactor.toFixed(2)}</td>
+                ${money(r.expectancy)}
+                ${money(r.averageWin, false)}
+                ${money(r.averageLoss, false)}
+                ${money(-r.maxDrawdown, false)}
+            </tr>`).join('');
+
+        this.updateReportChart(rows);
+    }
+
+    /**
+     * Bar chart of one report column per row, in the table's order
      */
-    renderTableRows() {
-        if (!this.tradesTableBody) return;
-
-        const start = (this.currentPage - 1) * this.tradesPerPage;
-        const end = start + this.tradesPerPage;
-        const pageTrades = this.filteredTrades.slice(start, end);
+    updateReportChart(rows) {
+        const ctx = document.getElementById('reportChart');
+        if (!ctx) return;
 
-        if (pageTrades.length === 0) {
-            this.tradesTableBody.innerHTML = `
-                <tr class="no-data-row">
-                    <td colspan="12">
-                        <div class="no-data-message">
-                            <i class="fas fa-search"></i>
-                            <h4>No Matching Trades</h4>
-                            <p>Try adjusting your search or filter criteria.</p>
-                        </div>
-                    </td>
-                </tr>
-            `;
-            return;
+        if (this.charts.report) {
+            try {
+                this.charts.report.destroy();
+            } catch (error) {
+                console.warn('Warning destroying report chart:', error);
+            }
+            this.charts.report = null;
         }
 
-        const html = pageTrades.map(trade => {
-            try {
-                return this.createTradeRow(trade);
-            } catch (err) {
-                console.error('❌ Error creating trade row:', err, trade);
-                return '';
+        const column = this.reportSort && this.reportSort.column !== 'label' ? this.reportSort.column : 'totalProfit';
+        const th = document.querySelector(`.report-table th[data-report-sort="${column}"]`);
+        const name = th ? th.textContent.trim() : 'Net P&L';
+        const values = rows.map(r => (r[column] === Infinity ? null : column === 'maxDrawdown' ? -r[column] : r[column]));
+        const format = (v) => (column === 'winRate' ? `${v.toFixed(1)}%`
+            : column === 'profitFactor' ? v.toFixed(2)
+            : column === 'totalTrades' ? String(v)
+            : this.formatCurrency(v));
+        const title = document.getElementById('reportChartTitle');
+        if (title) title.textContent = name;
+
+        this.charts.report = new Chart(ctx.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: rows.map(r => String(r.label)),
+                datasets: [{
+                    label: name,
+                    data: values,
+                    backgroundColor: values.map(v => (column === 'totalTrades' || column === 'winRate' || column === 'profitFactor'
+                        ? 'rgba(59, 130, 246, 0.7)'
+                        : v >= 0 ? 'rgba(16, 185, 129, 0.7)' : 'rgba(239, 68, 68, 0.7)')),
+                    borderRadius: 4
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${name}: ${context.parsed.y === null ? '∞' : format(context.parsed.y)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: { color: '#6b7280', font: { size: 11 }, maxRotation: 45, autoSkip: false },
+                        grid: { display: false }
+                    },
+                    y: {
+                        grid: { color: 'rgba(0, 0, 0, 0.1)', drawBorder: false },
+                        ticks: { color: '#6b7280', font: { size: 11 }, callback: (value) => format(value) }
+                    }
+                }
             }
-        }).join('');
+        });
+    }
 
-        this.tradesTableBody.innerHTML = html;
+    // ===== Manual Trade Form =====
 
-        // Add click events to rows
-        this.tradesTableBody.querySelectorAll('tr.trade-row').forEach(row => {
-            row.addEventListener('click', () => {
-                const tradeId = row.dataset.tradeId;
-                const trade = this.currentTrades.find(t => t.id === tradeId);
-                if (trade) this.showTradeModal(trade);
-            });
+    _bindTradeForm() {
+        const modal = document.getElementById('tradeFormModal');
+        const form = document.getElementById('tradeForm');
+        if (!modal || !form) return;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._submitTradeForm();
+        });
+        document.getElementById('tradeFormClose').addEventListener('click', () => this.closeTradeForm());
+        document.getElementById('tradeFormCancel').addEventListener('click', () => this.closeTradeForm());
+        document.getElementById('tradeFormDelete').addEventListener('click', () => this._deleteFormTrade());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeTradeForm();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) this.closeTradeForm();
         });
     }
 
     /**
-     * Create table row HTML
+     * Open the trade form — empty for a new trade (optionally on dayKey), or filled to edit `trade`
      */
-    createTradeRow(trade) {
-        const pnl = trade.netProfit ?? trade.returnValue ?? trade.return ?? 0;
-        const profitClass = pnl >= 0 ? 'profit-positive' : 'profit-negative';
-        const status = trade.status || (pnl >= 0 ? 'WIN' : 'LOSE');
-        const statusClass = status.toLowerCase();
-        const side = trade.side || 'LONG';
-        const qty = trade.quantity ?? trade.qty ?? 1;
-        const entryPrice = trade.entry ?? trade.entryPrice ?? 0;
-        const exitPrice = trade.exit ?? trade.exitPrice ?? 0;
-        const dateValue = trade.entryTime || trade.date || trade.boughtDate;
-        const dateStr = dateValue ? this.formatDate(new Date(dateValue)) : '-';
-        const duration = trade.duration || '-';
-
-        // Try to get margin from trade.margin or from the embedded order objects
-        let margin = trade.margin || 0;
-        if (!margin && trade.entryOrder && trade.entryOrder.margin) {
-            const m = String(trade.entryOrder.margin).replace(/[^0-9.]/g, '');
-            margin = parseFloat(m) || 0;
-        }
-        if (!margin && trade.exitOrder && trade.exitOrder.margin) {
-            const m = String(trade.exitOrder.margin).replace(/[^0-9.]/g, '');
-            margin = parseFloat(m) || 0;
+    openTradeForm(trade = null, dayKey = null) {
+        const modal = document.getElementById('tradeFormModal');
+        if (!modal) return;
+        this.editingTradeId = trade ? trade.id : null;
+
+        const $ = (id) => document.getElementById(id);
+        $('tradeFormTitle').innerHTML = trade
+            ? '<i class="fas fa-pen"></i> Edit Trade'
+            : '<i class="fas fa-plus"></i> Add Trade';
+        $('tradeFormDelete').style.display = trade ? '' : 'none';
+        $('tradeFormError').textContent = '';
+
+        const contracts = Object.keys(window.tradleApp.tradeCalculator.getAllContractSpecs());
+        $('tradeFormContracts').innerHTML = contracts.map(c => `<option value="${this._escapeHtml(c)}"></option>`).join('');
+
+        if (trade) {
+            $('tradeFormContract').value = trade.contract || trade.symbol || '';
+            $('tradeFormSide').value = trade.side === 'SHORT' ? 'SHORT' : 'LONG';
+            $('tradeFormQuantity').value = trade.quantity ?? trade.qty ?? 1;
+            $('tradeFormEntryPrice').value = trade.entryPrice ?? trade.entry ?? '';
+            $('tradeFormExitPrice').value = trade.exitPrice ?? trade.exit ?? '';
+            $('tradeFormCommission').value = (trade.native || trade).totalCommission ?? '';
+            $('tradeFormEntryTime').value = this._toDateTimeLocal(new Date(trade.entryTime));
+            $('tradeFormExitTime').value = this._toDateTimeLocal(new Date(trade.exitTime));
+            $('tradeFormBroker').value = trade.broker || '';
+            this._fillAccountSelect($('tradeFormAccount'), trade.accountId);
+            $('tradeFormNotes').value = trade.notes || '';
+        } else {
+            // New trades default to 09:30 on the chosen calendar day (or today)
+            const day = dayKey || this._dayKey(new Date());
+            $('tradeForm').reset();
+            $('tradeFormEntryTime').value = `${day}T09:30:00`;
+            $('tradeFormExitTime').value = `${day}T09:30:00`;
+            // New trades go into the account the dashboard is showing
+            this._fillAccountSelect($('tradeFormAccount'), this._accountScope());
         }
+        $('tradeFormAccountField').style.display = window.tradleApp.getAccounts().length > 0 ? '' : 'none';
 
-        const symbol = trade.contract || trade.symbol || '-';
+        $('tradeFormHint').textContent = `Times are in ${this._timeZoneLabel(this.displayTimeZone)}. ` +
+            'Leave commission blank to use the contract rate.' +
+            (trade && !trade.manual ? ' Saving marks this imported trade as edited by hand.' : '');
 
-        const broker = trade.broker || '';
-        const brokerClass = broker === 'IBKR' ? 'broker-ibkr' : 'broker-tv';
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        $('tradeFormContract').focus();
+    }
 
-        return `
-            <tr data-trade-id="${trade.id || ''}" class="trade-row">
-                <td>${dateStr}</td>
-                <td><span class="broker-badge ${brokerClass}">${broker}</span></td>
-                <td>${symbol}</td>
-                <td>${side}</td>
-                <td>${qty}</td>
-                <td>${this.formatCurrency(entryPrice)}</td>
-                <td>${this.formatCurrency(exitPrice)}</td>
-                <td class="${profitClass}">${this.formatCurrency(pnl)}</td>
-                <td><span class="status-badge ${statusClass}">${status}</span></td>
-                <td>${margin > 0 ? this.formatCurrency(margin) : '-'}</td>
-                <td class="hide-mobile">${trade.notes || '-'}</td>
-                <td>${duration}</td>
-            </tr>
-        `;
+    closeTradeForm() {
+        const modal = document.getElementById('tradeFormModal');
+        if (modal) modal.classList.remove('active');
+        document.body.style.overflow = '';
+        this.editingTradeId = null;
     }
 
-    /**
-     * Handle search input
-     */
-    handleSearch() {
-        this.updateTradesTable();
+    _readTradeForm() {
+        const $ = (id) => document.getElementById(id);
+        const num = (id) => ($(id).value === '' ? NaN : parseFloat($(id).value));
+        return {
+            contract: $('tradeFormContract').value.trim(),
+            side: $('tradeFormSide').value,
+            quantity: num('tradeFormQuantity'),
+            entryPrice: num('tradeFormEntryPrice'),
+            exitPrice: num('tradeFormExitPrice'),
+            commission: $('tradeFormCommission').value === '' ? null : num('tradeFormCommission'),
+            entryTime: this._fromDateTimeLocal($('tradeFormEntryTime').value),
+            exitTime: this._fromDateTimeLocal($('tradeFormExitTime').value),
+            broker: $('tradeFormBroker').value.trim() || 'Manual',
+            accountId: $('tradeFormAccount').value || null,
+            notes: $('tradeFormNotes').value.trim()
+        };
     }
 
-    /**
-     * Handle filter change
-     */
-    handleFilter() {
-        this.updateTradesTable();
+    _submitTradeForm() {
+        const editing = this.editingTradeId;
+        try {
+            const trade = window.tradleApp.saveManualTrade(this._readTradeForm(), editing);
+            this.closeTradeForm();
+            this.closeDayChartModal(); // its trade cards are stale now
+            this.showToast(`${editing ? 'Trade updated' : 'Trade added'}: ${this._escapeHtml(trade.contract)} ${this.formatCurrency(trade.netProfit)}`, 'success');
+        } catch (error) {
+            document.getElementById('tradeFormError').textContent = error.message;
+        }
     }
 
-    /**
-     * Show trade modal
-     */
-    showTradeModal(trade) {
-        const html = this.createTradeModalContent(trade);
-        this.modalBody.innerHTML = html;
-        this.tradeModal.classList.add('active');
-        document.body.style.overflow = 'hidden';
+    _deleteFormTrade() {
+        const tradeId = this.editingTradeId;
+        if (!tradeId || !confirm('Delete this trade?\n\nThis cannot be undone.')) return;
+        window.tradleApp.deleteTrade(tradeId);
+        this.closeTradeForm();
+        this.closeDayChartModal();
+        this.showToast('Trade deleted', 'info');
     }
 
-    /**
-     * Close trade modal
-     */
-    closeTradeModal() {
-        this.tradeModal.classList.remove('active');
-        document.body.style.overflow = '';
+    /** Date → "YYYY-MM-DDTHH:MM:SS" in the display time zone, for datetime-local inputs */
+    _toDateTimeLocal(date) {
+        if (isNaN(date.getTime())) return '';
+        const p = TimeZone.getParts(date, this.displayTimeZone);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+    }
+
+    /** datetime-local value (display time zone) → Date, or null when empty */
+    _fromDateTimeLocal(value) {
+        const m = (value || '').match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/);
+        if (!m) return null;
+        return TimeZone.toUTC(+m[1], +m[2], +m[3], +m[4], +m[5], +(m[6] || 0), this.displayTimeZone);
     }
 
     /**
@@ -2936,10 +5760,30 @@ class UIController {
                             <label>Contract:</label>
                             <span>${trade.contract}</span>
                         </div>
+                        ${trade.contractMonth ? `
+                        <div class="detail-item">
+                            <label>Contract Month:</label>
+                            <span>${window.tradleApp.tradeCalculator.instrumentKey(trade, 'contract')} (${this._contractMonthLabel(trade)})</span>
+                        </div>` : ''}
+                        ${trade.expiry ? `
+                        <div class="detail-item">
+                            <label>Expiry:</label>
+                            <span>${trade.expiry}</span>
+                        </div>` : ''}
+                        ${trade.multiplier ? `
+                        <div class="detail-item">
+                            <label>Multiplier:</label>
+                            <span>×${trade.multiplier}${trade.conid ? ` <span class="contract-expiry">conid ${this._escapeHtml(trade.conid)}</span>` : ''}</span>
+                        </div>` : ''}
                         <div class="detail-item">
                             <label>Quantity:</label>
-                            <span>${trade.quantity}</span>
+                            <span>${trade.quantity}${trade.lots ? ` <span class="contract-expiry">${+trade.lots.toFixed(2)} lots</span>` : ''}</span>
                         </div>
+                        ${trade.legCount > 1 ? `
+                        <div class="detail-item">
+                            <label>Max Size:</label>
+                            <span>${trade.maxSize} <span class="contract-expiry">${trade.legCount} fills</span></span>
+                        </div>` : ''}
                         <div class="detail-item">
                             <label>Entry Price:</label>
                             <span>${trade.entry}</span>
@@ -2974,12 +5818,27 @@ class UIController {
                             <label>Commission:</label>
                             <span>${this.formatCurrency(trade.totalCommission)}</span>
                         </div>
+                        ${trade.swap ? `
+                        <div class="detail-item">
+                            <label>Swap:</label>
+                            <span class="${trade.swap >= 0 ? 'profit-positive' : 'profit-negative'}">${this.formatCurrency(trade.swap)}</span>
+                        </div>` : ''}
                         <div class="detail-item">
                             <label>Net Profit:</label>
                             <span class="${trade.netProfit >= 0 ? 'profit-positive' : 'profit-negative'}">
                                 ${this.formatCurrency(trade.netProfit)}
                             </span>
                         </div>
+                        ${trade.native ? `
+                        <div class="detail-item">
+                            <label>Net (${this._escapeHtml(trade.native.currency)}):</label>
+                            <span>${this.formatCurrency(trade.native.netProfit, trade.native.currency)} <span class="contract-expiry">@ ${+trade.fxRate.toPrecision(6)}</span></span>
+                        </div>` : ''}
+                        ${trade.fxMissing ? `
+                        <div class="detail-item">
+                            <label>FX Rate:</label>
+                            <span class="contract-expiry">No ${this._escapeHtml(trade.currency)} → ${this._baseCurrency()} rate &mdash; shown unconverted</span>
+                        </div>` : ''}
                     </div>
                 </div>
                 
@@ -2996,7 +5855,41 @@ class UIController {
                         </div>
                     </div>
                 </div>
+                ${trade.commissionBreakdown ? `
+                <div class="detail-section">
+                    <h4>Commission Breakdown</h4>
+                    <div class="detail-grid">
+                        ${trade.commissionBreakdown.map(line => `
+                        <div class="detail-item">
+                            <label>${this._escapeHtml(line.label)}:</label>
+                            <span>${this.formatCurrency(line.amount)} <span class="contract-expiry">${this.formatCurrency(line.rate)} × ${line.sides} sides</span></span>
+                        </div>`).join('')}
+                    </div>
+                </div>` : ''}
+                ${trade.legCount > 1 ? `
+                <div class="detail-section">
+                    <h4>Fills</h4>
+                    <div class="detail-grid">
+                        ${trade.legs.map(leg => `
+                        <div class="detail-item">
+                            <label>${leg.quantity} × ${leg.entryPrice} → ${leg.exitPrice}</label>
+                            <span>${this.formatDateTime(leg.entryTime)} → ${this.formatDateTime(leg.exitTime)}</span>
+                        </div>`).join('')}
+                    </div>
+                </div>` : ''}
                 
+                ${this._tagPickerHtml(trade) ? `
+                <div class="detail-section">
+                    <h4>Tags</h4>
+                    ${this._tagPickerHtml(trade)}
+                </div>` : ''}
+
+                ${this._plannedLevelsHtml(trade) ? `
+                <div class="detail-section">
+                    <h4>Risk &amp; R</h4>
+                    ${this._plannedLevelsHtml(trade)}
+                </div>` : ''}
+
                 <div class="detail-section">
                     <h4>Notes</h4>
                     <textarea class="trade-notes" placeholder="Add your trade notes here...">${trade.notes || ''}</textarea>
@@ -3088,21 +5981,67 @@ class UIController {
      */
     hideLoading() {
         this.loadingOverlay.style.display = 'none';
+        if (this.loadingProgress) this.loadingProgress.style.display = 'none';
+        this.setImportCancelHandler(null);
+    }
+
+    /**
+     * Show or hide the loading overlay's "Cancel import" button
+     */
+    setImportCancelHandler(handler) {
+        this.importCancelHandler = handler;
+        if (this.cancelImportBtn) {
+            this.cancelImportBtn.style.display = handler ? 'inline-flex' : 'none';
+        }
     }
 
     /**
      * Show upload status
      */
-    showUploadStatus(message) {
-        this.uploadStatus.style.display = 'block';
-        this.uploadStatus.querySelector('.status-text').textContent = message;
+    showUploadStatus(message, percent = null) {
+        const status = this._activeUploadStatus();
+        status.style.display = 'block';
+        status.querySelector('.status-text').textContent = message;
+
+        // Background imports also report progress on the loading overlay
+        if (this.loadingProgress && percent !== null) {
+            this.loadingProgress.style.display = 'block';
+            document.getElementById('loadingProgressFill').style.width = `${Math.min(100, Math.max(0, percent))}%`;
+            document.getElementById('loadingProgressText').textContent = message;
+        }
     }
 
     /**
      * Hide upload status
      */
     hideUploadStatus() {
-        this.uploadStatus.style.display = 'none';
+        this._uploadContainers().forEach(container => {
+            const el = container.querySelector('.upload-status');
+            if (el) el.style.display = 'none';
+        });
+    }
+
+    /**
+     * Status element inside the upload container that is currently visible
+     */
+    _activeUploadStatus() {
+        const visible = this._uploadContainers().find(c => c.style.display === 'block');
+        return (visible && visible.querySelector('.upload-status')) || this.uploadStatus;
+    }
+
+    /**
+     * All per-broker upload containers (Step 2 screens) present in the page
+     */
+    _uploadContainers() {
+        return [
+            this.tradingviewUploadContainer,
+            this.ibkrUploadContainer,
+            this.ninjatraderUploadContainer,
+            this.tradovateUploadContainer,
+            this.rithmicUploadContainer,
+            this.metatraderUploadContainer,
+            this.customUploadContainer
+        ].filter(Boolean);
     }
 
     /**
@@ -3156,14 +6095,30 @@ class UIController {
     /**
      * Format currency
      */
-    formatCurrency(amount) {
+    formatCurrency(amount, currency = this._baseCurrency()) {
         return new Intl.NumberFormat('en-US', {
             style: 'currency',
-            currency: 'USD',
+            currency,
             minimumFractionDigits: 2
         }).format(amount);
     }
 
+    /**
+     * Currency the dashboard reports in (TradeCalculator.baseCurrency)
+     */
+    _baseCurrency() {
+        return (window.tradleApp && window.tradleApp.tradeCalculator.baseCurrency) || 'USD';
+    }
+
+    /**
+     * "$", "€", "£" ... for the base currency
+     */
+    _currencySymbol() {
+        const part = new Intl.NumberFormat('en-US', { style: 'currency', currency: this._baseCurrency() })
+            .formatToParts(0).find(p => p.type === 'currency');
+        return part ? part.value : '$';
+    }
+
     /**
      * Format date
      */
@@ -3194,24 +6149,58 @@ class UIController {
     // ===== Risk Management =====
 
     /**
-     * CONTRACT_SPECS for risk calculations — mirrors TradeCalculator
-     * Each entry: { multiplier, commission, name, tickSize }
-     * tickSize = minimum price increment for the instrument
+     * The contract spec registry — the app's TradeCalculator once it exists (with the user's
+     * edits applied), else a default one so the Risk tab can render during startup
+     */
+    _contractRegistry() {
+        if (window.tradleApp && window.tradleApp.tradeCalculator) return window.tradleApp.tradeCalculator;
+        if (!this._defaultCalculator) this._defaultCalculator = new TradeCalculator();
+        return this._defaultCalculator;
+    }
+
+    /**
+     * Instruments the Risk tab can size — every registry entry with a tick size
+     */
+    _riskContracts() {
+        const all = this._contractRegistry().getAllContractSpecs();
+        return Object.fromEntries(Object.entries(all).filter(([, spec]) => spec.tickSize > 0));
+    }
+
+    /**
+     * Spec for a Risk tab symbol, falling back to MES1! like the dropdown default
+     */
+    _riskSpec(sym) {
+        const contracts = this._riskContracts();
+        return contracts[sym] || contracts['MES1!'] || this._contractRegistry().getContractSpecs('MES1!');
+    }
+
+    /**
+     * (Re)build the contract dropdowns (main + checker) from the registry, keeping the selection
      */
-    static RISK_CONTRACTS = {
-        'ES1!': { multiplier: 50, commission: 2.50, name: 'E-mini S&P 500', tickSize: 0.25 },
-        'MES1!': { multiplier: 5, commission: 0.62, name: 'Micro E-mini S&P 500', tickSize: 0.25 },
-        'NQ1!': { multiplier: 20, commission: 2.50, name: 'E-mini Nasdaq-100', tickSize: 0.25 },
-        'MNQ1!': { multiplier: 2, commission: 0.62, name: 'Micro E-mini Nasdaq-100', tickSize: 0.25 },
-        'YM1!': { multiplier: 5, commission: 2.50, name: 'E-mini Dow', tickSize: 1.00 },
-        'MYM1!': { multiplier: 0.50, commission: 0.62, name: 'Micro E-mini Dow', tickSize: 1.00 },
-        'RTY1!': { multiplier: 50, commission: 2.50, name: 'E-mini Russell 2000', tickSize: 0.10 },
-        'M2K1!': { multiplier: 5, commission: 0.62, name: 'Micro E-mini Russell 2000', tickSize: 0.10 },
-        'CL1!': { multiplier: 1000, commission: 2.50, name: 'Crude Oil', tickSize: 0.01 },
-        'MCL1!': { multiplier: 100, commission: 0.62, name: 'Micro Crude Oil', tickSize: 0.01 },
-        'GC1!': { multiplier: 100, commission: 2.50, name: 'Gold', tickSize: 0.10 },
-        'MGC1!': { multiplier: 10, commission: 0.62, name: 'Micro Gold', tickSize: 0.10 },
-    };
+    _fillRiskContracts() {
+        const sel = document.getElementById('riskContractSelect');
+        const checkerSel = document.getElementById('checkerContract');
+        if (!sel) return;
+
+        const savedContract = localStorage.getItem('tradle_riskContract') || 'MES1!';
+        const checkerValue = checkerSel ? checkerSel.value : '';
+        sel.innerHTML = '';
+        if (checkerSel) checkerSel.innerHTML = '';
+        for (const [sym, spec] of Object.entries(this._riskContracts())) {
+            const opt = document.createElement('option');
+            opt.value = sym;
+            opt.textContent = `${sym}  —  ${spec.name}`;
+            if (sym === savedContract) opt.selected = true;
+            sel.appendChild(opt);
+
+            // Clone into checker dropdown
+            if (checkerSel) {
+                const opt2 = opt.cloneNode(true);
+                opt2.selected = sym === checkerValue;
+                checkerSel.appendChild(opt2);
+            }
+        }
+    }
 
     /**
      * Initialise risk-management tab inputs, load saved values, bind listeners
@@ -3251,20 +6240,7 @@ class UIController {
         const sel = document.getElementById('riskContractSelect');
         const checkerSel = document.getElementById('checkerContract');
         if (sel) {
-            const savedContract = localStorage.getItem('tradle_riskContract') || 'MES1!';
-            for (const [sym, spec] of Object.entries(UIController.RISK_CONTRACTS)) {
-                const opt = document.createElement('option');
-                opt.value = sym;
-                opt.textContent = `${sym}  —  ${spec.name}`;
-                if (sym === savedContract) opt.selected = true;
-                sel.appendChild(opt);
-
-                // Clone into checker dropdown
-                if (checkerSel) {
-                    const opt2 = opt.cloneNode(true);
-                    checkerSel.appendChild(opt2);
-                }
-            }
+            this._fillRiskContracts();
             sel.addEventListener('change', () => {
                 localStorage.setItem('tradle_riskContract', sel.value);
                 this.recalcRisk();
@@ -3383,15 +6359,16 @@ class UIController {
         // Selected contract
         const sel = document.getElementById('riskContractSelect');
         const sym = sel ? sel.value : 'MES1!';
-        const spec = UIController.RISK_CONTRACTS[sym] || UIController.RISK_CONTRACTS['MES1!'];
+        const spec = this._riskSpec(sym);
 
         // Contract info chips
         const infoEl = document.getElementById('riskContractInfo');
         if (infoEl) {
             infoEl.innerHTML = `
-                <span class="info-chip"><strong>${spec.name}</strong></span>
+                <span class="info-chip"><strong>${this._escapeHtml(spec.name)}</strong></span>
                 <span class="info-chip">Multiplier: <strong>$${spec.multiplier}</strong>/pt</span>
                 <span class="info-chip">Tick: <strong>${spec.tickSize}</strong></span>
+                <span class="info-chip">Tick value: <strong>$${+spec.tickValue.toPrecision(10)}</strong></span>
                 <span class="info-chip">Commission: <strong>$${spec.commission.toFixed(2)}</strong></span>
             `;
         }
@@ -3547,7 +6524,7 @@ class UIController {
         }
 
         const sym = selEl.value;
-        const spec = UIController.RISK_CONTRACTS[sym] || UIController.RISK_CONTRACTS['MES1!'];
+        const spec = this._riskSpec(sym);
         const stopDist = Math.abs(entry - stop);
         const dollarRisk1 = stopDist * spec.multiplier;
         const direction = entry > stop ? 'Long' : 'Short';
@@ -3657,6 +6634,7 @@ class UIController {
         const sectionMap = {
             'dashboard': this.dashboardSection,
             'import': this.importSection,
+            'reports': this.reportsSection,
             'risk': this.riskSection,
             'export': this.exportSection
         };
@@ -3674,6 +6652,8 @@ class UIController {
             // hasn't been persisted yet, so reloading would overwrite it with stale data.
             console.log('🔄 Switching to dashboard tab');
             console.log(`  🎯 UI currentTrades: ${this.currentTrades.length}`);
+        } else if (tabName === 'reports') {
+            this.renderReports();
         } else if (tabName === 'import') {
             // Always show format selection first when import tab is opened
             setTimeout(() => {
@@ -3686,6 +6666,26 @@ class UIController {
     // DO NOT redefine them here — calling switchTab('dashboard') from showDashboard()
     // causes infinite recursion: updateDashboard → showDashboard → switchTab → updateDashboard → ...
 
+    /**
+     * Hide format selection and every upload container, then slide in the given one
+     */
+    _revealUploadContainer(container) {
+        this.formatSelectionContainer.style.display = 'none';
+        this._uploadContainers().forEach(el => { if (el !== container) el.style.display = 'none'; });
+        container.style.display = 'block';
+        this._mountImportDateOptions(container);
+
+        // Add animation class for smooth transition
+        container.style.opacity = '0';
+        container.style.transform = 'translateX(20px)';
+
+        requestAnimationFrame(() => {
+            container.style.transition = 'all 0.3s ease-out';
+            container.style.opacity = '1';
+            container.style.transform = 'translateX(0)';
+        });
+    }
+
     /**
      * Show TradingView upload interface (Step 2)
      */
@@ -3694,20 +6694,7 @@ class UIController {
         this.selectedUploadFormat = 'tradingview';
 
         if (this.formatSelectionContainer && this.tradingviewUploadContainer) {
-            this.formatSelectionContainer.style.display = 'none';
-            if (this.ibkrUploadContainer) this.ibkrUploadContainer.style.display = 'none';
-            this.tradingviewUploadContainer.style.display = 'block';
-
-            // Add animation class for smooth transition
-            this.tradingviewUploadContainer.style.opacity = '0';
-            this.tradingviewUploadContainer.style.transform = 'translateX(20px)';
-
-            requestAnimationFrame(() => {
-                this.tradingviewUploadContainer.style.transition = 'all 0.3s ease-out';
-                this.tradingviewUploadContainer.style.opacity = '1';
-                this.tradingviewUploadContainer.style.transform = 'translateX(0)';
-            });
-
+            this._revealUploadContainer(this.tradingviewUploadContainer);
             this.showToast('TradingView format selected. Upload your CSV file below.', 'success');
         }
     }
@@ -3720,20 +6707,75 @@ class UIController {
         this.selectedUploadFormat = 'ibkr';
 
         if (this.formatSelectionContainer && this.ibkrUploadContainer) {
-            this.formatSelectionContainer.style.display = 'none';
-            if (this.tradingviewUploadContainer) this.tradingviewUploadContainer.style.display = 'none';
-            this.ibkrUploadContainer.style.display = 'block';
+            this._revealUploadContainer(this.ibkrUploadContainer);
+            this.showToast('Interactive Brokers format selected. Upload your CSV file below.', 'success');
+        }
+    }
 
-            this.ibkrUploadContainer.style.opacity = '0';
-            this.ibkrUploadContainer.style.transform = 'translateX(20px)';
+    /**
+     * Show NinjaTrader upload interface (Step 2c)
+     */
+    showNinjaTraderUpload() {
+        console.log('🥷 Switching to NinjaTrader upload interface');
+        this.selectedUploadFormat = 'ninjatrader';
 
-            requestAnimationFrame(() => {
-                this.ibkrUploadContainer.style.transition = 'all 0.3s ease-out';
-                this.ibkrUploadContainer.style.opacity = '1';
-                this.ibkrUploadContainer.style.transform = 'translateX(0)';
-            });
+        if (this.formatSelectionContainer && this.ninjatraderUploadContainer) {
+            this._revealUploadContainer(this.ninjatraderUploadContainer);
+            this.showToast('NinjaTrader format selected. Upload your CSV file below.', 'success');
+        }
+    }
 
-            this.showToast('Interactive Brokers format selected. Upload your CSV file below.', 'success');
+    /**
+     * Show Tradovate upload interface (Step 2d)
+     */
+    showTradovateUpload() {
+        console.log('📈 Switching to Tradovate upload interface');
+        this.selectedUploadFormat = 'tradovate';
+
+        if (this.formatSelectionContainer && this.tradovateUploadContainer) {
+            this._revealUploadContainer(this.tradovateUploadContainer);
+            this.showToast('Tradovate format selected. Upload your CSV file below.', 'success');
+        }
+    }
+
+    /**
+     * Show Rithmic R|Trader upload interface (Step 2e)
+     */
+    showRithmicUpload() {
+        console.log('📉 Switching to Rithmic upload interface');
+        this.selectedUploadFormat = 'rithmic';
+
+        if (this.formatSelectionContainer && this.rithmicUploadContainer) {
+            this._revealUploadContainer(this.rithmicUploadContainer);
+            this.showToast('Rithmic R|Trader format selected. Upload your CSV file below.', 'success');
+        }
+    }
+
+    /**
+     * Show MetaTrader 4/5 statement upload interface (Step 2f)
+     */
+    showMetaTraderUpload() {
+        console.log('📑 Switching to MetaTrader upload interface');
+        this.selectedUploadFormat = 'metatrader';
+
+        if (this.formatSelectionContainer && this.metatraderUploadContainer) {
+            this._revealUploadContainer(this.metatraderUploadContainer);
+            this.showToast('MetaTrader format selected. Upload your HTML or CSV statement below.', 'success');
+        }
+    }
+
+    /**
+     * Show custom column-mapping upload interface (Step 2g)
+     */
+    showCustomUpload() {
+        console.log('🧩 Switching to custom column-mapping upload interface');
+        this.selectedUploadFormat = 'custom';
+
+        if (this.formatSelectionContainer && this.customUploadContainer) {
+            this.hideColumnMapping();
+            this.renderImportProfiles();
+            this._revealUploadContainer(this.customUploadContainer);
+            this.showToast('Custom format selected. Upload a CSV and map its columns.', 'success');
         }
     }
 
@@ -3744,8 +6786,8 @@ class UIController {
         console.log('🔙 Returning to format selection');
 
         if (this.formatSelectionContainer) {
-            if (this.tradingviewUploadContainer) this.tradingviewUploadContainer.style.display = 'none';
-            if (this.ibkrUploadContainer) this.ibkrUploadContainer.style.display = 'none';
+            this._uploadContainers().forEach(el => { el.style.display = 'none'; });
+            this.hideColumnMapping();
             this.formatSelectionContainer.style.display = 'block';
 
             // Add animation class for smooth transition
@@ -3762,8 +6804,9 @@ class UIController {
             this.hideUploadStatus();
 
             // Clear file inputs
-            if (this.csvFileInput) this.csvFileInput.value = '';
-            if (this.ibkrCsvFileInput) this.ibkrCsvFileInput.value = '';
+            this._uploadContainers().forEach(container => {
+                container.querySelectorAll('input[type="file"]').forEach(input => { input.value = ''; });
+            });
         }
     }
 
@@ -3795,15 +6838,53 @@ class UIController {
             return `
                 <tr>
                     <td><i class="fas fa-file-csv" style="color:var(--primary-color);margin-right:6px"></i>${this._escapeHtml(h.filename)}</td>
-                    <td><span class="uh-badge uh-badge--${h.format === 'IBKR' ? 'ibkr' : 'tv'}">${h.format}</span></td>
+                    <td><span class="uh-badge uh-badge--${this._uploadBadgeClass(h.format)}">${this._escapeHtml(h.format)}</span></td>
                     <td>${dateStr} <span style="color:var(--text-tertiary)">${timeStr}</span></td>
-                    <td style="text-align:center">${h.newTrades}</td>
+                    <td style="text-align:center">${h.undone ? '<span class="uh-badge uh-badge--undone">Undone</span>' : h.newTrades}</td>
                     <td style="text-align:center">${h.duplicates}</td>
-                    <td style="text-align:center"><button class="uh-delete-btn" data-idx="${origIdx}" title="Remove entry"><i class="fas fa-trash-alt"></i></button></td>
+                    <td style="text-align:center">
+                        ${h.batchId && !h.undone ? `<button class="uh-undo-btn" data-idx="${origIdx}" title="Undo import (remove its trades)"><i class="fas fa-undo"></i></button>` : ''}
+                        <button class="uh-delete-btn" data-idx="${origIdx}" title="Remove entry"><i class="fas fa-trash-alt"></i></button>
+                    </td>
                 </tr>`;
         }).join('');
     }
 
+    /** Short contract-month label for an expiry date ("2026-03-20" → "Mar 26") */
+    _formatExpiry(expiry) {
+        const d = new Date(`${expiry}T00:00:00`);
+        if (isNaN(d.getTime())) return expiry;
+        return d.toLocaleDateString('en-US', { month: 'short', year: '2-digit' }).replace(' ', " '");
+    }
+
+    /** Contract-month label of a trade or position — its contract month, else its expiry; '' for neither */
+    _contractMonthLabel(item) {
+        if (item.contractMonth) return this._formatExpiry(`${item.contractMonth}-01`);
+        return item.expiry ? this._formatExpiry(item.expiry) : '';
+    }
+
+    /** Badge class for a trade's broker label (custom-profile brokers share one style) */
+    _brokerBadgeClass(broker) {
+        if (broker === 'IBKR') return 'broker-ibkr';
+        if (broker === 'NinjaTrader') return 'broker-ninja';
+        if (broker === 'Tradovate') return 'broker-tradovate';
+        if (broker === 'Rithmic') return 'broker-rithmic';
+        if (broker === 'MetaTrader') return 'broker-mt';
+        if (!broker || broker === 'TradingView') return 'broker-tv';
+        return 'broker-other';
+    }
+
+    /** Badge modifier for an upload-history format label */
+    _uploadBadgeClass(format) {
+        if (format === 'IBKR') return 'ibkr';
+        if (format === 'NinjaTrader') return 'ninja';
+        if (format === 'Tradovate') return 'tradovate';
+        if (format === 'Rithmic') return 'rithmic';
+        if (format === 'MetaTrader') return 'mt';
+        if (format === 'TradingView') return 'tv';
+        return 'custom';
+    }
+
     /** Escape HTML entities */
     _escapeHtml(str) {
         const div = document.createElement('div');
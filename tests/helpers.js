@@ -0,0 +1,79 @@
+// Shared scaffolding for the node tests: checks with a pass/fail tally, an in-memory
+// localStorage, loading the browser scripts and muting their console output.
+// Tests run from the repo root: node tests/test_<name>.js
+
+const fs = require('fs');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Record one check and print it
+ */
+function check(label, condition) {
+    if (condition) { passed++; console.log(`  ✅ ${label}`); }
+    else { failed++; console.log(`  ❌ ${label}`); }
+}
+
+/**
+ * Run the (async) test body, then print the tally; exits 1 when a check failed or it threw
+ */
+function run(body) {
+    (async () => {
+        await body();
+        console.log(`\n${passed} passed, ${failed} failed`);
+        if (failed > 0) process.exit(1);
+    })().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
+
+/**
+ * Run fn (sync or async) with console.log / warn / error muted — keeps the parser's and
+ * app's own logging out of the test output
+ */
+async function quiet(fn) {
+    const { log, warn, error } = console;
+    console.log = console.warn = console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, warn, error });
+    }
+}
+
+/**
+ * Put an in-memory localStorage on the global scope; returns the object backing it
+ */
+function stubLocalStorage() {
+    const store = {};
+    global.localStorage = {
+        getItem: (k) => (k in store ? store[k] : null),
+        setItem: (k, v) => { store[k] = String(v); },
+        removeItem: (k) => { delete store[k]; },
+        key: (i) => Object.keys(store)[i] ?? null,
+        get length() { return Object.keys(store).length; }
+    };
+    return store;
+}
+
+/**
+ * Load browser scripts (paths from the repo root) into the global scope the way the page's
+ * <script> tags do, and return what they export onto window. js/main.js registers
+ * DOMContentLoaded / service worker hooks at load, so document and navigator are stubbed
+ * for it (nothing runs under Node); its TradleApp class is returned too.
+ */
+function loadScripts(...files) {
+    global.window = global.window || {};
+    const withApp = files.includes('js/main.js');
+    if (withApp) {
+        global.document = global.document || { addEventListener: () => {} };
+        global.navigator = global.navigator || {};
+    }
+    files.forEach(file => vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file }));
+    return withApp ? { ...window, TradleApp: vm.runInThisContext('TradleApp') } : { ...window };
+}
+
+module.exports = { check, run, quiet, stubLocalStorage, loadScripts };
@@ -0,0 +1,154 @@
+// Test: named trading accounts — imports into an account, open lots kept per account, scoping, persistence
+// Run: node tests/test_accounts.js
+
+const { check, run, quiet, stubLocalStorage, loadScripts } = require('./helpers');
+
+const store = stubLocalStorage();
+const { TimeZone, CSVParser, TradeCalculator, TradleApp } = loadScripts('js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js', 'js/main.js');
+
+const header = 'Symbol,Side,Type,Qty,Limit Price,Stop Price,Fill Price,Status,Commission,Placing Time,Closing Time,Order ID,Level ID,Leverage,Margin';
+const row = (side, price, date, id) => `CME_MINI:ES1!,${side},Market,1,,,${price},Filled,,${date},${date},${id},,,`;
+
+// Paper: one round trip and a long left open. Live: one round trip and a sell that would
+// close the paper long if the two accounts shared their lots.
+const paper = [header,
+    row('Buy', 6000, '2/10/26 15:00', 'p1'), row('Sell', 6010, '2/10/26 15:05', 'p2'),
+    row('Buy', 6020, '2/10/26 16:00', 'p3')
+].join('\n');
+const live = [header,
+    row('Buy', 6030, '2/11/26 15:00', 'l1'), row('Sell', 6026, '2/11/26 15:05', 'l2'),
+    row('Sell', 6040, '2/11/26 16:00', 'l3')
+].join('\n');
+
+const ui = { calls: [] };
+['updateDashboard', 'hideDashboard', 'showToast', 'showUploadStatus', 'hideUploadStatus', 'hideLoading', 'renderUploadHistory', 'renderOpenPositions']
+    .forEach(name => { ui[name] = () => ui.calls.push(name); });
+const newApp = () => {
+    const app = Object.create(TradleApp.prototype);
+    app.csvParser = new CSVParser();
+    app.tradeCalculator = new TradeCalculator();
+    app.uiController = ui;
+    app.tradeDatabase = { trades: [], orderIds: new Set(), openLots: [], lastUpdated: null };
+    app.currentData = null;
+    app.accounts = [];
+    return app;
+};
+
+run(async () => {
+    const importCSV = async (app, content, name, accountId) => {
+        const parseResult = await app.csvParser.parseCSV(content, 'tradingview', { timeZone: 'UTC' });
+        const tradeResult = app.tradeCalculator.processOrders(parseResult.orders, app.getOpenLots('TradingView', accountId));
+        app.pendingImport = { file: { name }, format: 'tradingview', accountId, csvContent: null, parseResult, tradeResult, startTime: Date.now() };
+        const preview = app.buildImportPreview();
+        await app.confirmImport();
+        return preview;
+    };
+
+    console.log('=== Accounts ===');
+    const app = newApp();
+    const paperAccount = await quiet(() => app.saveAccount({ name: 'TV Paper', startingLiquidity: 50000 }));
+    const liveAccount = await quiet(() => app.saveAccount({ name: 'TV Live', startingLiquidity: 10000 }));
+    check('accounts get an id', paperAccount.id.startsWith('account_') && paperAccount.id !== liveAccount.id);
+    let threw = null;
+    try { app.saveAccount({ name: ' tv paper ', startingLiquidity: 1 }); } catch (e) { threw = e.message; }
+    check('names are unique, ignoring case', threw === 'There is already an account named tv paper');
+    threw = null;
+    try { app.saveAccount({ name: 'Prop', startingLiquidity: -5 }); } catch (e) { threw = e.message; }
+    check('negative starting liquidity rejected', threw === 'Starting liquidity must be 0 or more');
+    threw = null;
+    try { app.saveAccount({ name: '', startingLiquidity: '' }); } catch (e) { threw = e.message; }
+    check('a name is required', threw === 'Account name is required');
+
+    console.log('\n=== Importing into an account ===');
+    const preview = await quiet(() => importCSV(app, paper, 'paper.csv', paperAccount.id));
+    check('preview carries the account', preview.accountId === paperAccount.id);
+    await quiet(() => importCSV(app, live, 'live.csv', liveAccount.id));
+    const inAccount = (id) => app.tradeDatabase.trades.filter(t => t.accountId === id);
+    check('each file\'s trades stamped with its account', inAccount(paperAccount.id).length === 1 && inAccount(liveAccount.id).length === 1);
+    check('open lots not shared across accounts', app.getOpenLots().length === 2 &&
+        app.getOpenLots('TradingView', paperAccount.id)[0].order.orderId === 'p3' &&
+        app.getOpenLots('TradingView', liveAccount.id)[0].order.orderId === 'l3');
+    check('open positions listed per account', app.getOpenPositions().map(p => p.accountId).sort().join() === [paperAccount.id, liveAccount.id].sort().join());
+
+    console.log('\n=== Scoping ===');
+    const trades = app.tradeDatabase.trades;
+    check('All accounts sees everything', trades.filter(t => app.inAccountScope(t, 'all')).length === 2);
+    check('one account sees its own trades', trades.filter(t => app.inAccountScope(t, liveAccount.id)).every(t => t.accountId === liveAccount.id));
+    const { accounts, unassigned } = app.getAccountSummaries();
+    const liveRow = accounts.find(a => a.id === liveAccount.id);
+    check('per-account P&L and current liquidity', liveRow.trades === 1 && liveRow.netProfit === -4 * 50 - 5 &&
+        liveRow.currentLiquidity === 10000 + liveRow.netProfit);
+    check('no unassigned trades', unassigned === 0);
+
+    console.log('\n=== Re-matching keeps accounts apart ===');
+    await quiet(() => app.saveMatchingMethod('TradingView', 'lifo'));
+    const { before, after } = await quiet(() => app.recalculateMatching('TradingView'));
+    check('trade count unchanged', before === 2 && after === 2);
+    check('trades and lots stay in their account', inAccount(paperAccount.id).length === 1 &&
+        app.getOpenLots('TradingView', liveAccount.id).length === 1 && app.getOpenLots('TradingView', paperAccount.id).length === 1);
+
+    console.log('\n=== Matching method and commissions per account ===');
+    await quiet(() => app.saveMatchingMethod('TradingView', 'fifo', paperAccount.id));
+    check('a named account keeps its own method', app.getMatchingMethod('TradingView', paperAccount.id) === 'fifo');
+    check('others fall back to the broker\'s', app.getMatchingMethod('TradingView', liveAccount.id) === 'lifo' &&
+        app.getMatchingMethod('TradingView') === 'lifo');
+    const matchingRows = app.getMatchingAccounts();
+    check('one matching row per named account', matchingRows.length === 2 &&
+        matchingRows.find(r => r.accountId === paperAccount.id).method === 'fifo' &&
+        matchingRows.find(r => r.accountId === liveAccount.id).accountName === 'TV Live');
+    check('re-matching one account leaves the other', (await quiet(() => app.recalculateMatching('TradingView', paperAccount.id))).before === 1 &&
+        app.getOpenLots('TradingView', liveAccount.id).length === 1 && inAccount(liveAccount.id).length === 1);
+
+    const commission = (id) => inAccount(id)[0].totalCommission;
+    await quiet(() => app.saveCommissionSchedule('TradingView', { type: 'fixed', rate: 2, fees: [] }));
+    check('the broker\'s schedule prices both accounts', commission(paperAccount.id) === 4 && commission(liveAccount.id) === 4);
+    check('schedules saved under the account id', await quiet(() => app.saveCommissionSchedule('TradingView', { type: 'fixed', rate: 0.5, fees: [] }, paperAccount.id)) === 1 &&
+        app.tradeCalculator.commissionSchedules[paperAccount.id].rate === 0.5);
+    check('a named account\'s schedule wins over the broker\'s', commission(paperAccount.id) === 1 && commission(liveAccount.id) === 4);
+    const commissionRows = app.getCommissionAccounts();
+    check('commission rows per named account', commissionRows.find(r => r.accountId === paperAccount.id).inherited === false &&
+        commissionRows.find(r => r.accountId === liveAccount.id).inherited === true);
+    await quiet(() => app.removeCommissionSchedule('TradingView', paperAccount.id));
+    check('removing it falls back to the broker\'s', commission(paperAccount.id) === 4);
+    await quiet(() => app.removeCommissionSchedule('TradingView'));
+    check('and then the spec rate', commission(paperAccount.id) === 5 && commission(liveAccount.id) === 5);
+
+    console.log('\n=== Manual trades and open positions ===');
+    const manual = await quiet(() => app.saveManualTrade({
+        contract: 'ES1!', side: 'LONG', quantity: 1, entryPrice: 6000, exitPrice: 6002, commission: 0,
+        entryTime: new Date('2026-02-12T15:00:00Z'), exitTime: new Date('2026-02-12T15:10:00Z'),
+        broker: 'Manual', accountId: liveAccount.id, notes: ''
+    }));
+    check('manual trade goes into the picked account', manual.accountId === liveAccount.id);
+    check('editing without an account field keeps it', (await quiet(() => app.saveManualTrade({
+        contract: 'ES1!', side: 'LONG', quantity: 1, entryPrice: 6000, exitPrice: 6004, commission: 0,
+        entryTime: manual.entryTime, exitTime: manual.exitTime, broker: 'Manual', notes: ''
+    }, manual.id))).accountId === liveAccount.id);
+    check('discard only drops the account\'s position', await quiet(() => app.discardOpenPosition(app.getOpenLots()[0].key, 'TradingView', liveAccount.id)) &&
+        app.getOpenLots().length === 1 && app.getOpenLots()[0].accountId === paperAccount.id);
+
+    console.log('\n=== Import account per broker screen ===');
+    app.saveImportAccount('tradingview', liveAccount.id);
+    check('remembered per format', app.getImportAccount('tradingview') === liveAccount.id && app.getImportAccount('ibkr') === null);
+
+    console.log('\n=== Persistence ===');
+    const saved = JSON.parse(store.tradle_accounts);
+    check('saved with a timestamp for sync', saved.updatedAt && saved.accounts.length === 2 && saved.accounts[0].startingLiquidity === 50000);
+    await quiet(() => app.saveTradeDatabase());
+    const other = newApp();
+    other.loadAccounts();
+    await quiet(() => other.loadTradeDatabase());
+    check('a fresh app loads accounts and account ids', other.getAccount(liveAccount.id).name === 'TV Live' &&
+        other.tradeDatabase.trades.filter(t => t.accountId === liveAccount.id).length === 2 &&
+        other.getOpenLots()[0].accountId === paperAccount.id);
+
+    console.log('\n=== Delete and claim ===');
+    const removed = await quiet(() => app.deleteAccount(liveAccount.id));
+    check('deleting keeps the trades, unassigned', removed === 2 && app.tradeDatabase.trades.length === 3 &&
+        app.getAccountSummaries().unassigned === 2);
+    check('unassigned scope picks them up', app.tradeDatabase.trades.filter(t => app.inAccountScope(t, 'unassigned')).length === 2);
+    check('deleting an unknown account is a no-op', app.deleteAccount('account_missing') === 0);
+    check('claiming moves them into an account', await quiet(() => app.claimUnassigned(paperAccount.id)) === 2 &&
+        inAccount(paperAccount.id).length === 3);
+    check('import account forgotten once deleted', app.getImportAccount('tradingview') === null);
+});
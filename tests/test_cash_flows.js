@@ -0,0 +1,118 @@
+// Test: cash-flow ledger — deposits, withdrawals, payouts and fees, equity curve, time-weighted return, persistence
+// Run: node tests/test_cash_flows.js
+
+const { check, run, quiet, stubLocalStorage, loadScripts } = require('./helpers');
+
+const store = stubLocalStorage();
+const { TimeZone, CSVParser, TradeCalculator, TradleApp } = loadScripts('js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js', 'js/main.js');
+
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+const ui = { calls: [] };
+['updateDashboard', 'hideDashboard', 'showToast', 'showUploadStatus', 'hideUploadStatus', 'showLoading', 'hideLoading', 'renderUploadHistory']
+    .forEach(name => { ui[name] = () => ui.calls.push(name); });
+const newApp = () => {
+    const app = Object.create(TradleApp.prototype);
+    app.csvParser = new CSVParser();
+    app.tradeCalculator = new TradeCalculator();
+    app.uiController = ui;
+    app.tradeDatabase = { trades: [], orderIds: new Set(), openLots: [], lastUpdated: null };
+    app.currentData = null;
+    app.accounts = [];
+    app.cashFlows = [];
+    return app;
+};
+// Only what the equity curve reads
+const trade = (day, netProfit, accountId = null) => ({ exitTime: new Date(`${day}T15:00:00Z`), netProfit, accountId });
+
+run(async () => {
+
+    console.log('=== Ledger entries ===');
+    const calc = new TradeCalculator();
+    check('deposits add, the rest take out', calc.cashFlowAmount({ type: 'deposit', amount: 500, day: '2026-02-10' }) === 500 &&
+        calc.cashFlowAmount({ type: 'payout', amount: 500, day: '2026-02-10' }) === -500 &&
+        calc.cashFlowAmount({ type: 'fee', amount: 50, day: '2026-02-10' }) === -50);
+    calc.fxRates = { EURUSD: { '2026-02-01': 1.1 } };
+    check('entries in another currency converted on their day', near(calc.cashFlowAmount({ type: 'deposit', amount: 1000, currency: 'EUR', day: '2026-02-10' }), 1100));
+    const gbp = { type: 'deposit', amount: 1000, currency: 'GBP', day: '2026-02-10' };
+    check('no rate: not converted at 1', calc.cashFlowAmount(gbp) === null);
+    check('flagged like unconverted trades', calc.fxMissingCashFlows([gbp, { type: 'fee', amount: 5, day: '2026-02-10' }]).map(f => f.fxMissing).join() === 'true');
+    check('left out of the equity curve', calc.equityCurve([trade('2026-02-10', 100)], [gbp], 1000)[0].equity === 1100);
+    check('validation lists every problem', calc.validateCashFlow({ day: '10/02/2026', type: 'bonus', amount: 0, currency: 'usd' }).length === 4);
+    check('a valid entry has no problems', calc.validateCashFlow({ day: '2026-02-10', type: 'withdrawal', amount: 1, currency: 'USD' }).length === 0);
+
+    console.log('\n=== Equity curve and time-weighted return ===');
+    // +10% on day 1, a deposit doubling the balance, +10% on day 2, then a 1% fee
+    const trades = [trade('2026-02-10', 1000), trade('2026-02-11', 2200)];
+    const flows = [
+        { type: 'deposit', amount: 11000, day: '2026-02-11' },
+        { type: 'fee', amount: 242, day: '2026-02-12' }
+    ];
+    const curve = calc.equityCurve(trades, flows, 10000);
+    check('one point per day, in order', curve.map(d => d.day).join() === '2026-02-10,2026-02-11,2026-02-12');
+    check('balance includes the flows', curve[1].equity === 24200 && curve[2].equity === 23958);
+    check('deposit lands at the start of its day', near(curve[1].return, 0.1) && curve[1].flow === 11000);
+    check('fees count against the return', near(curve[2].return, -0.01) && curve[2].fees === 242);
+    check('daily returns chained', near(calc.timeWeightedReturn(curve), 1.1 * 1.1 * 0.99 - 1));
+    check('no flows: same as P&L over the starting balance', near(calc.timeWeightedReturn(calc.equityCurve(trades, [], 10000)), 3200 / 10000));
+    const payout = calc.equityCurve([trade('2026-02-10', 500)], [{ type: 'payout', amount: 5000, day: '2026-02-11' }], 10000);
+    check('a payout is not a loss', near(calc.timeWeightedReturn(payout), 0.05) && payout[1].equity === 5500);
+    check('funded from zero by a deposit', near(calc.timeWeightedReturn(calc.equityCurve([trade('2026-02-10', 100)],
+        [{ type: 'deposit', amount: 1000, day: '2026-02-10' }], 0)), 0.1));
+
+    console.log('\n=== Ledger on the app ===');
+    const app = newApp();
+    const prop = await quiet(() => app.saveAccount({ name: 'Prop Eval', startingLiquidity: 50000 }));
+    app.tradeDatabase.trades = [trade('2026-02-10', 800, prop.id)];
+    ui.calls = [];
+    const entry = await quiet(() => app.addCashFlow({ day: '2026-02-12', type: 'payout', amount: 2000, accountId: prop.id, note: ' first payout ' }));
+    check('entry saved in the base currency', entry.currency === 'USD' && entry.id.startsWith('flow_') && entry.note === 'first payout');
+    check('dashboard redrawn', ui.calls.includes('updateDashboard'));
+    await quiet(() => app.addCashFlow({ day: '2026-02-01', type: 'fee', amount: 85, note: 'Data feed' }));
+    let threw = null;
+    try { app.addCashFlow({ day: '2026-02-12', type: 'deposit', amount: -5 }); } catch (e) { threw = e.message; }
+    check('invalid entry throws', threw === 'Amount must be greater than 0');
+    check('ledger sorted oldest first', app.getCashFlows().map(f => f.type).join() === 'fee,payout');
+    check('scoped by account', app.getCashFlows(prop.id).length === 1 && app.getCashFlows('unassigned')[0].note === 'Data feed');
+    const row = app.getAccountSummaries().accounts[0];
+    check('account liquidity includes its flows', row.cashFlows === -2000 && row.currentLiquidity === 50000 + 800 - 2000);
+    const chf = await quiet(() => app.addCashFlow({ day: '2026-02-13', type: 'deposit', amount: 1000, currency: 'CHF', accountId: prop.id }));
+    check('a flow with no rate is listed as missing, not counted', app.getMissingFxRates().map(m => `${m.currency}:${m.cashFlows}`).join() === 'CHF:1' &&
+        app.getAccountSummaries().accounts[0].cashFlows === -2000);
+    await quiet(() => app.removeCashFlow(chf.id));
+
+    console.log('\n=== Persistence ===');
+    const saved = JSON.parse(store.tradle_cash_flows);
+    check('saved with a timestamp for sync', saved.updatedAt && saved.entries.length === 2);
+    const other = newApp();
+    check('a fresh app loads the ledger', other.loadCashFlows().length === 2);
+
+    console.log('\n=== Accounts and removal ===');
+    await quiet(() => app.deleteAccount(prop.id));
+    check('deleting an account unassigns its flows', app.getCashFlows('unassigned').length === 2);
+    check('removing an entry', await quiet(() => app.removeCashFlow(entry.id)) && app.getCashFlows().length === 1 && !app.removeCashFlow(entry.id));
+
+    console.log('\n=== Full backup ===');
+    store.tradle_fx_rates = JSON.stringify({ baseCurrency: 'USD', rates: { EURUSD: { '2026-02-01': 1.1 } } });
+    store.tradle_matching_methods = JSON.stringify({ TradingView: 'lifo' });
+    app.loadFxRates();
+    await quiet(() => app.addCashFlow({ day: '2026-02-14', type: 'deposit', amount: 1000, currency: 'EUR' }));
+    // Catch the downloaded file instead of clicking a link
+    let download = null;
+    const { document: realDocument } = global;
+    global.document = { createElement: () => ({ click() {} }), body: { appendChild() {}, removeChild() {} } };
+    const { createObjectURL, revokeObjectURL } = URL;
+    URL.createObjectURL = (blob) => { download = blob; return 'blob:backup'; };
+    URL.revokeObjectURL = () => {};
+    await quiet(() => app.exportFullBackup());
+    Object.assign(URL, { createObjectURL, revokeObjectURL });
+    global.document = realDocument;
+
+    Object.keys(store).forEach(key => delete store[key]);
+    const restored = newApp();
+    await quiet(() => restored.importFullBackup({ text: () => download.text() }));
+    check('FX rates and base currency restored', near(restored.tradeCalculator.fxRates.EURUSD['2026-02-01'], 1.1) &&
+        restored.tradeCalculator.baseCurrency === 'USD');
+    check('restored EUR flow is converted, not flagged', restored.getCashFlows().length === 2 && restored.getMissingFxRates().length === 0);
+    check('matching methods restored', JSON.parse(store.tradle_matching_methods).TradingView === 'lifo');
+});
@@ -0,0 +1,109 @@
+// Test: broker commission schedules — fixed and tiered rates, fee lines, monthly volume tiers, persistence
+// Run: node tests/test_commission_schedules.js
+
+const { check, run, quiet, stubLocalStorage, loadScripts } = require('./helpers');
+
+const store = stubLocalStorage();
+const { TimeZone, CSVParser, TradeCalculator, TradleApp } = loadScripts('js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js', 'js/main.js');
+
+const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+const header = 'Symbol,Side,Type,Qty,Limit Price,Stop Price,Fill Price,Status,Commission,Placing Time,Closing Time,Order ID,Level ID,Leverage,Margin';
+const row = (symbol, side, price, date, id, commission = '') =>
+    `CME_MINI:${symbol},${side},Market,2,,,${price},Filled,${commission},${date},${date},${id},,,`;
+
+// Three 2-lot ES round trips in February, one in March, and an NQ trade with broker commissions
+const csv = [header,
+    row('ES1!', 'Buy', 6000, '2/10/26 15:00', '1'), row('ES1!', 'Sell', 6004, '2/10/26 15:05', '2'),
+    row('ES1!', 'Buy', 6010, '2/11/26 15:00', '3'), row('ES1!', 'Sell', 6016, '2/11/26 15:05', '4'),
+    row('ES1!', 'Buy', 6020, '2/12/26 15:00', '5'), row('ES1!', 'Sell', 6028, '2/12/26 15:05', '6'),
+    row('ES1!', 'Buy', 6030, '3/2/26 15:00', '7'), row('ES1!', 'Sell', 6040, '3/2/26 15:05', '8'),
+    row('NQ1!', 'Buy', 21000, '2/10/26 16:00', '9', '1.5'), row('NQ1!', 'Sell', 21010, '2/10/26 16:05', '10', '1.5')
+].join('\n');
+const later = [header,
+    row('ES1!', 'Buy', 6050, '2/20/26 15:00', '11'), row('ES1!', 'Sell', 6055, '2/20/26 15:05', '12')
+].join('\n');
+
+const ui = { calls: [] };
+['updateDashboard', 'hideDashboard', 'showToast', 'showUploadStatus', 'hideUploadStatus', 'hideLoading', 'renderUploadHistory']
+    .forEach(name => { ui[name] = () => ui.calls.push(name); });
+const newApp = () => {
+    const app = Object.create(TradleApp.prototype);
+    app.csvParser = new CSVParser();
+    app.tradeCalculator = new TradeCalculator();
+    app.uiController = ui;
+    app.tradeDatabase = { trades: [], orderIds: new Set(), openLots: [], lastUpdated: null };
+    app.currentData = null;
+    return app;
+};
+const fees = [{ name: 'Exchange', perSide: 1.38 }, { name: 'NFA', perSide: 0.02 }];
+const tiered = { type: 'tiered', tiers: [{ upTo: 12, rate: 1 }, { upTo: null, rate: 0.5 }], fees };
+
+run(async () => {
+    const importCSV = async (app, content, name) => {
+        const parseResult = await app.csvParser.parseCSV(content, 'tradingview', { timeZone: 'UTC' });
+        const tradeResult = app.tradeCalculator.processOrders(parseResult.orders);
+        app.pendingImport = { file: { name }, format: 'tradingview', csvContent: null, parseResult, tradeResult, startTime: Date.now() };
+        return app.confirmImport();
+    };
+
+    console.log('=== Calculator ===');
+    const calc = new TradeCalculator();
+    const fixed = calc.scheduleCommission({ type: 'fixed', rate: 0.85, fees }, 2);
+    check('fixed: broker line plus one line per fee', fixed.length === 3 && fixed[0].label === 'Broker' && fixed[1].label === 'Exchange');
+    check('amounts are rate × 2 sides × quantity', near(fixed[0].amount, 3.4) && near(fixed[1].amount, 5.52) && fixed[2].sides === 4);
+    check('tier picked by the month\'s volume so far',
+        calc.scheduleCommission(tiered, 1, 11)[0].rate === 1 && calc.scheduleCommission(tiered, 1, 12)[0].label === 'Broker (tier 2)');
+    check('volume past the last limit stays in the last tier',
+        calc.scheduleCommission({ type: 'tiered', tiers: [{ upTo: 10, rate: 1 }, { upTo: 20, rate: 0.7 }] }, 1, 50)[0].rate === 0.7);
+    check('validation lists every problem', calc.validateCommissionSchedule({
+        type: 'tiered', tiers: [{ upTo: 10, rate: 1 }, { upTo: 5, rate: -1 }, { upTo: null, rate: 0.5 }], fees: [{ name: '', perSide: 1 }]
+    }).length === 3);
+    check('a valid schedule has no problems', calc.validateCommissionSchedule(tiered).length === 0 &&
+        calc.validateCommissionSchedule({ type: 'fixed', rate: NaN }).length === 1);
+
+    console.log('\n=== Saving a schedule re-prices the account ===');
+    const app = newApp();
+    await quiet(() => importCSV(app, csv, 'feb.csv'));
+    const es = () => app.tradeDatabase.trades.filter(t => t.contract === 'ES1!').sort((a, b) => new Date(a.exitTime) - new Date(b.exitTime));
+    const nq = () => app.tradeDatabase.trades.find(t => t.contract === 'NQ1!');
+    check('imported at the spec rate', es()[0].totalCommission === 2.5 * 2 * 2 && es()[0].commissionBreakdown === null);
+    es()[0].notes = 'first of the month';
+
+    ui.calls = [];
+    const count = await quiet(() => app.saveCommissionSchedule('TradingView', tiered));
+    check('every TradingView trade recalculated', count === 5 && ui.calls.includes('updateDashboard'));
+    check('first two February trades in tier 1', es().slice(0, 2).every(t => t.commissionBreakdown[0].label === 'Broker (tier 1)'));
+    // The NQ round trip counts toward the account's volume too
+    check('third February trade crosses into tier 2', es()[2].tierVolume === 12 && es()[2].commissionBreakdown[0].rate === 0.5);
+    check('March starts back in tier 1', es()[3].tierVolume === 0 && es()[3].commissionBreakdown[0].rate === 1);
+    check('total is broker rate plus fees', near(es()[0].totalCommission, 4 * (1 + 1.38 + 0.02)) &&
+        near(es()[0].netProfit, 4 * 50 * 2 - 4 * 2.4));
+    check('CSV commissions take precedence', nq().totalCommission === 3 && nq().commissionBreakdown === null);
+    check('notes survive the recalculation', es()[0].notes === 'first of the month');
+
+    let threw = null;
+    try { app.saveCommissionSchedule('TradingView', { type: 'fixed', rate: -1 }); } catch (e) { threw = e.message; }
+    check('invalid schedule throws', threw === 'Rate per side must be 0 or more');
+    check('accounts listed with their schedule', app.getCommissionAccounts().some(a => a.account === 'TradingView' && a.trades === 5 && a.schedule.type === 'tiered'));
+
+    console.log('\n=== Later imports ===');
+    await quiet(() => importCSV(app, later, 'later.csv'));
+    const added = app.tradeDatabase.trades.find(t => t.entryOrderId === '11');
+    check('new trade priced at the month\'s tier', added.tierVolume === 16 && added.commissionBreakdown[0].rate === 0.5);
+
+    console.log('\n=== Persistence ===');
+    const saved = JSON.parse(store.tradle_commission_schedules);
+    check('saved with a timestamp for sync', saved.updatedAt && saved.schedules.TradingView.tiers.length === 2);
+    const other = newApp();
+    check('a fresh app loads the schedules', other.loadCommissionSchedules().TradingView.fees.length === 2);
+    await quiet(() => app.saveTradeDatabase());
+    await quiet(() => other.loadTradeDatabase());
+    const reloaded = other.tradeDatabase.trades.find(t => t.entryOrderId === '5');
+    check('reload keeps the stamped tier', reloaded.commissionBreakdown[0].rate === 0.5);
+
+    console.log('\n=== Remove ===');
+    check('removing re-prices at the spec rate', await quiet(() => app.removeCommissionSchedule('TradingView')) === 6 &&
+        es()[0].totalCommission === 2.5 * 2 * 2 && es()[0].commissionBreakdown === null);
+    check('removing an account without a schedule is a no-op', app.removeCommissionSchedule('IBKR') === 0);
+});
@@ -0,0 +1,69 @@
+// Test: futures contract months — parsing from broker names, per-contract matching, roll calendar, instrument grouping, expired fills
+// Run: node tests/test_contract_months.js
+
+const { check, run, quiet, loadScripts } = require('./helpers');
+const { TimeZone, CSVParser, TradeCalculator } = loadScripts('js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js');
+
+// A position rolled from March to June: the March exit and the June entry share a minute
+const tradovateCsv = `Fill ID,Order ID,Timestamp,Date,B/S,Quantity,Price,Contract,Product,Product Description,Commission
+f1,301,2026-03-02T14:30:00Z,3/2/26,Buy,1,6000,ESH6,ES,E-mini S&P 500,$0
+f2,302,2026-03-12T14:30:00Z,3/12/26,Sell,1,6010,ESH6,ES,E-mini S&P 500,$0
+f3,303,2026-03-12T14:30:00Z,3/12/26,Buy,1,6050,ESM6,ES,E-mini S&P 500,$0
+f4,304,2026-03-20T14:30:00Z,3/20/26,Sell,1,6040,ESM6,ES,E-mini S&P 500,$0
+f5,305,2026-03-23T14:30:00Z,3/23/26,Buy,1,6000,ESH6,ES,E-mini S&P 500,$0`;
+
+const tvHeader = 'Symbol,Side,Type,Qty,Limit Price,Stop Price,Fill Price,Status,Commission,Placing Time,Closing Time,Order ID,Level ID,Leverage,Margin';
+const tvCsv = [tvHeader,
+    'CME_MINI:ESH2026,Buy,Market,1,,,6000,Filled,,2026-03-02 15:00:00,2026-03-02 15:00:00,t1,,,',
+    'CME_MINI:ESH2026,Sell,Market,1,,,6004,Filled,,2026-03-02 15:10:00,2026-03-02 15:10:00,t2,,,'
+].join('\n');
+
+run(async () => {
+    const parser = new CSVParser();
+    const calc = new TradeCalculator();
+
+    console.log('=== Contract month from the broker name ===');
+    const month = (name, ref) => (parser.parseContractMonth(name, ref) || {}).contractMonth;
+    check('NinjaTrader "ES 03-26"', month('ES 03-26') === '2026-03');
+    check('two-digit year "MNQM26"', month('MNQM26') === '2026-06');
+    check('one-digit year near the fill date', month('ESH6', '2026-02-01') === '2026-03' && month('ESZ9', '2026-02-01') === '2029-12' &&
+        month('ESZ5', '2026-02-01') === '2025-12');
+    check('TradingView "CME_MINI:ESH2026"', month('CME_MINI:ESH2026') === '2026-03');
+    const ib = parser.parseContractMonth("Mar20 '26");
+    check('IBKR "Mar20 \'26" gives the expiry day', ib.contractMonth === '2026-03' && ib.expiry === '2026-03-20');
+    check('stocks and CFDs have none', parser.parseContractMonth('AAPL') === null && parser.parseContractMonth('HK50') === null &&
+        parser.parseContractMonth('6E') === null);
+
+    console.log('\n=== Imports keep the contract month ===');
+    const tv = await quiet(() => parser.parseCSV(tvCsv, 'tradingview', { timeZone: 'UTC' }));
+    check('TradingView contract traded under the continuous ticker', tv.orders[0].symbol === 'CME_MINI:ES1!' && tv.orders[0].contractMonth === '2026-03');
+    const tdv = await quiet(() => parser.parseCSV(tradovateCsv, 'tradovate'));
+    check('Tradovate fills stamped', tdv.orders.map(o => o.contractMonth).join() === '2026-03,2026-03,2026-06,2026-06,2026-03');
+    const result = await quiet(() => calc.processOrders(tdv.orders));
+    check('a roll is two trades, not a cross-contract match', result.trades.length === 2 &&
+        result.trades.map(t => t.contractMonth).join() === '2026-03,2026-06' && result.trades[0].grossProfit === 500);
+
+    console.log('\n=== Roll calendar ===');
+    check('ES: third Friday, rolls the Thursday a week before', calc.lastTradeDate('ES', '2026-03') === '2026-03-20' && calc.rollDate('ES', '2026-03') === '2026-03-12');
+    check('CL: three business days before the 25th of the prior month', calc.lastTradeDate('CL', '2026-05') === '2026-04-21');
+    check('CL: four when the 25th is a weekend', calc.lastTradeDate('CL', '2026-08') === '2026-07-21');
+    check('GC: third-last business day', calc.lastTradeDate('GC', '2026-12') === '2026-12-29');
+    check('no rules for unlisted roots', calc.lastTradeDate('AAPL', '2026-03') === null && calc.rollCalendar('AAPL', '2026-03-01').length === 0);
+    const upcoming = calc.rollCalendar('ES', '2026-03-16', 3);
+    check('calendar lists contracts still trading', upcoming.map(c => c.code).join() === 'ESH26,ESM26,ESU26');
+    check('front contract is past the roll', upcoming.find(c => c.front).code === 'ESM26');
+
+    console.log('\n=== Group by root or contract ===');
+    const byRoot = calc.groupByInstrument(result.trades);
+    check('by root: one ES row', byRoot.length === 1 && byRoot[0].key === 'ES' && byRoot[0].totalTrades === 2);
+    const byContract = calc.groupByInstrument(result.trades, 'contract');
+    check('by contract: one row per month', byContract.map(g => g.key).sort().join() === 'ESH26,ESM26');
+    check('trades without a month stay under the root', calc.instrumentKey({ contract: 'NQ1!' }, 'contract') === 'NQ' &&
+        calc.instrumentKey({ contract: 'ES1!', expiry: '2026-06-19' }, 'contract') === 'ESM26');
+
+    console.log('\n=== Expired fills ===');
+    const expired = calc.expiredFills(tdv.orders);
+    check('the March fill after the last trade date flagged', expired.length === 1 && expired[0].order.orderId === 'f5' &&
+        expired[0].code === 'ESH26' && expired[0].lastTrade === '2026-03-20');
+    check('statement expiry wins over the calendar', calc.expiredFills([{ symbol: 'ES1!', expiry: '2026-03-19', placingTime: new Date('2026-03-20T14:00:00Z') }]).length === 1);
+});
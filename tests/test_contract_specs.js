@@ -0,0 +1,92 @@
+// Test: contract spec registry — built-in tick sizes, user edits and added instruments, persistence, trade recalculation
+// Run: node tests/test_contract_specs.js
+
+const { check, run, quiet, stubLocalStorage, loadScripts } = require('./helpers');
+
+const store = stubLocalStorage();
+const { TimeZone, CSVParser, TradeCalculator, TradleApp } = loadScripts('js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js', 'js/main.js');
+
+const csv = [
+    'Symbol,Side,Type,Qty,Limit Price,Stop Price,Fill Price,Status,Commission,Placing Time,Closing Time,Order ID,Level ID,Leverage,Margin',
+    'CME_MINI:ES1!,Buy,Market,2,,,6970.00,Filled,,2/10/26 15:56,2/10/26 15:56,1001,,,',
+    'CME_MINI:ES1!,Sell,Market,2,,,6976.00,Filled,,2/10/26 16:05,2/10/26 16:05,1002,,,',
+    'CME_MINI:NQ1!,Buy,Market,1,,,21000,Filled,,2/10/26 17:00,2/10/26 17:00,1003,,,',
+    'CME_MINI:NQ1!,Sell,Market,1,,,21010,Filled,,2/10/26 17:05,2/10/26 17:05,1004,,,'
+].join('\n');
+
+const ui = { calls: [] };
+['updateDashboard', 'hideDashboard', 'showToast', 'showUploadStatus', 'hideUploadStatus', 'hideLoading', 'renderUploadHistory']
+    .forEach(name => { ui[name] = () => ui.calls.push(name); });
+const newApp = () => {
+    const app = Object.create(TradleApp.prototype);
+    app.csvParser = new CSVParser();
+    app.tradeCalculator = new TradeCalculator();
+    app.uiController = ui;
+    app.tradeDatabase = { trades: [], orderIds: new Set(), openLots: [], lastUpdated: null };
+    app.currentData = null;
+    return app;
+};
+const spec = (overrides = {}) => ({
+    symbol: 'ES1!', name: 'E-mini S&P 500', multiplier: 50, tickSize: 0.25, commission: 1.25,
+    currency: 'USD', exchange: 'CME', session: '17:00-16:00', ...overrides
+});
+
+run(async () => {
+
+    console.log('=== Built-in registry ===');
+    const calc = new TradeCalculator();
+    const es = calc.getContractSpecs('CME_MINI:ES1!');
+    check('tick size and tick value', es.tickSize === 0.25 && es.tickValue === 12.5);
+    check('currency defaults to USD', es.currency === 'USD');
+    check('CFDs have no tick size', calc.getContractSpecs('NAS100').tickSize === null);
+    check('unknown symbol falls back to the defaults', calc.getContractSpecs('XYZ') === calc.DEFAULT_SPECS);
+    check('validation lists every problem',
+        calc.validateContractSpec(spec({ symbol: '', multiplier: 0, tickSize: -1, commission: -1, currency: 'usd', session: '9-5' })).length === 6);
+
+    console.log('\n=== Editing a spec recalculates stored trades ===');
+    const app = newApp();
+    const parseResult = await quiet(() => app.csvParser.parseCSV(csv, 'tradingview', { timeZone: 'UTC' }));
+    const tradeResult = await quiet(() => app.tradeCalculator.processOrders(parseResult.orders));
+    app.pendingImport = { file: { name: 'es.csv' }, format: 'tradingview', csvContent: null, parseResult, tradeResult, startTime: Date.now() };
+    await quiet(() => app.confirmImport());
+    const esTrade = () => app.tradeDatabase.trades.find(t => t.contract === 'ES1!');
+    const nqTrade = () => app.tradeDatabase.trades.find(t => t.contract === 'NQ1!');
+    check('imported at the built-in rate', esTrade().totalCommission === 2.5 * 2 * 2);
+    esTrade().notes = 'held through the open';
+    const nqBefore = nqTrade();
+
+    ui.calls = [];
+    const count = await quiet(() => app.saveContractSpec(spec()));
+    check('only the ES trade recalculated', count === 1 && nqTrade() === nqBefore);
+    check('new commission per side applied', esTrade().totalCommission === 1.25 * 2 * 2 && esTrade().netProfit === 6 * 50 * 2 - 5);
+    check('notes survive the recalculation', esTrade().notes === 'held through the open');
+    check('dashboard refreshed', ui.calls.includes('updateDashboard'));
+    check('spec lookup sees the edit', app.tradeCalculator.getContractSpecs('ES1!').exchange === 'CME');
+
+    await quiet(() => app.saveContractSpec(spec({ symbol: 'EUREX:fdax', name: 'DAX Future', multiplier: 25, tickSize: 0.5, commission: 2, currency: 'EUR', exchange: 'EUREX', session: '' })));
+    const fdax = app.tradeCalculator.getContractSpecs('EUREX:FDAX');
+    check('added instrument: prefix dropped, upper-cased', fdax.multiplier === 25 && fdax.currency === 'EUR' && fdax.tickValue === 12.5);
+    const all = app.tradeCalculator.getAllContractSpecs();
+    check('registry flags edits and additions', all['ES1!'].builtIn && all['ES1!'].custom && !all.FDAX.builtIn && !all['NQ1!'].custom);
+
+    let threw = null;
+    try { app.saveContractSpec(spec({ multiplier: -5 })); } catch (e) { threw = e.message; }
+    check('invalid spec throws', threw === 'Multiplier must be greater than 0');
+
+    console.log('\n=== Persistence ===');
+    const saved = JSON.parse(store.tradle_contract_specs);
+    check('saved with a timestamp for sync', saved.updatedAt && saved.specs['ES1!'].commission === 1.25 && saved.specs.FDAX);
+    const other = newApp();
+    other.loadContractSpecs();
+    check('a fresh app loads the edits', other.tradeCalculator.getContractSpecs('ES1!').commission === 1.25 &&
+        other.tradeCalculator.getContractSpecs('FDAX').multiplier === 25);
+    store.tradle_contract_specs = '{broken';
+    check('unreadable settings fall back to the built-ins', Object.keys(other.loadContractSpecs()).length === 0);
+
+    console.log('\n=== Reset ===');
+    check('reset recalculates back to the built-in rate', await quiet(() => app.resetContractSpec('ES1!')) === 1 &&
+        esTrade().totalCommission === 2.5 * 2 * 2);
+    await quiet(() => app.resetContractSpec('FDAX'));
+    check('added instrument removed', app.tradeCalculator.getContractSpecs('FDAX') === app.tradeCalculator.DEFAULT_SPECS);
+    check('resetting a built-in with no edits is a no-op', app.resetContractSpec('NQ1!') === 0);
+});
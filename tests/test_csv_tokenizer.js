@@ -0,0 +1,118 @@
+// Test: RFC 4180 tokenizer — quoted newlines, doubled quotes, BOM, CRLF, ';' / tab delimiters
+// Run: node tests/test_csv_tokenizer.js
+
+const { check, run, loadScripts } = require('./helpers');
+const { CSVParser, TradeCalculator } = loadScripts('js/csvParser.js', 'js/tradeCalculator.js');
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+run(async () => {
+    const parser = new CSVParser();
+
+    console.log('=== Tokenizer ===');
+    let t = parser.tokenizeCSV('a,"b ""quoted"" text",c\n1,2,3');
+    check('doubled quotes unescaped', same(t.records[0], ['a', 'b "quoted" text', 'c']));
+
+    t = parser.tokenizeCSV('note,qty\n"line one\nline two",5\n"x",6');
+    check('quoted newline stays inside one field', same(t.records[1], ['line one\nline two', '5']));
+    check('record after a multiline field starts on the right line', same(t.lineNumbers, [0, 1, 3]));
+
+    t = parser.tokenizeCSV('\uFEFFSymbol,Qty\r\nES1!,1\r\n\r\nNQ1!,2\r\n');
+    check('BOM stripped from first header', t.records[0][0] === 'Symbol');
+    check('CRLF handled and blank line skipped', t.records.length === 3 && same(t.records[2], ['NQ1!', '2']));
+    check('line numbers count the skipped blank line', t.lineNumbers[2] === 3);
+
+    t = parser.tokenizeCSV('a,b\rc,d');
+    check('bare CR line endings', t.records.length === 2 && same(t.records[1], ['c', 'd']));
+
+    t = parser.tokenizeCSV('a,,c,\n');
+    check('empty and trailing empty fields kept', same(t.records[0], ['a', '', 'c', '']));
+
+    check('semicolon delimiter detected', parser.detectDelimiter('Symbol;Side;Qty;"Fill, Price"') === ';');
+    check('tab delimiter detected', parser.detectDelimiter('Symbol\tSide\tQty') === '\t');
+    check('comma is the default', parser.detectDelimiter('Symbol') === ',');
+
+    t = parser.tokenizeCSV('Symbol;Note\nES1!;"a;b"');
+    check('quoted delimiter not split', t.delimiter === ';' && same(t.records[1], ['ES1!', 'a;b']));
+
+    check('parseCSVLine keeps doubled quotes', same(parser.parseCSVLine('"5"" screen",x'), ['5" screen', 'x']));
+    check('parseCSVLine tolerates space before quote', same(parser.parseCSVLine('a, "b,c"'), ['a', 'b,c']));
+
+    console.log('\n=== Decimal commas ===');
+    check('6976,75 → 6976.75', parser.normalizeDecimalComma('6976,75') === '6976.75');
+    check('87.209,38 USD → 87209.38 USD', parser.normalizeDecimalComma('87.209,38 USD') === '87209.38 USD');
+    check('dates untouched', parser.normalizeDecimalComma('2026-02-09 16:40') === '2026-02-09 16:40');
+
+    console.log('\n=== TradingView path ===');
+    const tvHeader = 'Symbol,Side,Type,Qty,Limit Price,Stop Price,Fill Price,Status,Commission,Placing Time,Closing Time,Order ID,Level ID,Leverage,Margin';
+    const tv = [
+        tvHeader,
+        'CME_MINI:ES1!,Sell,Market,1,,,6976.75,Filled,,2/9/26 16:40,2/9/26 16:40,2741094918,,20:1,"87,209.38 USD"',
+        'CME_MINI:ES1!,Buy,Limit,1,6971,,6970.75,Filled,,2/9/26 16:31,2/9/26 16:31,2741028262,,20:1,"87,137.50 USD"'
+    ].join('\r\n');
+    const tvResult = await parser.parseCSV(tv, 'tradingview');
+    check('CRLF TradingView export parsed', tvResult.orders.length === 2 && tvResult.orders[0].fillPrice === 6970.75);
+
+    const tvSemicolon = [
+        tvHeader.replace(/,/g, ';'),
+        'CME_MINI:ES1!;Sell;Market;5;;;6976,75;Filled;;2/9/26 16:40;2/9/26 16:40;2741094918;;20:1;87.209,38 USD',
+        'CME_MINI:ES1!;Buy;Limit;5;6971;;6970,75;Filled;;2/9/26 16:31;2/9/26 16:31;2741028262;;20:1;87.137,50 USD'
+    ].join('\n');
+    const semi = await parser.parseCSV(tvSemicolon, 'tradingview');
+    check('semicolon export with decimal commas parsed', semi.orders.length === 2 && semi.orders[1].fillPrice === 6976.75);
+    check('margin decimal comma normalized', semi.orders[1].margin === '87209.38 USD');
+    const calc = new TradeCalculator();
+    const trades = calc.processOrders(semi.orders).trades;
+    check('semicolon export matches the comma export', trades.length === 1 && Math.abs(trades[0].grossProfit - 6 * 5 * 50) < 1);
+
+    console.log('\n=== IBKR path ===');
+    const ibkr = [
+        'Symbol,Side,Qty,Fill Price,Time,Net Amount,Commission,Description',
+        'ESH6,Buy,1,6000.00,2026-03-02 09:30:00,"300,000.00",2.25,"Opened at open,\n""gap"" fill"',
+        'ESH6,Sell,1,6002.00,2026-03-02 09:45:00,"300,100.00",2.25,'
+    ].join('\n');
+    const ib = await parser.parseCSV(ibkr, 'ibkr');
+    check('multiline quoted description does not break the row', ib.orders.length === 2 && ib.stats.errors === 0);
+    check('order id uses the record start line', ib.orders[1].orderId.endsWith('_3'));
+
+    const ibkrTab = 'Symbol\tSide\tQty\tFill Price\tTime\tNet Amount\tCommission\nESH6\tBuy\t1\t6000,00\t2026-03-02 09:30:00\t300000\t2,25';
+    const ibTab = await parser.parseCSV(ibkrTab, 'ibkr');
+    check('tab-separated IBKR export parsed', ibTab.orders.length === 1 && ibTab.orders[0].fillPrice === 6000 && ibTab.orders[0].commission === 2.25);
+
+    console.log('\n=== Broker exports ===');
+    const ninjaSemicolon = '\uFEFF' + [
+        'Instrument;Action;Quantity;Price;Time;ID;E/X;Commission',
+        'ES 03-26;Buy;2;6010,25;3/2/2026 9:31:05 AM;ex1;Entry;4,12',
+        'ES 03-26;Sell;2;6014,75;3/2/2026 9:45:10 AM;ex2;Exit;4,12'
+    ].join('\r\n');
+    check('BOM-prefixed semicolon NinjaTrader export detected', parser.detectFormat(ninjaSemicolon) === 'ninjatrader');
+    const nt = await parser.parseCSV(ninjaSemicolon, 'ninjatrader');
+    check('NinjaTrader decimal commas parsed', nt.orders.length === 2 && nt.orders[1].fillPrice === 6014.75 && nt.orders[0].commission === 4.12);
+
+    const tradovateFills = [
+        'Fill ID,Order ID,Timestamp,B/S,Quantity,Price,Contract,Product Description,Commission',
+        'f1,201,2026-03-03T14:30:00Z,Sell,1,21010.5,NQH6,"E-mini Nasdaq-100,\nquarterly",$2.09',
+        'f2,202,2026-03-03T14:41:00Z,Buy,1,21000,NQH6,E-mini Nasdaq-100,$2.09'
+    ].join('\n');
+    const tvd = await parser.parseCSV(tradovateFills, 'tradovate');
+    check('Tradovate multiline quoted field keeps the row whole', tvd.orders.length === 2 && tvd.stats.errors === 0);
+    check('Tradovate rows report the line they start on', tvd.orders.find(o => o.orderId === 'f2').sourceLine === 4);
+
+    const rithmic = '\uFEFF' + [
+        'Completed Orders',
+        'Account,Status,Buy/Sell,Symbol,Avg Fill Price,Qty Filled,Update Time,Order Number',
+        'APEX-1,Filled,B,CLK6,71.25,2,2026-03-04 09:00:01,r1',
+        'APEX-1,Filled,S,CLK6,71.05,2,2026-03-04 09:20:00,r3'
+    ].join('\r\n');
+    check('BOM-prefixed Rithmic export detected', parser.detectFormat(rithmic) === 'rithmic');
+    check('Rithmic CRLF export parsed', (await parser.parseCSV(rithmic, 'rithmic')).orders.length === 2);
+
+    const mtSemicolon = [
+        'Time;Deal;Symbol;Type;Direction;Volume;Price;Order;Commission;Fee;Swap;Profit;Balance;Comment',
+        '2026.03.11 10:00:00;2;GBPUSD;buy;in;1;1,27000;11;-7,00;0,00;0,00;0,00;5000,00;"opened;manually"',
+        '2026.03.11 12:00:00;3;GBPUSD;sell;out;1;1,27200;12;-7,00;0,00;0,00;200,00;5193,00;'
+    ].join('\n');
+    check('semicolon MetaTrader CSV detected', parser.detectFormat(mtSemicolon) === 'metatrader');
+    const mt = await parser.parseCSV(mtSemicolon, 'metatrader');
+    check('MetaTrader decimal commas and quoted delimiter parsed', mt.orders.length === 2 && mt.orders[1].fillPrice === 1.272);
+});
@@ -0,0 +1,60 @@
+// Test: custom column-mapping profiles — save, auto-detect, parse, and P&L via TradeCalculator
+// Run: node tests/test_custom_profiles.js
+
+const { check, run, stubLocalStorage, loadScripts } = require('./helpers');
+
+// CSVParser persists profiles to localStorage
+stubLocalStorage();
+const { CSVParser, TradeCalculator } = loadScripts('js/csvParser.js', 'js/tradeCalculator.js');
+
+const csv = `Instrument,Action,Quantity,Avg Price,Exec Time,Fees,Exec ID
+ES1!,BOT,2,5000.25,2026-03-02 09:31:00,4.12,A1
+ES1!,SLD,2,5004.75,2026-03-02 09:45:10,4.12,A2
+NQ1!,S,1,18000,2026-03-02 10:00:00,2.06,A3
+NQ1!,B,1,17990.5,2026-03-02 10:05:00,2.06,A4`;
+
+run(async () => {
+    const parser = new CSVParser();
+    const headers = parser.getCSVHeaders(csv);
+
+    console.log('=== Guessing a mapping ===');
+    const guess = parser.guessColumnMapping(headers);
+    console.log(guess);
+    check('symbol guessed as Instrument', guess.symbol === 'Instrument');
+    check('side guessed as Action', guess.side === 'Action');
+    check('commission guessed as Fees', guess.commission === 'Fees');
+
+    console.log('\n=== Unknown file falls back to built-in detection ===');
+    check('no profile → tradingview fallback', parser.detectFormat(csv) === 'tradingview');
+
+    console.log('\n=== Saving a profile ===');
+    let threw = false;
+    try { parser.saveImportProfile({ name: 'Broken', mapping: { symbol: 'Instrument' } }); } catch { threw = true; }
+    check('missing required fields rejected', threw);
+
+    parser.saveImportProfile({
+        name: 'Acme Futures',
+        broker: 'Acme',
+        mapping: { ...guess, fillPrice: 'Avg Price', time: 'Exec Time', orderId: 'Exec ID' },
+        headers
+    });
+    check('profile stored', parser.getImportProfiles().length === 1);
+    check('detectFormat picks saved profile', parser.detectFormat(csv) === 'custom:Acme Futures');
+    check('broker label comes from profile', parser.getBrokerLabel('custom:Acme Futures') === 'Acme');
+
+    console.log('\n=== Parsing with the profile ===');
+    const result = await parser.parseCSV(csv, 'auto');
+    console.log(result.stats);
+    check('4 orders parsed', result.orders.length === 4);
+    check('BOT normalized to Buy', result.orders[0].side === 'Buy');
+    check('order id taken from Exec ID', result.orders[0].orderId === 'A1');
+    check('broker set on orders', result.orders.every(o => o.broker === 'Acme'));
+
+    const calc = new TradeCalculator();
+    const { trades, summary } = calc.processOrders(result.orders);
+    trades.forEach(t => console.log(`  ${t.side} ${t.contract} ${t.entryPrice} → ${t.exitPrice} net ${t.netProfit.toFixed(2)}`));
+    check('2 trades matched', trades.length === 2);
+    check('ES long net = 4.5 * 2 * 50 - 8.24', Math.abs(trades[0].netProfit - (450 - 8.24)) < 0.01);
+    check('NQ short net = 9.5 * 20 - 4.12', Math.abs(trades[1].netProfit - (190 - 4.12)) < 0.01);
+    console.log(`  Total: ${summary.totalProfit.toFixed(2)}`);
+});
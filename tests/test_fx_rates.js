@@ -0,0 +1,110 @@
+// Test: multi-currency P&L — quote currencies, FX rate table and file import, conversion to the base currency
+// Run: node tests/test_fx_rates.js
+
+const { check, run, quiet, stubLocalStorage, loadScripts } = require('./helpers');
+
+const store = stubLocalStorage();
+const { TimeZone, CSVParser, TradeCalculator, TradleApp } = loadScripts('js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js', 'js/main.js');
+
+const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+const ui = { calls: [] };
+['updateDashboard', 'hideDashboard', 'showToast', 'showUploadStatus', 'hideUploadStatus', 'hideLoading', 'renderUploadHistory']
+    .forEach(name => { ui[name] = () => ui.calls.push(name); });
+
+// A manual-style trade on `contract`, closed on 2026-02-10
+const trade = (calc, contract, fields = {}) => calc.calculateTrade({
+    contract, side: 'LONG', quantity: 1, entryPrice: 100, exitPrice: 110, broker: 'Manual',
+    entryTime: new Date('2026-02-10T10:00:00Z'), exitTime: new Date('2026-02-10T11:00:00Z'),
+    entryOrder: { symbol: contract, commission: '' }, exitOrder: { symbol: contract, commission: '' }, ...fields
+});
+
+run(async () => {
+
+    console.log('=== Rate lookup ===');
+    const calc = new TradeCalculator();
+    calc.fxRates = {
+        EURUSD: { '2026-02-09': 1.08, '2026-02-11': 1.1 },
+        GBPUSD: { '2026-02-10': 1.25 },
+        USDJPY: { '2026-02-10': 150 }
+    };
+    check('same currency is 1', calc.fxRate('EUR', 'EUR', '2026-02-10') === 1);
+    check('latest rate on or before the day', calc.fxRate('EUR', 'USD', '2026-02-10') === 1.08 && calc.fxRate('EUR', 'USD', '2026-03-01') === 1.1);
+    check('days before the table use its first rate', calc.fxRate('EUR', 'USD', '2025-12-31') === 1.08);
+    check('inverse pair', near(calc.fxRate('USD', 'GBP', '2026-02-10'), 1 / 1.25));
+    check('cross through USD', near(calc.fxRate('EUR', 'GBP', '2026-02-10'), 1.08 / 1.25) && near(calc.fxRate('JPY', 'EUR', '2026-02-10'), 1 / 150 / 1.08));
+    check('no rate is null', calc.fxRate('CHF', 'USD', '2026-02-10') === null);
+
+    console.log('\n=== Trades in their quote currency ===');
+    const es = trade(calc, 'ES1!');
+    const dax = trade(calc, 'GER40');
+    check('USD futures stay USD', es.currency === 'USD');
+    check('instrument quote currency from the spec', dax.currency === 'EUR' && dax.netProfit === 10);
+    check('broker-reported currency wins', trade(calc, 'GER40', { entryOrder: { symbol: 'GER40', commission: '', currency: 'GBP' } }).currency === 'GBP');
+    check('spec edits can declare a currency', (calc.customSpecs = { FDAX: { multiplier: 25, commission: 0, currency: 'EUR' } },
+        trade(calc, 'EUREX:FDAX').currency === 'EUR'));
+    // GBPJPY on a USD account: margin × leverage implies JPY → USD, but the P&L stays in yen
+    const gj = trade(calc, 'GBPJPY', { quantity: 10000, entryPrice: 190, exitPrice: 191, margin: 1900000 / 150 / 50, leverage: '50:1' });
+    check('JPY-quoted pair keeps its yen P&L', gj.currency === 'JPY' && near(gj.grossProfit, 10000));
+    check('implied rate kept as a fallback', near(gj.impliedFxRate, 1 / 150));
+
+    console.log('\n=== Converting to the base currency ===');
+    const usd = calc.convertTrade(dax, 'USD');
+    check('P&L converted at the exit day\'s rate', near(usd.netProfit, 10.8) && usd.currency === 'USD' && usd.returnValue === 11);
+    check('native P&L kept on the trade', usd.native.currency === 'EUR' && usd.native.netProfit === 10 && usd.fxRate === 1.08);
+    check('base-currency trades pass through', calc.convertTrade(es, 'USD') === es);
+    check('same array when nothing needs converting', (() => { const list = [es]; return calc.toBaseCurrency(list, 'USD') === list; })());
+    const gbp = calc.toBaseCurrency([es, dax], 'GBP');
+    check('every trade converted to a GBP base', near(gbp[0].netProfit, es.netProfit / 1.25) && near(gbp[1].netProfit, 10 * 1.08 / 1.25));
+    const swiss = calc.convertTrade(trade(calc, 'EURCHF'), 'USD');
+    check('no rate: unconverted and flagged', swiss.fxMissing === true && swiss.currency === 'CHF' && !swiss.native);
+    calc.fxRates = {};
+    check('implied rate used when the table has none', near(calc.convertTrade(gj, 'USD').netProfit, gj.netProfit / 150));
+    const summary = calc.generateSummary(calc.toBaseCurrency([usd, es], 'USD'));
+    check('summary adds up in the base currency', near(summary.totalProfit, usd.netProfit + es.netProfit));
+
+    console.log('\n=== Rate files ===');
+    const parser = new CSVParser();
+    const long = await quiet(() => parser.parseFxRatesCSV('Date,Pair,Rate\n2026-02-10,EUR/USD,1.0812\n2026-02-11,eurusd,1.09\nbad,EURUSD,1\n2026-02-12,EURUSD,-1'));
+    check('Date,Pair,Rate rows', long.rates.length === 2 && long.rates[0].pair === 'EURUSD' && long.rates[0].day === '2026-02-10');
+    check('bad rows reported with their line', long.errors.length === 2 && long.errors[0].line === 4);
+    const split = await quiet(() => parser.parseFxRatesCSV('date;from;to;rate\n10/02/2026;GBP;USD;1,2534'));
+    check('From/To columns, semicolons and decimal commas', split.rates[0].pair === 'GBPUSD' && split.rates[0].rate === 1.2534);
+    parser.dateOptions.dateOrder = 'DMY';
+    check('slash dates follow the date order', (await quiet(() => parser.parseFxRatesCSV('Date,Pair,Rate\n10/02/2026,GBPUSD,1.25'))).rates[0].day === '2026-02-10');
+    const wide = await quiet(() => parser.parseFxRatesCSV('Date,EURUSD,USD/JPY\n2026-02-10,1.08,150.2\n2026-02-11,1.09,'));
+    check('one column per pair; blank cells skipped', wide.rates.length === 3 && wide.rates[1].pair === 'USDJPY');
+    let threw = false;
+    try { parser.parseFxRatesCSV('Date,Close\n2026-02-10,1'); } catch { threw = true; }
+    check('a file with no pair is rejected', threw);
+
+    console.log('\n=== Settings ===');
+    const app = Object.create(TradleApp.prototype);
+    app.csvParser = new CSVParser();
+    app.tradeCalculator = new TradeCalculator();
+    app.uiController = ui;
+    app.tradeDatabase = { trades: [trade(app.tradeCalculator, 'GER40'), trade(app.tradeCalculator, 'UK100')], orderIds: new Set(), openLots: [], lastUpdated: null };
+    app.currentData = null;
+
+    check('trades with no rate listed as missing', app.getMissingFxRates().map(m => m.currency).join() === 'EUR,GBP');
+    ui.calls = [];
+    const result = await quiet(() => app.importFxRates('Date,Pair,Rate\n2026-02-09,EURUSD,1.08\n2026-02-10,EURUSD,1.085'));
+    check('imported file merged into the table', result.imported === 2 && Object.keys(app.tradeCalculator.fxRates.EURUSD).length === 2);
+    check('dashboard redrawn', ui.calls.includes('updateDashboard'));
+    await quiet(() => app.saveFxRate({ pair: 'gbp/usd', day: '2026-02-10', rate: 1.25 }));
+    check('hand-entered rate normalised', app.tradeCalculator.fxRates.GBPUSD['2026-02-10'] === 1.25);
+    check('nothing missing once both currencies have rates', app.getMissingFxRates().length === 0);
+    threw = null;
+    try { app.saveFxRate({ pair: 'EUREUR', day: '2026-02-10', rate: 1 }); } catch (e) { threw = e.message; }
+    check('invalid rate throws', threw === 'Pair must be two 3-letter codes, e.g. EURUSD');
+    await quiet(() => app.setBaseCurrency('eur'));
+    check('base currency saved', app.tradeCalculator.baseCurrency === 'EUR');
+    const saved = JSON.parse(store.tradle_fx_rates);
+    check('saved with a timestamp for sync', saved.updatedAt && saved.baseCurrency === 'EUR' && saved.rates.GBPUSD);
+
+    const other = Object.create(TradleApp.prototype);
+    other.tradeCalculator = new TradeCalculator();
+    other.loadFxRates();
+    check('a fresh app loads the table and base', other.tradeCalculator.baseCurrency === 'EUR' && other.tradeCalculator.fxRates.EURUSD['2026-02-09'] === 1.08);
+    check('removing a pair', await quiet(() => app.removeFxPair('GBPUSD')) && !app.tradeCalculator.fxRates.GBPUSD && !app.removeFxPair('GBPUSD'));
+});
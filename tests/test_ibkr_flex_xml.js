@@ -0,0 +1,54 @@
+// Test: IBKR Flex Query XML (Trades section) → orders with real contract metadata → trades
+// Run: node tests/test_ibkr_flex_xml.js
+
+const { check, run, loadScripts } = require('./helpers');
+const { CSVParser, TradeCalculator } = loadScripts('js/csvParser.js', 'js/tradeCalculator.js');
+
+const flexXml = `<?xml version="1.0" encoding="UTF-8"?>
+<FlexQueryResponse queryName="Tradle" type="AF">
+<FlexStatements count="1">
+<FlexStatement accountId="U1234567" fromDate="20260302" toDate="20260306" period="LastWeek" whenGenerated="20260307;101500">
+<Trades>
+<Trade accountId="U1234567" currency="USD" assetCategory="FUT" symbol="MESH6" description="MES 20MAR26" conid="730283085" underlyingSymbol="MES" multiplier="5" expiry="20260320" tradeID="1001" dateTime="20260302;093105" tradeDate="20260302" buySell="BUY" quantity="4" tradePrice="6001.25" ibCommission="-2.48" ibCommissionCurrency="USD" ibExecID="0000e0d5.1" levelOfDetail="EXECUTION" />
+<Trade accountId="U1234567" currency="USD" assetCategory="FUT" symbol="MESH6" description="MES 20MAR26" conid="730283085" underlyingSymbol="MES" multiplier="5" expiry="20260320" tradeID="1002" dateTime="20260302;101500" tradeDate="20260302" buySell="SELL" quantity="-4" tradePrice="6007.00" ibCommission="-2.48" ibCommissionCurrency="USD" ibExecID="0000e0d5.2" levelOfDetail="EXECUTION" />
+<Trade accountId="U1234567" currency="USD" assetCategory="FUT" symbol="MESH6" description="MES 20MAR26" conid="730283085" underlyingSymbol="MES" multiplier="5" expiry="20260320" tradeID="1002" dateTime="20260302;101500" buySell="SELL" quantity="-4" tradePrice="6007.00" ibCommission="-2.48" levelOfDetail="ORDER" />
+<Trade accountId="U1234567" currency="USD" assetCategory="FUT" symbol="6BM6" description="6B 15JUN26" conid="512345678" underlyingSymbol="6B" multiplier="62500" expiry="20260615" tradeID="1003" dateTime="2026-03-03;14:00:00" buySell="SELL" quantity="-1" tradePrice="1.2650" ibCommission="-2.47" ibExecID="0000e0d5.3" levelOfDetail="EXECUTION" />
+<Trade accountId="U1234567" currency="USD" assetCategory="FUT" symbol="6BM6" description="6B 15JUN26" conid="512345678" underlyingSymbol="6B" multiplier="62500" expiry="20260615" tradeID="1004" dateTime="2026-03-03;15:30:00" buySell="BUY" quantity="1" tradePrice="1.2630" ibCommission="-2.47" ibExecID="0000e0d5.4" levelOfDetail="EXECUTION" />
+<Trade accountId="U1234567" currency="USD" assetCategory="FUT" symbol="XYZH6" description="NEW 20MAR26" conid="999" underlyingSymbol="XYZ" multiplier="40" expiry="20260320" tradeID="1005" dateTime="20260304;100000" buySell="BUY" quantity="1" tradePrice="100" ibCommission="-1" ibExecID="e5" levelOfDetail="EXECUTION" />
+<Trade accountId="U1234567" currency="USD" assetCategory="FUT" symbol="XYZH6" description="NEW 20MAR26" conid="999" underlyingSymbol="XYZ" multiplier="40" expiry="20260320" tradeID="1006" dateTime="20260304;110000" buySell="SELL" quantity="-1" tradePrice="102.5" ibCommission="-1" ibExecID="e6" levelOfDetail="EXECUTION" />
+</Trades>
+</FlexStatement>
+</FlexStatements>
+</FlexQueryResponse>`;
+
+run(async () => {
+    const parser = new CSVParser();
+    const calc = new TradeCalculator();
+
+    console.log('=== Detection ===');
+    check('Flex XML detected as ibkr', parser.detectFormat(flexXml) === 'ibkr');
+    check('.xml accepted for ibkr uploads', parser.validateFile({ name: 'flex.xml', size: 100 }, parser.getAcceptedExtensions('ibkr')).valid);
+    check('.xml rejected for TradingView uploads', !parser.validateFile({ name: 'flex.xml', size: 100 }, parser.getAcceptedExtensions('tradingview')).valid);
+
+    console.log('\n=== Parsing ===');
+    const result = await parser.parseCSV(flexXml, 'ibkr');
+    check('ORDER-level row ignored', result.orders.length === 6);
+    check('stats.format is ibkr_flex', result.stats.format === 'ibkr_flex');
+    const first = result.orders[0];
+    check('underlyingSymbol → MES1!', first.symbol === 'MES1!');
+    check('multiplier from XML', first.multiplier === 5);
+    check('expiry kept', first.expiry === '2026-03-20');
+    check('conid kept', first.conid === '730283085');
+    check('ibCommission made positive', first.commission === 2.48);
+    check('exec id used as order id', first.orderId === '0000e0d5.1');
+    check('dash-style dateTime parsed', result.orders[2].placingTime.getHours() === 14);
+
+    console.log('\n=== Trades ===');
+    const { trades } = calc.processOrders(result.orders);
+    trades.forEach(t => console.log(`  ${t.side} ${t.contract} ×${t.multiplier} exp ${t.expiry}: gross ${t.grossProfit.toFixed(2)} net ${t.netProfit.toFixed(2)}`));
+    check('3 trades matched', trades.length === 3);
+    check('MES gross = 5.75 * 4 * 5', Math.abs(trades[0].grossProfit - 115) < 0.01);
+    check('6B short gross = 0.002 * 62500', Math.abs(trades[1].grossProfit - 125) < 0.01);
+    check('unknown contract uses XML multiplier 40', Math.abs(trades[2].grossProfit - 100) < 0.01);
+    check('expiry carried onto trade', trades[0].expiry === '2026-03-20');
+});
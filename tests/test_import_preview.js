@@ -0,0 +1,77 @@
+// Test: import preview — parse errors with line numbers, source lines, unclosed positions, duplicate dry run, row exclusion
+// Run: node tests/test_import_preview.js
+
+const { check, run, quiet, loadScripts } = require('./helpers');
+
+const { TimeZone, CSVParser, TradeCalculator, TradleApp } = loadScripts('js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js', 'js/main.js');
+
+const tv = [
+    'Symbol,Side,Type,Qty,Limit Price,Stop Price,Fill Price,Status,Commission,Placing Time,Closing Time,Order ID,Level ID,Leverage,Margin',
+    'CME_MINI:ES1!,Buy,Market,1,,,6970.75,Filled,,2/10/26 15:56,2/10/26 15:56,1001,,,',
+    'CME_MINI:ES1!,Sell,Market,1,,,6976.75,Filled,,2/10/26 16:05,2/10/26 16:05,1002,,,',
+    'CME_MINI:ES1!,Sell,Market,1,,,,Filled,,2/10/26 16:10,2/10/26 16:10,1003,,,',
+    'CME_MINI:ES1!,Buy,Market,1,,,6980.00,Rejected,,2/10/26 16:20,2/10/26 16:20,1004,,,',
+    'CME_MINI:ES1!,Buy,Market,2,,,6981.00,Filled,,2/10/26 16:30,2/10/26 16:30,1005,,,',
+    'CME_MINI:ES1!,Sell,Market,1,,,6983.00,Filled,,2/10/26 16:40,2/10/26 16:40,1006,,,'
+].join('\n');
+
+// Preview methods only touch the parser, calculator and trade database — skip the DOM-bound constructor
+function makeApp(orderIds = []) {
+    const app = Object.create(TradleApp.prototype);
+    app.csvParser = new CSVParser();
+    app.tradeCalculator = new TradeCalculator();
+    app.tradeDatabase = { trades: [], orderIds: new Set(orderIds), lastUpdated: null };
+    return app;
+}
+
+run(async () => {
+
+    console.log('=== Parse errors and source lines ===');
+    const parser = new CSVParser();
+    const parsed = await quiet(() => parser.parseCSV(tv, 'tradingview', { timeZone: 'UTC', dateOrder: 'MDY' }));
+    check('4 valid orders', parsed.orders.length === 4);
+    check('2 parse errors reported', parsed.parseErrors.length === 2);
+    check('missing fill price reported on line 4', parsed.parseErrors.some(e => e.line === 4 && /fill price/.test(e.message)));
+    check('rejected status reported on line 5', parsed.parseErrors.some(e => e.line === 5 && /Rejected/.test(e.message)));
+    check('orders keep their source line', parsed.orders.find(o => o.orderId === '1005').sourceLine === 6);
+
+    const again = await quiet(() => parser.parseCSV(tv.split('\n').slice(0, 3).join('\n'), 'tradingview', { timeZone: 'UTC' }));
+    check('errors reset between uploads', again.parseErrors.length === 0);
+
+    let capped = new CSVParser();
+    capped.MAX_REPORTED_PARSE_ERRORS = 2;
+    for (let n = 1; n <= 5; n++) capped.recordParseError(n, 'bad');
+    check('reported errors are capped', capped.parseErrors.length === 2);
+
+    console.log('\n=== Unclosed positions ===');
+    const calculator = new TradeCalculator();
+    const result = await quiet(() => calculator.processOrders(parsed.orders));
+    check('2 trades matched', result.trades.length === 2);
+    check('1 position left open', result.unclosedPositions.length === 1);
+    const open = result.unclosedPositions[0];
+    check('open position is 1 long ES', open.qty === 1 && open.side === 'Buy' && open.symbol === 'CME_MINI:ES1!');
+    check('open position points at its source line', open.sourceLines.join() === '6' && open.orderIds.join() === '1005');
+
+    console.log('\n=== Preview and duplicate dry run ===');
+    const app = makeApp(['1001__1002']);
+    const file = { name: 'orders.csv' };
+    app.pendingImport = { file, format: 'tradingview', csvContent: tv, parseResult: parsed, tradeResult: result };
+    const preview = await quiet(() => app.buildImportPreview());
+    check('preview lists all trades', preview.trades.length === 2);
+    check('already imported pair flagged as duplicate', preview.duplicates.size === 1 && preview.duplicates.has(preview.trades.findIndex(t => t.entryOrderId === '1001')));
+    check('preview carries the parse errors', preview.parseErrors.length === 2);
+    check('trades tagged with the broker', preview.trades.every(t => t.broker === 'TradingView'));
+    check('dry run leaves the database untouched', app.tradeDatabase.orderIds.size === 1 && app.tradeDatabase.trades.length === 0);
+
+    const excluded = await quiet(() => app.buildImportPreview(new Set([7])));
+    check('excluding line 7 drops its order', excluded.orders.length === 3 && excluded.allOrders.length === 4);
+    check('excluded line re-matched: 1 trade left', excluded.trades.length === 1);
+    check('excluded line leaves its entry open', excluded.unclosedPositions[0].qty === 2);
+    check('synced exclusions drop the same orders on re-import', parser.excludeSourceLines(parsed.orders, [7]).length === 3 &&
+        parser.excludeSourceLines(parsed.orders).length === 4);
+
+    console.log('\n=== Duplicates within one upload ===');
+    const repeat = [{ entryOrderId: 'a', exitOrderId: 'b' }, { entryOrderId: 'a', exitOrderId: 'b' }, { entryOrderId: 'a', exitOrderId: 'c' }];
+    const dupes = makeApp().findDuplicateTrades(repeat, []);
+    check('second copy of a pair is a duplicate', dupes.size === 1 && dupes.has(1));
+});
@@ -0,0 +1,86 @@
+// Test: per-upload rollback — batch ids on imported trades, Undo import and history deletion
+// Run: node tests/test_import_undo.js
+
+const { check, run, quiet, stubLocalStorage, loadScripts } = require('./helpers');
+
+// Backs the trade database and upload history
+const store = stubLocalStorage();
+const { TimeZone, CSVParser, TradeCalculator, TradleApp } = loadScripts('js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js', 'js/main.js');
+
+const header = 'Symbol,Side,Type,Qty,Limit Price,Stop Price,Fill Price,Status,Commission,Placing Time,Closing Time,Order ID,Level ID,Leverage,Margin';
+const csvA = [header,
+    'CME_MINI:ES1!,Buy,Market,1,,,6970.75,Filled,,2/10/26 15:56,2/10/26 15:56,1001,,,',
+    'CME_MINI:ES1!,Sell,Market,1,,,6976.75,Filled,,2/10/26 16:05,2/10/26 16:05,1002,,,'
+].join('\n');
+const csvB = [header,
+    'CME_MINI:NQ1!,Sell,Market,1,,,21000,Filled,,2/11/26 10:00,2/11/26 10:00,2001,,,',
+    'CME_MINI:NQ1!,Buy,Market,1,,,20990,Filled,,2/11/26 10:05,2/11/26 10:05,2002,,,',
+    'CME_MINI:NQ1!,Buy,Market,1,,,20980,Filled,,2/11/26 11:00,2/11/26 11:00,2003,,,',
+    'CME_MINI:NQ1!,Sell,Market,1,,,20995,Filled,,2/11/26 11:30,2/11/26 11:30,2004,,,'
+].join('\n');
+
+// Skip the DOM-bound constructor; record what the dashboard was asked to do
+const ui = { calls: [] };
+['updateDashboard', 'hideDashboard', 'showToast', 'showUploadStatus', 'hideUploadStatus', 'hideLoading', 'renderUploadHistory']
+    .forEach(name => { ui[name] = (...args) => ui.calls.push(name); });
+const app = Object.create(TradleApp.prototype);
+app.csvParser = new CSVParser();
+app.tradeCalculator = new TradeCalculator();
+app.uiController = ui;
+app.tradeDatabase = { trades: [], orderIds: new Set(), lastUpdated: null };
+app.currentData = null;
+
+async function importCSV(csv, name) {
+    const parseResult = await app.csvParser.parseCSV(csv, 'tradingview', { timeZone: 'UTC' });
+    const tradeResult = app.tradeCalculator.processOrders(parseResult.orders);
+    app.pendingImport = { file: { name }, format: 'tradingview', csvContent: null, parseResult, tradeResult, startTime: Date.now() };
+    return app.confirmImport();
+}
+
+run(async () => {
+
+    console.log('=== Imports are tagged with a batch id ===');
+    await quiet(() => importCSV(csvA, 'a.csv'));
+    await quiet(() => importCSV(csvB, 'b.csv'));
+    const history = app.getUploadHistory();
+    check('2 history entries', history.length === 2);
+    check('each entry has its own batch id', history[0].batchId && history[1].batchId && history[0].batchId !== history[1].batchId);
+    check('3 trades in the database', app.tradeDatabase.trades.length === 3);
+    check('trades carry the batch of their import', app.countImportTrades(history[0].batchId) === 1 && app.countImportTrades(history[1].batchId) === 2);
+    check('saved database keeps the batch ids',
+        JSON.parse(store.tradle_trade_database).trades.every(t => t.importBatchId));
+
+    console.log('\n=== Undo import ===');
+    ui.calls.length = 0;
+    const removed = await quiet(() => app.undoImport(history[1].batchId));
+    check('undo removes exactly that import\'s trades', removed === 2 && app.tradeDatabase.trades.length === 1);
+    check('remaining trade is from the other import', app.tradeDatabase.trades[0].importBatchId === history[0].batchId);
+    check('its Order IDs are no longer tracked', !app.tradeDatabase.orderIds.has('2001__2002') && app.tradeDatabase.orderIds.has('1001__1002'));
+    check('history entry marked undone, not removed', app.getUploadHistory().length === 2 && app.getUploadHistory()[1].undone === true);
+    check('dashboard recalculated', ui.calls.includes('updateDashboard'));
+    check('removal persisted', JSON.parse(store.tradle_trade_database).trades.length === 1);
+
+    await quiet(() => importCSV(csvB, 'b.csv'));
+    check('undone file can be imported again', app.tradeDatabase.trades.length === 3);
+
+    console.log('\n=== Deleting a history row ===');
+    const entries = app.getUploadHistory();
+    const last = entries.length - 1;
+    const updated = await quiet(() => app.deleteUploadHistoryEntry(last));
+    check('row removed from history', updated.length === entries.length - 1);
+    check('its trades removed with it', app.tradeDatabase.trades.length === 1);
+
+    await quiet(() => app.deleteUploadHistoryEntry(1));
+    check('deleting an already undone row leaves trades alone', app.tradeDatabase.trades.length === 1);
+
+    ui.calls.length = 0;
+    await quiet(() => app.deleteUploadHistoryEntry(0));
+    check('removing the last import empties the database', app.tradeDatabase.trades.length === 0 && app.tradeDatabase.orderIds.size === 0);
+    check('empty database hides the dashboard', ui.calls.includes('hideDashboard'));
+
+    console.log('\n=== Entries logged before batch ids ===');
+    await quiet(() => importCSV(csvA, 'a.csv'));
+    store.tradle_upload_history = JSON.stringify([{ filename: 'old.csv', format: 'TradingView', date: new Date().toISOString(), newTrades: 1, duplicates: 0 }]);
+    await quiet(() => app.deleteUploadHistoryEntry(0));
+    check('untraceable entry still clears the database', app.tradeDatabase.trades.length === 0);
+});
@@ -0,0 +1,127 @@
+// Test: import worker — chunked read, parse + match with progress events, UTF-16 reports, errors
+// Run: node tests/test_import_worker.js
+
+const fs = require('fs');
+const vm = require('vm');
+const { check, run, quiet, loadScripts } = require('./helpers');
+
+// Minimal worker global scope: self, postMessage, importScripts
+global.self = global;
+const messages = [];
+self.postMessage = (msg) => messages.push(msg);
+// Each real import gets a fresh worker; here the scripts are loaded once and reused
+const loaded = new Set();
+self.importScripts = (...urls) => urls.filter(url => !loaded.has(url)).forEach(url => {
+    loaded.add(url);
+    vm.runInThisContext(fs.readFileSync(url, 'utf8'), { filename: url });
+});
+vm.runInThisContext(fs.readFileSync('js/importWorker.js', 'utf8'), { filename: 'js/importWorker.js' });
+
+const scripts = ['js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js'];
+const { TradleApp } = loadScripts('js/main.js');
+const makeFile = (parts, name) => Object.assign(new Blob(parts), { name });
+
+// ~20k TradingView orders (10k round trips) — well past the old per-100-lines logging scale
+function buildTradingViewCSV(roundTrips) {
+    const lines = ['Symbol,Side,Type,Qty,Limit Price,Stop Price,Fill Price,Status,Commission,Placing Time,Closing Time,Order ID,Level ID,Leverage,Margin'];
+    const start = new Date(2026, 0, 5, 9, 30).getTime();
+    const fmt = (t) => {
+        const d = new Date(t);
+        return `${d.getMonth() + 1}/${d.getDate()}/${String(d.getFullYear()).slice(2)} ${d.getHours()}:${String(d.getMinutes()).padStart(2, '0')}:${String(d.getSeconds()).padStart(2, '0')}`;
+    };
+    for (let n = 0; n < roundTrips; n++) {
+        const t = start + n * 60000;
+        const entry = 6000 + (n % 40) * 0.25;
+        lines.push(`CME_MINI:MES1!,Buy,Market,1,,,${entry},Filled,,${fmt(t)},${fmt(t)},${100000 + n * 2},,,`);
+        lines.push(`CME_MINI:MES1!,Sell,Market,1,,,${entry + 1},Filled,,${fmt(t + 30000)},${fmt(t + 30000)},${100001 + n * 2},,,`);
+    }
+    return lines.join('\n');
+}
+
+// Runs one import through the worker with the parser's own console chatter muted
+function startWorker(data) {
+    return quiet(async () => {
+        messages.length = 0;
+        await self.onmessage({ data: { type: 'start', scripts, profiles: [], maxContentSize: 10 * 1024 * 1024, ...data } });
+        return messages;
+    });
+}
+
+run(async () => {
+    console.log('=== Large TradingView export ===');
+    const csv = buildTradingViewCSV(10000);
+    const msgs = await startWorker({ file: makeFile([csv], 'big.csv'), format: 'tradingview' });
+    const done = msgs.find(m => m.type === 'done');
+    const stages = new Set(msgs.filter(m => m.type === 'progress').map(m => m.stage));
+    check('worker finishes with a done message', !!done);
+    check('progress reported for read, parse, match and calculate', ['read', 'parse', 'match', 'calculate'].every(s => stages.has(s)));
+    const readProgress = msgs.filter(m => m.type === 'progress' && m.stage === 'read');
+    check('read progress counts bytes up to the file size', readProgress.length > 0 &&
+        readProgress.every(m => m.total === csv.length) && readProgress[readProgress.length - 1].done === csv.length);
+    const parseProgress = msgs.filter(m => m.type === 'progress' && m.stage === 'parse');
+    check('parse progress is throttled, not per row', parseProgress.length > 1 && parseProgress.length < 50);
+    check('last parse event reaches 100%', parseProgress[parseProgress.length - 1].done === parseProgress[parseProgress.length - 1].total);
+    check('20,000 orders parsed', done.parseResult.orders.length === 20000);
+    check('10,000 trades matched', done.tradeResult.trades.length === 10000);
+    check('summary computed in the worker', Math.abs(done.tradeResult.summary.totalGrossProfit - 10000 * 5) < 0.01);
+    check('content returned for syncable files', typeof done.content === 'string' && done.content.length === csv.length);
+
+    console.log('\n=== Chunked read ===');
+    // "é" is two bytes in UTF-8 — put it across the first 4MB chunk boundary
+    const text = 'a'.repeat(4 * 1024 * 1024 - 1) + 'é' + 'b'.repeat(1000);
+    const reads = [];
+    const read = await readFileInChunks(makeFile([text], 'split.csv'), (done, total) => reads.push([done, total]));
+    const bytes = Buffer.byteLength(text);
+    check('large file read in several chunks', reads.length === 2 && reads[0][0] === 4 * 1024 * 1024 && reads[1][0] === bytes);
+    check('character split across chunks decoded intact', read === text);
+
+    console.log('\n=== Content size cap ===');
+    const capped = await startWorker({ file: makeFile([csv], 'big.csv'), format: 'tradingview', maxContentSize: 1000 });
+    check('content withheld above maxContentSize', capped.find(m => m.type === 'done').content === null);
+
+    console.log('\n=== UTF-16LE MetaTrader report ===');
+    const mt5 = '<html><head><title>1: Demo - Trade History Report</title></head><body><table>' +
+        '<tr><td>Time</td><td>Position</td><td>Symbol</td><td>Type</td><td>Volume</td><td>Price</td><td>S / L</td><td>T / P</td><td>Time</td><td>Price</td><td>Commission</td><td>Swap</td><td>Profit</td></tr>' +
+        '<tr><td>2026.03.09 10:00:00</td><td>1</td><td>EURUSD</td><td>buy</td><td>1</td><td>1.08000</td><td></td><td></td><td>2026.03.09 12:00:00</td><td>1.08100</td><td>-7.00</td><td>0.00</td><td>100.00</td></tr>' +
+        '</table></body></html>';
+    const utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(mt5, 'utf16le')]);
+    const mtMsgs = await startWorker({ file: makeFile([utf16], 'ReportHistory.html'), format: 'metatrader' });
+    const mtDone = mtMsgs.find(m => m.type === 'done');
+    check('UTF-16LE report decoded and parsed', mtDone && mtDone.tradeResult.trades.length === 1);
+
+    console.log('\n=== Custom profile without localStorage ===');
+    const profile = { name: 'Acme', broker: 'Acme', mapping: { symbol: 'Ticker', side: 'Action', qty: 'Units', fillPrice: 'Px', time: 'When' } };
+    const acme = 'Ticker,Action,Units,Px,When\nES1!,BUY,1,6000,2026-03-02 09:30:00\nES1!,SELL,1,6001,2026-03-02 09:45:00';
+    const customMsgs = await startWorker({ file: makeFile([acme], 'acme.csv'), format: 'custom:Acme', profiles: [profile] });
+    const customDone = customMsgs.find(m => m.type === 'done');
+    check('profile passed in the start message is used', customDone && customDone.tradeResult.trades.length === 1);
+
+    console.log('\n=== Import time zone ===');
+    const zoned = await startWorker({ file: makeFile([acme], 'acme.csv'), format: 'custom:Acme', profiles: [profile], dateOptions: { timeZone: 'America/Chicago' } });
+    const zonedDone = zoned.find(m => m.type === 'done');
+    check('dateOptions from the start message reach the parser',
+        zonedDone && zonedDone.parseResult.orders[0].placingTime.toISOString() === '2026-03-02T15:30:00.000Z');
+
+    console.log('\n=== Errors ===');
+    const bad = await startWorker({ file: makeFile(['not,a,known\nformat'], 'x.csv'), format: 'ninjatrader' });
+    check('parser errors come back as an error message', bad.some(m => m.type === 'error' && /NinjaTrader/.test(m.message)));
+
+    console.log('\n=== Worker unavailable ===');
+    // processFile with the worker failing to start; stop at the main-thread parse
+    const app = Object.create(TradleApp.prototype);
+    app.csvParser = new window.CSVParser();
+    app.uiController = { showLoading() {}, showUploadStatus() {}, hideLoading() {}, hideUploadStatus() {} };
+    app.canUseImportWorker = () => true;
+    app.runImportWorker = async () => { throw Object.assign(new Error('Worker script blocked'), { workerUnavailable: true }); };
+    const parsedOnMainThread = [];
+    app.parseFileOnMainThread = async (file) => { parsedOnMainThread.push(file.name); throw new Error('stop'); };
+    const fallback = async (name, size) => {
+        try { await quiet(() => app.processFile({ name, size }, 'tradingview')); } catch (e) { return e.message; }
+        return null;
+    };
+    const tooBig = await fallback('big.csv', 20 * 1024 * 1024);
+    check('file over the main-thread cap rejected instead of parsed on the main thread',
+        parsedOnMainThread.length === 0 && /less than 10MB/.test(tooBig));
+    await fallback('small.csv', 1024);
+    check('small file still falls back to the main thread', parsedOnMainThread.includes('small.csv'));
+});
@@ -0,0 +1,155 @@
+// Test: lot matching methods — FIFO, LIFO and average cost, per-account setting, database recalculation
+// Run: node tests/test_lot_matching.js
+
+const { check, run, quiet, stubLocalStorage, loadScripts } = require('./helpers');
+
+const store = stubLocalStorage();
+const { TimeZone, CSVParser, TradeCalculator, TradleApp } = loadScripts('js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js', 'js/main.js');
+
+const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+const header = 'Symbol,Side,Type,Qty,Limit Price,Stop Price,Fill Price,Status,Commission,Placing Time,Closing Time,Order ID,Level ID,Leverage,Margin';
+const row = (side, qty, price, time, id, commission = '') =>
+    `CME_MINI:ES1!,${side},Market,${qty},,,${price},Filled,${commission},2/10/26 ${time},2/10/26 ${time},${id},,,`;
+
+// Two entries scaled in, two exits scaled out
+const scaled = [header,
+    row('Buy', 1, 6000, '15:00', '1'),
+    row('Buy', 1, 6010, '15:05', '2'),
+    row('Sell', 1, 6020, '15:10', '3'),
+    row('Sell', 1, 6030, '15:15', '4')
+].join('\n');
+// Out 1, back in 1, out 2 — one flat-to-flat position
+const reentry = [header,
+    row('Buy', 2, 6000, '15:00', '11', '4'),
+    row('Sell', 1, 6010, '15:05', '12', '2'),
+    row('Buy', 1, 6020, '15:10', '13', '2'),
+    row('Sell', 2, 6030, '15:15', '14', '4')
+].join('\n');
+// Ends the file still long 1
+const open = [header,
+    row('Buy', 1, 6100, '17:00', '21'),
+    row('Buy', 1, 6110, '17:05', '22'),
+    row('Sell', 1, 6120, '17:10', '23')
+].join('\n');
+
+const ui = { calls: [] };
+['updateDashboard', 'hideDashboard', 'showToast', 'showUploadStatus', 'hideUploadStatus', 'hideLoading', 'renderUploadHistory', 'renderOpenPositions', 'renderLotMatching']
+    .forEach(name => { ui[name] = () => ui.calls.push(name); });
+const app = Object.create(TradleApp.prototype);
+app.csvParser = new CSVParser();
+app.tradeCalculator = new TradeCalculator();
+app.uiController = ui;
+app.tradeDatabase = { trades: [], orderIds: new Set(), openLots: [], lastUpdated: null };
+app.currentData = null;
+
+async function importCSV(csv, name) {
+    const parseResult = await app.csvParser.parseCSV(csv, 'tradingview', { timeZone: 'UTC' });
+    const method = app.getMatchingMethod('TradingView');
+    const tradeResult = app.tradeCalculator.processOrders(parseResult.orders, app.getOpenLots('TradingView'), { method });
+    app.pendingImport = { file: { name }, format: 'tradingview', csvContent: null, parseResult, tradeResult, startTime: Date.now() };
+    return app.confirmImport();
+}
+
+run(async () => {
+    const parse = (csv) => quiet(() => new CSVParser().parseCSV(csv, 'tradingview', { timeZone: 'UTC' }));
+    const run = async (csv, method, openLots = []) => {
+        const { orders } = await parse(csv);
+        return quiet(() => new TradeCalculator().processOrders(orders, openLots, { method }));
+    };
+
+    console.log('=== FIFO / LIFO / average cost ===');
+    const fifo = await run(scaled, 'fifo');
+    check('FIFO pairs oldest entry first', fifo.trades.map(t => `${t.entryOrderId}>${t.exitOrderId}`).join() === '1>3,2>4');
+    const lifo = await run(scaled, 'lifo');
+    check('LIFO pairs newest entry first', lifo.trades.map(t => `${t.entryOrderId}>${t.exitOrderId}`).join() === '2>3,1>4');
+    check('LIFO gross: 10 + 30 points', lifo.trades[0].grossProfit === 500 && lifo.trades[1].grossProfit === 1500);
+    const avg = await run(scaled, 'average');
+    check('average cost: one trade per flat-to-flat position', avg.trades.length === 1 && avg.trades[0].quantity === 2);
+    check('blended entry and exit', avg.trades[0].entryPrice === 6005 && avg.trades[0].exitPrice === 6025);
+    check('first entry time, last exit time', avg.trades[0].entryOrderId === '1' && avg.trades[0].exitOrderId === '4');
+    check('same total P&L under every method',
+        [fifo, lifo, avg].every(r => r.trades.reduce((s, t) => s + t.netProfit, 0) === fifo.summary.totalProfit));
+    check('trades record their method', avg.trades[0].matchingMethod === 'average' && lifo.trades[0].matchingMethod === 'lifo');
+    check('unknown method falls back to FIFO', (await run(scaled, 'hifo')).method === 'fifo');
+
+    console.log('\n=== Average cost with a re-entry ===');
+    const round = await run(reentry, 'average');
+    const t = round.trades[0];
+    check('scale out, in and out again is one position', round.trades.length === 1 && t.quantity === 3);
+    check('P&L realized against the running average', near(t.grossProfit, 2500));
+    check('CSV commissions summed across every fill', near(t.totalCommission, 12));
+    check('raw fills kept for recalculation', t.fills.length === 4 && t.fills.every(f => !f.fills));
+    const fifoRound = await run(reentry, 'fifo');
+    check('FIFO splits it into 3 trades with the same commission total',
+        fifoRound.trades.length === 3 && near(fifoRound.trades.reduce((s, x) => s + x.totalCommission, 0), 12));
+
+    const partial = await run(open, 'average');
+    check('position open at the end of the file: closed part emitted', partial.trades.length === 1 && partial.trades[0].entryPrice === 6105);
+    check('remaining lot kept at the average price', partial.openLots.length === 1 && partial.openLots[0].qty === 1 && partial.openLots[0].price === 6105);
+    const closing = await run([header, row('Sell', 1, 6140, '18:00', '24')].join('\n'), 'average', partial.openLots);
+    check('later exit closes the blended lot', closing.trades.length === 1 && closing.trades[0].entryPrice === 6105 && closing.openLots.length === 0);
+
+    console.log('\n=== Per-account setting ===');
+    check('FIFO by default', app.getMatchingMethod('TradingView') === 'fifo');
+    await quiet(() => app.saveMatchingMethod('IBKR', 'lifo'));
+    check('saved per account', app.getMatchingMethod('IBKR') === 'lifo' && app.getMatchingMethod('TradingView') === 'fifo');
+    let threw = false;
+    try { app.saveMatchingMethod('IBKR', 'hifo'); } catch { threw = true; }
+    check('unknown method rejected', threw);
+    check('saved with a timestamp for sync', !!JSON.parse(store.tradle_matching_methods).updatedAt);
+    store.tradle_matching_methods = JSON.stringify({ IBKR: 'lifo' });
+    check('saves from before sync still read', app.getMatchingMethod('IBKR') === 'lifo');
+
+    console.log('\n=== Recalculating the database ===');
+    await quiet(() => importCSV(scaled, 'scaled.csv'));
+    await quiet(() => importCSV(open, 'open.csv'));
+    await quiet(() => app.saveManualTrade({
+        contract: 'ES1!', side: 'LONG', quantity: 1, entryPrice: 6000, exitPrice: 6001,
+        entryTime: new Date('2026-02-11T15:00:00Z'), exitTime: new Date('2026-02-11T15:01:00Z'),
+        commission: 0, broker: 'TradingView', notes: ''
+    }));
+    check('FIFO import: 3 trades + 1 manual, lot 22 open',
+        app.tradeDatabase.trades.length === 4 && app.getOpenLots()[0].order.orderId === '22');
+    const batch = app.tradeDatabase.trades.find(t => t.exitOrderId === '4').importBatchId;
+    check('matching accounts listed with counts', app.getMatchingAccounts().some(a => a.account === 'TradingView' && a.trades === 3));
+
+    // Round-trip through localStorage so the fills come back with string dates
+    await quiet(() => app.saveTradeDatabase());
+    app.tradeDatabase = { trades: [], orderIds: new Set(), lastUpdated: null };
+    await quiet(() => app.loadTradeDatabase());
+    app.tradeDatabase.trades.find(t => t.exitOrderId === '4').notes = 'scaled out well';
+
+    await quiet(() => app.saveMatchingMethod('TradingView', 'average'));
+    const res = await quiet(() => app.recalculateMatching('TradingView'));
+    check('re-matched with average cost: 3 → 2 trades', res.before === 3 && res.after === 2);
+    const merged = app.tradeDatabase.trades.find(t => t.exitOrderId === '4');
+    check('note and import batch follow the exit fill', merged.notes === 'scaled out well' && merged.importBatchId === batch);
+    check('manual trade untouched', app.tradeDatabase.trades.filter(t => t.manual).length === 1);
+    check('open lot rebuilt at the average price', app.getOpenLots().length === 1 && app.getOpenLots()[0].price === 6105);
+    check('dedup keys rebuilt', app.tradeDatabase.orderIds.has('1__4') && !app.tradeDatabase.orderIds.has('1__3'));
+
+    await quiet(() => app.saveMatchingMethod('TradingView', 'lifo'));
+    await quiet(() => app.recalculateMatching('TradingView'));
+    check('LIFO from the blended trades\' fills', app.tradeDatabase.trades.some(t => t.entryOrderId === '2' && t.exitOrderId === '3'));
+    check('LIFO leaves the older entry open', app.getOpenLots()[0].order.orderId === '21');
+
+    await quiet(() => importCSV(scaled, 'scaled.csv'));
+    check('re-import under the new method is all duplicates', app.tradeDatabase.trades.length === 4);
+
+    console.log('\n=== Sync ===');
+    // Loaded last: from here on the app's saves would schedule real pushes
+    const { FirebaseSync } = loadScripts('js/firebaseSync.js');
+    FirebaseSync._setSyncStatus = () => {};
+    const pushed = [];
+    let remote = null;
+    global.fetch = async (url, options = {}) => {
+        if (options.body) pushed.push(JSON.parse(options.body));
+        return { ok: true, json: async () => remote };
+    };
+    await quiet(() => FirebaseSync.pushJournal());
+    check('matching methods pushed with the journal', JSON.parse(pushed[0].matchingMethods).methods.TradingView === 'lifo');
+    remote = { journals: {}, matchingMethods: JSON.stringify({ methods: { TradingView: 'average' }, updatedAt: '2999-01-01T00:00:00.000Z' }) };
+    await quiet(() => FirebaseSync.pullJournal());
+    check('newer choice from another device adopted', app.getMatchingMethod('TradingView') === 'average');
+});
@@ -0,0 +1,99 @@
+// Test: manual trade entry — P&L through calculateTrade, edits of imported trades, delete, re-import survival
+// Run: node tests/test_manual_trades.js
+
+const { check, run, quiet, stubLocalStorage, loadScripts } = require('./helpers');
+
+const store = stubLocalStorage();
+const { TimeZone, CSVParser, TradeCalculator, TradleApp } = loadScripts('js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js', 'js/main.js');
+
+const csv = [
+    'Symbol,Side,Type,Qty,Limit Price,Stop Price,Fill Price,Status,Commission,Placing Time,Closing Time,Order ID,Level ID,Leverage,Margin',
+    'CME_MINI:ES1!,Buy,Market,1,,,6970.75,Filled,,2/10/26 15:56,2/10/26 15:56,1001,,,',
+    'CME_MINI:ES1!,Sell,Market,1,,,6976.75,Filled,,2/10/26 16:05,2/10/26 16:05,1002,,,'
+].join('\n');
+
+const ui = { calls: [] };
+['updateDashboard', 'hideDashboard', 'showToast', 'showUploadStatus', 'hideUploadStatus', 'hideLoading', 'renderUploadHistory']
+    .forEach(name => { ui[name] = () => ui.calls.push(name); });
+const app = Object.create(TradleApp.prototype);
+app.csvParser = new CSVParser();
+app.tradeCalculator = new TradeCalculator();
+app.uiController = ui;
+app.tradeDatabase = { trades: [], orderIds: new Set(), lastUpdated: null };
+app.currentData = null;
+
+async function importCSV() {
+    const parseResult = await app.csvParser.parseCSV(csv, 'tradingview', { timeZone: 'UTC' });
+    const tradeResult = app.tradeCalculator.processOrders(parseResult.orders);
+    app.pendingImport = { file: { name: 'es.csv' }, format: 'tradingview', csvContent: null, parseResult, tradeResult, startTime: Date.now() };
+    return app.confirmImport();
+}
+
+const fields = (overrides = {}) => ({
+    contract: 'NQ1!',
+    side: 'SHORT',
+    quantity: 2,
+    entryPrice: 21000,
+    exitPrice: 20990,
+    entryTime: new Date('2026-03-02T15:00:00Z'),
+    exitTime: new Date('2026-03-02T15:20:00Z'),
+    commission: null,
+    broker: 'Manual',
+    notes: 'Took it on the phone app',
+    ...overrides
+});
+
+run(async () => {
+
+    console.log('=== P&L through calculateTrade ===');
+    const calc = new TradeCalculator();
+    const short = await quiet(() => calc.buildManualTrade(fields()));
+    check('short gross: 10 pts × 2 × $20', short.grossProfit === 400);
+    check('blank commission uses the contract rate', short.totalCommission === 2.5 * 2 * 2);
+    check('flagged manual with its own id', short.manual === true && short.id.startsWith('manual_'));
+    check('synthetic order ids', short.entryOrderId.endsWith('_entry') && short.exitOrderId.endsWith('_exit'));
+
+    const free = await quiet(() => calc.buildManualTrade(fields({ commission: 0 })));
+    check('explicit zero commission respected', free.totalCommission === 0 && free.netProfit === 400);
+    const custom = await quiet(() => calc.buildManualTrade(fields({ commission: 3.1 })));
+    check('entered commission used as round trip', Math.abs(custom.netProfit - 396.9) < 1e-9);
+
+    check('validation lists every problem',
+        calc.validateManualTrade(fields({ contract: '', quantity: 0, exitTime: new Date('2026-03-01T00:00:00Z') })).length === 3);
+    let threw = null;
+    try { calc.buildManualTrade(fields({ entryPrice: NaN })); } catch (e) { threw = e.message; }
+    check('invalid fields throw', threw === 'Entry price is required');
+
+    console.log('\n=== Add, edit and delete ===');
+    const added = await quiet(() => app.saveManualTrade(fields()));
+    check('manual trade added to the database', app.tradeDatabase.trades.length === 1 && app.tradeDatabase.trades[0].manual);
+    check('notes kept', added.notes === 'Took it on the phone app');
+    check('saved to localStorage', JSON.parse(store.tradle_trade_database).trades[0].id === added.id);
+    check('dashboard refreshed', ui.calls.includes('updateDashboard'));
+
+    const edited = await quiet(() => app.saveManualTrade(fields({ exitPrice: 20980 }), added.id));
+    check('edit keeps the id', edited.id === added.id && app.tradeDatabase.trades.length === 1);
+    check('edit recalculates P&L', edited.grossProfit === 800);
+
+    check('delete removes the trade', await quiet(() => app.deleteTrade(added.id)) && app.tradeDatabase.trades.length === 0);
+    check('deleting an unknown id is a no-op', !(await quiet(() => app.deleteTrade('nope'))));
+
+    console.log('\n=== Editing an imported trade ===');
+    await quiet(importCSV);
+    const imported = app.tradeDatabase.trades[0];
+    const fixed = await quiet(() => app.saveManualTrade(fields({
+        contract: imported.contract, side: 'LONG', quantity: 1, entryPrice: 6970.75, exitPrice: 6977.75,
+        entryTime: new Date(imported.entryTime), exitTime: new Date(imported.exitTime), broker: 'TradingView', notes: ''
+    }), imported.id));
+    check('fixed fill price changes P&L', fixed.grossProfit === 7 * 50);
+    check('edited trade flagged manual', fixed.manual === true);
+    check('keeps its import Order IDs and batch', fixed.entryOrderId === '1001' && fixed.exitOrderId === '1002' && fixed.importBatchId === imported.importBatchId);
+
+    await quiet(importCSV);
+    check('re-import does not add the original back', app.tradeDatabase.trades.length === 1);
+    check('edited values survive the re-import', app.tradeDatabase.trades[0].exitPrice === 6977.75);
+
+    let missing = false;
+    try { await quiet(() => app.saveManualTrade(fields(), 'trade_missing')); } catch { missing = true; }
+    check('editing an unknown trade throws', missing);
+});
@@ -0,0 +1,126 @@
+// Test: MetaTrader 4/5 statements (HTML + CSV) → orders (lots → qty, swap kept) → trades
+// Run: node tests/test_metatrader_parser.js
+
+const { check, run, stubLocalStorage, loadScripts } = require('./helpers');
+const { CSVParser, TradeCalculator } = loadScripts('js/csvParser.js', 'js/tradeCalculator.js');
+stubLocalStorage();
+
+// MT4 "Save as Detailed Report" — Closed Transactions with a balance row, a cancelled pending order and a comment row
+const mt4Html = `<html><head><title>Statement: 1234567 - Demo Trader</title></head><body>
+<div align=center><b>Demo Broker Ltd.</b></div>
+<table width=820 cellspacing=1 cellpadding=3 border=0>
+<tr align=left><td colspan=2><b>Account: 1234567</b></td><td colspan=5><b>Name: Demo Trader</b></td><td colspan=2><b>Currency: USD</b></td></tr>
+<tr align=left><td colspan=13><b>Closed Transactions:</b></td></tr>
+<tr align=center bgcolor="#C0C0C0"><td>Ticket</td><td nowrap>Open Time</td><td>Type</td><td>Size</td><td>Item</td><td>Price</td><td>S&nbsp;/&nbsp;L</td><td>T&nbsp;/&nbsp;P</td><td nowrap>Close Time</td><td>Price</td><td>Commission</td><td>Taxes</td><td>Swap</td><td>Profit</td></tr>
+<tr align=right><td>1000</td><td class=msdate colspan=2>2026.03.01 10:00:00</td><td>balance</td><td class=mspt colspan=4>Deposit</td><td class=mspt>10 000.00</td></tr>
+<tr align=right><td title="#1">50001</td><td class=msdate nowrap>2026.03.02 09:31:05</td><td>buy</td><td class=mspt>0.50</td><td>eurusd.m</td><td style="mso-number-format:0\\.00000;">1.08450</td><td>0.00000</td><td>0.00000</td><td class=msdate nowrap>2026.03.04 16:05:10</td><td>1.08650</td><td class=mspt>-3.50</td><td class=mspt>0.00</td><td class=mspt>-2.10</td><td class=mspt>100.00</td></tr>
+<tr align=right><td colspan=13>comment: scalp</td></tr>
+<tr align=right><td>50002</td><td class=msdate nowrap>2026.03.03 14:00:00</td><td>sell</td><td class=mspt>0.10</td><td>USDJPY</td><td>150.000</td><td>0.000</td><td>0.000</td><td class=msdate nowrap>2026.03.03 18:00:00</td><td>149.500</td><td class=mspt>0.00</td><td class=mspt>0.00</td><td class=mspt>0.00</td><td class=mspt>33.44</td></tr>
+<tr align=right><td>50003</td><td class=msdate nowrap>2026.03.03 15:00:00</td><td>buy limit</td><td class=mspt>1.00</td><td>xauusd</td><td>2900.00</td><td>0.00</td><td>0.00</td><td class=msdate nowrap>2026.03.03 20:00:00</td><td colspan=5>cancelled</td></tr>
+<tr align=right><td>50004</td><td class=msdate nowrap>2026.03.05 08:00:00</td><td>buy</td><td class=mspt>0.20</td><td>XAUUSD</td><td>2950.00</td><td>0.00</td><td>0.00</td><td class=msdate nowrap>2026.03.06 09:00:00</td><td>2945.00</td><td class=mspt>-1.00</td><td class=mspt>0.00</td><td class=mspt>-4.00</td><td class=mspt>-100.00</td></tr>
+<tr><td colspan=10>Closed P/L:</td><td>-4.50</td><td>0.00</td><td>-6.10</td><td>33.44</td></tr>
+<tr align=left><td colspan=13><b>Open Trades:</b></td></tr>
+<tr align=center bgcolor="#C0C0C0"><td>Ticket</td><td nowrap>Open Time</td><td>Type</td><td>Size</td><td>Item</td><td>Price</td><td>S&nbsp;/&nbsp;L</td><td>T&nbsp;/&nbsp;P</td><td>&nbsp;</td><td>Price</td><td>Commission</td><td>Taxes</td><td>Swap</td><td>Profit</td></tr>
+<tr align=right><td>50005</td><td class=msdate nowrap>2026.03.06 10:00:00</td><td>buy</td><td class=mspt>0.10</td><td>gbpusd</td><td>1.27000</td><td>0.00000</td><td>0.00000</td><td>&nbsp;</td><td>1.27100</td><td>0.00</td><td>0.00</td><td>0.00</td><td>10.00</td></tr>
+</table></body></html>`;
+
+// MT5 "Trade History Report" — Positions table followed by Orders and Deals for the same fills
+const mt5Html = `<!DOCTYPE html><html><head><title>7654321: Demo - Trade History Report</title></head><body><table>
+<tr><th colspan="13"><div><b>Positions</b></div></th></tr>
+<tr><td><b>Time</b></td><td><b>Position</b></td><td><b>Symbol</b></td><td><b>Type</b></td><td><b>Volume</b></td><td><b>Price</b></td><td><b>S / L</b></td><td><b>T / P</b></td><td><b>Time</b></td><td><b>Price</b></td><td><b>Commission</b></td><td><b>Swap</b></td><td><b>Profit</b></td></tr>
+<tr bgcolor="#FFFFFF" align="right"><td>2026.03.09 10:00:00</td><td>900001</td><td>NAS100</td><td>sell</td><td>2</td><td>20100.5</td><td></td><td></td><td>2026.03.10 11:00:00</td><td>20050.5</td><td>-1.20</td><td>-0.80</td><td>100.00</td></tr>
+<tr><th colspan="13"><div><b>Orders</b></div></th></tr>
+<tr><td>Open Time</td><td>Order</td><td>Symbol</td><td>Type</td><td>Volume</td><td>Price</td><td>S / L</td><td>T / P</td><td>Time</td><td>State</td><td>Comment</td></tr>
+<tr><td>2026.03.09 10:00:00</td><td>900001</td><td>NAS100</td><td>sell</td><td>2 / 2</td><td>market</td><td></td><td></td><td>2026.03.09 10:00:00</td><td>filled</td><td></td></tr>
+<tr><th colspan="13"><div><b>Deals</b></div></th></tr>
+<tr><td>Time</td><td>Deal</td><td>Symbol</td><td>Type</td><td>Direction</td><td>Volume</td><td>Price</td><td>Order</td><td>Commission</td><td>Fee</td><td>Swap</td><td>Profit</td><td>Balance</td><td>Comment</td></tr>
+<tr><td>2026.03.09 10:00:00</td><td>800001</td><td>NAS100</td><td>sell</td><td>in</td><td>2</td><td>20100.5</td><td>900001</td><td>-0.60</td><td>0.00</td><td>0.00</td><td>0.00</td><td>10 000.00</td><td></td></tr>
+<tr><td>2026.03.10 11:00:00</td><td>800002</td><td>NAS100</td><td>buy</td><td>out</td><td>2</td><td>20050.5</td><td>900002</td><td>-0.60</td><td>0.00</td><td>-0.80</td><td>100.00</td><td>10 098.60</td><td></td></tr>
+</table></body></html>`;
+
+// MT5 Deals table saved as CSV, with a partial close
+const mt5DealsCsv = [
+    'Time,Deal,Symbol,Type,Direction,Volume,Price,Order,Commission,Fee,Swap,Profit,Balance,Comment',
+    '2026.03.11 09:00:00,1,,balance,,,,,0.00,0.00,0.00,5000.00,5000.00,Deposit',
+    '2026.03.11 10:00:00,2,GBPUSD,buy,in,1,1.27000,11,-7.00,0.00,0.00,0.00,5000.00,',
+    '2026.03.11 12:00:00,3,GBPUSD,sell,out,0.4,1.27200,12,-2.80,0.00,-1.20,80.00,5076.00,',
+    '2026.03.12 12:00:00,4,GBPUSD,sell,out,0.6,1.27100,13,-4.20,0.00,-3.00,60.00,5128.80,'
+].join('\n');
+
+// MT5 Deals-only report for a JPY-quoted pair — profit in the USD account currency
+const mt5JpyDealsCsv = [
+    'Currency: USD',
+    'Time,Deal,Symbol,Type,Direction,Volume,Price,Order,Commission,Fee,Swap,Profit,Balance,Comment',
+    '2026.03.13 09:00:00,21,USDJPY,sell,in,0.1,150.000,31,0.00,0.00,0.00,0.00,5000.00,',
+    '2026.03.13 15:00:00,22,USDJPY,buy,out,0.1,149.500,32,0.00,0.00,0.00,33.44,5033.44,'
+].join('\n');
+
+const near = (a, b) => Math.abs(a - b) < 0.01;
+
+run(async () => {
+    const parser = new CSVParser();
+    const calc = new TradeCalculator();
+
+    console.log('=== Detection ===');
+    check('MT4 HTML detected', parser.detectFormat(mt4Html) === 'metatrader');
+    check('MT5 HTML detected', parser.detectFormat(mt5Html) === 'metatrader');
+    check('MT5 Deals CSV detected', parser.detectFormat(mt5DealsCsv) === 'metatrader');
+    check('.htm accepted for metatrader uploads', parser.validateFile({ name: 'Statement.htm', size: 100 }, parser.getAcceptedExtensions('metatrader')).valid);
+    check('MetaTrader broker label', parser.getBrokerLabel('metatrader') === 'MetaTrader');
+
+    console.log('\n=== Symbols & lots ===');
+    check('eurusd.m → EURUSD', parser.resolveMetaTraderSymbol('eurusd.m') === 'EURUSD');
+    check('EURUSDpro → EURUSD', parser.resolveMetaTraderSymbol('EURUSDpro') === 'EURUSD');
+    check('GOLD → XAUUSD', parser.resolveMetaTraderSymbol('GOLD') === 'XAUUSD');
+    check('forex lot = 100,000', parser.getMetaTraderContractSize('GBPJPY') === 100000);
+    check('index CFD lot = 1', parser.getMetaTraderContractSize('NAS100') === 1);
+
+    console.log('\n=== MT4 Closed Transactions ===');
+    const mt4 = await parser.parseCSV(mt4Html, 'metatrader');
+    check('3 positions → 6 orders (balance, cancelled, open trade skipped)', mt4.orders.length === 6);
+    const eurEntry = mt4.orders.find(o => o.orderId === 'mt_50001_entry');
+    const eurExit = mt4.orders.find(o => o.orderId === 'mt_50001_exit');
+    check('0.50 lots → 50,000 units', eurEntry.qty === 50000 && eurEntry.lots === 0.5);
+    check('MetaTrader date parsed', eurEntry.placingTime.getDate() === 2 && eurEntry.placingTime.getHours() === 9);
+    check('commission split across entry/exit', near(eurEntry.commission + eurExit.commission, 3.5));
+    check('swap on closing order only', eurEntry.swap === 0 && eurExit.swap === -2.1);
+
+    const mt4Trades = calc.processOrders(mt4.orders).trades;
+    mt4Trades.forEach(t => console.log(`  ${t.side} ${t.contract} ${t.lots} lots: gross ${t.grossProfit.toFixed(2)} comm ${t.totalCommission.toFixed(2)} swap ${t.swap.toFixed(2)} net ${t.netProfit.toFixed(2)}`));
+    const eur = mt4Trades.find(t => t.contract === 'EURUSD');
+    const jpy = mt4Trades.find(t => t.contract === 'USDJPY');
+    const gold = mt4Trades.find(t => t.contract === 'XAUUSD');
+    check('EURUSD gross matches statement profit', near(eur.grossProfit, 100));
+    check('EURUSD net = profit − commission + swap', near(eur.netProfit, 100 - 3.5 - 2.1));
+    check('trade.swap carried separately', near(eur.swap, -2.1) && near(eur.totalCommission, 3.5));
+    check('USDJPY profit converted to account currency', near(jpy.grossProfit, 33.44) && jpy.side === 'SHORT');
+    check('XAUUSD 0.20 lots = 20 oz', gold.quantity === 20 && near(gold.grossProfit, -100));
+    check('trade.lots from contract size', gold.lots === 0.2);
+
+    console.log('\n=== MT5 Positions (Deals ignored) ===');
+    const mt5 = await parser.parseCSV(mt5Html, 'metatrader');
+    check('Positions table used — no double count', mt5.orders.length === 2);
+    const nasTrades = calc.processOrders(mt5.orders).trades;
+    check('NAS100 short net = 100 − 1.20 − 0.80', nasTrades.length === 1 && near(nasTrades[0].netProfit, 98));
+
+    console.log('\n=== MT5 Deals CSV (partial closes) ===');
+    const deals = await parser.parseCSV(mt5DealsCsv, 'metatrader');
+    check('balance row skipped', deals.orders.length === 3 && deals.stats.skippedCancelled === 1);
+    const dealTrades = calc.processOrders(deals.orders).trades;
+    dealTrades.forEach(t => console.log(`  ${t.side} ${t.contract} qty ${t.quantity}: gross ${t.grossProfit.toFixed(2)} swap ${t.swap.toFixed(2)} net ${t.netProfit.toFixed(2)}`));
+    check('two partial trades', dealTrades.length === 2 && dealTrades[0].quantity === 40000 && dealTrades[1].quantity === 60000);
+    check('first partial gross = 0.002 × 40,000', near(dealTrades[0].grossProfit, 80));
+    check('swap from each out deal', near(dealTrades[0].swap, -1.2) && near(dealTrades[1].swap, -3));
+    check('entry commission scaled by partial qty', near(dealTrades[0].totalCommission, 7 * 0.4 + 2.8));
+
+    console.log('\n=== MT5 Deals CSV (JPY pair) ===');
+    const jpyDeals = await parser.parseCSV(mt5JpyDealsCsv, 'metatrader');
+    const jpyDealTrades = calc.processOrders(jpyDeals.orders).trades;
+    check('USDJPY deal profit converted to account currency', jpyDealTrades.length === 1 &&
+        near(jpyDealTrades[0].grossProfit, 33.44) && jpyDealTrades[0].currency === 'USD' && jpyDealTrades[0].side === 'SHORT');
+
+    console.log('\n=== Invalid input ===');
+    let threw = false;
+    try { await parser.parseCSV('<html><body>Trade History Report</body></html>', 'metatrader'); } catch (e) { threw = true; }
+    check('report without a trade table throws', threw);
+});
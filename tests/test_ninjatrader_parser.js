@@ -0,0 +1,75 @@
+// Test: NinjaTrader Executions + Trades exports → orders → trades with CONTRACT_SPECS multipliers
+// Run: node tests/test_ninjatrader_parser.js
+
+const { check, run, quiet, loadScripts } = require('./helpers');
+const { CSVParser, TradeCalculator, TradleApp } = loadScripts('js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js', 'js/main.js');
+
+const executionsCsv = `Instrument,Action,Quantity,Price,Time,ID,E/X,Position,Order ID,Name,Commission,Rate,Account,Connection
+ES 03-26,Buy,2,6010.25,3/2/2026 9:31:05 AM,ex1,Entry,2 L,o1,Entry,$4.12,1,Sim101,Playback
+ES 03-26,Sell,2,6014.75,3/2/2026 9:45:10 AM,ex2,Exit,-,o2,Exit,$4.12,1,Sim101,Playback
+MNQ 03-26,Sell,3,21000.5,3/2/2026 1:05:00 PM,ex3,Entry,3 S,o3,Entry,$1.86,1,Sim101,Playback
+MNQ 03-26,Buy,3,20990,3/2/2026 1:20:30 PM,ex4,Exit,-,o4,Exit,$1.86,1,Sim101,Playback`;
+
+const tradesCsv = `Trade number,Instrument,Account,Strategy,Market pos.,Qty,Entry price,Exit price,Entry time,Exit time,Entry name,Exit name,Profit,Cum. net profit,Commission,MAE,MFE,ETD,Bars
+1,CL 04-26,Sim101,,Short,1,72.50,72.10,3/3/2026 10:00:00 AM,3/3/2026 10:30:00 AM,Entry,Exit,$400.00,$395.88,$4.12,$0.00,$0.00,$0.00,0`;
+
+// Trade numbers restart at 1 in every export — two months, two different "trade 1"s
+const tradesHeader = tradesCsv.split('\n')[0];
+const febTradesCsv = `${tradesHeader}
+1,ES 03-26,Sim101,,Long,1,6000,6004,2/9/2026 10:00:00 AM,2/9/2026 10:20:00 AM,Entry,Exit,$200.00,$195.88,$4.12,$0.00,$0.00,$0.00,0`;
+const marTradesCsv = `${tradesHeader}
+1,ES 06-26,Sim101,,Short,1,6100,6098,3/9/2026 11:00:00 AM,3/9/2026 11:15:00 AM,Entry,Exit,$100.00,$95.88,$4.12,$0.00,$0.00,$0.00,0`;
+
+run(async () => {
+    const parser = new CSVParser();
+    const calc = new TradeCalculator();
+
+    console.log('=== Format detection ===');
+    check('executions export detected', parser.detectFormat(executionsCsv) === 'ninjatrader');
+    check('trades export detected', parser.detectFormat(tradesCsv) === 'ninjatrader');
+
+    console.log('\n=== Instrument resolution ===');
+    check('"ES 03-26" → ES1!', parser.resolveFuturesSymbol('ES 03-26') === 'ES1!');
+    check('"MNQ 06-26" → MNQ1!', parser.resolveFuturesSymbol('MNQ 06-26') === 'MNQ1!');
+    check('stock symbol unchanged', parser.resolveFuturesSymbol('AAPL') === 'AAPL');
+
+    console.log('\n=== Executions export ===');
+    const exec = await parser.parseCSV(executionsCsv, 'ninjatrader');
+    check('4 orders parsed', exec.orders.length === 4);
+    check('AM time parsed', exec.orders[0].placingTime.getHours() === 9);
+    check('PM time parsed to 13h', exec.orders[2].placingTime.getHours() === 13);
+    check('4-digit year kept', exec.orders[0].placingTime.getFullYear() === 2026);
+    check('broker is NinjaTrader', exec.orders.every(o => o.broker === 'NinjaTrader'));
+
+    const execTrades = calc.processOrders(exec.orders).trades;
+    execTrades.forEach(t => console.log(`  ${t.side} ${t.contract} ${t.entryPrice} → ${t.exitPrice} net ${t.netProfit.toFixed(2)}`));
+    check('ES long uses multiplier 50', Math.abs(execTrades[0].grossProfit - 4.5 * 2 * 50) < 0.01);
+    check('MNQ short uses multiplier 2', Math.abs(execTrades[1].grossProfit - 10.5 * 3 * 2) < 0.01);
+
+    const noIds = executionsCsv.split('\n').map(line => line.split(',').slice(0, 5).join(','));
+    const ids = async (rows) => (await parser.parseCSV(rows.join('\n'), 'ninjatrader')).orders.map(o => o.orderId);
+    const fullIds = await ids(noIds);
+    const tailIds = await ids([noIds[0], ...noIds.slice(3)]);
+    check('executions without ids get the same ids in an overlapping export', tailIds.length === 2 && tailIds.every(id => fullIds.includes(id)));
+
+    console.log('\n=== Trades export ===');
+    const rt = await parser.parseCSV(tradesCsv, 'ninjatrader');
+    check('round trip split into 2 orders', rt.orders.length === 2);
+    const rtTrades = calc.processOrders(rt.orders).trades;
+    check('CL short matched', rtTrades.length === 1 && rtTrades[0].side === 'SHORT');
+    check('CL gross = 0.40 * 1000', Math.abs(rtTrades[0].grossProfit - 400) < 0.01);
+    check('commission carried through', Math.abs(rtTrades[0].totalCommission - 4.12) < 0.01);
+
+    console.log('\n=== Trades exports from different months ===');
+    const app = Object.create(TradleApp.prototype);
+    app.tradeDatabase = { trades: [], orderIds: new Set(), openLots: [], lastUpdated: null };
+    const importTrades = (content) => quiet(async () => {
+        const result = await parser.parseCSV(content, 'ninjatrader');
+        return app.mergeTradesWithDatabase(calc.processOrders(result.orders).trades, result.orders);
+    });
+    const feb = await importTrades(febTradesCsv);
+    const mar = await importTrades(marTradesCsv);
+    check('both "trade 1"s kept', feb.newTrades === 1 && mar.newTrades === 1 && app.tradeDatabase.trades.length === 2);
+    const again = await importTrades(febTradesCsv);
+    check('re-importing an export is still deduplicated', again.newTrades === 0 && again.duplicates === 1);
+});
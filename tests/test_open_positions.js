@@ -0,0 +1,106 @@
+// Test: open positions — lots left open are persisted, closed by a later import, rolled back by Undo
+// Run: node tests/test_open_positions.js
+
+const { check, run, quiet, stubLocalStorage, loadScripts } = require('./helpers');
+
+const store = stubLocalStorage();
+const { TimeZone, CSVParser, TradeCalculator, TradleApp } = loadScripts('js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js', 'js/main.js');
+
+const header = 'Symbol,Side,Type,Qty,Limit Price,Stop Price,Fill Price,Status,Commission,Placing Time,Closing Time,Order ID,Level ID,Leverage,Margin';
+// Monday's export: bought 2 ES, sold 1 — one contract still open at the end of the file
+const monday = [header,
+    'CME_MINI:ES1!,Buy,Market,2,,,6970.00,Filled,,2/9/26 15:00,2/9/26 15:00,1001,,,',
+    'CME_MINI:ES1!,Sell,Market,1,,,6975.00,Filled,,2/9/26 15:30,2/9/26 15:30,1002,,,'
+].join('\n');
+// Tuesday's export: the ES exit, plus a new NQ short nobody has covered yet
+const tuesday = [header,
+    'CME_MINI:ES1!,Sell,Market,1,,,6990.00,Filled,,2/10/26 10:00,2/10/26 10:00,1003,,,',
+    'CME_MINI:NQ1!,Sell,Market,1,,,21000,Filled,,2/10/26 11:00,2/10/26 11:00,2001,,,'
+].join('\n');
+
+const ui = { calls: [] };
+['updateDashboard', 'hideDashboard', 'showToast', 'showUploadStatus', 'hideUploadStatus', 'hideLoading', 'renderUploadHistory', 'renderOpenPositions']
+    .forEach(name => { ui[name] = () => ui.calls.push(name); });
+const app = Object.create(TradleApp.prototype);
+app.csvParser = new CSVParser();
+app.tradeCalculator = new TradeCalculator();
+app.uiController = ui;
+app.tradeDatabase = { trades: [], orderIds: new Set(), openLots: [], lastUpdated: null };
+app.currentData = null;
+
+async function preview(csv, name) {
+    const parseResult = await app.csvParser.parseCSV(csv, 'tradingview', { timeZone: 'UTC' });
+    const tradeResult = app.tradeCalculator.processOrders(parseResult.orders, app.getOpenLots());
+    app.pendingImport = { file: { name }, format: 'tradingview', csvContent: null, parseResult, tradeResult, startTime: Date.now() };
+    return app.buildImportPreview();
+}
+
+run(async () => {
+
+    console.log('=== Lots left open are kept ===');
+    await quiet(() => preview(monday, 'monday.csv'));
+    await quiet(() => app.confirmImport());
+    check('1 closed trade imported', app.tradeDatabase.trades.length === 1);
+    const lots = app.getOpenLots();
+    check('1 ES contract kept open', lots.length === 1 && lots[0].qty === 1 && lots[0].order.orderId === '1001');
+    check('lot remembers the fill that already traded against it', lots[0].closedBy.join() === '1002');
+    const saved = JSON.parse(store.tradle_trade_database);
+    check('open lots saved with the database', saved.openLots.length === 1);
+
+    app.tradeDatabase = { trades: [], orderIds: new Set(), lastUpdated: null };
+    await quiet(() => app.loadTradeDatabase());
+    check('reload revives the order dates', app.getOpenLots()[0].order.placingTime instanceof Date);
+    const positions = app.getOpenPositions();
+    check('dashboard position: 1 LONG ES @ 6970', positions.length === 1 && positions[0].side === 'LONG' &&
+        positions[0].contract === 'ES1!' && positions[0].qty === 1 && positions[0].avgPrice === 6970);
+
+    console.log('\n=== Re-importing the same export ===');
+    const again = await quiet(() => preview(monday, 'monday.csv'));
+    check('closed trade shows as a duplicate', again.trades.length === 1 && again.duplicates.size === 1);
+    check('held entry is rebuilt, not opened a second time', again.openLots.length === 1 && again.openLots[0].qty === 1);
+    check('not flagged as closing the held lot', again.closesOpen.size === 0);
+
+    console.log('\n=== A later import closes it ===');
+    const next = await quiet(() => preview(tuesday, 'tuesday.csv'));
+    check('ES exit matched against Monday\'s entry', next.trades.length === 1 && next.trades[0].entryOrderId === '1001' && next.trades[0].exitOrderId === '1003');
+    check('trade flagged as closing an open position', next.closesOpen.has(0));
+    check('P&L from the carried entry price', next.trades[0].grossProfit === 20 * 50);
+    check('preview lists only the new NQ position as left open', next.unclosedPositions.length === 1 && next.unclosedPositions[0].symbol === 'CME_MINI:NQ1!');
+    await quiet(() => app.confirmImport());
+    check('closed trade added', app.tradeDatabase.trades.length === 2);
+    check('ES lot gone, NQ lot open', app.getOpenLots().length === 1 && app.getOpenLots()[0].order.orderId === '2001');
+
+    console.log('\n=== Undo restores the open positions ===');
+    const history = app.getUploadHistory();
+    await quiet(() => app.undoImport(history[history.length - 1].batchId));
+    check('closing trade removed', app.tradeDatabase.trades.length === 1);
+    check('ES lot open again', app.getOpenLots().length === 1 && app.getOpenLots()[0].order.orderId === '1001');
+    check('restored lot is matchable', app.getOpenLots()[0].order.placingTime instanceof Date);
+
+    await quiet(() => app.undoImport(history[0].batchId));
+    check('undoing the first import empties the open lots', app.getOpenLots().length === 0);
+
+    console.log('\n=== Entries-only file and discard ===');
+    const entries = await quiet(() => preview(tuesday.split('\n').filter(l => !l.includes('ES1!')).join('\n'), 'entry.csv'));
+    check('no trades but one new lot', entries.trades.length === 0 && entries.openedLots === 1);
+    await quiet(() => app.confirmImport());
+    check('entries-only import is accepted', app.getOpenLots().length === 1);
+    check('discard removes the position', await quiet(() => app.discardOpenPosition('CME_MINI:NQ1!', 'TradingView')) && app.getOpenLots().length === 0);
+    check('panel redrawn', ui.calls.includes('renderOpenPositions'));
+    check('discarding an unknown key is a no-op', !(await quiet(() => app.discardOpenPosition('nope'))));
+
+    console.log('\n=== Leftover lots after a reversal ===');
+    const calc = new TradeCalculator();
+    const flip = await quiet(() => app.csvParser.parseCSV([header,
+        'CME_MINI:ES1!,Buy,Market,1,,,6970.00,Filled,,2/9/26 15:00,2/9/26 15:00,3001,,,',
+        'CME_MINI:ES1!,Sell,Market,2,,,6975.00,Filled,,2/9/26 15:30,2/9/26 15:30,3002,,,'
+    ].join('\n'), 'tradingview', { timeZone: 'UTC' }));
+    const first = await quiet(() => calc.processOrders(flip.orders));
+    check('reversal leaves 1 short open', first.openLots.length === 1 && first.openLots[0].order.side === 'Sell' && first.openLots[0].qty === 1);
+    const replay = await quiet(() => calc.processOrders(flip.orders, first.openLots));
+    check('replaying the file rebuilds the same short', replay.trades.length === 1 && replay.trades[0].entryOrderId === '3001' &&
+        replay.openLots.length === 1 && replay.openLots[0].qty === 1);
+    const exitOnly = flip.orders.filter(o => o.orderId === '3001');
+    const overlap = await quiet(() => calc.processOrders(exitOnly, first.openLots));
+    check('an export with only the fill it already closed changes nothing', overlap.trades.length === 0 && overlap.openLots[0].qty === 1);
+});
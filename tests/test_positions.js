@@ -0,0 +1,76 @@
+// Test: position view — matched trades rolled into flat-to-flat positions for the summary, calendar and tables
+// Run: node tests/test_positions.js
+
+const { check, run, quiet, loadScripts } = require('./helpers');
+
+const { TimeZone, CSVParser, TradeCalculator } = loadScripts('js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js');
+
+const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+const header = 'Symbol,Side,Type,Qty,Limit Price,Stop Price,Fill Price,Status,Commission,Placing Time,Closing Time,Order ID,Level ID,Leverage,Margin';
+const row = (symbol, side, qty, price, time, id) =>
+    `CME_MINI:${symbol},${side},Market,${qty},,,${price},Filled,,2/10/26 ${time},2/10/26 ${time},${id},,,`;
+
+const csv = [header,
+    // 5-lot long closed 2 + 2 + 1 — one position
+    row('ES1!', 'Buy', 5, 6000, '15:00', '1'),
+    row('ES1!', 'Sell', 2, 6010, '15:05', '2'),
+    row('ES1!', 'Sell', 2, 6020, '15:10', '3'),
+    row('ES1!', 'Sell', 1, 5990, '15:15', '4'),
+    // Back in at a later time — a second position
+    row('ES1!', 'Buy', 1, 6000, '16:00', '5'),
+    row('ES1!', 'Buy', 1, 6010, '16:05', '6'),
+    row('ES1!', 'Sell', 2, 6000, '16:10', '7'),
+    // An NQ scalp in the middle stays its own position
+    row('NQ1!', 'Sell', 1, 21000, '15:02', '8'),
+    row('NQ1!', 'Buy', 1, 20990, '15:03', '9')
+].join('\n');
+
+run(async () => {
+    const calc = new TradeCalculator();
+    const { orders } = await quiet(() => new CSVParser().parseCSV(csv, 'tradingview', { timeZone: 'UTC' }));
+    const { trades } = await quiet(() => calc.processOrders(orders));
+
+    console.log('=== Grouping partial fills ===');
+    check('FIFO matching: 6 trades', trades.length === 6);
+    const positions = await quiet(() => calc.groupPositions(trades));
+    check('3 flat-to-flat positions', positions.length === 3);
+    // Trades come out in exit order, so the NQ scalp (out at 15:03) is first
+    const [nq, scaled, second] = positions;
+    check('ordered by each position\'s first trade', nq.contract === 'NQ1!' && scaled.contract === 'ES1!' && second.entryOrderId === '5');
+    check('2 + 2 + 1 exits roll into one 5-lot position', scaled.legCount === 3 && scaled.quantity === 5 && scaled.maxSize === 5);
+    check('average exit', near(scaled.exitPrice, (2 * 6010 + 2 * 6020 + 5990) / 5) && scaled.entryPrice === 6000);
+    check('P&L summed across the legs', near(scaled.grossProfit, trades.filter(t => t.entryOrderId === '1').reduce((s, t) => s + t.grossProfit, 0)));
+    check('commission summed', near(scaled.totalCommission, 2.5 * 2 * 5));
+    check('first entry and last exit time', scaled.entryOrderId === '1' && scaled.exitOrderId === '4' &&
+        scaled.exitTime.getTime() === Date.UTC(2026, 1, 10, 15, 15));
+    check('legs keep their own prices and times', scaled.legs.length === 3 && scaled.legs[2].exitPrice === 5990 && scaled.legs[0].entryTime instanceof Date);
+    check('position id and the trades behind it', scaled.id.startsWith('position_') && scaled.tradeIds.length === 3);
+
+    console.log('\n=== Scale in, scale out ===');
+    check('peak size over total size', second.legCount === 2 && second.quantity === 2 && second.maxSize === 2);
+    check('average entry', second.entryPrice === 6005 && second.exitPrice === 6000);
+    check('peak reached at the second entry', second.maxSizeTime.getTime() === Date.UTC(2026, 1, 10, 16, 5));
+
+    console.log('\n=== Single trades and boundaries ===');
+    check('lone trade passes through with its own id', nq.legCount === 1 && nq.id === trades.find(t => t.contract === 'NQ1!').id);
+    const flip = [
+        { ...trades[3], id: 'a', entryTime: new Date('2026-02-10T10:00:00Z'), exitTime: new Date('2026-02-10T10:05:00Z') },
+        { ...trades[3], id: 'b', entryTime: new Date('2026-02-10T10:05:00Z'), exitTime: new Date('2026-02-10T10:10:00Z') }
+    ];
+    check('re-entry on the exit timestamp is a new position', (await quiet(() => calc.groupPositions(flip))).length === 2);
+    check('other broker never merged', calc.groupPositions([flip[0], { ...flip[1], broker: 'IBKR', entryTime: flip[0].entryTime }]).length === 2);
+    const paperLeg = { ...flip[0], accountId: 'account_paper' };
+    const liveLeg = { ...flip[1], accountId: 'account_live', entryTime: flip[0].entryTime };
+    check('other account never merged', calc.groupPositions([paperLeg, liveLeg]).length === 2);
+    check('same account still merged', calc.groupPositions([paperLeg, { ...liveLeg, accountId: 'account_paper' }]).length === 1);
+    check('no trades, no positions', calc.groupPositions([]).length === 0);
+
+    console.log('\n=== Summary by position ===');
+    const byTrade = calc.generateSummary(trades);
+    const byPosition = await quiet(() => calc.generateSummary(trades, { view: 'positions' }));
+    check('trade count', byTrade.totalTrades === 6 && byPosition.totalTrades === 3);
+    check('same net P&L', near(byTrade.totalProfit, byPosition.totalProfit));
+    check('win rate by position', byPosition.winCount + byPosition.lossCount === 3);
+    check('positions export to CSV', calc.exportToCSV(positions).split('\n').length === 4);
+});
@@ -0,0 +1,117 @@
+// Test: prop-firm evaluation rules — drawdown modes, daily loss limit, targets, breached days, rule set edits
+// Run: node tests/test_prop_rules.js
+
+const { check, run, quiet, stubLocalStorage, loadScripts } = require('./helpers');
+
+const store = stubLocalStorage();
+const { TimeZone, CSVParser, TradeCalculator, TradleApp } = loadScripts('js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js', 'js/main.js');
+
+const ui = { calls: [] };
+['updateDashboard', 'hideDashboard', 'showToast', 'showUploadStatus', 'hideUploadStatus', 'hideLoading', 'renderUploadHistory']
+    .forEach(name => { ui[name] = () => ui.calls.push(name); });
+
+// Trades as [day, hh:mm, netProfit], grouped like UIController.groupTradesByDay (UTC days)
+const dayMap = (rows) => {
+    const map = {};
+    rows.forEach(([day, time, netProfit]) => {
+        const trade = { exitTime: new Date(`${day}T${time}:00Z`), netProfit, isWin: netProfit > 0, totalCommission: 0, grossProfit: netProfit };
+        if (!map[day]) map[day] = { pnl: 0, trades: 0, tradeList: [] };
+        map[day].pnl += netProfit;
+        map[day].trades += 1;
+        map[day].tradeList.push(trade);
+    });
+    return map;
+};
+const rule = (result, id) => result.rules.find(r => r.id === id);
+const limits = (fields) => ({ name: 'Test', profitTarget: null, maxDrawdown: null, drawdownMode: 'static', dailyLossLimit: null, minTradingDays: null, consistency: null, ...fields });
+
+run(async () => {
+    const calc = new TradeCalculator();
+
+    console.log('=== Rule sets ===');
+    check('presets listed', Object.keys(calc.getAllPropRuleSets()).length === Object.keys(calc.PROP_RULE_PRESETS).length);
+    calc.customPropRules = { topstep_50k: { ...calc.PROP_RULE_PRESETS.topstep_50k, profitTarget: 2500 } };
+    const edited = calc.getAllPropRuleSets().topstep_50k;
+    check('user edits on top of the preset', edited.profitTarget === 2500 && edited.builtIn && edited.custom && edited.id === 'topstep_50k');
+    check('unknown rule set is null', calc.getPropRuleSet('nope') === null);
+    check('validation lists every problem', calc.validatePropRules({ name: ' ', profitTarget: -1, maxDrawdown: 0, drawdownMode: 'weekly',
+        dailyLossLimit: -5, minTradingDays: 1.5, consistency: 120 }).length === 7);
+    check('blank limits are valid', calc.validatePropRules(limits({})).length === 0);
+
+    console.log('\n=== Drawdown ===');
+    // Up 1500 on day 1, then down 1600 through day 2
+    const swing = dayMap([['2026-03-02', '15:00', 1500], ['2026-03-03', '15:00', -1000], ['2026-03-03', '16:00', -600]]);
+    const staticDD = calc.evaluatePropRules(swing, limits({ maxDrawdown: 1000 }), 50000);
+    check('static floor stays below the starting balance', rule(staticDD, 'maxDrawdown').value === 49000 &&
+        rule(staticDD, 'maxDrawdown').status === 'passed' && rule(staticDD, 'maxDrawdown').buffer === 900);
+    const eod = calc.evaluatePropRules(swing, limits({ maxDrawdown: 1000, drawdownMode: 'eod' }), 50000);
+    check('end-of-day trailing stops at the starting balance', rule(eod, 'maxDrawdown').value === 50000);
+    check('breach flagged on its day', rule(eod, 'maxDrawdown').status === 'failed' && eod.status === 'failed' &&
+        eod.breaches['2026-03-03'].join() === 'Max drawdown' && !eod.breaches['2026-03-02']);
+    // Intraday peak of +800 that closes the day at +100
+    const spike = dayMap([['2026-03-02', '15:00', 800], ['2026-03-02', '16:00', -700], ['2026-03-03', '15:00', -300]]);
+    const intraday = calc.evaluatePropRules(spike, limits({ maxDrawdown: 1000, drawdownMode: 'trailing' }), 50000);
+    const closing = calc.evaluatePropRules(spike, limits({ maxDrawdown: 1000, drawdownMode: 'eod' }), 50000);
+    check('intraday trailing follows the peak after every trade', rule(intraday, 'maxDrawdown').value === 49800 && rule(intraday, 'maxDrawdown').buffer === 0 &&
+        intraday.breaches['2026-03-03']);
+    check('end-of-day trailing only follows the close', rule(closing, 'maxDrawdown').value === 49100 && closing.status !== 'failed');
+
+    console.log('\n=== Daily loss limit ===');
+    // Down 900 then back up to -100 on one day
+    const dip = dayMap([['2026-03-02', '15:00', -900], ['2026-03-02', '16:00', 800], ['2026-03-03', '15:00', -200]]);
+    const daily = calc.evaluatePropRules(dip, limits({ dailyLossLimit: 800 }), 50000, { today: '2026-03-03' });
+    check('the day\'s lowest running P&L counts', daily.breaches['2026-03-02'].join() === 'Daily loss limit' && !daily.breaches['2026-03-03']);
+    check('buffer left today', rule(daily, 'dailyLossLimit').buffer === 600 && rule(daily, 'dailyLossLimit').value === -200);
+    check('full buffer on a day with no trades', rule(calc.evaluatePropRules(dip, limits({ dailyLossLimit: 800 }), 50000, { today: '2026-03-04' }), 'dailyLossLimit').buffer === 800);
+
+    console.log('\n=== Targets ===');
+    const run = dayMap([['2026-03-02', '15:00', 1200], ['2026-03-03', '15:00', 900], ['2026-03-04', '15:00', 900]]);
+    const topstep = { ...calc.PROP_RULE_PRESETS.topstep_50k };
+    const pass = calc.evaluatePropRules(run, topstep, 50000);
+    check('profit target reached', rule(pass, 'profitTarget').status === 'passed' && rule(pass, 'profitTarget').progress === 1);
+    check('consistency: best day\'s share of the profit', rule(pass, 'consistency').value === 40 && rule(pass, 'consistency').status === 'passed');
+    check('evaluation passed', pass.status === 'passed' && pass.balance === 53000);
+    const early = calc.evaluatePropRules(dayMap([['2026-03-02', '15:00', 3000]]), topstep, 50000);
+    check('one big day: target met but not consistent', rule(early, 'profitTarget').status === 'passed' &&
+        rule(early, 'consistency').status === 'pending' && rule(early, 'minTradingDays').buffer === 1 && early.status === 'pending');
+    const empty = calc.evaluatePropRules({}, topstep, 50000);
+    check('no trades yet', empty.status === 'pending' && rule(empty, 'consistency').value === null && rule(empty, 'profitTarget').buffer === 3000);
+
+    console.log('\n=== Rule sets on the app ===');
+    const app = Object.create(TradleApp.prototype);
+    app.csvParser = new CSVParser();
+    app.tradeCalculator = new TradeCalculator();
+    app.uiController = ui;
+    app.tradeDatabase = { trades: [], orderIds: new Set(), openLots: [], lastUpdated: null };
+    app.currentData = null;
+    app.accounts = [];
+    app.cashFlows = [];
+
+    const added = await quiet(() => app.savePropRuleSet({ name: ' Team 25K ', profitTarget: '1500', maxDrawdown: 1000, drawdownMode: 'trailing', dailyLossLimit: '', minTradingDays: 3, consistency: '' }));
+    check('added set gets an id and nulls for blank limits', added.id.startsWith('rules_') && added.name === 'Team 25K' && added.dailyLossLimit === null && added.profitTarget === 1500);
+    let threw = null;
+    try { app.savePropRuleSet({ name: 'Bad', drawdownMode: 'static', consistency: 0 }); } catch (e) { threw = e.message; }
+    check('invalid set throws', threw === 'Consistency must be a percentage between 1 and 100');
+    await quiet(() => app.savePropRuleSet({ ...app.tradeCalculator.getPropRuleSet('apex_50k'), id: 'apex_50k', minTradingDays: 5 }));
+    check('editing a preset keeps its id', app.tradeCalculator.getPropRuleSet('apex_50k').minTradingDays === 5);
+
+    const eval25k = await quiet(() => app.saveAccount({ name: 'Eval 25K', startingLiquidity: 25000, ruleSetId: added.id }));
+    check('account follows a rule set', eval25k.ruleSetId === added.id);
+    check('editing without a rule set keeps it', (await quiet(() => app.saveAccount({ id: eval25k.id, name: 'Eval 25K', startingLiquidity: 25000 }))).ruleSetId === added.id);
+    threw = null;
+    try { app.saveAccount({ name: 'Other', startingLiquidity: 1, ruleSetId: 'rules_missing' }); } catch (e) { threw = e.message; }
+    check('unknown rule set rejected', threw === 'Unknown prop-firm rule set');
+
+    const saved = JSON.parse(store.tradle_prop_rules);
+    check('saved with a timestamp for sync', saved.updatedAt && saved.rules[added.id] && saved.rules.apex_50k);
+    const other = Object.create(TradleApp.prototype);
+    other.tradeCalculator = new TradeCalculator();
+    other.loadPropRules();
+    check('a fresh app loads the edits', other.tradeCalculator.getPropRuleSet('apex_50k').minTradingDays === 5 && other.tradeCalculator.getPropRuleSet(added.id).name === 'Team 25K');
+
+    console.log('\n=== Reset and remove ===');
+    check('resetting a preset', await quiet(() => app.resetPropRuleSet('apex_50k')) && app.tradeCalculator.getPropRuleSet('apex_50k').minTradingDays === 7);
+    check('nothing to reset', !app.resetPropRuleSet('apex_50k'));
+    await quiet(() => app.resetPropRuleSet(added.id));
+    check('removing an added set drops it from its accounts', app.tradeCalculator.getPropRuleSet(added.id) === null && app.getAccount(eval25k.id).ruleSetId === null);
+});
@@ -0,0 +1,112 @@
+// Test: R multiples — planned stop / target per trade, initial risk, R curve, bracket inference and journal storage
+// Run: node tests/test_r_multiples.js
+
+const { check, run, quiet, stubLocalStorage, loadScripts } = require('./helpers');
+
+const store = stubLocalStorage();
+const { CSVParser, TradeCalculator, TradleApp } = loadScripts('js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js', 'js/main.js');
+
+const near = (a, b) => typeof a === 'number' && Math.abs(a - b) < 1e-9;
+
+const ui = { calls: [], displayTimeZone: 'UTC' };
+['updateDashboard', 'hideDashboard', 'showToast', 'showUploadStatus', 'hideUploadStatus', 'hideLoading', 'renderUploadHistory']
+    .forEach(name => { ui[name] = () => ui.calls.push(name); });
+const newApp = () => {
+    const app = Object.create(TradleApp.prototype);
+    app.csvParser = new CSVParser();
+    app.tradeCalculator = new TradeCalculator();
+    app.uiController = ui;
+    app.tradeDatabase = { trades: [], orderIds: new Set(), openLots: [], lastUpdated: null };
+    app.currentData = null;
+    app.accounts = [];
+    app.cashFlows = [];
+    return app;
+};
+// A calculated 1-lot ES trade ($50 a point, no commission), levels on the entry as createTradeObject leaves them
+const trade = (calc, id, side, entry, exit, entryPrice, exitPrice, levels = {}) => calc.calculateTrade({
+    id,
+    entryOrder: { orderId: `${id}_in`, symbol: 'CME_MINI:ES1!', side: side === 'LONG' ? 'Buy' : 'Sell', qty: 1, fillPrice: entryPrice, placingTime: new Date(entry), ...levels },
+    exitOrder: { orderId: `${id}_out`, symbol: 'CME_MINI:ES1!', side: side === 'LONG' ? 'Sell' : 'Buy', qty: 1, fillPrice: exitPrice, placingTime: new Date(exit) },
+    entryPrice, exitPrice, quantity: 1, entryTime: new Date(entry), exitTime: new Date(exit),
+    contract: 'ES1!', side, plannedStop: levels.plannedStop ?? null, plannedTarget: levels.plannedTarget ?? null
+});
+
+// TradingView export, newest first: a long with a stop / target bracket that hit the target, then a
+// short whose only stop sits on the wrong side of the entry
+const csv = [
+    'Symbol,Side,Type,Qty,Limit Price,Stop Price,Fill Price,Status,Commission,Placing Time,Closing Time,Order ID,Level ID,Leverage,Margin',
+    'CME_MINI:ES1!,Buy,Market,1,,,6025,Filled,,2026-03-02 15:10:00,2026-03-02 15:10:00,106,,,',
+    'CME_MINI:ES1!,Buy,Stop,1,,5990,,Cancelled,,2026-03-02 15:00:01,2026-03-02 15:10:00,105,,,',
+    'CME_MINI:ES1!,Sell,Market,1,,,6030,Filled,,2026-03-02 15:00:00,2026-03-02 15:00:00,104,,,',
+    'CME_MINI:ES1!,Sell,Stop,1,,5990,,Cancelled,,2026-03-02 14:30:01,2026-03-02 14:45:00,103,,,',
+    'CME_MINI:ES1!,Sell,Limit,1,6020,,6020,Filled,,2026-03-02 14:30:01,2026-03-02 14:45:00,102,,,',
+    'CME_MINI:ES1!,Buy,Market,1,,,6000,Filled,,2026-03-02 14:30:00,2026-03-02 14:30:00,101,,,'
+].join('\n');
+
+run(async () => {
+    const calc = new TradeCalculator();
+
+    console.log('=== Initial risk and R ===');
+    const win = trade(calc, 'w', 'LONG', '2026-03-02T14:30:00Z', '2026-03-02T14:45:00Z', 6000, 6015, { plannedStop: 5990, plannedTarget: 6020 });
+    check('initial risk is stop distance × size × multiplier', win.initialRisk === 500 && win.plannedStop === 5990);
+    check('R multiple is net P&L over initial risk', near(win.rMultiple, win.netProfit / 500) && win.netProfit < 750);
+    check('planned R is target distance over stop distance', near(win.plannedR, 2));
+    const short = trade(calc, 's', 'SHORT', '2026-03-02T15:00:00Z', '2026-03-02T15:10:00Z', 6030, 6040, { plannedStop: 6035 });
+    check('short trade stopped past its stop', short.initialRisk === 250 && near(short.rMultiple, short.netProfit / 250) && short.rMultiple < -2 && short.plannedR === null);
+    const plain = trade(calc, 'p', 'LONG', '2026-03-03T14:30:00Z', '2026-03-03T14:40:00Z', 6000, 5995);
+    check('no stop, no R', plain.initialRisk === null && plain.rMultiple === null && plain.plannedStop === null);
+
+    console.log('\n=== Positions and summary ===');
+    const legs = [
+        trade(calc, 'l1', 'LONG', '2026-03-04T14:30:00Z', '2026-03-04T14:50:00Z', 6000, 6010, { plannedStop: 5990, plannedTarget: 6020 }),
+        trade(calc, 'l2', 'LONG', '2026-03-04T14:35:00Z', '2026-03-04T14:55:00Z', 6005, 6010, { plannedStop: 5995, plannedTarget: 6035 })
+    ];
+    const position = calc.groupPositions(legs)[0];
+    check('a position risks the sum of its legs', position.initialRisk === 1000 && near(position.rMultiple, position.netProfit / 1000) &&
+        near(position.plannedR, 2.5));
+    check('one leg without a stop leaves the position without R',
+        calc.groupPositions([legs[0], trade(calc, 'l3', 'LONG', '2026-03-04T14:35:00Z', '2026-03-04T14:55:00Z', 6005, 6010)])[0].rMultiple === null);
+    const summary = calc.generateSummary([plain, win, short]);
+    check('summary counts the trades with a stop', summary.rTrades === 2 && near(summary.totalR, win.rMultiple + short.rMultiple) &&
+        near(summary.expectancyR, summary.totalR / 2));
+    check('R curve in exit order, cumulative', summary.rCurve.length === 2 && near(summary.rCurve[0].r, win.rMultiple) && near(summary.rCurve[1].cumulative, summary.totalR));
+    check('average planned R over trades with a target', near(summary.averagePlannedR, 2));
+    check('empty summary has no R curve', calc.getEmptySummary().rCurve.length === 0 && calc.getEmptySummary().expectancyR === 0);
+
+    console.log('\n=== Bracket orders in a TradingView export ===');
+    const parser = new CSVParser();
+    const parsed = await quiet(() => parser.parseTradingViewCSV(csv));
+    const trades = (await quiet(() => calc.processOrders(parsed.orders))).trades.sort((a, b) => a.entryTime - b.entryTime);
+    check('cancelled stop and filled limit give the long its stop and target', trades[0].plannedStop === 5990 && trades[0].plannedTarget === 6020 &&
+        near(trades[0].rMultiple, trades[0].netProfit / 500) && near(trades[0].plannedR, 2));
+    check('a stop on the wrong side of the entry is ignored', trades[1].plannedStop === null && trades[1].rMultiple === null);
+    check('orders of the next trade are outside the bracket', trades[0].plannedStop === 5990 && trades[1].plannedTarget === null);
+
+    console.log('\n=== Setting levels by hand ===');
+    const app = newApp();
+    app.tradeDatabase.trades = trades;
+    check('stop checked against the side', calc.validatePlannedLevels(trades[1], { stop: 6020 })[0] ===
+        'Planned stop must be above the entry (6030) for a short trade');
+    let threw = null;
+    try { app.setPlannedLevels([trades[1].id], { stop: 'abc' }); } catch (e) { threw = e.message; }
+    check('non-numbers rejected', threw === 'Planned stop must be a number');
+    ui.calls = [];
+    check('set a stop on the short', await quiet(() => app.setPlannedLevels([trades[1].id], { stop: '6040', target: '' })) === 1 &&
+        near(app.tradeDatabase.trades[1].rMultiple, trades[1].netProfit / 500) && ui.calls.includes('updateDashboard'));
+    const { key, tradeId } = app.tradeJournalRef(app.tradeDatabase.trades[1]);
+    const entry = JSON.parse(store[key]).trades[tradeId];
+    check('kept in the journal entry for sync', entry.plannedStop === 6040 && entry.plannedTarget === null && entry.note === '');
+    await quiet(() => app.setPlannedLevels([trades[0].id], { stop: 5995, target: 6020 }));
+    check('overrides the inferred stop', app.tradeDatabase.trades[0].initialRisk === 250 && near(app.tradeDatabase.trades[0].plannedR, 4));
+    await quiet(() => app.setPlannedLevels([trades[0].id], { stop: '', target: 6020 }));
+    check('cleared, back to the bracket\'s stop', app.tradeDatabase.trades[0].plannedStop === 5990 &&
+        app.tradeDatabase.trades[0].initialRisk === 500);
+
+    console.log('\n=== Journal from another device ===');
+    const day = JSON.parse(store[key]);
+    day.trades[tradeId] = { ...day.trades[tradeId], plannedStop: 6035 };
+    store[key] = JSON.stringify(day);
+    check('pulled levels applied and R recalculated', await quiet(() => app.applyJournalEntries()) === 1 &&
+        app.tradeDatabase.trades[1].plannedStop === 6035 && app.tradeDatabase.trades[1].initialRisk === 250);
+    check('nothing new, nothing changed', app.applyJournalEntries() === 0);
+});
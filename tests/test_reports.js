@@ -0,0 +1,58 @@
+// Test: Reports view breakdowns — metrics per symbol, side, broker, weekday, hour and tag
+// Run: node tests/test_reports.js
+
+const { check, run, loadScripts } = require('./helpers');
+const { TimeZone, TradeCalculator } = loadScripts('js/timeZone.js', 'js/tradeCalculator.js');
+
+// Trades as [entry (UTC), minutes held, contract, side, broker, netProfit, tags]
+const trades = [
+    ['2026-03-02T14:30:00Z', 10, 'ES1!', 'LONG', 'Tradovate', 300, 'Breakout, Trending'],
+    ['2026-03-02T15:30:00Z', 20, 'ES1!', 'SHORT', 'Tradovate', -150, 'Reversal, FOMO entry'],
+    ['2026-03-03T14:45:00Z', 5, 'NQ1!', 'LONG', 'NinjaTrader', 500, 'Breakout'],
+    ['2026-03-03T20:10:00Z', 15, 'NQ1!', 'LONG', 'NinjaTrader', -400, ''],
+    ['2026-03-09T14:35:00Z', 10, 'ES1!', 'LONG', 'Tradovate', 100, 'breakout']
+].map(([entry, minutes, contract, side, broker, netProfit, tags]) => ({
+    entryTime: new Date(entry),
+    exitTime: new Date(new Date(entry).getTime() + minutes * 60000),
+    contract, side, broker, netProfit, tags,
+    isWin: netProfit > 0, grossProfit: netProfit, totalCommission: 0
+}));
+const row = (rows, label) => rows.find(r => r.label === label);
+
+run(async () => {
+    const calc = new TradeCalculator();
+
+    console.log('=== Summary metrics ===');
+    const summary = calc.generateSummary(trades);
+    check('expectancy: win rate × avg win + loss rate × avg loss', summary.expectancy === 70 &&
+        Math.abs(0.6 * summary.averageWin + 0.4 * summary.averageLoss - summary.expectancy) < 1e-9);
+    check('empty summary has it too', calc.getEmptySummary().expectancy === 0);
+
+    console.log('\n=== By symbol, side and broker ===');
+    const bySymbol = calc.groupReport(trades);
+    check('one row per symbol, largest P&L first', bySymbol.map(r => r.label).join() === 'ES1!,NQ1!');
+    const es = row(bySymbol, 'ES1!');
+    check('same metrics as the dashboard', es.totalTrades === 3 && es.totalProfit === 250 && Math.abs(es.winRate - 66.67) < 0.01 &&
+        es.profitFactor === 400 / 150 && es.averageLoss === -150);
+    check('drawdown in exit order', row(bySymbol, 'NQ1!').maxDrawdown === 400);
+    check('by side', calc.groupReport(trades, 'side').map(r => `${r.label}:${r.totalTrades}`).join() === 'LONG:4,SHORT:1');
+    check('by broker', calc.groupReport(trades, 'broker').map(r => r.label).join() === 'Tradovate,NinjaTrader');
+
+    console.log('\n=== By weekday and hour ===');
+    const byDay = calc.groupReport(trades, 'weekday');
+    check('weekdays in calendar order', byDay.map(r => `${r.label}:${r.totalTrades}`).join() === 'Mon:3,Tue:2');
+    const byHour = calc.groupReport(trades, 'hour');
+    check('hour of the entry, UTC by default', byHour.map(r => r.label).join() === '14:00,15:00,20:00' && row(byHour, '14:00').totalProfit === 900);
+    const chicago = calc.groupReport(trades, 'hour', { wallClock: (d) => TimeZone.getParts(d, 'America/Chicago') });
+    check('hour in the display zone', chicago.map(r => r.label).join() === '08:00,09:00,14:00');
+
+    console.log('\n=== By tag ===');
+    const byTag = calc.groupReport(trades, 'tag');
+    check('a trade counts under each of its tags', row(byTag, 'Trending').totalTrades === 1 && row(byTag, 'FOMO entry').totalProfit === -150 &&
+        row(byTag, 'Reversal').totalTrades === 1);
+    check('tags matched ignoring case', row(byTag, 'Breakout').totalTrades === 3 && row(byTag, 'Breakout').totalProfit === 900 && !row(byTag, 'breakout'));
+    check('untagged trades last', byTag[byTag.length - 1].label === 'Untagged' && byTag[byTag.length - 1].totalTrades === 1);
+    const setup = calc.groupReport(trades, 'tag', { onlyTags: ['Breakout', 'Reversal'] });
+    check('one tag group: its tags only, the rest untagged', setup.map(r => `${r.label}:${r.totalTrades}`).join() === 'Breakout:3,Reversal:1,Untagged:1');
+    check('no trades, no rows', calc.groupReport([], 'tag').length === 0);
+});
@@ -0,0 +1,100 @@
+// Test: trade tags — tag groups, tagging from the journal / bulk, journal storage, recalculation and export
+// Run: node tests/test_tags.js
+
+const { check, run, quiet, stubLocalStorage, loadScripts } = require('./helpers');
+
+const store = stubLocalStorage();
+const { CSVParser, TradeCalculator, TradleApp } = loadScripts('js/timeZone.js', 'js/csvParser.js', 'js/tradeCalculator.js', 'js/main.js');
+
+const ui = { calls: [], displayTimeZone: 'UTC' };
+['updateDashboard', 'hideDashboard', 'showToast', 'showUploadStatus', 'hideUploadStatus', 'hideLoading', 'renderUploadHistory']
+    .forEach(name => { ui[name] = () => ui.calls.push(name); });
+const newApp = () => {
+    const app = Object.create(TradleApp.prototype);
+    app.csvParser = new CSVParser();
+    app.tradeCalculator = new TradeCalculator();
+    app.uiController = ui;
+    app.tradeDatabase = { trades: [], orderIds: new Set(), openLots: [], lastUpdated: null };
+    app.currentData = null;
+    app.accounts = [];
+    app.cashFlows = [];
+    return app;
+};
+// A calculated trade closing at `exit` (UTC)
+const trade = (calc, id, entry, exit, exitPrice) => calc.calculateTrade({
+    id,
+    entryOrder: { orderId: `${id}_in`, symbol: 'CME_MINI:ES1!', side: 'Buy', qty: 1, fillPrice: 6000, placingTime: new Date(entry) },
+    exitOrder: { orderId: `${id}_out`, symbol: 'CME_MINI:ES1!', side: 'Sell', qty: 1, fillPrice: exitPrice, placingTime: new Date(exit) },
+    entryPrice: 6000, exitPrice, quantity: 1, entryTime: new Date(entry), exitTime: new Date(exit),
+    contract: 'ES1!', side: 'LONG'
+});
+
+run(async () => {
+
+    console.log('=== Tag groups ===');
+    const app = newApp();
+    const groups = app.loadTagGroups();
+    check('default groups until edited', groups.map(g => g.id).join() === 'setup,mistake,market,emotion');
+    const setup = await quiet(() => app.saveTagGroup({ id: 'setup', name: 'Setup', tags: ' Breakout, ORB, breakout ,, ' }));
+    check('tags trimmed and de-duplicated', setup.tags.join() === 'Breakout,ORB');
+    const added = await quiet(() => app.saveTagGroup({ name: 'Session', tags: ['Open', 'Lunch'] }));
+    check('added group gets an id', added.id.startsWith('tags_') && app.getTagGroups().length === 5);
+    let threw = null;
+    try { app.saveTagGroup({ name: 'setup', tags: 'A' }); } catch (e) { threw = e.message; }
+    check('duplicate group name rejected', threw === 'There is already a group named setup');
+    threw = null;
+    try { app.saveTagGroup({ name: 'Empty', tags: ' , ' }); } catch (e) { threw = e.message; }
+    check('group needs a tag', threw === 'Add at least one tag');
+    check('removing a group', await quiet(() => app.removeTagGroup(added.id)) && !app.removeTagGroup(added.id));
+    const saved = JSON.parse(store.tradle_tag_groups);
+    check('saved with a timestamp for sync', saved.updatedAt && saved.groups.length === 4);
+    check('a fresh app loads the edits', newApp().loadTagGroups()[0].tags.join() === 'Breakout,ORB');
+
+    console.log('\n=== Tagging trades ===');
+    const calc = app.tradeCalculator;
+    app.tradeDatabase.trades = [
+        trade(calc, 't1', '2026-03-02T14:30:00Z', '2026-03-02T14:45:00Z', 6010),
+        trade(calc, 't2', '2026-03-02T15:00:00Z', '2026-03-02T15:20:00Z', 5995),
+        trade(calc, 't3', '2026-03-03T14:30:00Z', '2026-03-03T14:40:00Z', 6004)
+    ];
+    check('calculated trades start untagged', app.tradeDatabase.trades.every(t => t.tags === ''));
+    ui.calls = [];
+    check('set tags on one trade', await quiet(() => app.tagTrades(['t1'], ['Breakout', 'Trending'])) === 1 &&
+        app.tradeDatabase.trades[0].tags === 'Breakout, Trending');
+    check('saved and redrawn', ui.calls.includes('updateDashboard') && store.tradle_trade_database);
+    const journal = JSON.parse(store['tradle_journal_2026-03-02']);
+    check('kept in the exit day\'s journal entry', journal.trades.t1_in_t1_out.tags.join() === 'Breakout,Trending' &&
+        journal.trades.t1_in_t1_out.note === '');
+    check('bulk add skips trades that already have it', await quiet(() => app.tagTrades(['t1', 't2', 't3'], ['Breakout'], 'add')) === 2 &&
+        app.tradeDatabase.trades.every(t => t.tags.startsWith('Breakout')));
+    check('bulk remove', await quiet(() => app.tagTrades(['t1', 't2'], ['breakout'], 'remove')) === 2 &&
+        app.tradeDatabase.trades[0].tags === 'Trending' && app.tradeDatabase.trades[1].tags === '' && app.tradeDatabase.trades[2].tags === 'Breakout');
+    check('nothing changed, nothing saved', await quiet(() => app.tagTrades(['t3'], ['Breakout'], 'add')) === 0);
+
+    console.log('\n=== Journal is the synced copy ===');
+    // Another device tagged t2 and left a note — the pull wrote it into the journal
+    const day = JSON.parse(store['tradle_journal_2026-03-02']);
+    day.trades.t2_in_t2_out = { note: 'chased it', tags: ['FOMO entry'] };
+    store['tradle_journal_2026-03-02'] = JSON.stringify(day);
+    check('applied onto the stored trades', await quiet(() => app.applyJournalEntries()) === 1 && app.tradeDatabase.trades[1].tags === 'FOMO entry');
+    check('a journal entry without tags leaves the trade alone', (() => {
+        store['tradle_journal_2026-03-03'] = JSON.stringify({ dayNotes: '', trades: { t3_in_t3_out: { note: 'ok' } } });
+        app.applyJournalEntries();
+        return app.tradeDatabase.trades[2].tags === 'Breakout';
+    })());
+    await quiet(() => app.tagTrades(['t2'], ['FOMO entry', 'Anxious']));
+    check('tagging keeps the journal note', JSON.parse(store['tradle_journal_2026-03-02']).trades.t2_in_t2_out.note === 'chased it');
+
+    console.log('\n=== Recalculation, positions and export ===');
+    check('recalculating keeps tags and notes', calc.calculateTrade({ ...app.tradeDatabase.trades[1], notes: 'n' }).tags === 'FOMO entry, Anxious' &&
+        calc.calculateTrade({ ...app.tradeDatabase.trades[1], notes: 'n' }).notes === 'n');
+    const overlapping = [
+        trade(calc, 'p1', '2026-03-04T14:30:00Z', '2026-03-04T14:50:00Z', 6010),
+        trade(calc, 'p2', '2026-03-04T14:35:00Z', '2026-03-04T14:55:00Z', 6012)
+    ];
+    overlapping[0].tags = 'Breakout';
+    overlapping[1].tags = 'Breakout, News';
+    check('a position carries its legs\' tags', calc.groupPositions(overlapping)[0].tags === 'Breakout, News');
+    const csv = calc.exportToCSV([app.tradeDatabase.trades[1]]).split('\n');
+    check('export quotes tags holding commas', csv[1].endsWith(',"FOMO entry, Anxious"') && csv[0].endsWith('Notes,Tags'));
+});
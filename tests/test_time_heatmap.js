@@ -0,0 +1,46 @@
+// Test: time-of-day heatmap buckets and holding time vs P&L points
+// Run: node tests/test_time_heatmap.js
+
+const { check, run, loadScripts } = require('./helpers');
+const { TimeZone, TradeCalculator } = loadScripts('js/timeZone.js', 'js/tradeCalculator.js');
+
+// Trades as [entry (UTC), minutes held, netProfit]
+const trades = [
+    ['2026-03-02T14:31:00Z', 4, 200],      // Mon 14:30
+    ['2026-03-02T14:50:00Z', 12, -100],    // Mon 14:45
+    ['2026-03-09T14:40:00Z', 95, 300],     // Mon 14:30
+    ['2026-03-04T19:05:00Z', 30, -250],    // Wed 19:00
+    ['2026-03-07T15:00:00Z', 1500, 80]     // Sat 15:00
+].map(([entry, minutes, netProfit]) => ({
+    contract: 'ES1!',
+    entryTime: new Date(entry),
+    exitTime: new Date(new Date(entry).getTime() + minutes * 60000),
+    netProfit, isWin: netProfit > 0
+}));
+
+run(async () => {
+    const calc = new TradeCalculator();
+
+    console.log('=== Heatmap ===');
+    const quarter = calc.timeHeatmap(trades, 15);
+    check('weekdays Monday first, Saturday only because it was traded', quarter.weekdays.join() === '1,2,3,4,5,6');
+    check('columns span the first to the last traded bucket', quarter.buckets[0] === 870 && quarter.buckets[quarter.buckets.length - 1] === 1140 &&
+        quarter.buckets.length === 19);
+    const open = quarter.cells['1-870'];
+    check('a cell adds up its trades', open.trades === 2 && open.pnl === 500 && open.winRate === 100);
+    check('the next quarter hour is its own cell', quarter.cells['1-885'].pnl === -100 && quarter.cells['1-885'].winRate === 0);
+    const hourly = calc.timeHeatmap(trades, 60);
+    check('hour buckets merge them', hourly.cells['1-840'].trades === 3 && hourly.cells['1-840'].pnl === 400 &&
+        Math.abs(hourly.cells['1-840'].winRate - 66.67) < 0.01);
+    const chicago = calc.timeHeatmap(trades, 60, (d) => TimeZone.getParts(d, 'America/Chicago'));
+    check('buckets in the display zone (DST moves the second Monday)', chicago.cells['1-480'].trades === 2 && chicago.cells['1-540'].trades === 1);
+    check('no weekend rows without weekend trades', calc.timeHeatmap(trades.slice(0, 4), 30).weekdays.join() === '1,2,3,4,5');
+    check('no trades, no columns', calc.timeHeatmap([], 30).buckets.length === 0);
+
+    console.log('\n=== Holding time ===');
+    const points = calc.holdingTimePoints(trades);
+    check('one point per trade', points.length === 5 && points[2].minutes === 95 && points[2].netProfit === 300);
+    check('duration text from calculateDuration', points[2].duration === '1h 35m' && points[4].duration === '1d 1h 0m');
+    check('calculateDuration unchanged for short trades', calc.calculateDuration('2026-03-02T14:31:00Z', '2026-03-02T14:35:30Z') === '4m');
+    check('open trades left out', calc.holdingTimePoints([{ entryTime: new Date(), netProfit: 0 }]).length === 0);
+});
@@ -0,0 +1,103 @@
+// Test: import time zones and D/M/Y vs M/D/Y — wall-clock export times stored as UTC instants
+// Run: node tests/test_timezone_parsing.js
+
+const { check, run, stubLocalStorage, loadScripts } = require('./helpers');
+
+// CSVParser persists date settings to localStorage
+stubLocalStorage();
+const { TimeZone, CSVParser } = loadScripts('js/timeZone.js', 'js/csvParser.js');
+
+const tvHeader = 'Symbol,Side,Type,Qty,Limit Price,Stop Price,Fill Price,Status,Commission,Placing Time,Closing Time,Order ID,Level ID,Leverage,Margin';
+const tv = [
+    tvHeader,
+    'CME_MINI:ES1!,Buy,Market,1,,,6970.75,Filled,,2/10/26 15:56,2/10/26 15:56,1001,,,',
+    'CME_MINI:ES1!,Sell,Market,1,,,6976.75,Filled,,2/10/26 16:05,2/10/26 16:05,1002,,,'
+].join('\n');
+
+run(async () => {
+    console.log('=== TimeZone helpers ===');
+    const iso = (d) => d.toISOString();
+    const fillTime = (result, orderId) => iso(result.orders.find(o => o.orderId === orderId).placingTime);
+    check('Chicago winter wall time → UTC-6',
+        iso(TimeZone.toUTC(2026, 3, 2, 9, 30, 0, 'America/Chicago')) === '2026-03-02T15:30:00.000Z');
+    check('Chicago after the March DST switch → UTC-5',
+        iso(TimeZone.toUTC(2026, 3, 9, 9, 30, 0, 'America/Chicago')) === '2026-03-09T14:30:00.000Z');
+    check('hour before the November fall-back is still CDT',
+        iso(TimeZone.toUTC(2026, 11, 1, 0, 30, 0, 'America/Chicago')) === '2026-11-01T05:30:00.000Z');
+    check('hour after the fall-back is CST',
+        iso(TimeZone.toUTC(2026, 11, 1, 3, 0, 0, 'America/Chicago')) === '2026-11-01T09:00:00.000Z');
+    check('Berlin summer time → UTC+2',
+        iso(TimeZone.toUTC(2026, 3, 29, 12, 0, 0, 'Europe/Berlin')) === '2026-03-29T10:00:00.000Z');
+    check('UTC zone is unchanged',
+        iso(TimeZone.toUTC(2026, 2, 10, 15, 56, 0, 'UTC')) === '2026-02-10T15:56:00.000Z');
+    check('Chicago offset in January is -6h',
+        TimeZone.getOffset(new Date('2026-01-15T12:00:00Z'), 'America/Chicago') === -6 * 3600000);
+
+    const lateEvening = new Date('2026-03-03T03:00:00Z');
+    check('day key in Chicago is the previous evening', TimeZone.dayKey(lateEvening, 'America/Chicago') === '2026-03-02');
+    check('day key in UTC', TimeZone.dayKey(lateEvening, 'UTC') === '2026-03-03');
+    check('weekday from zone parts', TimeZone.getParts(lateEvening, 'America/Chicago').weekday === 1);
+    check('unknown zone rejected', !TimeZone.isValid('Mars/Olympus_Mons'));
+    check('local is always valid', TimeZone.isValid('local'));
+
+    console.log('\n=== Date order and import zone ===');
+    const parser = new CSVParser();
+
+    const mdy = await parser.parseCSV(tv, 'tradingview', { timeZone: 'UTC', dateOrder: 'MDY' });
+    check('M/D/Y: 2/10/26 is February 10', fillTime(mdy, '1001') === '2026-02-10T15:56:00.000Z');
+
+    const dmy = await parser.parseCSV(tv, 'tradingview', { timeZone: 'UTC', dateOrder: 'DMY' });
+    check('D/M/Y: 2/10/26 is October 2', fillTime(dmy, '1001') === '2026-10-02T15:56:00.000Z');
+
+    const chicago = await parser.parseCSV(tv, 'tradingview', { timeZone: 'America/Chicago', dateOrder: 'MDY' });
+    check('Chicago export stored as UTC', fillTime(chicago, '1002') === '2026-02-10T22:05:00.000Z');
+
+    const flex = `<FlexQueryResponse><FlexStatements><FlexStatement><Trades>
+<Trade symbol="MESH6" assetCategory="FUT" multiplier="5" dateTime="20260302;093105" buySell="BUY" quantity="1" tradePrice="6001.25" ibExecID="x1" levelOfDetail="EXECUTION" />
+</Trades></FlexStatement></FlexStatements></FlexQueryResponse>`;
+    const flexResult = await parser.parseCSV(flex, 'ibkr', { timeZone: 'America/New_York' });
+    check('Flex dateTime read in New York time', iso(flexResult.orders[0].placingTime) === '2026-03-02T14:31:05.000Z');
+
+    console.log('\n=== Saved per-broker settings ===');
+    parser.saveDateSettings('tradingview', { timeZone: 'UTC', dateOrder: 'DMY' });
+    check('settings remembered for the format', parser.getDateSettings('tradingview').dateOrder === 'DMY');
+    check('other formats keep the defaults', parser.getDateSettings('ninjatrader').timeZone === 'local');
+
+    const saved = await parser.parseCSV(tv, 'tradingview');
+    check('upload without options uses saved settings', fillTime(saved, '1001') === '2026-10-02T15:56:00.000Z');
+
+    const override = await parser.parseCSV(tv, 'tradingview', { dateOrder: 'MDY' });
+    check('per-upload option overrides one saved field', fillTime(override, '1001') === '2026-02-10T15:56:00.000Z');
+
+    let threw = false;
+    try { parser.saveDateSettings('tradingview', { timeZone: 'Nowhere/Land', dateOrder: 'MDY' }); } catch { threw = true; }
+    check('unknown time zone rejected on save', threw);
+    threw = false;
+    try { parser.saveDateSettings('tradingview', { timeZone: 'UTC', dateOrder: 'YMD' }); } catch { threw = true; }
+    check('unknown date order rejected on save', threw);
+
+    console.log('\n=== Custom profiles carry their own settings ===');
+    const customCsv = `Instrument,Action,Quantity,Price,Time
+ES1!,Buy,1,5000,03/04/2026 09:30:00
+ES1!,Sell,1,5002,03/04/2026 09:45:00`;
+    const profile = parser.saveImportProfile({
+        name: 'Euro Broker',
+        mapping: { symbol: 'Instrument', side: 'Action', qty: 'Quantity', fillPrice: 'Price', time: 'Time' },
+        headers: parser.getCSVHeaders(customCsv),
+        timeZone: 'Europe/Berlin',
+        dateOrder: 'DMY'
+    });
+    check('profile stores its date settings', profile.timeZone === 'Europe/Berlin' && profile.dateOrder === 'DMY');
+
+    const custom = await parser.parseCSV(customCsv, 'custom:Euro Broker');
+    check('profile settings applied (3 April, Berlin)', iso(custom.orders[0].placingTime) === '2026-04-03T07:30:00.000Z');
+
+    parser.saveDateSettings('custom:Euro Broker', { timeZone: 'UTC', dateOrder: 'MDY' });
+    check('saving for a profile updates the profile', parser.getImportProfile('Euro Broker').timeZone === 'UTC');
+
+    console.log('\n=== Without timeZone.js ===');
+    delete window.TimeZone;
+    parser.dateOptions = { timeZone: 'America/New_York', dateOrder: 'MDY' };
+    check('named zone falls back to UTC instead of throwing', iso(parser.parseDateTime('2/10/26 15:56')) === '2026-02-10T15:56:00.000Z');
+    window.TimeZone = TimeZone;
+});
@@ -0,0 +1,76 @@
+// Test: Tradovate Orders/Fills and Rithmic R|Trader Completed Orders exports → trades
+// Run: node tests/test_tradovate_rithmic_parser.js
+
+const { check, run, loadScripts } = require('./helpers');
+const { CSVParser, TradeCalculator } = loadScripts('js/csvParser.js', 'js/tradeCalculator.js');
+
+const tradovateOrdersCsv = `orderId,Account,Order ID,B/S,Contract,Product,Product Description,avgPrice,filledQty,Fill Time,lastCommandId,Status,_priceFormat,_priceFormatType,_tickSize,spreadDefinitionId,Version ID,Timestamp,Date,Quantity,Text,Type,Limit Price,Stop Price,decimalLimit,decimalStop,Filled Qty,Avg Fill Price,decimalFillAvg
+101,DEMO1,101, Buy,MESH6,MES,Micro E-mini S&P 500,6000.25,3,03/02/2026 09:31:05,1, Filled,-2,0,0.25,,101,03/02/2026 09:31:04,3/2/26,3,,Market,,,,,3,6000.25,6000.25
+102,DEMO1,102, Sell,MESH6,MES,Micro E-mini S&P 500,6008.50,3,03/02/2026 10:02:45,2, Filled,-2,0,0.25,,102,03/02/2026 10:02:44,3/2/26,3,,Limit,6008.5,,6008.5,,3,6008.50,6008.50
+103,DEMO1,103, Sell,MESH6,MES,Micro E-mini S&P 500,,0,,3, Canceled,-2,0,0.25,,103,03/02/2026 10:05:00,3/2/26,3,,Stop,,5990,,5990,0,,`;
+
+const tradovateFillsCsv = `Fill ID,Order ID,Timestamp,Date,B/S,Quantity,Price,Contract,Product,Product Description,Commission
+f1,201,2026-03-03T14:30:00Z,3/3/26,Sell,1,21010.5,NQH6,NQ,E-mini Nasdaq-100,$2.09
+f2,202,2026-03-03T14:41:00Z,3/3/26,Buy,1,21000,NQH6,NQ,E-mini Nasdaq-100,$2.09`;
+
+const rithmicCsv = `Completed Orders
+Account: APEX-12345
+Account,Status,Buy/Sell,Qty To Fill,Symbol,Exchange,Order Type,Limit Price,Stop Price,Avg Fill Price,Qty Filled,Update Time,Create Time,Order Number,Commission Fill Rate,Closed Profit/Loss
+APEX-12345,Filled,B,2,CLK6,NYMEX,Market,,,71.25,2,2026-03-04 09:00:01,2026-03-04 09:00:00,r1,2.10,
+APEX-12345,Cancelled,S,2,CLK6,NYMEX,Limit,72.00,,,0,2026-03-04 09:10:00,2026-03-04 09:00:05,r2,,
+APEX-12345,Filled,S,2,CLK6,NYMEX,Stop,,71.05,71.05,2,2026-03-04 09:20:00,2026-03-04 09:00:05,r3,2.10,-400.00`;
+
+run(async () => {
+    const parser = new CSVParser();
+    const calc = new TradeCalculator();
+
+    console.log('=== Symbol resolution ===');
+    [['ESH6', 'ES1!'], ['MNQM26', 'MNQ1!'], ['6EH6', '6E1!'], ['M2KM6', 'M2K1!'], ['MGCQ6', 'MGC1!'], ['AAPL', 'AAPL']]
+        .forEach(([raw, expected]) => check(`${raw} → ${expected}`, parser.resolveFuturesSymbol(raw) === expected));
+    ['HK50', 'US30', 'DE40', 'UK100', 'ABCZ6']
+        .forEach(raw => check(`${raw} unchanged (not a futures root)`, parser.resolveFuturesSymbol(raw) === raw));
+
+    console.log('\n=== Format detection ===');
+    check('Tradovate orders detected', parser.detectFormat(tradovateOrdersCsv) === 'tradovate');
+    check('Tradovate fills detected', parser.detectFormat(tradovateFillsCsv) === 'tradovate');
+    check('Rithmic detected past preamble', parser.detectFormat(rithmicCsv) === 'rithmic');
+
+    console.log('\n=== Tradovate Orders ===');
+    const tvo = await parser.parseCSV(tradovateOrdersCsv, 'tradovate');
+    check('2 filled orders, 1 skipped', tvo.orders.length === 2 && tvo.stats.skippedCancelled === 1);
+    check('broker is Tradovate', tvo.orders.every(o => o.broker === 'Tradovate'));
+    const tvoTrades = calc.processOrders(tvo.orders).trades;
+    check('MES long gross = 8.25 * 3 * 5', Math.abs(tvoTrades[0].grossProfit - 123.75) < 0.01);
+
+    console.log('\n=== Tradovate Fills ===');
+    const tvf = await parser.parseCSV(tradovateFillsCsv, 'tradovate');
+    const tvfTrades = calc.processOrders(tvf.orders).trades;
+    check('NQ short matched', tvfTrades.length === 1 && tvfTrades[0].side === 'SHORT');
+    check('NQ net = 10.5 * 20 - 4.18', Math.abs(tvfTrades[0].netProfit - (210 - 4.18)) < 0.01);
+
+    console.log('\n=== Rithmic Completed Orders ===');
+    const r = await parser.parseCSV(rithmicCsv, 'rithmic');
+    check('2 filled orders, 1 cancelled skipped', r.orders.length === 2 && r.stats.skippedCancelled === 1);
+    check('per-contract rate × qty', r.orders[0].commission === 4.2);
+    const rTrades = calc.processOrders(r.orders).trades;
+    check('CL long gross = -0.20 * 2 * 1000', Math.abs(rTrades[0].grossProfit + 400) < 0.01);
+    check('broker is Rithmic', rTrades[0].broker === 'Rithmic');
+
+    console.log('\n=== Exports without order ids ===');
+    // The same fills in two overlapping exports, at different rows — ids come from the fill itself
+    const fill = (side, price, time) => `${time},${side},1,${price},NQH6`;
+    const fillsHeader = 'Timestamp,B/S,Quantity,Price,Contract';
+    const later = [fillsHeader, fill('Sell', 21010.5, '2026-03-03T14:30:00Z'), fill('Buy', 21000, '2026-03-03T14:41:00Z')].join('\n');
+    const earlier = [fillsHeader, fill('Buy', 20990, '2026-03-03T14:00:00Z'), fill('Sell', 21010.5, '2026-03-03T14:30:00Z'),
+        fill('Buy', 21000, '2026-03-03T14:41:00Z'), fill('Buy', 21000, '2026-03-03T14:41:00Z')].join('\n');
+    const laterIds = (await parser.parseCSV(later, 'tradovate')).orders.map(o => o.orderId);
+    const earlierIds = (await parser.parseCSV(earlier, 'tradovate')).orders.map(o => o.orderId);
+    check('Tradovate fill ids stable across overlapping exports', laterIds.every(id => earlierIds.includes(id)));
+    check('identical fills in one export kept apart', new Set(earlierIds).size === 4);
+
+    const rithmicRows = rithmicCsv.split('\n').filter(line => !/Cancelled/.test(line)).map(line => line.replace(/,r\d,/, ',,'));
+    const rithmicIds = async (rows) => (await parser.parseCSV(rows.join('\n'), 'rithmic')).orders.map(o => o.orderId);
+    const allIds = await rithmicIds(rithmicRows);
+    const lastIds = await rithmicIds([...rithmicRows.slice(0, 3), rithmicRows[4]]);
+    check('Rithmic fill ids stable across overlapping exports', allIds.length === 2 && allIds.includes(lastIds[0]));
+});